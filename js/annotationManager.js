@@ -0,0 +1,653 @@
+/**
+ * AnnotationManager - Time-ranged annotations on events
+ * An annotation covers a span of event time (or a single moment) and records an author, category,
+ * severity, free text and optionally a rectangle drawn on one camera. Annotations are kept per
+ * event in localStorage, shown as a lane under the timeline and as outlines on the cameras while
+ * they are active, and are picked up by EventFilter, InsuranceReport and EvidenceBundle.
+ */
+
+class AnnotationManager {
+    constructor(videoPlayer, timeline, clipMarking, blurRegionEditor) {
+        this.videoPlayer = videoPlayer;
+        this.timeline = timeline;
+        this.clipMarking = clipMarking;
+        this.blurRegionEditor = blurRegionEditor;
+
+        this.STORAGE_KEY = 'teslacamviewer_annotations';
+        this.AUTHOR_KEY = 'teslacamviewer_annotation_author';
+        this.MAX_TEXT_LENGTH = 2000;
+        this.MOMENT_DURATION = 2; // Seconds a single-moment annotation's region stays on screen
+
+        this.CATEGORIES = ['damage', 'collision', 'vehicle', 'pedestrian', 'cyclist', 'traffic', 'road', 'other'];
+        this.SEVERITIES = ['info', 'low', 'medium', 'high'];
+        this.CAMERA_LABELS = {
+            front: 'Front',
+            back: 'Rear',
+            left_repeater: 'Left Repeater',
+            right_repeater: 'Right Repeater',
+            left_pillar: 'Left Pillar',
+            right_pillar: 'Right Pillar'
+        };
+
+        this.annotations = this.load(); // eventKey -> [annotation]
+        this.currentEvent = null;
+        this.modal = null;
+        this.view = 'list';   // 'list' or 'edit'
+        this.draft = null;    // Annotation being edited
+        this.regionElements = [];
+        this._activeRegions = [];
+        this._activeRegionIds = '';
+        this.onAnnotationsChanged = null; // (eventKey)
+
+        window.addEventListener('resize', () => this._renderRegions(this._activeRegions));
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} str
+     * @returns {string}
+     */
+    escapeHtml(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    // ==================== Storage ====================
+
+    /**
+     * @returns {Object} eventKey -> [annotation]
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('[AnnotationManager] Failed to load annotations:', e);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.annotations));
+            return true;
+        } catch (e) {
+            console.warn('[AnnotationManager] Failed to save annotations:', e);
+            alert(this.t('annotations.saveFailed'));
+            return false;
+        }
+    }
+
+    /**
+     * Storage key for an event (the loaded one by default)
+     * @returns {string|null}
+     */
+    getEventKey(event = this.currentEvent) {
+        return event ? (event.compoundKey || event.name) : null;
+    }
+
+    /**
+     * Annotations for an event, sorted by start time
+     * @param {string} eventKey
+     * @returns {Array}
+     */
+    getAnnotations(eventKey) {
+        return [...(this.annotations[eventKey] || [])].sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * @returns {Object} eventKey -> [annotation]
+     */
+    getAllAnnotations() {
+        return this.annotations;
+    }
+
+    /**
+     * @param {string} eventKey
+     * @returns {boolean}
+     */
+    hasAnnotations(eventKey) {
+        return (this.annotations[eventKey] || []).length > 0;
+    }
+
+    /**
+     * Add or update (by id) an annotation
+     * @param {string} eventKey
+     * @param {Object} annotation
+     * @returns {Object|null} The stored annotation, or null if saving failed
+     */
+    saveAnnotation(eventKey, annotation) {
+        if (!eventKey) return null;
+
+        const now = new Date().toISOString();
+        const stored = this.normalize({
+            ...annotation,
+            id: annotation.id || `ann_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            createdAt: annotation.createdAt || now,
+            modifiedAt: now
+        });
+
+        const list = (this.annotations[eventKey] || []).filter(a => a.id !== stored.id);
+        list.push(stored);
+        this.annotations[eventKey] = list;
+
+        if (!this.save()) return null;
+        this._changed(eventKey);
+        return stored;
+    }
+
+    /**
+     * @param {string} eventKey
+     * @param {string} id
+     */
+    removeAnnotation(eventKey, id) {
+        const list = (this.annotations[eventKey] || []).filter(a => a.id !== id);
+        if (list.length > 0) {
+            this.annotations[eventKey] = list;
+        } else {
+            delete this.annotations[eventKey];
+        }
+        this.save();
+        this._changed(eventKey);
+    }
+
+    /**
+     * Clamp and fill in an annotation's fields
+     * @param {Object} annotation
+     * @returns {Object}
+     */
+    normalize(annotation) {
+        const start = Math.max(0, Number(annotation.start) || 0);
+        const end = Math.max(start, Number(annotation.end) || 0);
+        const region = annotation.region && this.CAMERA_LABELS[annotation.region.camera]
+            ? {
+                camera: annotation.region.camera,
+                x: Number(annotation.region.x) || 0,
+                y: Number(annotation.region.y) || 0,
+                width: Number(annotation.region.width) || 0,
+                height: Number(annotation.region.height) || 0
+            }
+            : null;
+
+        return {
+            id: String(annotation.id),
+            start,
+            end,
+            author: String(annotation.author || '').trim(),
+            category: this.CATEGORIES.includes(annotation.category) ? annotation.category : 'other',
+            severity: this.SEVERITIES.includes(annotation.severity) ? annotation.severity : 'info',
+            text: String(annotation.text || '').slice(0, this.MAX_TEXT_LENGTH),
+            region,
+            createdAt: annotation.createdAt || null,
+            modifiedAt: annotation.modifiedAt || annotation.createdAt || null
+        };
+    }
+
+    /**
+     * Import annotations from a backup
+     * @param {Object} data - eventKey -> [annotation]
+     * @param {boolean} merge - Keep existing annotations; the newer copy of the same id wins
+     * @returns {number} Number of annotations added or replaced
+     */
+    importAnnotations(data, merge = true) {
+        if (!merge) {
+            this.annotations = {};
+        }
+
+        let count = 0;
+        for (const [eventKey, list] of Object.entries(data || {})) {
+            if (!Array.isArray(list)) continue;
+            const existing = this.annotations[eventKey] || [];
+
+            for (const incoming of list) {
+                if (!incoming?.id) continue;
+                const annotation = this.normalize(incoming);
+                const index = existing.findIndex(a => a.id === annotation.id);
+                if (index === -1) {
+                    existing.push(annotation);
+                    count++;
+                } else if ((annotation.modifiedAt || '') > (existing[index].modifiedAt || '')) {
+                    existing[index] = annotation;
+                    count++;
+                }
+            }
+
+            if (existing.length > 0) {
+                this.annotations[eventKey] = existing;
+            }
+        }
+
+        this.save();
+        this._changed(this.getEventKey());
+        return count;
+    }
+
+    /**
+     * Author last used on this browser
+     * @returns {string}
+     */
+    getAuthor() {
+        return localStorage.getItem(this.AUTHOR_KEY) || '';
+    }
+
+    /**
+     * Rank of a severity (info 0 ... high 3)
+     * @param {string} severity
+     * @returns {number}
+     */
+    severityRank(severity) {
+        return Math.max(0, this.SEVERITIES.indexOf(severity));
+    }
+
+    _changed(eventKey) {
+        if (eventKey && eventKey === this.getEventKey()) {
+            this.refresh();
+        }
+        if (this.onAnnotationsChanged) {
+            this.onAnnotationsChanged(eventKey);
+        }
+    }
+
+    // ==================== Playback ====================
+
+    /**
+     * Switch to a newly loaded event (after the timeline duration is set)
+     * @param {Object|null} event
+     */
+    setEvent(event) {
+        this.currentEvent = event;
+        this.hide();
+        this.refresh();
+    }
+
+    /**
+     * Redraw the timeline lane and camera outlines for the loaded event
+     */
+    refresh() {
+        const eventKey = this.getEventKey();
+        this.timeline.setAnnotations(eventKey ? this.getAnnotations(eventKey) : []);
+        this._activeRegionIds = null;
+        this.updateTime(this.timeline.getCurrentTime());
+    }
+
+    /**
+     * Annotations covering an event time
+     * @param {number} time
+     * @returns {Array}
+     */
+    getActiveAnnotations(time) {
+        const eventKey = this.getEventKey();
+        if (!eventKey) return [];
+        return this.getAnnotations(eventKey).filter(a =>
+            time >= a.start && time <= Math.max(a.end, a.start + this.MOMENT_DURATION));
+    }
+
+    /**
+     * Show the drawn regions of annotations active at an event time
+     * @param {number} time
+     */
+    updateTime(time) {
+        const active = this.getActiveAnnotations(time).filter(a => a.region);
+        const ids = active.map(a => a.id).join(',');
+        if (ids === this._activeRegionIds) return;
+
+        this._activeRegionIds = ids;
+        this._activeRegions = active;
+        this._renderRegions(active);
+    }
+
+    _renderRegions(annotations) {
+        for (const element of this.regionElements) {
+            element.remove();
+        }
+        this.regionElements = [];
+
+        for (const annotation of annotations) {
+            const video = this.videoPlayer.videos[annotation.region.camera];
+            const container = video?.parentElement;
+            if (!video || !container || container.classList.contains('camera-hidden')) continue;
+
+            const rect = this.blurRegionEditor._regionToLayerRect(video, container, annotation.region);
+            const bounds = container.getBoundingClientRect();
+            if (!rect || !bounds.width || !bounds.height) continue;
+
+            // Percentages so the outline follows the container when the layout resizes
+            const element = document.createElement('div');
+            element.className = `annotation-region severity-${annotation.severity}`;
+            Object.assign(element.style, {
+                left: `${(rect.x / bounds.width) * 100}%`,
+                top: `${(rect.y / bounds.height) * 100}%`,
+                width: `${(rect.width / bounds.width) * 100}%`,
+                height: `${(rect.height / bounds.height) * 100}%`
+            });
+            element.innerHTML = `<span class="annotation-region-label">${this.escapeHtml(this.t(`annotations.categories.${annotation.category}`))}</span>`;
+            element.title = annotation.text;
+            container.appendChild(element);
+            this.regionElements.push(element);
+        }
+    }
+
+    // ==================== Formatting ====================
+
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        const tenths = Math.floor((seconds % 1) * 10);
+        return `${mins}:${secs.toString().padStart(2, '0')}.${tenths}`;
+    }
+
+    /**
+     * "0:12.0" or "0:12.0 - 0:15.5"
+     */
+    formatRange(annotation) {
+        return annotation.end > annotation.start
+            ? `${this.formatTime(annotation.start)} - ${this.formatTime(annotation.end)}`
+            : this.formatTime(annotation.start);
+    }
+
+    // ==================== UI ====================
+
+    /**
+     * Show the annotation list for the loaded event
+     */
+    show() {
+        if (!this.getEventKey()) {
+            alert(this.t('annotations.noEvent'));
+            return;
+        }
+        this.view = 'list';
+        this.draft = null;
+        this.render();
+    }
+
+    /**
+     * Open the editor for a new annotation at the marked range (or the current time)
+     */
+    showNew() {
+        if (!this.getEventKey()) {
+            alert(this.t('annotations.noEvent'));
+            return;
+        }
+        this.draft = this._createDraft();
+        this.view = 'edit';
+        this.render();
+    }
+
+    hide() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+        if (this.blurRegionEditor.isDrawing) {
+            this.blurRegionEditor.stopDrawing();
+        }
+    }
+
+    _createDraft() {
+        const marks = this.clipMarking ? this.clipMarking.getMarks() : { inPoint: null, outPoint: null };
+        const now = this.timeline.getCurrentTime();
+        const start = marks.inPoint !== null ? marks.inPoint : now;
+        const end = marks.outPoint !== null && marks.outPoint > start ? marks.outPoint : start;
+        return {
+            id: null,
+            start,
+            end,
+            author: this.getAuthor(),
+            category: 'other',
+            severity: 'info',
+            text: '',
+            region: null
+        };
+    }
+
+    render() {
+        if (this.modal) {
+            this.modal.remove();
+        }
+
+        const editing = this.view === 'edit';
+        this.modal = document.createElement('div');
+        this.modal.className = 'notes-modal annotations-modal';
+        this.modal.innerHTML = `
+            <div class="notes-overlay"></div>
+            <div class="notes-panel export-queue-panel">
+                <div class="notes-header">
+                    <h2>${editing ? this.t(this.draft.id ? 'annotations.editTitle' : 'annotations.addTitle') : this.t('annotations.title')}</h2>
+                    <button class="notes-close-btn" title="${this.t('common.close')}">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="notes-content">
+                    <div class="notes-event-info">${this.escapeHtml(this.currentEvent.name || '')}</div>
+                    ${editing ? this._renderEditor() : this._renderList()}
+                </div>
+                <div class="notes-footer">
+                    ${editing ? `
+                        <button id="annotationBackBtn" class="notes-btn secondary">${this.t('annotations.back')}</button>
+                        <button id="annotationSaveBtn" class="notes-btn primary">${this.t('common.save')}</button>
+                    ` : `
+                        <button id="annotationCloseBtn" class="notes-btn secondary">${this.t('common.close')}</button>
+                        <button id="annotationAddBtn" class="notes-btn primary">${this.t('annotations.add')}</button>
+                    `}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this.modal.querySelector('.notes-close-btn').addEventListener('click', () => this.hide());
+        this.modal.querySelector('.notes-overlay').addEventListener('click', () => this.hide());
+
+        if (editing) {
+            this._attachEditorEvents();
+        } else {
+            this._attachListEvents();
+        }
+    }
+
+    _renderList() {
+        const annotations = this.getAnnotations(this.getEventKey());
+        if (annotations.length === 0) {
+            return `<div class="export-queue-hint">${this.t('annotations.empty')}</div>`;
+        }
+
+        return `
+            <div class="export-queue-jobs annotation-list">
+                ${annotations.map(a => `
+                    <div class="export-queue-job annotation-item" data-id="${this.escapeHtml(a.id)}">
+                        <div class="export-queue-job-info annotation-item-info" title="${this.t('annotations.seek')}">
+                            <span class="export-queue-job-name">
+                                ${this.formatRange(a)}
+                                <span class="annotation-severity severity-${a.severity}">${this.t(`annotations.severities.${a.severity}`)}</span>
+                                ${this.t(`annotations.categories.${a.category}`)}
+                                ${a.region ? `&middot; ${this.CAMERA_LABELS[a.region.camera]}` : ''}
+                            </span>
+                            ${a.text ? `<span class="annotation-item-text">${this.escapeHtml(a.text)}</span>` : ''}
+                            ${a.author ? `<span class="export-queue-job-status">${this.escapeHtml(a.author)}</span>` : ''}
+                        </div>
+                        <span class="export-queue-job-actions">
+                            <button class="export-queue-job-btn" data-edit="${this.escapeHtml(a.id)}">${this.t('annotations.edit')}</button>
+                            <button class="export-queue-job-btn" data-delete="${this.escapeHtml(a.id)}">${this.t('annotations.delete')}</button>
+                        </span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    _attachListEvents() {
+        const modal = this.modal;
+        const eventKey = this.getEventKey();
+        const find = (id) => this.getAnnotations(eventKey).find(a => a.id === id);
+
+        modal.querySelectorAll('.annotation-item-info').forEach(info => {
+            info.addEventListener('click', () => {
+                const annotation = find(info.closest('.annotation-item').dataset.id);
+                if (annotation && this.timeline.onSeek) {
+                    this.timeline.onSeek(annotation.start);
+                }
+            });
+        });
+        modal.querySelectorAll('[data-edit]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const annotation = find(btn.dataset.edit);
+                if (!annotation) return;
+                this.draft = { ...annotation, region: annotation.region ? { ...annotation.region } : null };
+                this.view = 'edit';
+                this.render();
+            });
+        });
+        modal.querySelectorAll('[data-delete]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (confirm(this.t('annotations.deleteConfirm'))) {
+                    this.removeAnnotation(eventKey, btn.dataset.delete);
+                    this.render();
+                }
+            });
+        });
+
+        modal.querySelector('#annotationCloseBtn').addEventListener('click', () => this.hide());
+        modal.querySelector('#annotationAddBtn').addEventListener('click', () => {
+            this.draft = this._createDraft();
+            this.view = 'edit';
+            this.render();
+        });
+    }
+
+    _renderEditor() {
+        const draft = this.draft;
+        return `
+            <div class="notes-section export-queue-grid">
+                <label class="notes-label" for="annotationStart">${this.t('annotations.start')}</label>
+                <div class="export-queue-range">
+                    <input type="number" id="annotationStart" min="0" step="0.1" value="${draft.start.toFixed(1)}">
+                    <button class="notes-btn secondary" data-now="annotationStart">${this.t('annotations.now')}</button>
+                </div>
+
+                <label class="notes-label" for="annotationEnd">${this.t('annotations.end')}</label>
+                <div class="export-queue-range">
+                    <input type="number" id="annotationEnd" min="0" step="0.1" value="${draft.end.toFixed(1)}">
+                    <button class="notes-btn secondary" data-now="annotationEnd">${this.t('annotations.now')}</button>
+                </div>
+                <span></span>
+                <div class="export-queue-hint">${this.t('annotations.rangeHint')}</div>
+
+                <label class="notes-label" for="annotationAuthor">${this.t('annotations.author')}</label>
+                <input type="text" id="annotationAuthor" class="report-template-input" maxlength="60" value="${this.escapeHtml(draft.author)}">
+
+                <label class="notes-label" for="annotationCategory">${this.t('annotations.category')}</label>
+                <select id="annotationCategory" class="export-format-select">
+                    ${this.CATEGORIES.map(c => `<option value="${c}" ${draft.category === c ? 'selected' : ''}>${this.t(`annotations.categories.${c}`)}</option>`).join('')}
+                </select>
+
+                <label class="notes-label" for="annotationSeverity">${this.t('annotations.severity')}</label>
+                <select id="annotationSeverity" class="export-format-select">
+                    ${this.SEVERITIES.map(s => `<option value="${s}" ${draft.severity === s ? 'selected' : ''}>${this.t(`annotations.severities.${s}`)}</option>`).join('')}
+                </select>
+
+                <label class="notes-label">${this.t('annotations.region')}</label>
+                <div class="export-queue-folder">
+                    <span class="export-queue-hint">${draft.region ? this.CAMERA_LABELS[draft.region.camera] : this.t('annotations.noRegion')}</span>
+                    <button id="annotationDrawBtn" class="notes-btn secondary">${this.t('annotations.drawRegion')}</button>
+                    <button id="annotationClearRegionBtn" class="notes-btn secondary" ${draft.region ? '' : 'disabled'}>${this.t('annotations.clearRegion')}</button>
+                </div>
+            </div>
+            <div class="notes-section">
+                <label class="notes-label" for="annotationText">${this.t('annotations.text')}</label>
+                <textarea id="annotationText" class="notes-textarea" maxlength="${this.MAX_TEXT_LENGTH}" placeholder="${this.t('annotations.textPlaceholder')}">${this.escapeHtml(draft.text)}</textarea>
+            </div>
+        `;
+    }
+
+    /**
+     * Copy the editor's fields into the draft
+     */
+    _readForm() {
+        const modal = this.modal;
+        Object.assign(this.draft, {
+            start: Math.max(0, parseFloat(modal.querySelector('#annotationStart').value) || 0),
+            end: Math.max(0, parseFloat(modal.querySelector('#annotationEnd').value) || 0),
+            author: modal.querySelector('#annotationAuthor').value.trim(),
+            category: modal.querySelector('#annotationCategory').value,
+            severity: modal.querySelector('#annotationSeverity').value,
+            text: modal.querySelector('#annotationText').value
+        });
+    }
+
+    _attachEditorEvents() {
+        const modal = this.modal;
+
+        // Keep typing in the text box away from the playback shortcuts
+        const textArea = modal.querySelector('#annotationText');
+        for (const type of ['keydown', 'keyup', 'keypress']) {
+            textArea.addEventListener(type, (e) => e.stopPropagation());
+        }
+
+        modal.querySelectorAll('[data-now]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                modal.querySelector(`#${btn.dataset.now}`).value = this.timeline.getCurrentTime().toFixed(1);
+            });
+        });
+
+        modal.querySelector('#annotationDrawBtn').addEventListener('click', () => {
+            this._readForm();
+            modal.classList.add('hidden');
+            const started = this.blurRegionEditor.startDrawing((region) => {
+                if (!this.modal) return;
+                if (region) {
+                    this.draft.region = region;
+                }
+                this.render();
+            });
+            if (!started) {
+                modal.classList.remove('hidden');
+            }
+        });
+
+        modal.querySelector('#annotationClearRegionBtn').addEventListener('click', () => {
+            this._readForm();
+            this.draft.region = null;
+            this.render();
+        });
+
+        modal.querySelector('#annotationBackBtn').addEventListener('click', () => {
+            this.view = 'list';
+            this.draft = null;
+            this.render();
+        });
+
+        modal.querySelector('#annotationSaveBtn').addEventListener('click', () => {
+            this._readForm();
+            const draft = this.draft;
+            if (draft.end < draft.start) {
+                alert(this.t('annotations.invalidRange'));
+                return;
+            }
+            if (!draft.text.trim() && !draft.region) {
+                alert(this.t('annotations.emptyAnnotation'));
+                return;
+            }
+
+            if (draft.author) {
+                localStorage.setItem(this.AUTHOR_KEY, draft.author);
+            }
+            if (this.saveAnnotation(this.getEventKey(), draft)) {
+                this.view = 'list';
+                this.draft = null;
+                this.render();
+            }
+        });
+    }
+}
+
+window.AnnotationManager = AnnotationManager;
@@ -38,6 +38,13 @@ class TeslaCamViewerApp {
             () => this.eventBrowser.refreshBookmarkIndicators()
         );
         this.syncController = new SyncController(this.videoPlayer.videos);
+        // Wire up frame sequence lookups for "sync by frame sequence" mode
+        this.syncController.getFrameSeq = (camera) => this.videoPlayer.getCurrentFrameSeq(camera);
+        this.syncController.getTimeForFrameSeq = (camera, seq) => this.videoPlayer.getTimeForFrameSeq(camera, seq);
+        this.syncController.getEventTime = () => this.getAbsoluteEventTime(this.videoPlayer.getCurrentTime());
+        this.syncDiagnostics = new SyncDiagnostics(this.syncController, this.videoPlayer);
+        this.shuttle = new ShuttleController(this.videoPlayer);
+        this.shuttleKeyHeld = false; // K held: J/L step single frames
         this.layoutManager = new LayoutManager();
         this.layoutEditor = new LayoutEditor(this.layoutManager);
         this.screenshotCapture = new ScreenshotCapture(this.videoPlayer);
@@ -92,8 +99,25 @@ class TeslaCamViewerApp {
 
         this.plateBlur = new PlateBlur();
         this.videoExport = new VideoExport(this.videoPlayer, this.layoutManager);
+        this.telemetryExporter = new TelemetryExporter();
         this.clipMarking = new ClipMarking(this.timeline, this.videoPlayer);
+        this.blurRegionEditor = new BlurRegionEditor(this.videoPlayer, this.plateBlur, this.clipMarking);
+        this.blurRegionEditor.onRegionsChanged = () => this.updateBlurRegionButtons();
+        this.calloutLayer = new CalloutLayer(this.videoPlayer, this.plateBlur, this.blurRegionEditor);
+        this.calloutLayer.onCalloutsChanged = () => this.updateBlurRegionButtons();
         this.insuranceReport = new InsuranceReport(this.videoPlayer, this.screenshotCapture);
+        this.reportTemplates = new ReportTemplates(this.insuranceReport);
+        this.exportQueue = new ExportQueue(this.videoPlayer, this.videoExport, this.layoutManager, this.clipMarking);
+        this.losslessTrim = new LosslessTrim(this.videoPlayer, this.clipMarking);
+        this.clipVerifier = new ClipVerifier(this.videoPlayer);
+        this.telemetryIndex = new TelemetryIndex();
+        this.highlightReel = new HighlightReel(this.videoExport, this.telemetryIndex);
+        this.telemetrySearch = new TelemetrySearch(this.telemetryIndex);
+        this.dayTimeline = new DayTimeline();
+        this.eventBrowser.onMultiSelectChange = (count) => {
+            const countEl = document.getElementById('batchExportCount');
+            if (countEl) countEl.textContent = count > 0 ? `(${count})` : '';
+        };
 
         // Settings, Help, Quick Start, Version, Statistics, and Notes
         this.settingsManager = new SettingsManager();
@@ -111,6 +135,12 @@ class TeslaCamViewerApp {
         this.timeline.setNotesGetter((eventKey) => {
             return this.notesManager.getNotes(eventKey);
         });
+        this.annotationManager = new AnnotationManager(this.videoPlayer, this.timeline, this.clipMarking,
+            this.blurRegionEditor);
+        this.evidenceBundle = new EvidenceBundle(this.videoPlayer, this.notesManager, this.timeline,
+            this.telemetryExporter, this.insuranceReport, this.annotationManager);
+        this.workspaceBackup = new WorkspaceBackup(this.notesManager, this.timeline, this.telemetryIndex,
+            this.annotationManager);
 
         // Drive sync
         this.driveSync = new DriveSync(this.folderManager, this.notesManager);
@@ -135,6 +165,7 @@ class TeslaCamViewerApp {
         this.playPauseBtn = document.getElementById('playPauseBtn');
         this.frameBackBtn = document.getElementById('frameBackBtn');
         this.frameForwardBtn = document.getElementById('frameForwardBtn');
+        this.frameTimecode = document.getElementById('frameTimecode');
         this.prevClipBtn = document.getElementById('prevClipBtn');
         this.nextClipBtn = document.getElementById('nextClipBtn');
         this.prevEventBtn = document.getElementById('prevEventBtn');
@@ -144,6 +175,7 @@ class TeslaCamViewerApp {
         this.enhanceBtn = document.getElementById('enhanceBtn');
         this.enhanceRegionBtn = document.getElementById('enhanceRegionBtn');
         this.notesBtn = document.getElementById('notesBtn');
+        this.annotationsBtn = document.getElementById('annotationsBtn');
         this.markInBtn = document.getElementById('markInBtn');
         this.markOutBtn = document.getElementById('markOutBtn');
         this.clearMarksBtn = document.getElementById('clearMarksBtn');
@@ -395,6 +427,9 @@ class TeslaCamViewerApp {
         // Apply performance settings
         this.applyPerformanceSettings();
 
+        // Apply camera sync mode
+        this.applySyncMode();
+
         // Apply accessibility settings on load
         this.settingsManager.applyAccessibilitySettings();
 
@@ -410,6 +445,7 @@ class TeslaCamViewerApp {
             // Re-apply settings
             this.timeline.setZoomEnabled(settings.enableTimelineZoom);
             this.applyPerformanceSettings();
+            this.applySyncMode();
 
             // Handle rememberLastFolder toggle
             if (settings.rememberLastFolder && this.folderParser.rootHandle) {
@@ -459,10 +495,46 @@ class TeslaCamViewerApp {
             memoryOptimization
         };
 
+        // Gapless clip transitions buffer the next clip in standby video elements
+        this.videoPlayer.setPreloadNextClip(preloadNextClip);
+
+        // Telemetry extraction worker pool size
+        if (window.seiExtractor) {
+            window.seiExtractor.setWorkerCount(this.settingsManager.get('seiWorkerCount'));
+        }
+
+        // Start or stop library-wide telemetry indexing
+        this.updateBackgroundTelemetryIndex(false);
+
         // Log active settings
         console.log('Performance settings applied:', this.performanceSettings);
     }
 
+    /**
+     * Apply the camera sync mode ('time' or 'frame' sequence)
+     */
+    applySyncMode() {
+        const syncMode = this.settingsManager.get('syncMode');
+        this.syncController.setMode(syncMode);
+        this.videoPlayer.setFrameSyncEnabled(syncMode === 'frame');
+    }
+
+    /**
+     * Index telemetry for the whole library in the background
+     * Already-indexed clips are skipped, so a pass interrupted by closing the app resumes next session.
+     * @param {boolean} restart - Start a new pass even if one is running (the event list changed)
+     */
+    updateBackgroundTelemetryIndex(restart = true) {
+        if (!this.telemetryIndex) return;
+
+        const enabled = this.settingsManager.get('backgroundTelemetryIndex');
+        if (!enabled || this.allEvents.length === 0) {
+            this.telemetryIndex.stopBackgroundIndexing();
+        } else if (restart || !this.telemetryIndex.backgroundRunning) {
+            this.telemetryIndex.startBackgroundIndexing(this.allEvents);
+        }
+    }
+
     /**
      * Check browser support for required APIs
      */
@@ -594,6 +666,15 @@ class TeslaCamViewerApp {
 
         // Notes & Tags
         this.notesBtn.addEventListener('click', () => this.openNotesModal());
+
+        // Annotations
+        this.annotationsBtn.addEventListener('click', () => this.annotationManager.show());
+        this.annotationManager.onAnnotationsChanged = () => {
+            this.updateAnnotationsButtonState();
+            if (this.eventFilter.filters.annotationSeverity) {
+                this.applyFilters();
+            }
+        };
         this.notesManager.onNotesChanged = (eventName) => {
             this.updateNotesButtonState();
             // Refresh event browser indicators if available
@@ -651,12 +732,12 @@ class TeslaCamViewerApp {
         const blurPlatesExportCheckbox = document.getElementById('blurPlatesExportCheckbox');
         if (blurPlatesExportCheckbox) {
             // Initialize from settings
-            blurPlatesExportCheckbox.checked = this.settingsManager.get('blurPlatesExport') === true;
+            blurPlatesExportCheckbox.checked = this.settingsManager.get('blurLicensePlates') === true;
 
-            // Update settings when checkbox changes
+            // Update settings when checkbox changes (same key VideoExport reads)
             blurPlatesExportCheckbox.addEventListener('change', (e) => {
                 e.stopPropagation();
-                this.settingsManager.set('blurPlatesExport', e.target.checked);
+                this.settingsManager.set('blurLicensePlates', e.target.checked);
                 console.log('Blur plates export:', e.target.checked ? 'enabled' : 'disabled');
             });
 
@@ -674,6 +755,49 @@ class TeslaCamViewerApp {
             }
         }
 
+        // Telemetry HUD / mini-map export checkboxes - sync with settings (enabled by default)
+        const overlayExportCheckboxes = {
+            telemetryHudExportCheckbox: 'telemetryOverlayInExport',
+            calloutsExportCheckbox: 'calloutsInExport',
+            miniMapExportCheckbox: 'miniMapInExport'
+        };
+        for (const [checkboxId, settingKey] of Object.entries(overlayExportCheckboxes)) {
+            const checkbox = document.getElementById(checkboxId);
+            if (!checkbox) continue;
+
+            checkbox.checked = this.settingsManager.get(settingKey) !== false;
+            checkbox.addEventListener('change', (e) => {
+                e.stopPropagation();
+                this.settingsManager.set(settingKey, e.target.checked);
+            });
+        }
+
+        // Face / pedestrian blur checkboxes - sync with settings (off by default)
+        const personBlurCheckboxes = {
+            blurFacesExportCheckbox: 'blurFaces',
+            blurPeopleExportCheckbox: 'blurPeople'
+        };
+        for (const [checkboxId, settingKey] of Object.entries(personBlurCheckboxes)) {
+            const checkbox = document.getElementById(checkboxId);
+            if (!checkbox) continue;
+
+            checkbox.checked = this.settingsManager.get(settingKey) === true;
+            checkbox.addEventListener('change', (e) => {
+                e.stopPropagation();
+                this.settingsManager.set(settingKey, e.target.checked);
+            });
+        }
+
+        // Subtitle sidecar checkbox - sync with settings (off by default)
+        const subtitleSidecarCheckbox = document.getElementById('subtitleSidecarCheckbox');
+        if (subtitleSidecarCheckbox) {
+            subtitleSidecarCheckbox.checked = this.settingsManager.get('subtitleSidecarInExport') === true;
+            subtitleSidecarCheckbox.addEventListener('change', (e) => {
+                e.stopPropagation();
+                this.settingsManager.set('subtitleSidecarInExport', e.target.checked);
+            });
+        }
+
         // Export format dropdown - syncs with settings
         const exportFormatSelect = document.getElementById('exportFormatSelect');
         const gifWarning = document.getElementById('gifWarning');
@@ -711,7 +835,18 @@ class TeslaCamViewerApp {
             }
         }
 
-        // Export action buttons (Screenshot, Export Video, Insurance Report)
+        // Telemetry format dropdown - syncs with settings
+        const telemetryFormatSelect = document.getElementById('telemetryFormatSelect');
+        if (telemetryFormatSelect) {
+            telemetryFormatSelect.value = this.settingsManager.get('telemetryExportFormat') || 'gpx';
+            telemetryFormatSelect.addEventListener('change', (e) => {
+                e.stopPropagation();
+                this.settingsManager.set('telemetryExportFormat', e.target.value);
+            });
+            telemetryFormatSelect.addEventListener('click', (e) => e.stopPropagation());
+        }
+
+        // Export action buttons (Screenshot, Export Video, Telemetry, Insurance Report)
         this.exportDropdown.querySelectorAll('.export-action-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -722,7 +857,34 @@ class TeslaCamViewerApp {
                 if (action === 'screenshot') {
                     this.captureScreenshot();
                 } else if (action === 'insurance-report') {
-                    this.generateInsuranceReport();
+                    this.showInsuranceReportTemplates();
+                } else if (action === 'telemetry-export') {
+                    this.exportTelemetry(telemetryFormatSelect?.value || 'gpx');
+                } else if (action === 'add-blur-region') {
+                    if (!this.blurRegionEditor.startDrawing()) {
+                        alert(this.t('player.noEventLoaded'));
+                    }
+                } else if (action === 'clear-blur-regions') {
+                    this.blurRegionEditor.clearRegions();
+                    this.updateBlurRegionButtons();
+                } else if (action === 'draw-callouts') {
+                    if (!this.calloutLayer.startEditing()) {
+                        alert(this.t('player.noEventLoaded'));
+                    }
+                } else if (action === 'clear-callouts') {
+                    if (confirm(this.t('callouts.clearConfirm'))) {
+                        this.calloutLayer.clearCallouts();
+                    }
+                } else if (action === 'batch-export') {
+                    this.exportQueue.show();
+                } else if (action === 'highlight-reel') {
+                    this.highlightReel.show();
+                } else if (action === 'lossless-trim') {
+                    this.exportLosslessTrim();
+                } else if (action === 'evidence-bundle') {
+                    this.evidenceBundle.show();
+                } else if (action === 'verify-clips') {
+                    this.clipVerifier.show();
                 } else {
                     const camera = btn.dataset.camera;
                     this.exportVideo(camera);
@@ -869,14 +1031,47 @@ class TeslaCamViewerApp {
 
         // Video player callbacks
         this.videoPlayer.onTimeUpdate = (time) => {
+            // Reverse shuttle reports the frame it shows; the videos are busy decoding
+            if (this.shuttle.isReversing()) return;
+
             if (!this.timeline.isDragging) {
                 // Calculate absolute event time
                 const eventTime = this.getAbsoluteEventTime(time);
                 this.timeline.updateTime(eventTime);
+                this.annotationManager.updateTime(eventTime);
+                this.calloutLayer.updateTime(eventTime);
 
                 // Update bottom sheet mini-timeline
                 this.updateBottomSheetProgress(eventTime, this.timeline.totalDuration);
             }
+            this.updateFrameTimecode();
+        };
+
+        this.videoPlayer.onFrameDataLoaded = () => {
+            this.updateFrameTimecode();
+        };
+
+        this.videoPlayer.onGapSkipped = (gap) => {
+            this.showGapSkipCard(gap);
+        };
+
+        this.videoPlayer.onBeforeSeek = () => {
+            if (this.shuttle.isReversing()) {
+                this.shuttle.stop(false);
+            }
+        };
+
+        this.shuttle.onReverseTime = (clipIndex, time) => {
+            if (!this.timeline.isDragging) {
+                const eventTime = this.getAbsoluteEventTime(time, clipIndex);
+                this.timeline.updateTime(eventTime);
+                this.updateBottomSheetProgress(eventTime, this.timeline.totalDuration);
+            }
+        };
+
+        this.shuttle.onStateChange = (direction, speed) => {
+            this.updateShuttleIndicator(direction, speed);
+            this.updatePlaybackButtons();
         };
 
         this.videoPlayer.onEnded = () => {
@@ -892,6 +1087,8 @@ class TeslaCamViewerApp {
             this.updatePlaybackButtons();
             // Reset sync timer so we sync at start of new clip
             this.syncController.resetSyncTimer();
+            // Parse telemetry for the clip now playing ahead of the rest
+            this._prioritizeClipTelemetry(clipIndex);
         };
 
         this.videoPlayer.onPlayStateChange = (isPlaying) => {
@@ -913,6 +1110,15 @@ class TeslaCamViewerApp {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyPress(e));
+        document.addEventListener('keyup', (e) => {
+            if (e.code === 'KeyK') {
+                this.shuttleKeyHeld = false;
+            }
+        });
+        // No keyup arrives if K is released while the window is in the background
+        window.addEventListener('blur', () => {
+            this.shuttleKeyHeld = false;
+        });
 
         // Settings, Help, Stats, and Session buttons
         this.settingsBtn.addEventListener('click', () => this.settingsManager.showSettingsModal());
@@ -920,6 +1126,9 @@ class TeslaCamViewerApp {
         this.statsBtn.addEventListener('click', () => this.statisticsManager.showModal());
         this.sessionBtn.addEventListener('click', () => this.sessionManager.showSessionModal());
 
+        // Sync indicator opens the drift diagnostics panel
+        document.querySelector('.sync-status')?.addEventListener('click', () => this.syncDiagnostics.show());
+
         // Camera visibility toggles
         this.setupCameraVisibilityControls();
 
@@ -2096,6 +2305,9 @@ class TeslaCamViewerApp {
         this.notesManager.registerEvents(events);
         this.timeline.registerEvents(events);
 
+        // Pick up new clips in the telemetry index
+        this.updateBackgroundTelemetryIndex();
+
         // Load backup data from event folders
         if (window.eventDataBackup) {
             try {
@@ -2105,38 +2317,58 @@ class TeslaCamViewerApp {
                 if (backups.size > 0) {
                     console.log(`[App] Found ${backups.size} backup files`);
 
-                    // Merge backup data with localStorage
+                    // Three-way merge backup data with localStorage
+                    const backup = window.eventDataBackup;
+                    const allNotes = JSON.parse(localStorage.getItem('teslacamviewer_notes') || '{}');
+                    const allBookmarks = JSON.parse(localStorage.getItem('teslacamviewer_bookmarks') || '{}');
+                    const completed = [];
+                    const conflicts = [];
+
                     for (const [eventKey, backupData] of backups) {
-                        // Merge notes
-                        const localNotes = this.notesManager.getNotes(eventKey);
-                        const mergedNotes = window.eventDataBackup.mergeNotes(
-                            localNotes,
-                            backupData,
-                            null // We don't track lastModified in localStorage
+                        const remote = { notes: backupData.notes, bookmarks: backupData.bookmarks };
+                        const result = backup.mergeEventData(
+                            {
+                                notes: this.notesManager.getNotes(eventKey),
+                                bookmarks: allBookmarks[eventKey] || [],
+                                state: backup.getMergeState(eventKey)
+                            },
+                            { ...remote, state: backupData.merge }
                         );
 
-                        // Save merged notes to localStorage (won't trigger backup since it's already from backup)
-                        if (mergedNotes.text || mergedNotes.tags?.length > 0) {
-                            const allNotes = JSON.parse(localStorage.getItem('teslacamviewer_notes') || '{}');
-                            allNotes[eventKey] = mergedNotes;
-                            localStorage.setItem('teslacamviewer_notes', JSON.stringify(allNotes));
+                        // Save merged data to localStorage (won't trigger backup since it's already from backup)
+                        if (result.notes.text || result.notes.tags.length > 0) {
+                            allNotes[eventKey] = result.notes;
+                        } else {
+                            delete allNotes[eventKey];
+                        }
+                        if (result.bookmarks.length > 0) {
+                            allBookmarks[eventKey] = result.bookmarks;
+                        } else {
+                            delete allBookmarks[eventKey];
                         }
 
-                        // Merge bookmarks
-                        const localBookmarks = this.timeline.getAllSavedBookmarks()[eventKey] || [];
-                        const mergedBookmarks = window.eventDataBackup.mergeBookmarks(
-                            localBookmarks,
-                            backupData.bookmarks
-                        );
-
-                        // Save merged bookmarks to localStorage
-                        if (mergedBookmarks.length > 0) {
-                            const allBookmarks = JSON.parse(localStorage.getItem('teslacamviewer_bookmarks') || '{}');
-                            allBookmarks[eventKey] = mergedBookmarks;
-                            localStorage.setItem('teslacamviewer_bookmarks', JSON.stringify(allBookmarks));
+                        if (result.conflict) {
+                            conflicts.push({ eventKey, remote, ...result });
+                        } else {
+                            completed.push({ eventKey, rev: result.rev, remote });
                         }
                     }
 
+                    localStorage.setItem('teslacamviewer_notes', JSON.stringify(allNotes));
+                    localStorage.setItem('teslacamviewer_bookmarks', JSON.stringify(allBookmarks));
+                    for (const { eventKey, rev, remote } of completed) {
+                        backup.completeMerge(eventKey, { rev, remote });
+                    }
+
+                    // Diverging note text needs a decision; don't hold up loading for it
+                    if (conflicts.length > 0) {
+                        console.log(`[App] ${conflicts.length} note conflict(s) between browser and event folders`);
+                        this.notesManager.resolveConflicts(conflicts, {
+                            local: this.t('notes.conflicts.thisBrowser'),
+                            remote: this.t('notes.conflicts.eventFolder')
+                        });
+                    }
+
                     console.log('[App] Backup data merged with localStorage');
                 }
             } catch (error) {
@@ -2217,12 +2449,16 @@ class TeslaCamViewerApp {
         this.showLoading('Loading event...');
 
         try {
+            await this.shuttle.stop(false);
+
+            const previousEvent = this.currentEvent;
             this.currentEvent = event;
 
             // Track event index for navigation
             this.currentEventIndex = this.allEvents.findIndex(e => e.name === event.name);
 
-            // Load event in video player
+            // Load event in video player (drift history is per event)
+            this.syncController.resetDiagnostics();
             await this.videoPlayer.loadEvent(event);
 
             // Record event view for session tracking
@@ -2244,19 +2480,27 @@ class TeslaCamViewerApp {
 
             // Detect and display gaps in recording
             const gaps = this.folderParser.detectGaps(event.clipGroups);
+            this.videoPlayer.setGaps(gaps);
             if (gaps.length > 0) {
                 console.log(`Detected ${gaps.length} gap(s) in recording:`, gaps);
                 this.timeline.setGapMarkers(gaps, event.clipGroups);
             }
+            this.timeline.setEventTypeBands(event.dayBands || null);
 
             // Set current event for bookmark persistence (use compoundKey for multi-drive support)
             this.timeline.setCurrentEvent(event.compoundKey || event.name);
+            this.annotationManager.setEvent(event);
+            this.calloutLayer.setEvent();
 
             // Update event info
             this.updateEventInfo(event);
 
-            // Clear any previous export marks
+            // Clear any previous export marks (kept per event for batch export's marked range,
+            // unless a batch or highlight export is the one switching events)
             if (this.clipMarking) {
+                if (previousEvent && !this.exportQueue?.isRunning && !this.highlightReel?.isExporting) {
+                    this.clipMarking.rememberMarks(previousEvent.compoundKey || previousEvent.name);
+                }
                 this.clipMarking.clearMarks();
             }
 
@@ -2496,10 +2740,11 @@ class TeslaCamViewerApp {
      * Get absolute event time from current clip time
      * Uses cached clip durations for accuracy when available
      * @param {number} clipTime
+     * @param {number} clipIndex - Defaults to the loaded clip
      * @returns {number}
      */
-    getAbsoluteEventTime(clipTime) {
-        if (!this.currentEvent || this.videoPlayer.currentClipIndex < 0) {
+    getAbsoluteEventTime(clipTime, clipIndex = this.videoPlayer.currentClipIndex) {
+        if (!this.currentEvent || clipIndex < 0) {
             return 0;
         }
 
@@ -2507,7 +2752,7 @@ class TeslaCamViewerApp {
         let accumulatedTime = 0;
         const cachedDurations = this.videoPlayer.cachedClipDurations;
 
-        for (let i = 0; i < this.videoPlayer.currentClipIndex; i++) {
+        for (let i = 0; i < clipIndex; i++) {
             // Use cached duration if available, otherwise estimate 60s per clip
             accumulatedTime += (cachedDurations && cachedDurations[i]) ? cachedDurations[i] : 60;
         }
@@ -2519,6 +2764,7 @@ class TeslaCamViewerApp {
      * Play video
      */
     async play() {
+        await this.shuttle.stop();
         await this.videoPlayer.play();
         this.updatePlaybackButtons();
 
@@ -2532,6 +2778,7 @@ class TeslaCamViewerApp {
      * Pause video
      */
     async pause() {
+        await this.shuttle.stop();
         await this.videoPlayer.pause();
         this.updatePlaybackButtons();
 
@@ -2545,7 +2792,7 @@ class TeslaCamViewerApp {
      * Toggle play/pause
      */
     async togglePlayback() {
-        if (this.videoPlayer.getIsPlaying()) {
+        if (this.videoPlayer.getIsPlaying() || this.shuttle.isReversing()) {
             await this.pause();
         } else {
             await this.play();
@@ -2600,7 +2847,7 @@ class TeslaCamViewerApp {
      * Update playback button states
      */
     updatePlaybackButtons() {
-        const isPlaying = this.videoPlayer.getIsPlaying();
+        const isPlaying = this.videoPlayer.getIsPlaying() || this.shuttle.isReversing();
 
         // Update combined play/pause button icon
         if (this.playPauseBtn) {
@@ -2650,6 +2897,7 @@ class TeslaCamViewerApp {
         this.enhanceBtn.disabled = true;
         if (this.enhanceRegionBtn) this.enhanceRegionBtn.disabled = true;
         this.notesBtn.disabled = true;
+        this.annotationsBtn.disabled = true;
         this.markInBtn.disabled = true;
         this.markOutBtn.disabled = true;
         this.clearMarksBtn.disabled = true;
@@ -2676,6 +2924,7 @@ class TeslaCamViewerApp {
         this.enhanceBtn.disabled = true;
         if (this.enhanceRegionBtn) this.enhanceRegionBtn.disabled = true;
         this.notesBtn.disabled = true;
+        this.annotationsBtn.disabled = true;
         this.markInBtn.disabled = true;
         this.markOutBtn.disabled = true;
         this.clearMarksBtn.disabled = true;
@@ -2715,6 +2964,8 @@ class TeslaCamViewerApp {
         if (this.enhanceRegionBtn) this.enhanceRegionBtn.disabled = false;
         this.notesBtn.disabled = false;
         this.updateNotesButtonState();
+        this.annotationsBtn.disabled = false;
+        this.updateAnnotationsButtonState();
         this.markInBtn.disabled = false;
         this.markOutBtn.disabled = false;
         this.clearMarksBtn.disabled = false;
@@ -3135,12 +3386,64 @@ class TeslaCamViewerApp {
      * @param {number} direction -1 for backward, 1 for forward
      */
     async stepFrame(direction) {
-        const currentTime = this.videoPlayer.getCurrentTime();
-        const frameRate = 30; // Assume 30fps for Tesla cameras
-        const frameDuration = 1 / frameRate;
+        // Steps by Tesla frame_seq_no across all cameras when the clip has SEI
+        await this.videoPlayer.stepFrame(direction);
+        this.updateFrameTimecode();
+    }
+
+    /**
+     * Briefly show a card while playback continues across a recording gap
+     * @param {Object} gap - From FolderParser.detectGaps()
+     */
+    showGapSkipCard(gap) {
+        const card = document.getElementById('gapSkipCard');
+        if (!card) return;
+
+        const resumesAt = gap.endTime instanceof Date ? gap.endTime.toLocaleTimeString() : '';
+        card.innerHTML = `
+            <strong>${this.t('player.gapSkipped')}</strong>
+            <span>${gap.formattedDuration} · ${this.t('player.gapResumesAt')} ${resumesAt}</span>
+        `;
+        card.classList.remove('hidden');
 
-        const newTime = currentTime + (frameDuration * direction);
-        await this.videoPlayer.seek(newTime); // Don't clamp to 0, let seek() handle negative values
+        clearTimeout(this.gapSkipCardTimeout);
+        this.gapSkipCardTimeout = setTimeout(() => card.classList.add('hidden'), 3000);
+    }
+
+    /**
+     * Show shuttle direction and speed over the video grid
+     * @param {number} direction -1 reverse, 0 stopped, 1 forward
+     * @param {number} speed
+     */
+    updateShuttleIndicator(direction, speed) {
+        const indicator = document.getElementById('shuttleIndicator');
+        if (!indicator) return;
+
+        if (direction === 0) {
+            indicator.classList.add('hidden');
+            return;
+        }
+        indicator.textContent = `${direction < 0 ? '\u25C0\u25C0' : '\u25B6\u25B6'} ${speed}x`;
+        indicator.title = this.t(direction < 0 ? 'player.shuttleReverse' : 'player.shuttleForward');
+        indicator.classList.toggle('reverse', direction < 0);
+        indicator.classList.remove('hidden');
+    }
+
+    /**
+     * Update the frame-number timecode (frame within clip and Tesla frame_seq_no)
+     */
+    updateFrameTimecode() {
+        if (!this.frameTimecode) return;
+
+        const frameSeqNo = this.videoPlayer.getCurrentFrameSeq('front');
+        if (frameSeqNo === null) {
+            this.frameTimecode.classList.add('hidden');
+            return;
+        }
+
+        const frameInClip = Math.floor(this.videoPlayer.getCurrentTime() * this.videoPlayer.getFrameRate() + 1e-3);
+        this.frameTimecode.textContent = `F${String(frameInClip).padStart(4, '0')} #${frameSeqNo}`;
+        this.frameTimecode.classList.remove('hidden');
     }
 
     /**
@@ -3155,6 +3458,34 @@ class TeslaCamViewerApp {
         await this.stepFrame(direction);
     }
 
+    /**
+     * Show the day picker for the day timeline
+     */
+    showDayTimelinePicker() {
+        if (this.allEvents.length === 0) {
+            alert(this.t('dayTimeline.noDays'));
+            return;
+        }
+        this.dayTimeline.show(this.allEvents, (day) => this.openDayTimeline(day));
+    }
+
+    /**
+     * Play every clip from one calendar day as a single event
+     * @param {Object} day - From DayTimeline.getDays()
+     */
+    async openDayTimeline(day) {
+        const event = this.dayTimeline.buildDayEvent(this.allEvents, day.date, day.driveId);
+        if (!event) {
+            alert(this.t('dayTimeline.noDays'));
+            return;
+        }
+        console.log(`[DayTimeline] ${event.clipGroups.length} clips on ${day.date}`, event.dayBands);
+
+        // The day is not an entry in the event list
+        this.eventBrowser.clearActiveSelection();
+        await this.onEventSelected(event);
+    }
+
     /**
      * Navigate to previous event
      */
@@ -3207,10 +3538,25 @@ class TeslaCamViewerApp {
         }
     }
 
+    /**
+     * Choose a report template and fill in claim details, then generate
+     */
+    showInsuranceReportTemplates() {
+        if (!this.currentEvent) {
+            alert('No event loaded. Please select an event first.');
+            return;
+        }
+
+        this.reportTemplates.show((template, claimValues) => {
+            this.generateInsuranceReport({ template, claimValues });
+        });
+    }
+
     /**
      * Generate insurance report PDF for current event
+     * @param {Object} options - See InsuranceReport.generateReport
      */
-    async generateInsuranceReport() {
+    async generateInsuranceReport(options = {}) {
         if (!this.currentEvent) {
             alert('No event loaded. Please select an event first.');
             return;
@@ -3225,7 +3571,7 @@ class TeslaCamViewerApp {
                 this.updateLoading(`${message} (${percent}%)`);
             });
 
-            await this.insuranceReport.generateReport();
+            await this.insuranceReport.generateReport(options);
 
             this.hideLoading();
         } catch (error) {
@@ -3235,6 +3581,90 @@ class TeslaCamViewerApp {
         }
     }
 
+    /**
+     * Cut the IN/OUT range out of the original clips without re-encoding (one file per camera)
+     */
+    async exportLosslessTrim() {
+        if (!this.currentEvent) {
+            alert('No event loaded. Please select an event first.');
+            return;
+        }
+        if (!this.clipMarking.hasMarks()) {
+            alert(this.t('losslessTrim.needsMarks'));
+            return;
+        }
+        if (!LosslessTrim.isSupported()) {
+            alert(this.t('losslessTrim.unsupported'));
+            return;
+        }
+
+        let directoryHandle;
+        try {
+            directoryHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('[LosslessTrim] Folder picker failed:', error);
+            }
+            return;
+        }
+
+        this.showLoading(this.t('losslessTrim.progress'));
+
+        try {
+            const result = await this.losslessTrim.trim(this.currentEvent, directoryHandle, (percent, camera) => {
+                this.updateLoading(`${this.t('losslessTrim.progress')} ${camera} (${percent}%)`);
+            });
+
+            this.hideLoading();
+            let message = `${this.t('losslessTrim.done')}\n\n${result.folderName}\n${result.files.join('\n')}`;
+            if (result.gaps.length > 0) {
+                const gapLines = result.gaps.map(gap => `${gap.afterClip} \u2192 ${gap.beforeClip} (${gap.seconds.toFixed(1)}s)`);
+                message += `\n\n${this.t('losslessTrim.gapsSplit')}\n${gapLines.join('\n')}`;
+            }
+            alert(message);
+        } catch (error) {
+            console.error('Error trimming clips:', error);
+            this.hideLoading();
+            alert(`${this.t('losslessTrim.failed')}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Export telemetry for current event (or marked range) as GPX, KML or CSV
+     * @param {string} format - 'gpx', 'kml' or 'csv'
+     */
+    async exportTelemetry(format = 'gpx') {
+        if (!this.currentEvent) {
+            alert('No event loaded. Please select an event first.');
+            return;
+        }
+
+        // Limit to the IN/OUT range when marks are set
+        const marks = this.clipMarking.getMarks();
+        const options = {
+            startTime: marks.inPoint !== null ? marks.inPoint : undefined,
+            endTime: marks.outPoint !== null ? marks.outPoint : undefined,
+            clipDurations: this.videoPlayer.cachedClipDurations,
+            clipSeiData: this.telemetryOverlay?.clipSeiData,
+            onProgress: (percent, message) => this.updateLoading(`${message} (${percent}%)`)
+        };
+
+        this.showLoading('Exporting telemetry...');
+
+        try {
+            const count = await this.telemetryExporter.exportEvent(this.currentEvent, format, options);
+            this.hideLoading();
+
+            if (count === 0) {
+                alert(this.t('export.noTelemetry') + '.\n\nTelemetry requires Tesla firmware 2025.44.25 or newer.');
+            }
+        } catch (error) {
+            console.error('Error exporting telemetry:', error);
+            this.hideLoading();
+            alert(`Failed to export telemetry: ${error.message}`);
+        }
+    }
+
     /**
      * Open notes modal for current event
      */
@@ -3263,6 +3693,16 @@ class TeslaCamViewerApp {
         }
     }
 
+    /**
+     * Highlight the annotations button when the current event has annotations
+     */
+    updateAnnotationsButtonState() {
+        if (!this.currentEvent || !this.annotationsBtn) return;
+
+        const hasAnnotations = this.annotationManager.hasAnnotations(this.currentEvent.compoundKey || this.currentEvent.name);
+        this.annotationsBtn.classList.toggle('has-notes', hasAnnotations);
+    }
+
     /**
      * Toggle Picture-in-Picture mode for front camera
      */
@@ -3399,10 +3839,12 @@ class TeslaCamViewerApp {
             // Disable all controls during export
             this.disableControls();
 
-            // Load plate blur model if plate blurring is enabled
-            const blurPlatesEnabled = this.settingsManager.get('blurLicensePlates') === true;
-            if (blurPlatesEnabled && this.plateBlur && !this.plateBlur.isReady()) {
-                console.log('[Export] Loading license plate detection model...');
+            // Load plate / face / person detection models for enabled blur classes
+            const blurClasses = this.plateBlur ? this.plateBlur.getEnabledClasses(this.settingsManager) : {};
+            const needsPlateModel = blurClasses.plates && !this.plateBlur.isReady();
+            const needsPersonModel = (blurClasses.faces || blurClasses.people) && !this.plateBlur.isPersonModelReady();
+            if (needsPlateModel || needsPersonModel) {
+                console.log('[Export] Loading privacy blur detection models...');
                 this.loadingOverlay.classList.remove('hidden');
                 this.loadingOverlay.style.display = 'flex';
                 this.loadingOverlay.style.position = 'fixed';
@@ -3412,16 +3854,20 @@ class TeslaCamViewerApp {
                 this.loadingOverlay.style.bottom = '0';
                 this.loadingOverlay.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
                 this.loadingOverlay.style.zIndex = '9999';
-                this.loadingText.innerHTML = '<div style="text-align: center;"><div style="font-size: 1.1rem; color: #ffffff;">Loading AI model for license plate detection...</div><div style="font-size: 0.9rem; color: #a0a0a0; margin-top: 0.5rem;">This may take a moment on first use</div></div>';
+                const modelLabel = needsPersonModel ? 'privacy blur (plates, faces, people)' : 'license plate detection';
+                this.loadingText.innerHTML = `<div style="text-align: center;"><div style="font-size: 1.1rem; color: #ffffff;">Loading AI model for ${modelLabel}...</div><div style="font-size: 0.9rem; color: #a0a0a0; margin-top: 0.5rem;">This may take a moment on first use</div></div>`;
                 try {
-                    const loaded = await this.plateBlur.loadModel();
+                    const loaded = await this.plateBlur.ensureModelsLoaded(blurClasses);
                     if (!loaded) {
-                        console.warn('[Export] Failed to load plate blur model, continuing without blur');
+                        console.warn('[Export] Failed to load a privacy blur model, continuing with what loaded');
+                        if (needsPersonModel && !this.plateBlur.isPersonModelReady()) {
+                            alert(`Face/person blur is unavailable: ${this.plateBlur.personModelError || 'model failed to load'}\n\nFaces and people will NOT be blurred in this export.`);
+                        }
                     } else {
-                        console.log('[Export] Plate blur model loaded successfully');
+                        console.log('[Export] Privacy blur models loaded successfully');
                     }
                 } catch (modelError) {
-                    console.warn('[Export] Plate blur model error:', modelError);
+                    console.warn('[Export] Privacy blur model error:', modelError);
                 }
             }
 
@@ -3541,7 +3987,14 @@ class TeslaCamViewerApp {
                 endTime: exportEndTime,
                 includeOverlay: true,
                 fps: 30,
-                onProgress: progressCallback
+                onProgress: progressCallback,
+                // Privacy blurring is checked on the rendered frames before encoding
+                onBlurPreview: async (frames, fps, startTime) => {
+                    if (titleEl) titleEl.textContent = this.t('export.blurPreviewTitle');
+                    const approved = await this.blurRegionEditor.showPreview(frames, fps, startTime);
+                    if (approved && titleEl) titleEl.textContent = `Exporting ${exportTitle}...`;
+                    return approved;
+                }
             });
 
             // Remove cancel handler (cancelBtn is stable, not recreated)
@@ -3633,6 +4086,7 @@ class TeslaCamViewerApp {
         if (isHidden) {
             // Update the "All Cameras" option to show current layout name
             this.updateExportLayoutName();
+            this.updateBlurRegionButtons();
             this.exportDropdown.classList.remove('hidden');
             // Close bookmarks dropdown if open
             this.bookmarksDropdown.classList.add('hidden');
@@ -3641,6 +4095,28 @@ class TeslaCamViewerApp {
         }
     }
 
+    /**
+     * Show the "Clear Blur Regions" and "Clear Drawings" options with counts when the event has
+     * manual regions or callouts
+     */
+    updateBlurRegionButtons() {
+        const buttons = [
+            ['clearBlurRegionsBtn', 'blurRegionCount', () => this.blurRegionEditor?.getRegionCount() || 0],
+            ['clearCalloutsBtn', 'calloutCount', () => this.calloutLayer?.getCalloutCount() || 0]
+        ];
+        for (const [btnId, countId, getCount] of buttons) {
+            const clearBtn = document.getElementById(btnId);
+            const countEl = document.getElementById(countId);
+            if (!clearBtn) continue;
+
+            const count = getCount();
+            clearBtn.classList.toggle('hidden', count === 0);
+            if (countEl) {
+                countEl.textContent = count > 0 ? `(${count})` : '';
+            }
+        }
+    }
+
     /**
      * Update export dropdown to show current layout name
      */
@@ -3777,7 +4253,7 @@ class TeslaCamViewerApp {
         switch (event.code) {
             case 'Space':
                 event.preventDefault();
-                if (this.videoPlayer.getIsPlaying()) {
+                if (this.videoPlayer.getIsPlaying() || this.shuttle.isReversing()) {
                     this.pause();
                 } else {
                     this.play();
@@ -3806,10 +4282,38 @@ class TeslaCamViewerApp {
                 }
                 break;
 
+            case 'KeyJ':
+                // J for reverse shuttle (K+J steps back one frame)
+                event.preventDefault();
+                if (this.shuttleKeyHeld) {
+                    this.stepFrame(-1);
+                } else {
+                    this.shuttle.backward();
+                }
+                break;
+
+            case 'KeyK':
+                // K to stop shuttle (hold with J/L to step frames)
+                event.preventDefault();
+                if (!event.repeat) {
+                    this.shuttleKeyHeld = true;
+                    this.pause();
+                }
+                break;
+
             case 'KeyL':
                 event.preventDefault();
-                this.layoutManager.nextLayout();
-                this.layoutSelect.value = this.layoutManager.getCurrentLayout();
+                if (event.shiftKey) {
+                    // Shift+L to cycle layouts
+                    this.layoutManager.nextLayout();
+                    this.layoutSelect.value = this.layoutManager.getCurrentLayout();
+                } else if (this.shuttleKeyHeld) {
+                    // K+L steps forward one frame
+                    this.stepFrame(1);
+                } else {
+                    // L for forward shuttle
+                    this.shuttle.forward();
+                }
                 break;
 
             // Note: [ and ] are now used for bookmark navigation (see below)
@@ -3894,6 +4398,14 @@ class TeslaCamViewerApp {
                 }
                 break;
 
+            case 'KeyA':
+                // A to annotate the marked range (or current moment)
+                event.preventDefault();
+                if (!this.annotationsBtn.disabled) {
+                    this.annotationManager.showNew();
+                }
+                break;
+
             case 'KeyE':
                 // E for export
                 event.preventDefault();
@@ -4123,6 +4635,13 @@ class TeslaCamViewerApp {
      * Show export completion overlay
      */
     showExportComplete() {
+        // Real-time exports that slowed down for buffering leave the subtitle files out
+        const subtitleNotice = this.videoExport?.getExportStatus().subtitlesSkipped
+            ? `<div style="font-size: 0.85rem; color: #ffb800; margin: -1rem 0 2rem;">
+                    Subtitle files were not saved: the export slowed down while buffering, so telemetry cues would not line up with the video.
+                </div>`
+            : '';
+
         this.loadingOverlay.style.display = 'flex';
         this.loadingOverlay.classList.remove('hidden');
         this.loadingText.innerHTML = `
@@ -4133,6 +4652,7 @@ class TeslaCamViewerApp {
                 <div style="font-size: 1rem; color: #e0e0e0; margin-bottom: 2rem;">
                     Your video has been saved successfully.
                 </div>
+                ${subtitleNotice}
                 <div style="width: 300px; height: 8px; background: #3a3a3a; border-radius: 4px; margin: 1rem auto 2rem; overflow: hidden;">
                     <div style="width: 100%; height: 100%; background: linear-gradient(90deg, #4caf50, #66bb6a);"></div>
                 </div>
@@ -4212,17 +4732,25 @@ class TeslaCamViewerApp {
                 this.collisionReconstruction.reset();
             }
 
+            // Drop extractions still queued for the previous event
+            window.seiExtractor.cancel('event');
+
             // Extract SEI from each clip (front camera has the telemetry)
+            // The clip being played is parsed first, the rest in order
             const clipGroups = event.clipGroups || [];
+            const playingIndex = Math.max(0, this.videoPlayer.currentClipIndex);
             for (let i = 0; i < clipGroups.length; i++) {
                 const group = clipGroups[i];
                 // clips is an object keyed by camera name, not an array
                 const frontClip = group.clips?.front;
 
                 if (frontClip && frontClip.fileHandle) {
+                    const priority = i === playingIndex ?
+                        window.seiExtractor.PRIORITY.PLAYBACK : window.seiExtractor.PRIORITY.EVENT;
+
                     // Get File from FileHandle and load SEI data (async)
                     frontClip.fileHandle.getFile().then(file => {
-                        return this.telemetryOverlay.loadClipData(file, i);
+                        return this.telemetryOverlay.loadClipData(file, i, { priority, group: 'event' });
                     }).then(data => {
                         if (data && data.frames.length > 0) {
                             console.log(`SEI telemetry loaded for clip ${i}: ${data.frames.length} frames`);
@@ -4270,6 +4798,22 @@ class TeslaCamViewerApp {
         }
     }
 
+    /**
+     * Move telemetry extraction for a clip of the current event to the front of the queue
+     * @param {number} clipIndex
+     */
+    async _prioritizeClipTelemetry(clipIndex) {
+        const frontClip = this.currentEvent?.clipGroups?.[clipIndex]?.clips?.front;
+        if (!window.seiExtractor || !frontClip?.fileHandle) return;
+
+        try {
+            const file = await frontClip.fileHandle.getFile();
+            window.seiExtractor.raisePriority(file, window.seiExtractor.PRIORITY.PLAYBACK);
+        } catch (e) {
+            // Clip unreadable - nothing to prioritize
+        }
+    }
+
     /**
      * Schedule elevation data loading (debounced to wait for multiple clips to load)
      */
@@ -4495,52 +5039,63 @@ class TeslaCamViewerApp {
 
             console.log(`[App] Target incident: time=${incident.time}, score=${incident.score}`);
 
-            // Find and load the event if not already loaded
-            const currentEventKey = this.currentEvent?.compoundKey || this.currentEvent?.name;
-            if (currentEventKey !== eventKey) {
-                console.log(`[App] Need to load event: current=${currentEventKey}, target=${eventKey}`);
-
-                // Find the event in allEvents
-                const event = this.allEvents.find(e =>
-                    (e.compoundKey || e.name) === eventKey
-                );
+            // Seek to the incident time (with a small buffer before)
+            await this.jumpToEventTime(eventKey, Math.max(0, incident.time - 2));
 
-                if (!event) {
-                    console.warn('[App] Event not found in allEvents:', eventKey);
-                    return;
-                }
+            console.log(`[App] Navigated to near-miss at ${incident.time.toFixed(1)}s (score: ${incident.score})`);
+        } catch (e) {
+            console.error('[App] Failed to navigate to near-miss:', e);
+        }
+    }
 
-                console.log('[App] Found event:', event.name);
+    /**
+     * Load an event (if not already loaded) and seek to a time within it
+     * Used by near-miss navigation and telemetry search hits
+     * @param {string} eventKey - compoundKey or name of the event
+     * @param {number} time - Event time in seconds
+     * @returns {Promise<boolean>} True if the seek happened
+     */
+    async jumpToEventTime(eventKey, time) {
+        // Find and load the event if not already loaded
+        const currentEventKey = this.currentEvent?.compoundKey || this.currentEvent?.name;
+        if (currentEventKey !== eventKey) {
+            console.log(`[App] Need to load event: current=${currentEventKey}, target=${eventKey}`);
+
+            // Find the event in allEvents
+            const event = this.allEvents.find(e =>
+                (e.compoundKey || e.name) === eventKey
+            );
 
-                // Use eventBrowser.selectEvent to properly load the event and update UI
-                // This will also call onEventSelected through the callback
-                let eventLoaded = false;
-                if (this.eventBrowser) {
-                    // selectEvent will find the element and call onEventSelect callback
-                    this.eventBrowser.selectEvent(event);
-                    // Check if the event was actually selected
-                    eventLoaded = this.eventBrowser.selectedEvent === event;
-                }
+            if (!event) {
+                console.warn('[App] Event not found in allEvents:', eventKey);
+                return false;
+            }
 
-                // Fallback: if selectEvent didn't work (element not found), load directly
-                if (!eventLoaded) {
-                    console.log('[App] selectEvent did not find element, loading directly');
-                    await this.onEventSelected(event);
-                }
+            console.log('[App] Found event:', event.name);
 
-                // Wait for event to load and telemetry data to be processed
-                await new Promise(r => setTimeout(r, 1500));
+            // Use eventBrowser.selectEvent to properly load the event and update UI
+            // This will also call onEventSelected through the callback
+            let eventLoaded = false;
+            if (this.eventBrowser) {
+                // selectEvent will find the element and call onEventSelect callback
+                this.eventBrowser.selectEvent(event);
+                // Check if the event was actually selected
+                eventLoaded = this.eventBrowser.selectedEvent === event;
             }
 
-            // Seek to the incident time (with a small buffer before)
-            const seekTime = Math.max(0, incident.time - 2);
-            console.log(`[App] Seeking to time: ${seekTime}`);
-            await this.videoPlayer.seekToEventTime(seekTime);
+            // Fallback: if selectEvent didn't work (element not found), load directly
+            if (!eventLoaded) {
+                console.log('[App] selectEvent did not find element, loading directly');
+                await this.onEventSelected(event);
+            }
 
-            console.log(`[App] Navigated to near-miss at ${incident.time.toFixed(1)}s (score: ${incident.score})`);
-        } catch (e) {
-            console.error('[App] Failed to navigate to near-miss:', e);
+            // Wait for event to load and telemetry data to be processed
+            await new Promise(r => setTimeout(r, 1500));
         }
+
+        console.log(`[App] Seeking to time: ${time}`);
+        await this.videoPlayer.seekToEventTime(time);
+        return true;
     }
 
     /**
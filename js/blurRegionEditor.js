@@ -0,0 +1,372 @@
+/**
+ * BlurRegionEditor - Manual "blur this region" tool and privacy export preview
+ * Regions are drawn directly on a camera view and stored by PlateBlur per event,
+ * keyed by camera and time range (IN/OUT marks if set, otherwise the whole event).
+ */
+
+class BlurRegionEditor {
+    constructor(videoPlayer, plateBlur, clipMarking) {
+        this.videoPlayer = videoPlayer;
+        this.plateBlur = plateBlur;
+        this.clipMarking = clipMarking;
+
+        this.isDrawing = false;
+        this.layers = [];
+        this.previewModal = null;
+        this._onDrawn = null; // Set while drawing for another tool instead of adding a blur region
+
+        this._onKeyDown = (e) => {
+            if (e.key === 'Escape' && this.isDrawing) {
+                e.preventDefault();
+                this.stopDrawing();
+            }
+        };
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    /**
+     * Storage key for the loaded event
+     * @returns {string|null}
+     */
+    getEventKey() {
+        const event = this.videoPlayer.currentEvent;
+        return event ? (event.compoundKey || event.name) : null;
+    }
+
+    /**
+     * Number of manual regions for the loaded event
+     * @returns {number}
+     */
+    getRegionCount() {
+        return this.plateBlur.getManualRegions(this.getEventKey()).length;
+    }
+
+    /**
+     * Time range for a new region: IN/OUT marks if set, otherwise the whole event
+     * @returns {{start: number, end: number|null}}
+     */
+    getRegionTimeRange() {
+        const marks = this.clipMarking ? this.clipMarking.getMarks() : { inPoint: null, outPoint: null };
+        return {
+            start: marks.inPoint !== null ? marks.inPoint : 0,
+            end: marks.outPoint !== null ? marks.outPoint : null
+        };
+    }
+
+    /**
+     * Enter draw mode: drag a rectangle on any camera to add a blur region
+     * @param {Function} onDrawn - Optional; receives { camera, x, y, width, height } (normalized)
+     *   instead of a blur region being added, or null if drawing is cancelled
+     * @returns {boolean} False if no event is loaded
+     */
+    startDrawing(onDrawn = null) {
+        if (!this.getEventKey()) return false;
+        if (this.isDrawing) this.stopDrawing();
+
+        this.isDrawing = true;
+        this._onDrawn = onDrawn;
+        const currentTime = this.videoPlayer.getCurrentAbsoluteTime
+            ? this.videoPlayer.getCurrentAbsoluteTime()
+            : null;
+        const regions = this.plateBlur.getManualRegions(this.getEventKey());
+
+        for (const [camera, video] of Object.entries(this.videoPlayer.videos)) {
+            const container = video?.parentElement;
+            if (!video || !video.src || !container || container.classList.contains('camera-hidden')) continue;
+
+            const layer = document.createElement('div');
+            layer.className = 'blur-draw-layer';
+            layer.title = this.t(onDrawn ? 'annotations.drawRegionHint' : 'export.blurRegionDrawHint');
+            container.appendChild(layer);
+            this.layers.push(layer);
+
+            // Outline blur regions already active on this camera
+            const active = onDrawn ? [] : this.plateBlur.getActiveManualRegions(regions, camera, currentTime);
+            for (const region of active) {
+                const rect = this._regionToLayerRect(video, layer, region);
+                if (!rect) continue;
+                const outline = document.createElement('div');
+                outline.className = 'blur-draw-rect existing';
+                Object.assign(outline.style, {
+                    left: `${rect.x}px`,
+                    top: `${rect.y}px`,
+                    width: `${rect.width}px`,
+                    height: `${rect.height}px`
+                });
+                layer.appendChild(outline);
+            }
+
+            this._attachDrawHandlers(layer, video, camera);
+        }
+
+        document.addEventListener('keydown', this._onKeyDown);
+        console.log('[BlurRegionEditor] Draw mode on - drag on a camera to add a blur region, Esc to cancel');
+        return true;
+    }
+
+    /**
+     * Leave draw mode and remove the drawing layers
+     */
+    stopDrawing() {
+        for (const layer of this.layers) {
+            layer.remove();
+        }
+        this.layers = [];
+        this.isDrawing = false;
+        document.removeEventListener('keydown', this._onKeyDown);
+
+        if (this._onDrawn) {
+            const onDrawn = this._onDrawn;
+            this._onDrawn = null;
+            onDrawn(null);
+        }
+    }
+
+    /**
+     * Remove all manual regions for the loaded event
+     */
+    clearRegions() {
+        this.plateBlur.clearManualRegions(this.getEventKey());
+    }
+
+    /**
+     * Wire mouse drag on a drawing layer
+     */
+    _attachDrawHandlers(layer, video, camera) {
+        let start = null;
+        let rectEl = null;
+
+        const toLocal = (e) => {
+            const bounds = layer.getBoundingClientRect();
+            return {
+                x: Math.min(Math.max(e.clientX - bounds.left, 0), bounds.width),
+                y: Math.min(Math.max(e.clientY - bounds.top, 0), bounds.height)
+            };
+        };
+
+        layer.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            start = toLocal(e);
+            rectEl = document.createElement('div');
+            rectEl.className = 'blur-draw-rect';
+            layer.appendChild(rectEl);
+        });
+
+        layer.addEventListener('mousemove', (e) => {
+            if (!start || !rectEl) return;
+            const p = toLocal(e);
+            Object.assign(rectEl.style, {
+                left: `${Math.min(start.x, p.x)}px`,
+                top: `${Math.min(start.y, p.y)}px`,
+                width: `${Math.abs(p.x - start.x)}px`,
+                height: `${Math.abs(p.y - start.y)}px`
+            });
+        });
+
+        layer.addEventListener('mouseup', (e) => {
+            if (!start) return;
+            e.stopPropagation();
+            const end = toLocal(e);
+            const drawn = {
+                x: Math.min(start.x, end.x),
+                y: Math.min(start.y, end.y),
+                width: Math.abs(end.x - start.x),
+                height: Math.abs(end.y - start.y)
+            };
+            start = null;
+
+            // Ignore clicks and tiny accidental drags
+            if (drawn.width < 6 || drawn.height < 6) {
+                rectEl?.remove();
+                rectEl = null;
+                return;
+            }
+
+            const normalized = this._layerRectToVideo(video, layer, drawn);
+            if (this._onDrawn) {
+                const onDrawn = this._onDrawn;
+                this._onDrawn = null;
+                this.stopDrawing();
+                onDrawn(normalized ? { camera, ...normalized } : null);
+                return;
+            }
+
+            const region = normalized && this.plateBlur.addManualRegion(this.getEventKey(), {
+                camera,
+                ...this.getRegionTimeRange(),
+                ...normalized
+            });
+            this.stopDrawing();
+
+            if (region && this.onRegionsChanged) {
+                this.onRegionsChanged(this.getRegionCount());
+            }
+        });
+    }
+
+    /**
+     * Displayed video content box inside its element (handles object-fit contain/cover)
+     */
+    _getContentBox(video, bounds) {
+        if (!video.videoWidth || !video.videoHeight) return null;
+
+        const fit = getComputedStyle(video).objectFit;
+        const videoAspect = video.videoWidth / video.videoHeight;
+        const boxAspect = bounds.width / bounds.height;
+        const fitWidth = fit === 'cover' ? videoAspect < boxAspect : videoAspect > boxAspect;
+
+        const width = fitWidth ? bounds.width : bounds.height * videoAspect;
+        const height = fitWidth ? bounds.width / videoAspect : bounds.height;
+        return {
+            x: (bounds.width - width) / 2,
+            y: (bounds.height - height) / 2,
+            width,
+            height
+        };
+    }
+
+    /**
+     * Convert a rectangle drawn on the layer to normalized video coordinates
+     */
+    _layerRectToVideo(video, layer, rect) {
+        const box = this._getContentBox(video, layer.getBoundingClientRect());
+        if (!box) return null;
+
+        const x1 = Math.max(0, (rect.x - box.x) / box.width);
+        const y1 = Math.max(0, (rect.y - box.y) / box.height);
+        const x2 = Math.min(1, (rect.x + rect.width - box.x) / box.width);
+        const y2 = Math.min(1, (rect.y + rect.height - box.y) / box.height);
+        if (x2 <= x1 || y2 <= y1) return null;
+
+        return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+    }
+
+    /**
+     * Convert a stored region to layer pixel coordinates
+     */
+    _regionToLayerRect(video, layer, region) {
+        const box = this._getContentBox(video, layer.getBoundingClientRect());
+        if (!box) return null;
+
+        return {
+            x: box.x + region.x * box.width,
+            y: box.y + region.y * box.height,
+            width: region.width * box.width,
+            height: region.height * box.height
+        };
+    }
+
+    /**
+     * Show rendered export frames so blurring can be checked before encoding
+     * @param {Array<ImageBitmap>} frames - Rendered frames
+     * @param {number} fps - Export frame rate
+     * @param {number} startTime - Event time of the first frame
+     * @returns {Promise<boolean>} True to encode, false to cancel the export
+     */
+    showPreview(frames, fps, startTime = 0) {
+        return new Promise((resolve) => {
+            if (!frames || frames.length === 0) {
+                resolve(true);
+                return;
+            }
+
+            if (this.previewModal) {
+                this.previewModal.remove();
+            }
+
+            const first = frames[0];
+            this.previewModal = document.createElement('div');
+            this.previewModal.className = 'blur-preview-modal';
+            this.previewModal.innerHTML = `
+                <div class="blur-preview-overlay"></div>
+                <div class="blur-preview-panel">
+                    <div class="blur-preview-header">
+                        <h2>${this.t('export.blurPreviewTitle')}</h2>
+                        <span class="blur-preview-hint">${this.t('export.blurPreviewHint')}</span>
+                    </div>
+                    <canvas class="blur-preview-canvas" width="${first.width}" height="${first.height}"></canvas>
+                    <div class="blur-preview-controls">
+                        <button class="blur-preview-play" type="button">&#9654;</button>
+                        <input class="blur-preview-slider" type="range" min="0" max="${frames.length - 1}" value="0">
+                        <span class="blur-preview-time"></span>
+                    </div>
+                    <div class="blur-preview-footer">
+                        <button class="notes-btn secondary" data-result="cancel">${this.t('export.blurPreviewCancel')}</button>
+                        <button class="notes-btn primary" data-result="encode">${this.t('export.blurPreviewEncode')}</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(this.previewModal);
+
+            const canvas = this.previewModal.querySelector('.blur-preview-canvas');
+            const ctx = canvas.getContext('2d');
+            const slider = this.previewModal.querySelector('.blur-preview-slider');
+            const timeLabel = this.previewModal.querySelector('.blur-preview-time');
+            const playBtn = this.previewModal.querySelector('.blur-preview-play');
+            let playTimer = null;
+
+            const showFrame = (index) => {
+                ctx.drawImage(frames[index], 0, 0, canvas.width, canvas.height);
+                const time = startTime + index / fps;
+                timeLabel.textContent = `${Math.floor(time / 60)}:${(time % 60).toFixed(1).padStart(4, '0')}`;
+            };
+
+            const stopPlayback = () => {
+                if (playTimer) {
+                    clearInterval(playTimer);
+                    playTimer = null;
+                }
+                playBtn.innerHTML = '&#9654;';
+            };
+
+            const finish = (result) => {
+                stopPlayback();
+                document.removeEventListener('keydown', onKey);
+                this.previewModal.remove();
+                this.previewModal = null;
+                resolve(result);
+            };
+
+            const onKey = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(false);
+                }
+            };
+
+            slider.addEventListener('input', () => {
+                stopPlayback();
+                showFrame(parseInt(slider.value, 10));
+            });
+
+            playBtn.addEventListener('click', () => {
+                if (playTimer) {
+                    stopPlayback();
+                    return;
+                }
+                playBtn.innerHTML = '&#10074;&#10074;';
+                playTimer = setInterval(() => {
+                    const next = (parseInt(slider.value, 10) + 1) % frames.length;
+                    slider.value = next;
+                    showFrame(next);
+                }, 1000 / fps);
+            });
+
+            this.previewModal.querySelectorAll('[data-result]').forEach(btn => {
+                btn.addEventListener('click', () => finish(btn.dataset.result === 'encode'));
+            });
+            document.addEventListener('keydown', onKey);
+
+            showFrame(0);
+        });
+    }
+}
+
+window.BlurRegionEditor = BlurRegionEditor;
@@ -0,0 +1,595 @@
+/**
+ * CalloutLayer - Arrows, ellipses and text drawn over the camera views
+ * Callouts are stored per event, keyed by camera and time range (IN/OUT marks if set, otherwise
+ * the whole event), with points normalized (0-1) to the camera's video frame. The same canvas
+ * renderer draws them over the live views and into screenshot and video export composites, so
+ * annotated images and clips can be shared directly. Blur boxes drawn with the layer's toolbar are
+ * PlateBlur manual regions and go through the existing privacy blur pipeline.
+ */
+
+class CalloutLayer {
+    constructor(videoPlayer, plateBlur, blurRegionEditor) {
+        this.videoPlayer = videoPlayer;
+        this.plateBlur = plateBlur;
+        this.blurRegionEditor = blurRegionEditor;
+
+        this.STORAGE_KEY = 'teslacamviewer_callouts';
+        this.TOOLS = ['arrow', 'ellipse', 'text', 'blur'];
+        this.COLORS = ['#ff3b3b', '#ffb800', '#00ff88', '#00d4ff', '#ffffff'];
+
+        this.tool = 'arrow';
+        this.color = this.COLORS[0];
+        this.isEditing = false;
+        this.layers = [];
+        this.canvases = {};       // camera -> live overlay canvas
+        this.toolbar = null;
+        this.history = [];        // { kind: 'callout'|'blur', id } added this session, for undo
+        this.currentTime = 0;
+        this._renderedKey = null; // Active callout ids + view sizes last drawn
+
+        this._onKeyDown = (e) => {
+            if (e.key === 'Escape' && this.isEditing) {
+                e.preventDefault();
+                this.stopEditing();
+            }
+        };
+
+        window.addEventListener('resize', () => this.render(true));
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    /**
+     * Storage key for the loaded event
+     * @returns {string|null}
+     */
+    getEventKey() {
+        const event = this.videoPlayer.currentEvent;
+        return event ? (event.compoundKey || event.name) : null;
+    }
+
+    // ==================== Storage ====================
+
+    /**
+     * Get callouts for an event
+     * @param {string} eventKey - Event compoundKey (or name for legacy events)
+     * @returns {Array} Callouts { id, type, camera, start, end, x1, y1, x2, y2, color, text }
+     */
+    getCallouts(eventKey) {
+        if (!eventKey) return [];
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            const all = stored ? JSON.parse(stored) : {};
+            return Array.isArray(all[eventKey]) ? all[eventKey] : [];
+        } catch (error) {
+            console.warn('[CalloutLayer] Failed to read callouts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save callouts for an event (empty list removes the entry)
+     */
+    _saveCallouts(eventKey, callouts) {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            const all = stored ? JSON.parse(stored) : {};
+            if (callouts.length > 0) {
+                all[eventKey] = callouts;
+            } else {
+                delete all[eventKey];
+            }
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(all));
+        } catch (error) {
+            console.warn('[CalloutLayer] Failed to save callouts:', error);
+        }
+        this.render(true);
+        if (this.onCalloutsChanged) {
+            this.onCalloutsChanged(this.getCalloutCount());
+        }
+    }
+
+    /**
+     * Add a callout
+     * @param {string} eventKey - Event compoundKey
+     * @param {Object} callout - { type, camera, start, end, x1, y1, x2, y2, color, text }
+     *   start/end are event time in seconds (end null = until end of event); points are
+     *   normalized to the video frame (arrow: tail to head, ellipse: bounding box corners,
+     *   text: anchor in x1/y1)
+     * @returns {Object|null} Stored callout with id
+     */
+    addCallout(eventKey, callout) {
+        if (!eventKey || !callout?.camera || !this.TOOLS.includes(callout.type)) return null;
+        if (callout.type === 'text' && !callout.text?.trim()) return null;
+
+        const clamp = (v) => Math.min(1, Math.max(0, v || 0));
+        const stored = {
+            id: `callout_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            type: callout.type,
+            camera: callout.camera,
+            start: Math.max(0, callout.start || 0),
+            end: callout.end != null ? callout.end : null,
+            x1: clamp(callout.x1),
+            y1: clamp(callout.y1),
+            x2: clamp(callout.x2 ?? callout.x1),
+            y2: clamp(callout.y2 ?? callout.y1),
+            color: callout.color || this.COLORS[0],
+            text: callout.type === 'text' ? callout.text.trim() : ''
+        };
+
+        const callouts = this.getCallouts(eventKey);
+        callouts.push(stored);
+        this._saveCallouts(eventKey, callouts);
+        console.log(`[CalloutLayer] Added ${stored.type} on ${stored.camera} (${callouts.length} for event)`);
+        return stored;
+    }
+
+    /**
+     * Remove a callout
+     * @param {string} eventKey - Event compoundKey
+     * @param {string} id - Callout id
+     */
+    removeCallout(eventKey, id) {
+        this._saveCallouts(eventKey, this.getCallouts(eventKey).filter(c => c.id !== id));
+    }
+
+    /**
+     * Remove all callouts for the loaded event
+     */
+    clearCallouts() {
+        const eventKey = this.getEventKey();
+        if (!eventKey) return;
+        this.history = this.history.filter(entry => entry.kind !== 'callout');
+        this._saveCallouts(eventKey, []);
+    }
+
+    /**
+     * Number of callouts for the loaded event
+     * @returns {number}
+     */
+    getCalloutCount() {
+        return this.getCallouts(this.getEventKey()).length;
+    }
+
+    /**
+     * Get callouts shown on a camera at an event time
+     * @param {Array} callouts - From getCallouts()
+     * @param {string} camera - Camera name
+     * @param {number|null} time - Event time in seconds (null = ignore time range)
+     * @returns {Array}
+     */
+    getActiveCallouts(callouts, camera, time) {
+        return callouts.filter(c =>
+            c.camera === camera &&
+            (time == null || (time >= c.start && (c.end == null || time <= c.end)))
+        );
+    }
+
+    // ==================== Canvas rendering ====================
+
+    /**
+     * Draw the callouts active at an event time onto a composite frame
+     * @param {CanvasRenderingContext2D} ctx - Canvas with camera frames drawn
+     * @param {Object} cameraInfos - Same camera map as PlateBlur.processMultiCamera:
+     *   { front: { video, dx, dy, dw, dh, crop, objectFit }, ... }
+     * @param {number|null} time - Event time in seconds
+     * @param {Array} callouts - Defaults to the loaded event's callouts
+     * @returns {number} Number of callouts drawn
+     */
+    drawToCanvas(ctx, cameraInfos, time, callouts = this.getCallouts(this.getEventKey())) {
+        if (!callouts || callouts.length === 0) return 0;
+
+        let drawn = 0;
+        for (const [camName, camInfo] of Object.entries(cameraInfos)) {
+            const { video, dx, dy, dw, dh, crop, objectFit } = camInfo;
+            if (!video) continue;
+
+            const active = this.getActiveCallouts(callouts, camName, time);
+            if (active.length === 0) continue;
+
+            const params = LayoutRenderer.calculateDrawParams(video, { x: dx, y: dy, w: dw, h: dh, crop, objectFit });
+
+            // Keep callouts inside their camera's tile
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(params.dx, params.dy, params.dw, params.dh);
+            ctx.clip();
+            for (const callout of active) {
+                this._drawCallout(ctx, callout, video, params);
+                drawn++;
+            }
+            ctx.restore();
+        }
+        return drawn;
+    }
+
+    /**
+     * Draw one callout, mapping its normalized video points through the tile's draw params
+     */
+    _drawCallout(ctx, callout, video, params) {
+        const vw = video.videoWidth || 1280;
+        const vh = video.videoHeight || 960;
+        const toCanvas = (x, y) => ({
+            x: params.dx + (x * vw - params.sx) * (params.dw / params.sw),
+            y: params.dy + (y * vh - params.sy) * (params.dh / params.sh)
+        });
+        const p1 = toCanvas(callout.x1, callout.y1);
+        const p2 = toCanvas(callout.x2, callout.y2);
+
+        // Scale strokes and text with the tile so they read the same at any export size
+        const lineWidth = Math.max(2, params.dw / 250);
+        ctx.strokeStyle = callout.color;
+        ctx.fillStyle = callout.color;
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        ctx.shadowBlur = lineWidth * 1.5;
+
+        switch (callout.type) {
+            case 'arrow': {
+                const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x);
+                const head = lineWidth * 5;
+                ctx.beginPath();
+                ctx.moveTo(p1.x, p1.y);
+                ctx.lineTo(p2.x - Math.cos(angle) * head * 0.5, p2.y - Math.sin(angle) * head * 0.5);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(p2.x, p2.y);
+                ctx.lineTo(p2.x - head * Math.cos(angle - Math.PI / 7), p2.y - head * Math.sin(angle - Math.PI / 7));
+                ctx.lineTo(p2.x - head * Math.cos(angle + Math.PI / 7), p2.y - head * Math.sin(angle + Math.PI / 7));
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+            case 'ellipse': {
+                const rx = Math.abs(p2.x - p1.x) / 2;
+                const ry = Math.abs(p2.y - p1.y) / 2;
+                if (rx < 1 || ry < 1) break;
+                ctx.beginPath();
+                ctx.ellipse((p1.x + p2.x) / 2, (p1.y + p2.y) / 2, rx, ry, 0, 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            }
+            case 'text': {
+                const fontSize = Math.max(12, Math.round(params.dw / 28));
+                const padding = fontSize * 0.3;
+                ctx.font = `bold ${fontSize}px Arial`;
+                ctx.textBaseline = 'top';
+                const width = ctx.measureText(callout.text).width;
+                ctx.shadowBlur = 0;
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+                ctx.fillRect(p1.x, p1.y, width + padding * 2, fontSize + padding * 2);
+                ctx.fillStyle = callout.color;
+                ctx.fillText(callout.text, p1.x + padding, p1.y + padding);
+                break;
+            }
+            case 'blur': {
+                // Preview only (live view while editing) - exports blur these via PlateBlur
+                ctx.setLineDash([lineWidth * 3, lineWidth * 2]);
+                ctx.strokeRect(p1.x, p1.y, p2.x - p1.x, p2.y - p1.y);
+                ctx.setLineDash([]);
+                break;
+            }
+        }
+
+        ctx.shadowBlur = 0;
+    }
+
+    // ==================== Live view ====================
+
+    /**
+     * Reset for a newly loaded event
+     */
+    setEvent() {
+        if (this.isEditing) this.stopEditing();
+        this.history = [];
+        this.currentTime = 0;
+        this.render(true);
+    }
+
+    /**
+     * Show the callouts active at an event time over the camera views
+     * @param {number} time - Event time in seconds
+     */
+    updateTime(time) {
+        this.currentTime = time;
+        this.render();
+    }
+
+    /**
+     * Redraw the live overlay canvases if the active callouts or view sizes changed
+     * @param {boolean} force - Redraw even if nothing changed
+     * @param {Object} preview - Callout being drawn ({ camera, ... }), drawn on top
+     */
+    render(force = false, preview = null) {
+        const eventKey = this.getEventKey();
+        const callouts = this.getCallouts(eventKey);
+        const time = this.currentTime;
+
+        // Blur boxes are only outlined while editing so reviewers can see what they drew
+        const blurBoxes = this.isEditing && eventKey
+            ? this.plateBlur.getManualRegions(eventKey).map(r => ({
+                ...r, type: 'blur', x1: r.x, y1: r.y, x2: r.x + r.width, y2: r.y + r.height, color: '#ffffff'
+            }))
+            : [];
+        const shown = [...callouts, ...blurBoxes];
+
+        const views = [];
+        for (const [camera, video] of Object.entries(this.videoPlayer.videos)) {
+            const container = video?.parentElement;
+            if (!video || !container) continue;
+            const visible = video.src && !container.classList.contains('camera-hidden');
+            const active = visible ? this.getActiveCallouts(shown, camera, time) : [];
+            views.push({ camera, video, container, active });
+        }
+
+        const key = views.map(v =>
+            `${v.camera}:${v.container.clientWidth}x${v.container.clientHeight}:${v.active.map(c => c.id).join(',')}`
+        ).join('|');
+        if (!force && !preview && key === this._renderedKey) return;
+        this._renderedKey = preview ? null : key;
+
+        for (const { camera, video, container, active } of views) {
+            const items = preview?.camera === camera ? [...active, preview] : active;
+            let canvas = this.canvases[camera];
+
+            if (items.length === 0) {
+                if (canvas) {
+                    canvas.remove();
+                    delete this.canvases[camera];
+                }
+                continue;
+            }
+
+            if (!canvas || canvas.parentElement !== container) {
+                canvas?.remove();
+                canvas = document.createElement('canvas');
+                canvas.className = 'callout-canvas';
+                container.appendChild(canvas);
+                this.canvases[camera] = canvas;
+            }
+
+            const width = container.clientWidth;
+            const height = container.clientHeight;
+            const dpr = window.devicePixelRatio || 1;
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+
+            const ctx = canvas.getContext('2d');
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            ctx.clearRect(0, 0, width, height);
+            if (!video.videoWidth) continue;
+
+            this.drawToCanvas(ctx, {
+                [camera]: {
+                    video,
+                    dx: 0,
+                    dy: 0,
+                    dw: width,
+                    dh: height,
+                    crop: { top: 0, right: 0, bottom: 0, left: 0 },
+                    objectFit: getComputedStyle(video).objectFit
+                }
+            }, null, items);
+        }
+    }
+
+    // ==================== Editing ====================
+
+    /**
+     * Enter drawing mode: shows the tool bar and a drawing layer on each visible camera
+     * @returns {boolean} False if no event is loaded
+     */
+    startEditing() {
+        if (!this.getEventKey()) return false;
+        if (this.isEditing) return true;
+        if (this.blurRegionEditor.isDrawing) this.blurRegionEditor.stopDrawing();
+
+        this.isEditing = true;
+        this._showToolbar();
+        this._createLayers();
+        document.addEventListener('keydown', this._onKeyDown);
+        this.render(true);
+        console.log('[CalloutLayer] Drawing mode on - drag on a camera to draw, Esc to finish');
+        return true;
+    }
+
+    /**
+     * Leave drawing mode
+     */
+    stopEditing() {
+        for (const layer of this.layers) {
+            layer.remove();
+        }
+        this.layers = [];
+        this.toolbar?.remove();
+        this.toolbar = null;
+        this.isEditing = false;
+        document.removeEventListener('keydown', this._onKeyDown);
+        this.render(true);
+    }
+
+    _createLayers() {
+        for (const [camera, video] of Object.entries(this.videoPlayer.videos)) {
+            const container = video?.parentElement;
+            if (!video || !video.src || !container || container.classList.contains('camera-hidden')) continue;
+
+            const layer = document.createElement('div');
+            layer.className = 'blur-draw-layer callout-draw-layer';
+            layer.title = this.t('callouts.drawHint');
+            container.appendChild(layer);
+            this.layers.push(layer);
+            this._attachDrawHandlers(layer, video, camera);
+        }
+    }
+
+    _showToolbar() {
+        const icons = {
+            arrow: '<path d="M5 19L19 5M19 5h-7M19 5v7" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>',
+            ellipse: '<ellipse cx="12" cy="12" rx="9" ry="6" fill="none" stroke="currentColor" stroke-width="2"/>',
+            text: '<path d="M5 4v3h5.5v12h3V7H19V4z"/>',
+            blur: '<path d="M3 5v4h2V5h4V3H5c-1.1 0-2 .9-2 2zm2 10H3v4c0 1.1.9 2 2 2h4v-2H5v-4zm14 4h-4v2h4c1.1 0 2-.9 2-2v-4h-2v4zm0-16h-4v2h4v4h2V5c0-1.1-.9-2-2-2zM8 8h8v8H8z" opacity=".6"/>'
+        };
+
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'callout-toolbar';
+        this.toolbar.innerHTML = `
+            ${this.TOOLS.map(tool => `
+                <button class="callout-tool-btn ${tool === this.tool ? 'active' : ''}" data-tool="${tool}" title="${this.t(`callouts.tools.${tool}`)}">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">${icons[tool]}</svg>
+                </button>
+            `).join('')}
+            <span class="callout-toolbar-divider"></span>
+            ${this.COLORS.map(color => `
+                <button class="callout-color-btn ${color === this.color ? 'active' : ''}" data-color="${color}" style="background: ${color}" title="${color}"></button>
+            `).join('')}
+            <span class="callout-toolbar-divider"></span>
+            <button class="callout-action-btn" data-action="undo" title="${this.t('callouts.undoHint')}">${this.t('callouts.undo')}</button>
+            <button class="callout-action-btn" data-action="clear">${this.t('callouts.clear')}</button>
+            <button class="callout-action-btn primary" data-action="done">${this.t('callouts.done')}</button>
+            <div class="callout-toolbar-hint">${this.t('callouts.rangeHint')}</div>
+        `;
+        document.body.appendChild(this.toolbar);
+
+        this.toolbar.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.tool = btn.dataset.tool;
+                this.toolbar.querySelectorAll('[data-tool]').forEach(b => b.classList.toggle('active', b === btn));
+            });
+        });
+        this.toolbar.querySelectorAll('[data-color]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.color = btn.dataset.color;
+                this.toolbar.querySelectorAll('[data-color]').forEach(b => b.classList.toggle('active', b === btn));
+            });
+        });
+        this.toolbar.querySelector('[data-action="undo"]').addEventListener('click', () => this.undo());
+        this.toolbar.querySelector('[data-action="clear"]').addEventListener('click', () => {
+            if (this.getCalloutCount() > 0 && confirm(this.t('callouts.clearConfirm'))) {
+                this.clearCallouts();
+            }
+        });
+        this.toolbar.querySelector('[data-action="done"]').addEventListener('click', () => this.stopEditing());
+    }
+
+    /**
+     * Remove the last callout or blur box drawn this session
+     */
+    undo() {
+        const eventKey = this.getEventKey();
+        const last = this.history.pop();
+        if (!last || !eventKey) return;
+
+        if (last.kind === 'blur') {
+            this.plateBlur.removeManualRegion(eventKey, last.id);
+            if (this.blurRegionEditor.onRegionsChanged) {
+                this.blurRegionEditor.onRegionsChanged(this.blurRegionEditor.getRegionCount());
+            }
+            this.render(true);
+        } else {
+            this.removeCallout(eventKey, last.id);
+        }
+    }
+
+    /**
+     * Wire mouse drag on a drawing layer
+     */
+    _attachDrawHandlers(layer, video, camera) {
+        let start = null;
+
+        const toVideo = (e) => {
+            const bounds = layer.getBoundingClientRect();
+            const box = this.blurRegionEditor._getContentBox(video, bounds);
+            if (!box) return null;
+            return {
+                px: e.clientX - bounds.left,
+                py: e.clientY - bounds.top,
+                x: Math.min(1, Math.max(0, (e.clientX - bounds.left - box.x) / box.width)),
+                y: Math.min(1, Math.max(0, (e.clientY - bounds.top - box.y) / box.height))
+            };
+        };
+        const shape = (from, to) => ({
+            id: 'preview',
+            type: this.tool,
+            camera,
+            x1: this.tool === 'arrow' ? from.x : Math.min(from.x, to.x),
+            y1: this.tool === 'arrow' ? from.y : Math.min(from.y, to.y),
+            x2: this.tool === 'arrow' ? to.x : Math.max(from.x, to.x),
+            y2: this.tool === 'arrow' ? to.y : Math.max(from.y, to.y),
+            color: this.tool === 'blur' ? '#ffffff' : this.color
+        });
+
+        layer.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            start = toVideo(e);
+        });
+
+        layer.addEventListener('mousemove', (e) => {
+            if (!start || this.tool === 'text') return;
+            const point = toVideo(e);
+            if (point) this.render(false, shape(start, point));
+        });
+
+        layer.addEventListener('mouseup', (e) => {
+            if (!start) return;
+            e.stopPropagation();
+            const end = toVideo(e) || start;
+            const from = start;
+            start = null;
+
+            const eventKey = this.getEventKey();
+            const range = this.blurRegionEditor.getRegionTimeRange();
+
+            if (this.tool === 'text') {
+                const text = prompt(this.t('callouts.textPrompt'));
+                const callout = text && this.addCallout(eventKey, {
+                    type: 'text', camera, ...range, x1: from.x, y1: from.y, color: this.color, text
+                });
+                if (callout) this.history.push({ kind: 'callout', id: callout.id });
+                return;
+            }
+
+            // Ignore clicks and tiny accidental drags
+            if (Math.abs(end.px - from.px) < 6 && Math.abs(end.py - from.py) < 6) {
+                this.render(true);
+                return;
+            }
+
+            const drawn = shape(from, end);
+            if (this.tool === 'blur') {
+                const region = this.plateBlur.addManualRegion(eventKey, {
+                    camera,
+                    ...range,
+                    x: drawn.x1,
+                    y: drawn.y1,
+                    width: drawn.x2 - drawn.x1,
+                    height: drawn.y2 - drawn.y1
+                });
+                if (region) {
+                    this.history.push({ kind: 'blur', id: region.id });
+                    if (this.blurRegionEditor.onRegionsChanged) {
+                        this.blurRegionEditor.onRegionsChanged(this.blurRegionEditor.getRegionCount());
+                    }
+                }
+                this.render(true);
+                return;
+            }
+
+            const callout = this.addCallout(eventKey, { ...drawn, ...range });
+            if (callout) {
+                this.history.push({ kind: 'callout', id: callout.id });
+            } else {
+                this.render(true);
+            }
+        });
+    }
+}
+
+window.CalloutLayer = CalloutLayer;
@@ -11,6 +11,7 @@ class ClipMarking {
         this.markersContainer = null;
         this.inMarker = null;
         this.outMarker = null;
+        this.savedMarks = new Map(); // eventKey -> { inPoint, outPoint } for events left with marks set
 
         this.createMarkersContainer();
     }
@@ -267,6 +268,29 @@ class ClipMarking {
         };
     }
 
+    /**
+     * Remember the current marks for an event before they are cleared on event switch
+     * (used by the batch export "marked range" policy)
+     * @param {string} eventKey - compoundKey or name of the event being left
+     */
+    rememberMarks(eventKey) {
+        if (!eventKey) return;
+        if (this.inPoint !== null || this.outPoint !== null) {
+            this.savedMarks.set(eventKey, this.getMarks());
+        } else {
+            this.savedMarks.delete(eventKey);
+        }
+    }
+
+    /**
+     * Get remembered marks for an event
+     * @param {string} eventKey
+     * @returns {Object|null} { inPoint, outPoint } or null if the event had no marks
+     */
+    getSavedMarks(eventKey) {
+        return this.savedMarks.get(eventKey) || null;
+    }
+
     /**
      * Format time for display
      * @param {number} seconds
@@ -0,0 +1,682 @@
+/**
+ * ClipVerifier - Tamper-evidence checks for an event's clips
+ * Works on the loaded event or on a folder (e.g. an unzipped evidence bundle), optionally against
+ * a manifest.json / SHA256SUMS from EvidenceBundle. Every clip is hashed (SHA-256), its MP4 box
+ * structure is validated, and the SEI frame_seq_no counter is checked for gaps and jumps.
+ * The last result for an event is picked up by InsuranceReport.
+ */
+
+class ClipVerifier {
+    constructor(videoPlayer) {
+        this.videoPlayer = videoPlayer;
+        this.mp4 = window.Mp4Container ? new Mp4Container() : null;
+        this.modal = null;
+        this.manifest = null;       // { name, extractedAt, entries: Map(basename -> { path, sha256 }) }
+        this.results = new Map();   // eventKey -> last result
+        this.isVerifying = false;
+
+        // Top-level boxes a Tesla clip may contain
+        this.KNOWN_BOXES = ['ftyp', 'moov', 'mdat', 'free', 'skip', 'uuid', 'wide', 'meta'];
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} str
+     * @returns {string}
+     */
+    escapeHtml(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    // ==================== Manifest ====================
+
+    /**
+     * Parse an EvidenceBundle manifest.json or a SHA256SUMS file
+     * @param {string} text - File contents
+     * @param {string} name - File name (for display)
+     * @returns {Object} { name, extractedAt, entries: Map }
+     */
+    parseManifest(text, name = 'manifest') {
+        const entries = new Map();
+        let extractedAt = null;
+
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{')) {
+            const json = JSON.parse(trimmed);
+            if (!Array.isArray(json.files)) {
+                throw new Error('Manifest has no file list');
+            }
+            extractedAt = json.extractedAt || null;
+            for (const file of json.files) {
+                if (file.path && file.sha256) {
+                    entries.set(this._basename(file.path), { path: file.path, sha256: file.sha256.toLowerCase() });
+                }
+            }
+        } else {
+            // sha256sum format: "<hex>  <path>" (binary mode uses " *<path>")
+            for (const line of trimmed.split(/\r?\n/)) {
+                const match = line.match(/^([0-9a-fA-F]{64})\s+\*?(.+)$/);
+                if (match) {
+                    entries.set(this._basename(match[2]), { path: match[2], sha256: match[1].toLowerCase() });
+                }
+            }
+        }
+
+        if (entries.size === 0) {
+            throw new Error('No SHA-256 hashes found');
+        }
+        return { name, extractedAt, entries };
+    }
+
+    _basename(path) {
+        return path.split(/[\\/]/).pop();
+    }
+
+    // ==================== Sources ====================
+
+    /**
+     * Files of a loaded event: every clip plus event.json when the folder has one
+     * @returns {Promise<Array>} [{ name, file }]
+     */
+    async collectEventFiles(event) {
+        const files = [];
+        for (const group of event.clipGroups) {
+            for (const clip of Object.values(group.clips)) {
+                if (clip?.fileHandle) {
+                    files.push({ name: clip.fileHandle.name, file: await clip.fileHandle.getFile() });
+                }
+            }
+        }
+        if (event.folderHandle) {
+            try {
+                const handle = await event.folderHandle.getFileHandle('event.json');
+                files.push({ name: 'event.json', file: await handle.getFile() });
+            } catch (error) {
+                // RecentClips have no event.json
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Files of a chosen folder (and its clips/ subfolder, as in an evidence bundle)
+     * Picks up manifest.json / SHA256SUMS from the folder when no manifest is loaded.
+     * Clips and event.json are always checked; any other file is hashed when the manifest lists it.
+     * @returns {Promise<Array>} [{ name, file }]
+     */
+    async collectDirectoryFiles(directoryHandle) {
+        const handles = [];
+        let manifestFile = null;
+
+        const scan = async (dir) => {
+            for await (const entry of dir.values()) {
+                if (entry.kind === 'directory') {
+                    if (entry.name === 'clips') await scan(entry);
+                    continue;
+                }
+                const lower = entry.name.toLowerCase();
+                if (lower === 'manifest.json' || entry.name === 'SHA256SUMS') {
+                    if (!manifestFile || lower === 'manifest.json') manifestFile = entry;
+                } else {
+                    handles.push(entry);
+                }
+            }
+        };
+        await scan(directoryHandle);
+
+        if (!this.manifest && manifestFile) {
+            try {
+                const file = await manifestFile.getFile();
+                this.manifest = this.parseManifest(await file.text(), file.name);
+            } catch (error) {
+                console.warn('[ClipVerifier] Ignoring unreadable manifest in folder:', error);
+            }
+        }
+
+        const files = [];
+        for (const handle of handles) {
+            if (this._isClipFile(handle.name) || this.manifest?.entries.has(handle.name)) {
+                files.push({ name: handle.name, file: await handle.getFile() });
+            }
+        }
+
+        files.sort((a, b) => a.name.localeCompare(b.name));
+        return files;
+    }
+
+    /**
+     * Whether a file is one the event itself holds (a clip or event.json)
+     */
+    _isClipFile(path) {
+        const lower = this._basename(path).toLowerCase();
+        return lower.endsWith('.mp4') || lower === 'event.json';
+    }
+
+    // ==================== Verification ====================
+
+    /**
+     * Verify a set of files
+     * @param {Array} files - [{ name, file }]
+     * @param {Object} context - { key, label, clipsOnly }
+     *   clipsOnly: only clips and event.json can be present (a loaded event), so other
+     *   manifest entries (notes, telemetry, report) are reported as not checked rather than missing
+     * @param {Function} onProgress - (done, total, name)
+     * @returns {Promise<Object>} Result (see _summarize)
+     */
+    async verifyFiles(files, context, onProgress = () => {}) {
+        if (!crypto?.subtle) {
+            throw new Error('SHA-256 hashing requires a secure context (https or localhost)');
+        }
+        if (this.isVerifying) {
+            throw new Error('Verification already in progress');
+        }
+
+        this.isVerifying = true;
+        const manifest = this.manifest;
+        const results = [];
+
+        try {
+            await window.seiExtractor.init();
+            for (let i = 0; i < files.length; i++) {
+                const { name, file } = files[i];
+                onProgress(i, files.length, name);
+                results.push(await this.verifyFile(name, file, manifest));
+
+                // Keep the UI responsive between files
+                await new Promise(r => setTimeout(r, 0));
+            }
+            onProgress(files.length, files.length, '');
+
+            this._checkAcrossClips(results);
+        } finally {
+            this.isVerifying = false;
+        }
+
+        const present = new Set(files.map(f => f.name));
+        const absent = manifest
+            ? Array.from(manifest.entries.values()).filter(e => !present.has(this._basename(e.path))).map(e => e.path)
+            : [];
+        const missingFiles = absent.filter(path => !context.clipsOnly || this._isClipFile(path));
+        const notCheckedFiles = absent.filter(path => !missingFiles.includes(path));
+
+        const result = this._summarize(results, missingFiles, notCheckedFiles, context, manifest);
+        this.results.set(context.key, result);
+        console.log(`[ClipVerifier] ${context.label}: ${result.summary.verdict} (${result.summary.errors} error(s), ${result.summary.warnings} warning(s))`);
+        return result;
+    }
+
+    /**
+     * Hash, structure and frame-sequence checks for one file
+     * @returns {Promise<Object>} { name, size, sha256, expectedSha256, hash, camera, frames, firstSeq, lastSeq, missingFrames, issues }
+     */
+    async verifyFile(name, file, manifest) {
+        const buffer = await file.arrayBuffer();
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        const sha256 = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+
+        const entry = manifest?.entries.get(name);
+        const result = {
+            name,
+            size: file.size,
+            lastModified: new Date(file.lastModified).toISOString(),
+            sha256,
+            expectedSha256: entry?.sha256 || null,
+            hash: !manifest ? 'not-checked' : !entry ? 'unlisted' : entry.sha256 === sha256 ? 'match' : 'mismatch',
+            camera: this._cameraFromName(name),
+            frames: 0,
+            firstSeq: null,
+            lastSeq: null,
+            missingFrames: 0,
+            issues: []
+        };
+
+        if (result.hash === 'mismatch') {
+            result.issues.push({ severity: 'error', message: 'SHA-256 differs from manifest - file was altered' });
+        } else if (result.hash === 'unlisted') {
+            result.issues.push({ severity: 'warning', message: 'File is not listed in the manifest' });
+        }
+
+        if (name.toLowerCase().endsWith('.mp4')) {
+            this._checkStructure(buffer, result);
+            this._checkFrameSequence(buffer, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Validate top-level boxes and the sample table
+     */
+    _checkStructure(buffer, result) {
+        const data = new DataView(buffer);
+        const sei = window.seiExtractor;
+        const boxes = [];
+        let pos = 0;
+
+        while (pos + 8 <= data.byteLength) {
+            let size = data.getUint32(pos);
+            const type = sei._readAscii(data, pos + 4, 4);
+            if (size === 1 && pos + 16 <= data.byteLength) {
+                size = Number(data.getBigUint64(pos + 8));
+            } else if (size === 0) {
+                size = data.byteLength - pos;
+            }
+            if (size < 8 || pos + size > data.byteLength) {
+                result.issues.push({ severity: 'error', message: `Box "${type}" at byte ${pos} runs past end of file (truncated or edited)` });
+                return;
+            }
+            boxes.push(type);
+            pos += size;
+        }
+
+        if (pos !== data.byteLength) {
+            result.issues.push({ severity: 'error', message: `${data.byteLength - pos} trailing byte(s) after the last box` });
+        }
+        if (boxes[0] !== 'ftyp') {
+            result.issues.push({ severity: 'error', message: 'File does not start with an ftyp box' });
+        }
+        const unknown = boxes.filter(type => !this.KNOWN_BOXES.includes(type));
+        if (unknown.length > 0) {
+            result.issues.push({ severity: 'warning', message: `Unexpected top-level box(es): ${unknown.join(', ')}` });
+        }
+        if (!boxes.includes('moov') || !boxes.includes('mdat')) {
+            result.issues.push({ severity: 'error', message: 'Missing moov or mdat box' });
+            return;
+        }
+
+        const track = this.mp4?.demux(buffer);
+        if (!track) {
+            result.issues.push({ severity: 'error', message: 'No readable H.264 track' });
+            return;
+        }
+
+        const mdat = track.mdat;
+        const outside = track.samples.filter(s => !mdat || s.offset < mdat.start || s.offset + s.size > mdat.end).length;
+        if (outside > 0) {
+            result.issues.push({ severity: 'error', message: `${outside} sample(s) point outside the media data` });
+        }
+        if (track.samples.length === 0) {
+            result.issues.push({ severity: 'error', message: 'Track has no samples' });
+        } else if (!track.samples[0].isKey) {
+            result.issues.push({ severity: 'warning', message: 'First sample is not a keyframe (clip may have been cut)' });
+        }
+        result.samples = track.samples.length;
+    }
+
+    /**
+     * Check that SEI frame_seq_no counts up by one for every frame
+     */
+    _checkFrameSequence(buffer, result) {
+        const sei = window.seiExtractor;
+        let extracted;
+        try {
+            extracted = sei.parseBuffer(buffer);
+        } catch (error) {
+            result.issues.push({ severity: 'warning', message: `SEI could not be read: ${error.message}` });
+            return;
+        }
+
+        const seqs = extracted.frames.map(f => f.frame_seq_no).filter(seq => seq > 0);
+        result.frames = seqs.length;
+        if (seqs.length === 0) {
+            result.issues.push({ severity: 'warning', message: 'No SEI frame_seq_no (older firmware or telemetry stripped)' });
+            return;
+        }
+
+        result.firstSeq = seqs[0];
+        result.lastSeq = seqs[seqs.length - 1];
+
+        let gaps = 0;
+        let jumps = 0;
+        for (let i = 1; i < seqs.length; i++) {
+            const step = seqs[i] - seqs[i - 1];
+            if (step === 1) continue;
+            if (step > 1) {
+                gaps++;
+                result.missingFrames += step - 1;
+                if (gaps <= 5) {
+                    result.issues.push({ severity: 'error', message: `${step - 1} frame(s) missing after frame_seq_no ${seqs[i - 1]}` });
+                }
+            } else {
+                jumps++;
+                if (jumps <= 5) {
+                    result.issues.push({ severity: 'error', message: `frame_seq_no goes from ${seqs[i - 1]} to ${seqs[i]} (frames reordered or duplicated)` });
+                }
+            }
+        }
+        if (gaps > 5 || jumps > 5) {
+            result.issues.push({ severity: 'error', message: `${gaps} gap(s) and ${jumps} discontinuity(ies) in total` });
+        }
+
+        if (result.samples && seqs.length < result.samples) {
+            result.issues.push({ severity: 'warning', message: `${result.samples - seqs.length} of ${result.samples} frames have no SEI` });
+        }
+    }
+
+    /**
+     * Compare the counter between consecutive clips of the same camera
+     * Tesla starts a new file every minute without dropping frames, so a jump here is only a warning.
+     */
+    _checkAcrossClips(results) {
+        const byCamera = new Map();
+        for (const result of results) {
+            if (!result.camera || result.firstSeq === null) continue;
+            if (!byCamera.has(result.camera)) byCamera.set(result.camera, []);
+            byCamera.get(result.camera).push(result);
+        }
+
+        for (const clips of byCamera.values()) {
+            clips.sort((a, b) => a.name.localeCompare(b.name));
+            for (let i = 1; i < clips.length; i++) {
+                const previous = clips[i - 1];
+                const step = clips[i].firstSeq - previous.lastSeq;
+                if (step <= 0) {
+                    clips[i].issues.push({ severity: 'warning', message: `frame_seq_no restarts after ${previous.name} (${previous.lastSeq} -> ${clips[i].firstSeq})` });
+                } else if (step > 1) {
+                    clips[i].issues.push({ severity: 'warning', message: `${step - 1} frame(s) between ${previous.name} and this clip` });
+                }
+            }
+        }
+    }
+
+    /**
+     * Camera from a Tesla clip name (2025-01-01_12-00-00-front.mp4)
+     */
+    _cameraFromName(name) {
+        const match = name.match(/^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}-(.+)\.mp4$/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Overall verdict
+     * 'verified' - manifest loaded, every file matches, no errors
+     * 'consistent' - no manifest, but no structural or frame-sequence errors
+     * 'failed' - any error or file missing from the manifest
+     * Manifest entries that cannot apply to the target (notCheckedFiles) are listed but never count as errors.
+     */
+    _summarize(files, missingFiles, notCheckedFiles, context, manifest) {
+        for (const file of files) {
+            file.status = file.issues.some(i => i.severity === 'error') ? 'failed'
+                : file.issues.length > 0 ? 'warning' : 'ok';
+        }
+
+        const errors = files.reduce((sum, f) => sum + f.issues.filter(i => i.severity === 'error').length, 0) + missingFiles.length;
+        const warnings = files.reduce((sum, f) => sum + f.issues.filter(i => i.severity === 'warning').length, 0);
+        const verdict = errors > 0 ? 'failed' : manifest ? 'verified' : 'consistent';
+
+        return {
+            key: context.key,
+            label: context.label,
+            verifiedAt: new Date().toISOString(),
+            manifest: manifest ? { name: manifest.name, extractedAt: manifest.extractedAt, fileCount: manifest.entries.size } : null,
+            files,
+            missingFiles,
+            notCheckedFiles,
+            summary: {
+                verdict,
+                checked: files.length,
+                hashMatches: files.filter(f => f.hash === 'match').length,
+                hashMismatches: files.filter(f => f.hash === 'mismatch').length,
+                missingFrames: files.reduce((sum, f) => sum + f.missingFrames, 0),
+                notChecked: notCheckedFiles.length,
+                errors,
+                warnings
+            }
+        };
+    }
+
+    /**
+     * Last verification of an event (used by InsuranceReport)
+     * @returns {Object|null}
+     */
+    getResultForEvent(event) {
+        if (!event) return null;
+        return this.results.get(event.compoundKey || event.name) || null;
+    }
+
+    // ==================== UI ====================
+
+    /**
+     * Show the verifier
+     */
+    show() {
+        if (this.modal) {
+            this.modal.remove();
+        }
+
+        const event = this.videoPlayer.currentEvent;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notes-modal clip-verifier-modal';
+        this.modal.innerHTML = `
+            <div class="notes-overlay"></div>
+            <div class="notes-panel export-queue-panel">
+                <div class="notes-header">
+                    <h2>${this.t('clipVerifier.title')}</h2>
+                    <button class="notes-close-btn" title="${this.t('common.close')}">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="notes-content">
+                    <div class="notes-section">
+                        <div class="export-queue-hint">${this.t('clipVerifier.hint')}</div>
+                    </div>
+                    <div class="notes-section export-queue-grid">
+                        <label class="notes-label">${this.t('clipVerifier.manifest')}</label>
+                        <div class="export-queue-folder">
+                            <button id="verifierManifestBtn" class="notes-btn secondary">${this.t('clipVerifier.loadManifest')}</button>
+                            <button id="verifierClearManifestBtn" class="notes-btn secondary ${this.manifest ? '' : 'hidden'}">${this.t('clipVerifier.clearManifest')}</button>
+                            <span id="verifierManifestName" class="export-queue-hint"></span>
+                            <input type="file" id="verifierManifestInput" class="hidden">
+                        </div>
+                    </div>
+                    <div class="notes-section">
+                        <div id="verifierStatus" class="export-queue-hint"></div>
+                        <div id="verifierResults" class="export-queue-jobs"></div>
+                    </div>
+                </div>
+                <div class="notes-footer">
+                    <button id="verifierExportBtn" class="notes-btn secondary hidden">${this.t('clipVerifier.exportResults')}</button>
+                    <button id="verifierFolderBtn" class="notes-btn secondary" ${typeof window.showDirectoryPicker === 'function' ? '' : 'disabled'}>${this.t('clipVerifier.verifyFolder')}</button>
+                    <button id="verifierEventBtn" class="notes-btn primary" ${event ? '' : 'disabled'}>${this.t('clipVerifier.verifyEvent')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this._attachModalEvents();
+        this._updateManifestLabel();
+
+        const previous = this.getResultForEvent(event);
+        if (previous) this.renderResult(previous);
+    }
+
+    /**
+     * Close the verifier
+     */
+    hide() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    _attachModalEvents() {
+        const modal = this.modal;
+        const manifestInput = modal.querySelector('#verifierManifestInput');
+
+        modal.querySelector('.notes-close-btn').addEventListener('click', () => this.hide());
+        modal.querySelector('.notes-overlay').addEventListener('click', () => this.hide());
+
+        modal.querySelector('#verifierManifestBtn').addEventListener('click', () => manifestInput.click());
+        manifestInput.addEventListener('change', async () => {
+            const file = manifestInput.files[0];
+            manifestInput.value = '';
+            if (!file) return;
+            try {
+                this.manifest = this.parseManifest(await file.text(), file.name);
+            } catch (error) {
+                alert(`${this.t('clipVerifier.badManifest')}: ${error.message}`);
+            }
+            this._updateManifestLabel();
+        });
+        modal.querySelector('#verifierClearManifestBtn').addEventListener('click', () => {
+            this.manifest = null;
+            this._updateManifestLabel();
+        });
+
+        modal.querySelector('#verifierEventBtn').addEventListener('click', async () => {
+            const event = this.videoPlayer.currentEvent;
+            if (!event) return;
+            await this._run(() => this.collectEventFiles(event), {
+                key: event.compoundKey || event.name,
+                label: event.name,
+                clipsOnly: true
+            });
+        });
+
+        modal.querySelector('#verifierFolderBtn').addEventListener('click', async () => {
+            let directoryHandle;
+            try {
+                directoryHandle = await window.showDirectoryPicker();
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.warn('[ClipVerifier] Folder picker failed:', error);
+                }
+                return;
+            }
+            await this._run(async () => {
+                const files = await this.collectDirectoryFiles(directoryHandle);
+                this._updateManifestLabel();
+                return files;
+            }, {
+                key: `folder:${directoryHandle.name}`,
+                label: directoryHandle.name
+            });
+        });
+
+        modal.querySelector('#verifierExportBtn').addEventListener('click', () => {
+            if (this.lastShown) this.exportResult(this.lastShown);
+        });
+    }
+
+    /**
+     * Collect files, verify them and show the result
+     */
+    async _run(collect, context) {
+        const modal = this.modal;
+        const status = modal.querySelector('#verifierStatus');
+        const buttons = modal.querySelectorAll('.notes-footer button, #verifierManifestBtn');
+        buttons.forEach(btn => btn.disabled = true);
+        modal.querySelector('#verifierResults').innerHTML = '';
+
+        try {
+            const files = await collect();
+            if (files.length === 0) {
+                status.textContent = this.t('clipVerifier.noFiles');
+                return;
+            }
+            const result = await this.verifyFiles(files, context, (done, total, name) => {
+                status.textContent = `${this.t('clipVerifier.checking')} ${done}/${total} ${name}`;
+            });
+            if (this.modal === modal) this.renderResult(result);
+        } catch (error) {
+            console.error('[ClipVerifier] Verification failed:', error);
+            status.textContent = '';
+            alert(`${this.t('clipVerifier.failed')}: ${error.message}`);
+        } finally {
+            buttons.forEach(btn => btn.disabled = false);
+        }
+    }
+
+    _updateManifestLabel() {
+        if (!this.modal) return;
+        const label = this.modal.querySelector('#verifierManifestName');
+        label.textContent = this.manifest
+            ? `${this.manifest.name} (${this.manifest.entries.size} ${this.t('clipVerifier.hashes')})`
+            : this.t('clipVerifier.noManifest');
+        this.modal.querySelector('#verifierClearManifestBtn').classList.toggle('hidden', !this.manifest);
+    }
+
+    /**
+     * Show a result in the modal
+     */
+    renderResult(result) {
+        if (!this.modal) return;
+        this.lastShown = result;
+
+        const { summary } = result;
+        this.modal.querySelector('#verifierStatus').innerHTML = `
+            <span class="clip-verifier-verdict ${summary.verdict}">${this.t(`clipVerifier.verdict.${summary.verdict}`)}</span>
+            ${this.escapeHtml(result.label)} · ${summary.checked} ${this.t('clipVerifier.files')} ·
+            ${summary.errors} ${this.t('clipVerifier.errors')} · ${summary.warnings} ${this.t('clipVerifier.warnings')}
+            ${summary.missingFrames ? ` · ${summary.missingFrames} ${this.t('clipVerifier.missingFrames')}` : ''}
+            ${summary.notChecked ? ` · ${summary.notChecked} ${this.t('clipVerifier.notChecked')}` : ''}
+        `;
+
+        const rows = result.missingFiles.map(path => `
+            <div class="export-queue-job clip-verifier-file failed">
+                <span class="export-queue-job-info">
+                    <span class="export-queue-job-name">${this.escapeHtml(path)}</span>
+                    <span class="export-queue-job-status">${this.t('clipVerifier.fileMissing')}</span>
+                </span>
+            </div>
+        `);
+        for (const path of result.notCheckedFiles || []) {
+            rows.push(`
+                <div class="export-queue-job clip-verifier-file not-checked">
+                    <span class="export-queue-job-info">
+                        <span class="export-queue-job-name">${this.escapeHtml(path)}</span>
+                        <span class="export-queue-job-status">${this.t('clipVerifier.fileNotChecked')}</span>
+                    </span>
+                </div>
+            `);
+        }
+
+        for (const file of result.files) {
+            const hashLabel = file.hash === 'not-checked' ? '' : ` · SHA-256 ${this.t(`clipVerifier.hash.${file.hash}`)}`;
+            rows.push(`
+                <div class="export-queue-job clip-verifier-file ${file.status}">
+                    <span class="export-queue-job-info">
+                        <span class="export-queue-job-name">${this.escapeHtml(file.name)}</span>
+                        <span class="export-queue-job-status">${file.frames ? `${file.frames} frames` : ''}${hashLabel}</span>
+                        ${file.issues.map(issue => `<span class="clip-verifier-issue ${issue.severity}">${this.escapeHtml(issue.message)}</span>`).join('')}
+                    </span>
+                </div>
+            `);
+        }
+
+        this.modal.querySelector('#verifierResults').innerHTML = rows.join('');
+        this.modal.querySelector('#verifierExportBtn').classList.remove('hidden');
+    }
+
+    /**
+     * Download a result as JSON
+     */
+    exportResult(result) {
+        const blob = new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `verification_${result.label.replace(/[\\/:*?"<>|]/g, '-')}.json`;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+window.ClipVerifier = ClipVerifier;
@@ -0,0 +1,272 @@
+/**
+ * DayTimeline - Stitches every clip recorded on a calendar day into one synthetic event
+ * RecentClips, SavedClips and SentryClips are merged so a whole day's driving plays on a
+ * single timeline, with gap markers between drives and bands showing where each clip came from.
+ *
+ * Saved and Sentry events hold copies of clips that may also still be in RecentClips, so
+ * clip groups are merged by timestamp: each minute appears once, tagged with every source.
+ */
+
+class DayTimeline {
+    constructor() {
+        this.modal = null;
+
+        // A minute that was also saved (manually or by Sentry) is shown as that type
+        this.TYPE_PRIORITY = ['SentryClips', 'SavedClips', 'RecentClips'];
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} str
+     * @returns {string}
+     */
+    escapeHtml(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    /**
+     * Key for a day (days on different drives are kept apart)
+     */
+    _getDayKey(date, driveId) {
+        return driveId ? `${driveId}|${date}` : date;
+    }
+
+    /**
+     * List the days that have clips
+     * @param {Array} events - All loaded events
+     * @returns {Array} [{ date, driveId, driveLabel, clipCount, types: { SentryClips: n, ... } }], newest first
+     */
+    getDays(events) {
+        const days = new Map();
+
+        for (const event of events) {
+            if (event.isDayTimeline || !event.clipGroups) continue;
+
+            for (const group of event.clipGroups) {
+                const date = group.timestamp.slice(0, 10);
+                const key = this._getDayKey(date, event.driveId);
+                if (!days.has(key)) {
+                    days.set(key, {
+                        date,
+                        driveId: event.driveId || null,
+                        driveLabel: event.driveLabel || null,
+                        timestamps: new Set(),
+                        types: {}
+                    });
+                }
+                const day = days.get(key);
+                day.timestamps.add(group.timestamp);
+                day.types[event.type] = (day.types[event.type] || 0) + 1;
+            }
+        }
+
+        return Array.from(days.values())
+            .map(day => ({
+                date: day.date,
+                driveId: day.driveId,
+                driveLabel: day.driveLabel,
+                clipCount: day.timestamps.size,
+                types: day.types
+            }))
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * Build the synthetic event for a day
+     * @param {Array} events - All loaded events
+     * @param {string} date - YYYY-MM-DD
+     * @param {string|null} driveId - Only use clips from this drive
+     * @returns {Object|null} Event, or null if the day has no clips
+     */
+    buildDayEvent(events, date, driveId = null) {
+        const groups = new Map();
+        let sourceEvent = null;
+
+        for (const event of events) {
+            if (event.isDayTimeline || !event.clipGroups) continue;
+            if ((event.driveId || null) !== driveId) continue;
+
+            for (const group of event.clipGroups) {
+                if (!group.timestamp.startsWith(date)) continue;
+                sourceEvent = sourceEvent || event;
+
+                let merged = groups.get(group.timestamp);
+                if (!merged) {
+                    merged = { timestamp: group.timestamp, clips: {}, eventTypes: [], sourceEvents: [] };
+                    groups.set(group.timestamp, merged);
+                }
+
+                for (const [camera, clip] of Object.entries(group.clips)) {
+                    if (!merged.clips[camera]) {
+                        merged.clips[camera] = clip;
+                    }
+                }
+                if (!merged.eventTypes.includes(event.type)) {
+                    merged.eventTypes.push(event.type);
+                }
+                merged.sourceEvents.push(event.compoundKey || event.name);
+            }
+        }
+
+        if (groups.size === 0) return null;
+
+        const clipGroups = Array.from(groups.values());
+        clipGroups.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        for (const group of clipGroups) {
+            group.eventType = this.TYPE_PRIORITY.find(type => group.eventTypes.includes(type)) || group.eventTypes[0];
+        }
+
+        const [datePart, timePart] = clipGroups[0].timestamp.split('_');
+        const dateStr = this.formatDate(date);
+        const name = `Day: ${dateStr}${sourceEvent.driveLabel ? ` (${sourceEvent.driveLabel})` : ''}`;
+
+        return {
+            name,
+            type: 'DayTimeline',
+            isDayTimeline: true,
+            timestamp: `${datePart}T${timePart.replace(/-/g, ':')}`,
+            folderHandle: null,
+            clips: clipGroups.flatMap(group => Object.values(group.clips)),
+            metadata: {
+                date,
+                clipCount: clipGroups.length,
+                reason: `${clipGroups.length} clips on ${dateStr}`
+            },
+            thumbnailFile: null,
+            eventVideoFile: null,
+            clipGroups,
+            dayBands: this.buildBands(clipGroups),
+            hasPillarCameras: clipGroups.some(group => group.clips.left_pillar || group.clips.right_pillar),
+            driveId: sourceEvent.driveId,
+            compoundKey: `day:${this._getDayKey(date, driveId)}`,
+            driveLabel: sourceEvent.driveLabel,
+            driveColor: sourceEvent.driveColor
+        };
+    }
+
+    /**
+     * Merge consecutive clips of the same type into bands
+     * @param {Array} clipGroups - Day clip groups (with eventType)
+     * @returns {Array} [{ type, startClipIndex, endClipIndex }]
+     */
+    buildBands(clipGroups) {
+        const bands = [];
+        clipGroups.forEach((group, index) => {
+            const last = bands[bands.length - 1];
+            if (last && last.type === group.eventType) {
+                last.endClipIndex = index;
+            } else {
+                bands.push({ type: group.eventType, startClipIndex: index, endClipIndex: index });
+            }
+        });
+        return bands;
+    }
+
+    /**
+     * Format YYYY-MM-DD for display (local date, not UTC midnight)
+     */
+    formatDate(date) {
+        return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+    }
+
+    // ==================== UI ====================
+
+    /**
+     * Show the day picker
+     * @param {Array} events - All loaded events
+     * @param {Function} onSelect - Called with the chosen day
+     */
+    show(events, onSelect) {
+        if (this.modal) {
+            this.modal.remove();
+        }
+
+        const days = this.getDays(events);
+        const typeLabels = {
+            RecentClips: 'recent',
+            SavedClips: 'saved',
+            SentryClips: 'sentry'
+        };
+
+        const rows = days.map((day, index) => {
+            const chips = this.TYPE_PRIORITY
+                .filter(type => day.types[type])
+                .map(type => `<span class="event-type ${typeLabels[type]}">${typeLabels[type]}</span>`)
+                .join('');
+            return `
+                <div class="export-queue-job day-timeline-day" data-day-index="${index}">
+                    <span class="export-queue-job-info">
+                        <span class="export-queue-job-name">${this.escapeHtml(this.formatDate(day.date))}${day.driveLabel ? ` · ${this.escapeHtml(day.driveLabel)}` : ''}</span>
+                        <span class="export-queue-job-status">${day.clipCount} ${this.t('dayTimeline.clips')}</span>
+                    </span>
+                    <span class="day-timeline-types">${chips}</span>
+                </div>
+            `;
+        }).join('');
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notes-modal day-timeline-modal';
+        this.modal.innerHTML = `
+            <div class="notes-overlay"></div>
+            <div class="notes-panel export-queue-panel">
+                <div class="notes-header">
+                    <h2>${this.t('dayTimeline.title')}</h2>
+                    <button class="notes-close-btn" title="${this.t('common.close')}">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="notes-content">
+                    <div class="notes-section">
+                        <div class="export-queue-hint">${this.t('dayTimeline.hint')}</div>
+                        <div class="export-queue-jobs">
+                            ${rows || `<div class="export-queue-hint">${this.t('dayTimeline.noDays')}</div>`}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.notes-close-btn').addEventListener('click', () => this.hide());
+        this.modal.querySelector('.notes-overlay').addEventListener('click', () => this.hide());
+        this.modal.querySelector('.export-queue-jobs').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-day-index]');
+            if (!row) return;
+            const day = days[parseInt(row.dataset.dayIndex, 10)];
+            if (day) {
+                this.hide();
+                onSelect(day);
+            }
+        });
+    }
+
+    /**
+     * Close the day picker
+     */
+    hide() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+}
+
+window.DayTimeline = DayTimeline;
@@ -30,6 +30,7 @@ class DriveSync {
 
         // Comparison results
         this.comparisonResults = null;
+        this.rulesPlan = null; // Last applySyncRules() dry run
 
         // Abort controller for cancellation
         this.abortController = null;
@@ -53,6 +54,9 @@ class DriveSync {
         this.SYNC_SETTINGS_FILENAME = '.teslacam-sync.json';
         this.USERDATA_BACKUP_FILENAME = '.teslacam-userdata.json';
         this.PRESETS_STORAGE_KEY = 'teslacamviewer_sync_presets';
+        this.BOOKMARKS_STORAGE_KEY = 'teslacamviewer_bookmarks';
+        this.ANNOTATIONS_STORAGE_KEY = 'teslacamviewer_annotations';
+        this.EVENT_TYPES = ['SavedClips', 'SentryClips', 'RecentClips'];
     }
 
     // ========================================
@@ -68,7 +72,23 @@ class DriveSync {
             writeSyncFile: true,
             showSameFiles: false,
             confirmBeforeDelete: true,
-            autoRequestNotifications: true
+            autoRequestNotifications: true,
+
+            // Rules-based sync: an event is copied when it matches any rule
+            // (type: event folder or 'any'; userDataOnly: needs notes, tags, bookmarks or annotations;
+            // minAgeDays: at least this many days old, null = any age)
+            syncRules: [
+                { type: 'SentryClips', userDataOnly: true, minAgeDays: null },
+                { type: 'SavedClips', userDataOnly: false, minAgeDays: 7 }
+            ],
+            ruleDeleteSourceAfterVerify: false, // Delete rule-matched events from the source once verified
+            ruleIntervalDays: 0,                // Rules sync is due every N days per drive pair (0 = off)
+            lastRuleRuns: {},                   // "source>destination" labels -> ISO time of the last rules sync
+
+            // Retention on the destination (archive) drive
+            retentionEnabled: false,
+            retentionKeepMonths: 12,   // Delete archive events older than this many months...
+            retentionKeepTagged: true  // ...except events with notes, tags, bookmarks or annotations
         };
 
         try {
@@ -293,6 +313,7 @@ class DriveSync {
         }
 
         this.setState({ status: 'comparing' });
+        this.rulesPlan = null;
 
         try {
             const sourceEvents = this.sourceDrive.events || [];
@@ -496,7 +517,7 @@ class DriveSync {
         };
 
         // Get all notes from NotesManager
-        const allNotes = this.notesManager.notes || {};
+        const allNotes = this.notesManager.exportNotes() || {};
 
         // Compare notes for each event
         for (const [eventName, sourceEvent] of sourceMap) {
@@ -815,18 +836,278 @@ class DriveSync {
         return { events: allEvents };
     }
 
+    // ========================================
+    // Rules-Based Sync & Retention
+    // ========================================
+
+    /**
+     * Notes, bookmarks and annotations for all events, read once per rules run
+     */
+    loadUserData() {
+        const read = (key) => {
+            try {
+                return JSON.parse(localStorage.getItem(key) || '{}') || {};
+            } catch (e) {
+                console.warn('[DriveSync] Failed to read', key, e);
+                return {};
+            }
+        };
+        return {
+            notes: this.notesManager.exportNotes() || {},
+            bookmarks: read(this.BOOKMARKS_STORAGE_KEY),
+            annotations: read(this.ANNOTATIONS_STORAGE_KEY)
+        };
+    }
+
+    /**
+     * Names of events with notes, tags, bookmarks or annotations on any drive
+     * User data is keyed by compoundKey ("driveId:name"), so a copy tagged on one drive counts on every drive.
+     * @param {Object} userData - From loadUserData()
+     * @returns {Set<string>}
+     */
+    getTaggedEventNames(userData) {
+        const names = new Set();
+        const add = (key) => names.add(key.slice(key.lastIndexOf(':') + 1));
+
+        for (const [key, notes] of Object.entries(userData.notes)) {
+            if (notes && ((notes.text || '').trim() || notes.tags?.length > 0)) add(key);
+        }
+        for (const [key, bookmarks] of Object.entries(userData.bookmarks)) {
+            if (Array.isArray(bookmarks) && bookmarks.length > 0) add(key);
+        }
+        for (const [key, annotations] of Object.entries(userData.annotations)) {
+            if (Array.isArray(annotations) && annotations.length > 0) add(key);
+        }
+        return names;
+    }
+
+    /**
+     * Age of an event in days, or null if it has no timestamp
+     */
+    getEventAgeDays(event, now = Date.now()) {
+        const time = event.timestamp ? new Date(event.timestamp).getTime() : NaN;
+        return Number.isFinite(time) ? (now - time) / 86400000 : null;
+    }
+
+    /**
+     * First sync rule an event matches
+     * @returns {number} Rule index, or -1 if no rule matches
+     */
+    matchSyncRule(event, taggedNames, now = Date.now()) {
+        return (this.settings.syncRules || []).findIndex(rule => {
+            if (rule.type !== 'any' && rule.type !== event.type) return false;
+            if (rule.userDataOnly && !taggedNames.has(event.name)) return false;
+            if (rule.minAgeDays != null) {
+                const age = this.getEventAgeDays(event, now);
+                if (age === null || age < rule.minAgeDays) return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Cutoff date for archive retention, or null when retention is off
+     */
+    getRetentionCutoff(now = Date.now()) {
+        const months = parseInt(this.settings.retentionKeepMonths, 10);
+        if (!this.settings.retentionEnabled || !(months > 0)) return null;
+        const cutoff = new Date(now);
+        cutoff.setMonth(cutoff.getMonth() - months);
+        return cutoff;
+    }
+
+    /**
+     * Dry run of the sync rules and retention policy against a comparison
+     * Nothing is copied or deleted: matching items are marked selected (deleteSource / alreadySynced
+     * for source cleanup) so startSync() can run the plan, and the returned report says what would
+     * happen to each event and why.
+     * @param {Object} results - From compareEvents()
+     * @returns {Object} Plan { createdAt, source, destination, rules, copy, verifyAndDelete, skipped, retention, totals }
+     */
+    applySyncRules(results = this.comparisonResults) {
+        if (!results) {
+            throw new Error('Compare the drives before applying sync rules');
+        }
+
+        const now = Date.now();
+        const taggedNames = this.getTaggedEventNames(this.loadUserData());
+        const deleteSource = this.settings.ruleDeleteSourceAfterVerify === true;
+        const cutoff = this.getRetentionCutoff(now);
+        const expired = (event) => cutoff && event.timestamp && new Date(event.timestamp) < cutoff;
+
+        const plan = {
+            createdAt: new Date(now).toISOString(),
+            source: this.sourceDrive?.label || this.sourceDrive?.folderName,
+            destination: this.destDrive?.label || this.destDrive?.folderName,
+            rules: (this.settings.syncRules || []).map(rule => ({ ...rule })),
+            deleteSourceAfterVerify: deleteSource,
+            copy: [],            // { item, rule }
+            verifyAndDelete: [], // { item, rule } already on the destination, removed from the source once verified
+            skipped: [],         // { item, reason: 'noRule' | 'differentSize' | 'retention' }
+            retention: { cutoff: cutoff ? cutoff.toISOString() : null, delete: [], keptTagged: [] },
+            totals: {}
+        };
+
+        for (const category of ['missing', 'newer', 'differentSize', 'same']) {
+            for (const item of results[category]) {
+                const rule = this.matchSyncRule(item.event, taggedNames, now);
+                item.selected = false;
+                item.deleteSource = false;
+                item.alreadySynced = false;
+
+                if (rule === -1) {
+                    if (category !== 'same') plan.skipped.push({ item, reason: 'noRule' });
+                    continue;
+                }
+                if (category === 'differentSize') {
+                    // Never overwrite an archive copy that differs in size without a review
+                    plan.skipped.push({ item, reason: 'differentSize', rule });
+                    continue;
+                }
+                if (category === 'same') {
+                    // Already archived: only source cleanup applies (the archive copy is kept this run)
+                    if (deleteSource) {
+                        item.selected = true;
+                        item.deleteSource = true;
+                        item.alreadySynced = true;
+                        plan.verifyAndDelete.push({ item, rule });
+                    }
+                    continue;
+                }
+                if (expired(item.event) && !(this.settings.retentionKeepTagged && taggedNames.has(item.event.name))) {
+                    // The archive would delete it again - leave it on the source
+                    plan.skipped.push({ item, reason: 'retention', rule });
+                    continue;
+                }
+
+                item.selected = true;
+                item.deleteSource = deleteSource;
+                plan.copy.push({ item, rule });
+            }
+        }
+
+        // Archive retention: destination events past the cutoff, tagged events kept if enabled
+        if (cutoff) {
+            const destSizes = new Map();
+            for (const item of results.same) destSizes.set(item.event.name, item.fingerprint.totalSize);
+            for (const item of [...results.newer, ...results.differentSize]) {
+                destSizes.set(item.event.name, item.destFingerprint?.totalSize || 0);
+            }
+            for (const item of results.destOnly) destSizes.set(item.event.name, item.fingerprint.totalSize);
+
+            // Events this run verifies against the archive must stay there
+            const protectedNames = new Set(plan.verifyAndDelete.map(entry => entry.item.event.name));
+
+            for (const event of this.destDrive?.events || []) {
+                if (!expired(event) || protectedNames.has(event.name)) continue;
+                const entry = { event, size: destSizes.get(event.name) || 0 };
+                if (this.settings.retentionKeepTagged && taggedNames.has(event.name)) {
+                    plan.retention.keptTagged.push(entry);
+                } else {
+                    plan.retention.delete.push(entry);
+                }
+            }
+        }
+
+        plan.totals = {
+            copyCount: plan.copy.length,
+            copyBytes: plan.copy.reduce((sum, e) => sum + e.item.fingerprint.totalSize, 0),
+            sourceDeleteCount: plan.copy.filter(e => e.item.deleteSource).length + plan.verifyAndDelete.length,
+            skippedCount: plan.skipped.length,
+            retentionDeleteCount: plan.retention.delete.length,
+            retentionFreedBytes: plan.retention.delete.reduce((sum, e) => sum + e.size, 0),
+            retentionKeptTaggedCount: plan.retention.keptTagged.length
+        };
+
+        this.rulesPlan = plan;
+        console.log(`[DriveSync] Rules dry run: copy ${plan.totals.copyCount}, delete ${plan.totals.sourceDeleteCount} from source, ` +
+            `${plan.totals.retentionDeleteCount} past retention, ${plan.totals.skippedCount} skipped`);
+        return plan;
+    }
+
+    /**
+     * Plain JSON version of a rules plan for download
+     * @param {Object} plan - From applySyncRules()
+     * @returns {Object}
+     */
+    buildDryRunReport(plan = this.rulesPlan) {
+        const describe = (item) => ({
+            name: item.event.name,
+            type: item.event.type,
+            timestamp: item.event.timestamp || null,
+            size: item.fingerprint?.totalSize || 0
+        });
+        return {
+            format: 'teslacamviewer-sync-dry-run',
+            createdAt: plan.createdAt,
+            source: plan.source,
+            destination: plan.destination,
+            rules: plan.rules,
+            deleteSourceAfterVerify: plan.deleteSourceAfterVerify,
+            retention: {
+                enabled: !!plan.retention.cutoff,
+                keepMonths: this.settings.retentionKeepMonths,
+                keepTagged: this.settings.retentionKeepTagged,
+                cutoff: plan.retention.cutoff
+            },
+            totals: plan.totals,
+            copy: plan.copy.map(e => ({ ...describe(e.item), rule: e.rule, deleteSource: e.item.deleteSource })),
+            verifyAndDeleteFromSource: plan.verifyAndDelete.map(e => ({ ...describe(e.item), rule: e.rule })),
+            skipped: plan.skipped.map(e => ({ ...describe(e.item), reason: e.reason, rule: e.rule ?? null })),
+            retentionDelete: plan.retention.delete.map(e => ({
+                name: e.event.name, type: e.event.type, timestamp: e.event.timestamp || null, size: e.size
+            })),
+            retentionKeptTagged: plan.retention.keptTagged.map(e => e.event.name)
+        };
+    }
+
+    /**
+     * Key for the selected drive pair in lastRuleRuns
+     */
+    getDrivePairKey() {
+        const label = (drive) => drive?.label || drive?.folderName || '';
+        return `${label(this.sourceDrive)}>${label(this.destDrive)}`;
+    }
+
+    /**
+     * When the rules last ran for the selected drives and whether another run is due
+     * @returns {{lastRun: string|null, due: boolean}}
+     */
+    getRuleRunStatus() {
+        const lastRun = this.settings.lastRuleRuns?.[this.getDrivePairKey()] || null;
+        const interval = parseInt(this.settings.ruleIntervalDays, 10) || 0;
+        const due = interval > 0 && (!lastRun || Date.now() - new Date(lastRun).getTime() >= interval * 86400000);
+        return { lastRun, due };
+    }
+
+    recordRuleRun() {
+        this.updateSettings({
+            lastRuleRuns: { ...this.settings.lastRuleRuns, [this.getDrivePairKey()]: new Date().toISOString() }
+        });
+    }
+
     // ========================================
     // Sync Operations
     // ========================================
 
+    /**
+     * Copy selected events to the destination
+     * Items may carry deleteSource (delete from the source once verified, as in move mode) and
+     * alreadySynced (identical copy on the destination: verify and delete only), set by applySyncRules().
+     * @param {Object} options - { selectedEvents, mode, syncNotes, retentionEvents, rulesRun }
+     *   retentionEvents: destination events to delete under the retention policy after copying
+     *   rulesRun: record the run for the rules schedule
+     */
     async startSync(options = {}) {
         const {
             selectedEvents = [],
             mode = this.settings.defaultMode, // 'copy' or 'move'
-            syncNotes = this.settings.syncNotes
+            syncNotes = this.settings.syncNotes,
+            retentionEvents = [],
+            rulesRun = false
         } = options;
 
-        if (selectedEvents.length === 0) {
+        if (selectedEvents.length === 0 && retentionEvents.length === 0) {
             throw new Error('No events selected for sync');
         }
 
@@ -837,7 +1118,9 @@ class DriveSync {
         this.abortController = new AbortController();
         this.isPaused = false;
 
-        const totalBytes = selectedEvents.reduce((sum, item) => sum + item.fingerprint.totalSize, 0);
+        const totalBytes = selectedEvents
+            .filter(item => !item.alreadySynced)
+            .reduce((sum, item) => sum + item.fingerprint.totalSize, 0);
 
         this.setState({
             status: 'syncing',
@@ -846,7 +1129,9 @@ class DriveSync {
             bytesTotal: totalBytes,
             bytesCompleted: 0,
             startTime: Date.now(),
-            errors: []
+            errors: [],
+            sourceDeleted: 0,
+            retentionDeleted: 0
         });
 
         try {
@@ -872,11 +1157,15 @@ class DriveSync {
                 });
 
                 try {
-                    // Copy the event
-                    await this.copyEvent(event, item.fingerprint, destFolders);
+                    const deleteSource = mode === 'move' || item.deleteSource === true;
+
+                    // Copy the event (identical archive copies are only verified)
+                    if (!item.alreadySynced) {
+                        await this.copyEvent(event, item.fingerprint, destFolders);
+                    }
 
-                    // Verify if enabled
-                    if (this.settings.verifyAfterCopy) {
+                    // Verify if enabled - always before deleting anything from the source
+                    if (this.settings.verifyAfterCopy || deleteSource) {
                         this.setState({ status: 'verifying' });
                         const verified = await this.verifyEvent(event, item.fingerprint, destFolders);
 
@@ -890,9 +1179,10 @@ class DriveSync {
                         this.setState({ status: 'syncing' });
                     }
 
-                    // Delete source if move mode
-                    if (mode === 'move') {
+                    // Delete source if move mode or a rule asks for it
+                    if (deleteSource) {
                         await this.deleteSourceEvent(event);
+                        this.setState({ sourceDeleted: this.state.sourceDeleted + 1 });
                     }
 
                     this.setState({
@@ -911,6 +1201,29 @@ class DriveSync {
                 }
             }
 
+            // Apply archive retention after the new copies are in place
+            for (const event of retentionEvents) {
+                if (this.abortController.signal.aborted) {
+                    throw new Error('Sync cancelled by user');
+                }
+                await this.checkPause();
+
+                this.setState({ currentEvent: event.name, currentFile: null });
+                try {
+                    await this.deleteDestEvent(event);
+                    this.setState({ retentionDeleted: this.state.retentionDeleted + 1 });
+                } catch (error) {
+                    this.state.errors.push({
+                        event: event.name,
+                        error: 'Retention delete failed: ' + error.message
+                    });
+                }
+            }
+
+            if (rulesRun) {
+                this.recordRuleRun();
+            }
+
             // Sync notes if enabled
             if (syncNotes && this.comparisonResults?.notesComparison) {
                 await this.syncNotes();
@@ -1111,6 +1424,20 @@ class DriveSync {
         }
     }
 
+    /**
+     * Delete an event folder from the destination drive (archive retention)
+     */
+    async deleteDestEvent(event) {
+        try {
+            const typeFolder = await this.destDrive.handle.getDirectoryHandle(event.type);
+            await typeFolder.removeEntry(event.name, { recursive: true });
+            console.log('[DriveSync] Retention deleted archive event:', event.name);
+        } catch (error) {
+            console.error('Error deleting destination event:', error);
+            throw error;
+        }
+    }
+
     async syncNotes() {
         const notes = this.comparisonResults?.notesComparison;
         if (!notes) return;
@@ -1124,33 +1451,68 @@ class DriveSync {
             }
         }
 
-        // Handle conflicts based on settings
-        if (this.settings.noteConflictMode === 'merge') {
-            for (const item of notes.conflict) {
-                const destEvent = this.destDrive.events?.find(e => e.name === item.eventName);
-                if (destEvent) {
-                    const destKey = destEvent.compoundKey || item.eventName;
-                    const merged = this.mergeNotes(item.sourceNotes, item.destNotes);
-                    this.notesManager.saveNotes(destKey, merged);
+        // Three-way merge events with notes on both drives; tags always combine
+        const conflicts = [];
+        const conflictSourceKeys = [];
+        for (const item of notes.conflict) {
+            const destEvent = this.destDrive.events?.find(e => e.name === item.eventName);
+            const sourceEvent = this.sourceDrive.events?.find(e => e.name === item.eventName);
+            if (destEvent) {
+                const destKey = destEvent.compoundKey || item.eventName;
+                const sourceKey = sourceEvent ? (sourceEvent.compoundKey || item.eventName) : null;
+                const result = this.mergeNotes(sourceKey, destKey, item.sourceNotes, item.destNotes);
+                // Marks the source copy as merged in, so the next sync doesn't merge it again
+                const remote = { notes: item.sourceNotes };
+
+                if (result.conflict && this.settings.noteConflictMode === 'ask') {
+                    // Tags are saved now, the text once the user decides
+                    this.notesManager.saveNotes(destKey, result.notes);
+                    conflicts.push({ eventKey: destKey, remote, ...result });
+                    conflictSourceKeys.push(sourceKey !== destKey ? sourceKey : null);
+                    continue;
+                }
+                if (result.conflict) {
+                    result.notes.text = window.eventDataBackup.combineText(result.conflict.localText, result.conflict.remoteText);
                 }
+                this.notesManager.saveNotes(destKey, result.notes);
+                const rev = { ...result.rev, text: window.eventDataBackup.getMergeState(destKey).rev.text };
+                window.eventDataBackup.completeMerge(destKey, { rev, bookmarks: false, remote });
+                this.completeSourceMerge(sourceKey !== destKey ? sourceKey : null);
             }
         }
-        // 'ask' mode is handled in UI
-    }
-
-    mergeNotes(source, dest) {
-        // Combine tags (unique)
-        const allTags = [...new Set([...(source.tags || []), ...(dest.tags || [])])];
 
-        // Combine text with separator
-        let text = '';
-        if (source.text && dest.text && source.text !== dest.text) {
-            text = source.text + '\n---\n' + dest.text;
-        } else {
-            text = source.text || dest.text || '';
+        // 'ask' mode: diverging text goes to the conflict dialog
+        if (conflicts.length > 0) {
+            const resolved = await this.notesManager.resolveConflicts(conflicts, {
+                local: this.destDrive.label || this.destDrive.folderName,
+                remote: this.sourceDrive.label || this.sourceDrive.folderName
+            }, { bookmarks: false });
+            if (resolved) {
+                conflictSourceKeys.forEach(sourceKey => this.completeSourceMerge(sourceKey));
+            }
         }
+    }
 
-        return { text, tags: allTags };
+    /**
+     * Record the source drive's notes as the base of its side of a finished merge
+     * The source copy itself is left unchanged.
+     * @param {string|null} sourceKey - null when the source has no separate key
+     */
+    completeSourceMerge(sourceKey) {
+        if (!sourceKey) return;
+        window.eventDataBackup.completeMerge(sourceKey, { bookmarks: false });
+    }
+
+    /**
+     * Three-way merge of an event's notes from the source drive into the destination drive
+     * @returns {Object} Result of EventDataBackup.mergeEventData (conflict set when the text diverged)
+     */
+    mergeNotes(sourceKey, destKey, source, dest) {
+        const backup = window.eventDataBackup;
+        return backup.mergeEventData(
+            { notes: dest, state: backup.getMergeState(destKey) },
+            { notes: source, state: sourceKey ? backup.getMergeState(sourceKey) : null }
+        );
     }
 
     // ========================================
@@ -1200,10 +1562,11 @@ class DriveSync {
         }
 
         // Backup notes for destination events
+        const allNotes = this.notesManager.exportNotes() || {};
         const destNotes = {};
         for (const event of (this.destDrive.events || [])) {
             const key = event.compoundKey || event.name;
-            const notes = this.notesManager.notes?.[key];
+            const notes = allNotes[key];
             if (notes) {
                 destNotes[event.name] = notes;
             }
@@ -23,6 +23,7 @@ class DriveSyncUI {
         this.comparisonResults = null;
         this.syncMode = 'copy';
         this.activePresetId = null;
+        this.rulesPlan = null; // Dry run from DriveSync.applySyncRules() for the current comparison
         this.statsSortColumn = 'name';
         this.statsSortAsc = true;
         this.statsFilter = 'all';
@@ -92,6 +93,11 @@ class DriveSyncUI {
                         </div>
                     </div>
                     <div class="sync-toolbar-right">
+                        <button class="sync-toolbar-btn" id="syncRulesBtn" title="${this.t('syncRules.title')}">
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M10 18h4v-2h-4v2zM3 6v2h18V6H3zm3 7h12v-2H6v2z"/>
+                            </svg>
+                        </button>
                         <button class="sync-toolbar-btn" id="syncSettingsBtn" title="${this.t('driveSync.settings')}">
                             <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
                                 <path d="M19.14 12.94c.04-.31.06-.63.06-.94 0-.31-.02-.63-.06-.94l2.03-1.58c.18-.14.23-.41.12-.61l-1.92-3.32c-.12-.22-.37-.29-.59-.22l-2.39.96c-.5-.38-1.03-.7-1.62-.94l-.36-2.54c-.04-.24-.24-.41-.48-.41h-3.84c-.24 0-.43.17-.47.41l-.36 2.54c-.59.24-1.13.57-1.62.94l-2.39-.96c-.22-.08-.47 0-.59.22L2.74 8.87c-.12.21-.08.47.12.61l2.03 1.58c-.04.31-.06.63-.06.94s.02.63.06.94l-2.03 1.58c-.18.14-.23.41-.12.61l1.92 3.32c.12.22.37.29.59.22l2.39-.96c.5.38 1.03.7 1.62.94l.36 2.54c.05.24.24.41.48.41h3.84c.24 0 .44-.17.47-.41l.36-2.54c.59-.24 1.13-.56 1.62-.94l2.39.96c.22.08.47 0 .59-.22l1.92-3.32c.12-.22.07-.47-.12-.61l-2.01-1.58zM12 15.6c-1.98 0-3.6-1.62-3.6-3.6s1.62-3.6 3.6-3.6 3.6 1.62 3.6 3.6-1.62 3.6-3.6 3.6z"/>
@@ -155,7 +161,17 @@ class DriveSyncUI {
 
                         <!-- Comparison Results -->
                         <div id="comparisonResults" class="sync-results-compact hidden">
+                            <div class="sync-rules-bar">
+                                <button id="applyRulesBtn" class="sync-rules-apply-btn" title="${this.t('syncRules.applyHint')}">
+                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+                                        <path d="M10 18h4v-2h-4v2zM3 6v2h18V6H3zm3 7h12v-2H6v2z"/>
+                                    </svg>
+                                    ${this.t('syncRules.applyDryRun')}
+                                </button>
+                                <span id="ruleRunStatus" class="sync-rules-status"></span>
+                            </div>
                             <div class="sync-results-scroll">
+                                <div id="rulesReport" class="sync-rules-report hidden"></div>
                                 <div id="resultsGrid" class="sync-results-grid-compact"></div>
                             </div>
 
@@ -306,6 +322,46 @@ class DriveSyncUI {
                 </div>
             </div>
 
+            <!-- Sync Rules Panel (hidden by default) -->
+            <div id="syncRulesPanel" class="sync-settings-panel hidden">
+                <div class="sync-settings-content sync-rules-content">
+                    <h3>${this.t('syncRules.title')}</h3>
+                    <p class="sync-rules-hint">${this.t('syncRules.hint')}</p>
+                    <div id="syncRulesList" class="sync-rules-list">
+                        ${this.renderRuleRows()}
+                    </div>
+                    <button id="addSyncRuleBtn" class="sync-import-btn">${this.t('syncRules.addRule')}</button>
+                    <div class="sync-settings-form">
+                        <label class="sync-checkbox-label">
+                            <input type="checkbox" id="ruleDeleteSource" ${this.driveSync.settings.ruleDeleteSourceAfterVerify ? 'checked' : ''}>
+                            <span>${this.t('syncRules.deleteSource')}</span>
+                        </label>
+                        <div class="sync-settings-group">
+                            <label for="ruleIntervalDays">${this.t('syncRules.interval')}</label>
+                            <input type="number" min="0" id="ruleIntervalDays" class="sync-settings-select" value="${this.driveSync.settings.ruleIntervalDays || 0}">
+                        </div>
+
+                        <h4 class="sync-rules-subtitle">${this.t('syncRules.retention')}</h4>
+                        <label class="sync-checkbox-label">
+                            <input type="checkbox" id="retentionEnabled" ${this.driveSync.settings.retentionEnabled ? 'checked' : ''}>
+                            <span>${this.t('syncRules.retentionEnabled')}</span>
+                        </label>
+                        <div class="sync-settings-group">
+                            <label for="retentionKeepMonths">${this.t('syncRules.keepMonths')}</label>
+                            <input type="number" min="1" id="retentionKeepMonths" class="sync-settings-select" value="${this.driveSync.settings.retentionKeepMonths}">
+                        </div>
+                        <label class="sync-checkbox-label">
+                            <input type="checkbox" id="retentionKeepTagged" ${this.driveSync.settings.retentionKeepTagged ? 'checked' : ''}>
+                            <span>${this.t('syncRules.keepTagged')}</span>
+                        </label>
+                    </div>
+                    <div class="sync-settings-actions">
+                        <button id="saveSyncRulesBtn" class="sync-save-btn">${this.t('syncRules.save')}</button>
+                        <button id="closeSyncRulesBtn" class="sync-cancel-btn">${this.t('syncSettings.close')}</button>
+                    </div>
+                </div>
+            </div>
+
             <!-- Manage Presets Panel (hidden by default) -->
             <div id="managePresetsPanel" class="sync-settings-panel hidden">
                 <div class="sync-settings-content sync-presets-manage">
@@ -324,6 +380,64 @@ class DriveSyncUI {
         this.attachEventListeners();
     }
 
+    /**
+     * Editable rows for the sync rules
+     * @param {Array} rules - Defaults to the saved rules
+     */
+    renderRuleRows(rules = this.driveSync.settings.syncRules || []) {
+        if (rules.length === 0) {
+            return `<p class="sync-no-presets">${this.t('syncRules.noRules')}</p>`;
+        }
+
+        const types = ['any', ...this.driveSync.EVENT_TYPES];
+        return rules.map(rule => `
+            <div class="sync-rule-row">
+                <select class="sync-settings-select sync-rule-type">
+                    ${types.map(type => `<option value="${type}" ${rule.type === type ? 'selected' : ''}>${this.t(`syncRules.types.${type}`)}</option>`).join('')}
+                </select>
+                <label class="sync-checkbox-label">
+                    <input type="checkbox" class="sync-rule-userdata" ${rule.userDataOnly ? 'checked' : ''}>
+                    <span>${this.t('syncRules.userDataOnly')}</span>
+                </label>
+                <label class="sync-rule-age">
+                    <span>${this.t('syncRules.minAge')}</span>
+                    <input type="number" min="0" class="sync-settings-select sync-rule-age-input" value="${rule.minAgeDays ?? ''}" placeholder="${this.t('syncRules.anyAge')}">
+                </label>
+                <button class="sync-rule-remove-btn" title="${this.t('syncRules.removeRule')}">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+                    </svg>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Read the rule rows back from the rules panel
+     * @returns {Array}
+     */
+    readRuleRows() {
+        return Array.from(document.querySelectorAll('#syncRulesList .sync-rule-row')).map(row => {
+            const age = parseInt(row.querySelector('.sync-rule-age-input').value, 10);
+            return {
+                type: row.querySelector('.sync-rule-type').value,
+                userDataOnly: row.querySelector('.sync-rule-userdata').checked,
+                minAgeDays: Number.isFinite(age) && age >= 0 ? age : null
+            };
+        });
+    }
+
+    /**
+     * Short description of a rule for the dry-run report
+     */
+    describeRule(rule) {
+        if (!rule) return '';
+        const parts = [this.t(`syncRules.types.${rule.type}`)];
+        if (rule.userDataOnly) parts.push(this.t('syncRules.withUserData'));
+        if (rule.minAgeDays != null) parts.push(`${this.t('syncRules.olderThan')} ${rule.minAgeDays} ${this.t('syncRules.days')}`);
+        return parts.join(', ');
+    }
+
     renderPresetChips() {
         const presets = this.driveSync.getAllPresets();
 
@@ -433,6 +547,24 @@ class DriveSyncUI {
         // Done button
         document.getElementById('doneBtn')?.addEventListener('click', () => this.hide());
 
+        // Sync rules
+        document.getElementById('syncRulesBtn').addEventListener('click', () => this.showRules());
+        document.getElementById('closeSyncRulesBtn')?.addEventListener('click', () => this.hideRules());
+        document.getElementById('saveSyncRulesBtn')?.addEventListener('click', () => this.saveRules());
+        document.getElementById('addSyncRuleBtn')?.addEventListener('click', () => {
+            const rules = [...this.readRuleRows(), { type: 'any', userDataOnly: false, minAgeDays: null }];
+            document.getElementById('syncRulesList').innerHTML = this.renderRuleRows(rules);
+        });
+        document.getElementById('syncRulesList')?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.sync-rule-remove-btn');
+            if (!removeBtn) return;
+            removeBtn.closest('.sync-rule-row').remove();
+            if (!document.querySelector('#syncRulesList .sync-rule-row')) {
+                document.getElementById('syncRulesList').innerHTML = this.renderRuleRows([]);
+            }
+        });
+        document.getElementById('applyRulesBtn')?.addEventListener('click', () => this.onApplyRules());
+
         // Settings
         document.getElementById('syncSettingsBtn').addEventListener('click', () => this.showSettings());
         document.getElementById('closeSettingsBtn')?.addEventListener('click', () => this.hideSettings());
@@ -529,8 +661,16 @@ class DriveSyncUI {
         try {
             const results = await this.driveSync.compareEvents();
             this.comparisonResults = results;
+            this.rulesPlan = null;
+            document.getElementById('rulesReport').classList.add('hidden');
             this.renderComparisonResults(results);
 
+            // Scheduled rules: prepare the rules selection when a run is due for these drives
+            if (this.driveSync.getRuleRunStatus().due) {
+                console.log('[DriveSyncUI] Rules sync is due for these drives - applying rules');
+                this.onApplyRules();
+            }
+
             // Auto-show statistics in the right panel
             if (results.statistics) {
                 this.renderStatisticsInline();
@@ -562,6 +702,7 @@ class DriveSyncUI {
         results.missing.forEach(item => this.selectedItems.set(item.event.name, item.selected));
         results.newer.forEach(item => this.selectedItems.set(item.event.name, item.selected));
         results.differentSize.forEach(item => this.selectedItems.set(item.event.name, item.selected));
+        this.updateRuleRunStatus();
 
         resultsGrid.innerHTML = `
             ${this.renderResultCategory('missing', 'Missing on destination', results.missing, true)}
@@ -694,29 +835,39 @@ class DriveSyncUI {
         this.updateSelectionSummary();
     }
 
-    updateSelectionSummary() {
-        const selected = [
+    /**
+     * Events the sync will process: selected copies plus already-archived events a rule
+     * removes from the source after verifying
+     */
+    getSelectedEvents() {
+        return [
             ...this.comparisonResults.missing.filter(i => i.selected),
             ...this.comparisonResults.newer.filter(i => i.selected),
-            ...this.comparisonResults.differentSize.filter(i => i.selected)
+            ...this.comparisonResults.differentSize.filter(i => i.selected),
+            ...this.comparisonResults.same.filter(i => i.selected && i.alreadySynced)
         ];
+    }
+
+    updateSelectionSummary() {
+        const selected = this.getSelectedEvents();
+        const retentionCount = this.rulesPlan?.retention.delete.length || 0;
 
-        const totalSize = selected.reduce((sum, item) => sum + item.fingerprint.totalSize, 0);
+        const totalSize = selected
+            .filter(item => !item.alreadySynced)
+            .reduce((sum, item) => sum + item.fingerprint.totalSize, 0);
 
         document.getElementById('selectionSummary').textContent =
-            `Selected: ${selected.length} events (${this.driveSync.formatBytes(totalSize)})`;
+            `Selected: ${selected.length} events (${this.driveSync.formatBytes(totalSize)})` +
+            (retentionCount > 0 ? ` | ${this.t('syncRules.report.retentionDelete')}: ${retentionCount}` : '');
 
-        document.getElementById('startSyncBtn').disabled = selected.length === 0;
+        document.getElementById('startSyncBtn').disabled = selected.length === 0 && retentionCount === 0;
     }
 
     async onStartSync() {
-        const selectedEvents = [
-            ...this.comparisonResults.missing.filter(i => i.selected),
-            ...this.comparisonResults.newer.filter(i => i.selected),
-            ...this.comparisonResults.differentSize.filter(i => i.selected)
-        ];
+        const selectedEvents = this.getSelectedEvents();
+        const retentionEvents = this.rulesPlan ? this.rulesPlan.retention.delete.map(entry => entry.event) : [];
 
-        if (selectedEvents.length === 0) {
+        if (selectedEvents.length === 0 && retentionEvents.length === 0) {
             alert('Please select at least one event to sync.');
             return;
         }
@@ -731,6 +882,18 @@ class DriveSyncUI {
             if (!confirmed) return;
         }
 
+        // Confirm deletions planned by the sync rules and retention policy
+        const ruleSourceDeletes = this.syncMode === 'move' ? 0 : selectedEvents.filter(i => i.deleteSource).length;
+        if (ruleSourceDeletes > 0 || retentionEvents.length > 0) {
+            const confirmed = confirm(
+                `${this.t('syncRules.confirmDeletes')}\n\n` +
+                `${this.t('syncRules.report.sourceDelete')}: ${ruleSourceDeletes}\n` +
+                `${this.t('syncRules.report.retentionDelete')}: ${retentionEvents.length}\n\n` +
+                this.t('syncRules.confirmContinue')
+            );
+            if (!confirmed) return;
+        }
+
         // Show progress section, hide results
         document.getElementById('comparisonResults').classList.add('hidden');
         document.getElementById('progressSection').classList.remove('hidden');
@@ -745,7 +908,9 @@ class DriveSyncUI {
             await this.driveSync.startSync({
                 selectedEvents,
                 mode: this.syncMode,
-                syncNotes: document.getElementById('syncNotesCheckbox')?.checked
+                syncNotes: document.getElementById('syncNotesCheckbox')?.checked,
+                retentionEvents,
+                rulesRun: this.rulesPlan !== null
             });
         } catch (error) {
             console.error('Sync failed:', error);
@@ -853,6 +1018,12 @@ class DriveSyncUI {
         const summary = document.getElementById('completeSummary');
         if (summary) {
             summary.textContent = `${state.eventsCompleted}/${state.eventsTotal} events | ${this.driveSync.formatBytes(state.bytesCompleted)} transferred`;
+            if (state.sourceDeleted > 0) {
+                summary.textContent += ` | ${this.t('syncRules.report.sourceDelete')}: ${state.sourceDeleted}`;
+            }
+            if (state.retentionDeleted > 0) {
+                summary.textContent += ` | ${this.t('syncRules.report.retentionDelete')}: ${state.retentionDeleted}`;
+            }
         }
 
         if (state.errors.length > 0) {
@@ -945,6 +1116,130 @@ class DriveSyncUI {
         }
     }
 
+    // Sync Rules Methods
+
+    showRules() {
+        document.getElementById('syncRulesList').innerHTML = this.renderRuleRows();
+        document.getElementById('syncRulesPanel').classList.remove('hidden');
+    }
+
+    hideRules() {
+        document.getElementById('syncRulesPanel').classList.add('hidden');
+    }
+
+    saveRules() {
+        const interval = parseInt(document.getElementById('ruleIntervalDays').value, 10);
+        const months = parseInt(document.getElementById('retentionKeepMonths').value, 10);
+
+        this.driveSync.updateSettings({
+            syncRules: this.readRuleRows(),
+            ruleDeleteSourceAfterVerify: document.getElementById('ruleDeleteSource').checked,
+            ruleIntervalDays: interval > 0 ? interval : 0,
+            retentionEnabled: document.getElementById('retentionEnabled').checked,
+            retentionKeepMonths: months > 0 ? months : 12,
+            retentionKeepTagged: document.getElementById('retentionKeepTagged').checked
+        });
+
+        this.hideRules();
+        this.updateRuleRunStatus();
+    }
+
+    /**
+     * Show when the rules last ran for the selected drives, and whether a run is due
+     */
+    updateRuleRunStatus() {
+        const statusEl = document.getElementById('ruleRunStatus');
+        if (!statusEl || !this.driveSync.sourceDrive || !this.driveSync.destDrive) return;
+
+        const { lastRun, due } = this.driveSync.getRuleRunStatus();
+        statusEl.textContent = lastRun
+            ? `${this.t('syncRules.lastRun')} ${new Date(lastRun).toLocaleDateString()}`
+            : this.t('syncRules.neverRun');
+        if (due) {
+            statusEl.textContent += ` - ${this.t('syncRules.due')}`;
+        }
+        statusEl.classList.toggle('due', due);
+    }
+
+    /**
+     * Select events by the sync rules and show the dry-run report (nothing is copied or deleted yet)
+     */
+    onApplyRules() {
+        if (!this.comparisonResults) return;
+
+        try {
+            this.rulesPlan = this.driveSync.applySyncRules(this.comparisonResults);
+        } catch (error) {
+            console.error('Applying sync rules failed:', error);
+            alert('Applying sync rules failed: ' + error.message);
+            return;
+        }
+
+        this.renderComparisonResults(this.comparisonResults);
+        this.renderRulesReport(this.rulesPlan);
+    }
+
+    renderRulesReport(plan) {
+        const reportEl = document.getElementById('rulesReport');
+        if (!reportEl) return;
+
+        const { totals } = plan;
+        const formatBytes = (bytes) => this.driveSync.formatBytes(bytes);
+        const name = (event) => this.escapeHtml(event.name);
+        const group = (title, entries, describe) => entries.length === 0 ? '' : `
+            <details class="sync-rules-report-group">
+                <summary>${title} (${entries.length})</summary>
+                <ul>${entries.map(entry => `<li>${describe(entry)}</li>`).join('')}</ul>
+            </details>
+        `;
+        const rule = (index) => this.escapeHtml(this.describeRule(plan.rules[index]));
+
+        reportEl.innerHTML = `
+            <div class="sync-rules-report-header">
+                <span class="sync-rules-report-title">${this.t('syncRules.dryRunTitle')}</span>
+                <button id="downloadRulesReportBtn" class="sync-rules-download-btn">${this.t('syncRules.downloadReport')}</button>
+            </div>
+            <div class="sync-rules-report-totals">
+                <span>${this.t('syncRules.report.copy')}: ${totals.copyCount} (${formatBytes(totals.copyBytes)})</span>
+                <span>${this.t('syncRules.report.sourceDelete')}: ${totals.sourceDeleteCount}</span>
+                <span>${this.t('syncRules.report.retentionDelete')}: ${totals.retentionDeleteCount} (${formatBytes(totals.retentionFreedBytes)})</span>
+                <span>${this.t('syncRules.report.keptTagged')}: ${totals.retentionKeptTaggedCount}</span>
+                <span>${this.t('syncRules.report.skipped')}: ${totals.skippedCount}</span>
+            </div>
+            ${group(this.t('syncRules.report.copy'), plan.copy, e =>
+                `${name(e.item.event)} - ${rule(e.rule)}${e.item.deleteSource ? ` - ${this.t('syncRules.report.thenDelete')}` : ''}`)}
+            ${group(this.t('syncRules.report.verifyAndDelete'), plan.verifyAndDelete, e =>
+                `${name(e.item.event)} - ${rule(e.rule)}`)}
+            ${group(this.t('syncRules.report.retentionDelete'), plan.retention.delete, e =>
+                `${name(e.event)} (${formatBytes(e.size)})`)}
+            ${group(this.t('syncRules.report.keptTagged'), plan.retention.keptTagged, e => name(e.event))}
+            ${group(this.t('syncRules.report.skipped'), plan.skipped, e =>
+                `${name(e.item.event)} - ${this.t(`syncRules.reasons.${e.reason}`)}`)}
+        `;
+        reportEl.classList.remove('hidden');
+
+        document.getElementById('downloadRulesReportBtn').addEventListener('click', () => this.downloadRulesReport());
+    }
+
+    /**
+     * Download the dry-run report as JSON
+     */
+    downloadRulesReport() {
+        if (!this.rulesPlan) return;
+
+        const report = this.driveSync.buildDryRunReport(this.rulesPlan);
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `sync_dry_run_${new Date().toISOString().slice(0, 10)}.json`;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
     showSettings() {
         document.getElementById('syncSettingsPanel').classList.remove('hidden');
     }
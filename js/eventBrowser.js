@@ -11,6 +11,8 @@ class EventBrowser {
         this._src = atob('dGVzbGFjYW12aWV3ZXI='); // source ref
         this.events = [];
         this.selectedEvent = null;
+        this.multiSelected = new Set(); // Event keys (compoundKey || name) picked with Ctrl/Cmd-click (batch export)
+        this.onMultiSelectChange = null;
         this.thumbnailCache = new Map();
         this.previewVideoCache = new Map();
         this.unsupportedPreviews = new Set(); // Track events with unsupported video codecs
@@ -498,9 +500,15 @@ class EventBrowser {
             <div class="event-item-clips">${event.isEmpty ? '<span class="empty-warning">⚠ No video clips</span>' : `${event.clipGroups.length} clips (~${durationMinutes} min)`}</div>
         `;
 
-        // Handle click
-        div.addEventListener('click', () => {
-            if (event.isEmpty) {
+        if (this.multiSelected.has(event.compoundKey || event.name)) {
+            div.classList.add('multi-selected');
+        }
+
+        // Handle click (Ctrl/Cmd-click toggles batch selection)
+        div.addEventListener('click', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !event.isEmpty) {
+                this.toggleMultiSelect(event, div);
+            } else if (event.isEmpty) {
                 this.showEmptyEventWarning(event);
             } else {
                 this.selectEvent(event, div);
@@ -629,9 +637,15 @@ class EventBrowser {
         // Fetch weather asynchronously (don't block card rendering)
         this.fetchEventWeather(event, div);
 
-        // Handle click - show warning for empty events
-        div.addEventListener('click', () => {
-            if (event.isEmpty) {
+        if (this.multiSelected.has(event.compoundKey || event.name)) {
+            div.classList.add('multi-selected');
+        }
+
+        // Handle click - show warning for empty events, Ctrl/Cmd-click toggles batch selection
+        div.addEventListener('click', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !event.isEmpty) {
+                this.toggleMultiSelect(event, div);
+            } else if (event.isEmpty) {
                 this.showEmptyEventWarning(event);
             } else {
                 this.selectEvent(event, div);
@@ -797,12 +811,65 @@ class EventBrowser {
         }
     }
 
+    /**
+     * Clear the highlighted event (when playing something that is not in the list)
+     */
+    clearActiveSelection() {
+        const previousActive = this.container.querySelector('.event-item.active');
+        if (previousActive) {
+            previousActive.classList.remove('active');
+        }
+        this.selectedEvent = null;
+    }
+
+    /**
+     * Add or remove an event from the batch selection
+     * @param {Object} event
+     * @param {HTMLElement} element
+     */
+    toggleMultiSelect(event, element) {
+        if (this.multiSelected.has(event.compoundKey || event.name)) {
+            this.multiSelected.delete(event.compoundKey || event.name);
+            element?.classList.remove('multi-selected');
+        } else {
+            this.multiSelected.add(event.compoundKey || event.name);
+            element?.classList.add('multi-selected');
+        }
+
+        if (this.onMultiSelectChange) {
+            this.onMultiSelectChange(this.multiSelected.size);
+        }
+    }
+
+    /**
+     * Get events picked with Ctrl/Cmd-click, in list order
+     * @returns {Array<Object>}
+     */
+    getMultiSelectedEvents() {
+        return this.events.filter(e => this.multiSelected.has(e.compoundKey || e.name));
+    }
+
+    /**
+     * Clear the batch selection
+     */
+    clearMultiSelection() {
+        this.multiSelected.clear();
+        this.container.querySelectorAll('.event-item.multi-selected').forEach(el => {
+            el.classList.remove('multi-selected');
+        });
+
+        if (this.onMultiSelectChange) {
+            this.onMultiSelectChange(0);
+        }
+    }
+
     /**
      * Clear all events
      */
     clear() {
         this.events = [];
         this.selectedEvent = null;
+        this.multiSelected.clear();
 
         // Disconnect observer before clearing DOM
         if (this.thumbnailObserver) {
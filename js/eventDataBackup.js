@@ -13,6 +13,9 @@ class EventDataBackup {
         this.BACKUP_FILENAME = '.teslacam-userdata.json';
         this.pendingWrites = new Map(); // eventKey -> timeout
         this.writeDelay = 1000; // Debounce writes by 1 second
+        this.MERGE_STATE_KEY = 'teslacamviewer_merge_state';
+        this.NOTES_KEY = 'teslacamviewer_notes';
+        this.BOOKMARKS_KEY = 'teslacamviewer_bookmarks';
     }
 
     /**
@@ -89,12 +92,15 @@ class EventDataBackup {
             }
         }
 
+        // Revisions and merge base travel with the file so other copies can three-way merge
+        const state = this.getMergeState(event.compoundKey || event.name);
         const backupData = {
-            version: 1,
+            version: 2,
             eventName: event.name,
             lastModified: new Date().toISOString(),
             notes: data.notes || { text: '', tags: [] },
-            bookmarks: data.bookmarks || []
+            bookmarks: data.bookmarks || [],
+            merge: { rev: state.rev, base: state.base }
         };
 
         // Only write if there's actual data
@@ -120,7 +126,7 @@ class EventDataBackup {
     /**
      * Load user data from an event folder's backup file
      * @param {Object} event - Event object with folderHandle
-     * @returns {Object|null} { notes: { text, tags }, bookmarks: [] } or null
+     * @returns {Object|null} { notes: { text, tags }, bookmarks: [], lastModified, merge } or null
      */
     async loadFromEventFolder(event) {
         if (!event || !event.folderHandle) {
@@ -136,7 +142,8 @@ class EventDataBackup {
             return {
                 notes: data.notes || { text: '', tags: [] },
                 bookmarks: data.bookmarks || [],
-                lastModified: data.lastModified
+                lastModified: data.lastModified,
+                merge: data.merge || null // Version 1 files have no revisions
             };
         } catch (error) {
             // File doesn't exist or can't be read
@@ -174,79 +181,321 @@ class EventDataBackup {
         return backups;
     }
 
+    // ==================== Revisions & Merging ====================
+
     /**
-     * Merge backup data with localStorage data
-     * Newer data wins (based on lastModified)
-     * @param {Object} localData - { text, tags } from localStorage
-     * @param {Object} backupData - { notes: { text, tags }, lastModified } from backup
-     * @param {string} localLastModified - ISO timestamp or undefined
+     * Get the revision and merge-base record for an event
+     * rev: per-field edit counters ({ n, at }) for text, tags and bookmarks
+     * base: snapshot both copies agreed on at the last merge (the common ancestor for three-way merges)
+     * seen: fingerprint of the event folder backup that was last merged in
+     * @param {string} eventKey
+     * @returns {Object} { rev, base, seen }
      */
-    mergeNotes(localData, backupData, localLastModified) {
-        if (!backupData || !backupData.notes) {
-            return localData;
+    getMergeState(eventKey) {
+        const state = this.getAllMergeStates()[eventKey] || {};
+        return {
+            rev: {
+                text: state.rev?.text || { n: 0, at: null },
+                tags: state.rev?.tags || { n: 0, at: null },
+                bookmarks: state.rev?.bookmarks || { n: 0, at: null }
+            },
+            base: state.base || null,
+            seen: state.seen || null
+        };
+    }
+
+    getAllMergeStates() {
+        try {
+            const stored = localStorage.getItem(this.MERGE_STATE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            return {};
         }
+    }
 
-        if (!localData || (!localData.text && !localData.tags?.length)) {
-            return backupData.notes;
+    saveMergeState(eventKey, state) {
+        try {
+            const all = this.getAllMergeStates();
+            all[eventKey] = state;
+            localStorage.setItem(this.MERGE_STATE_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.warn('Failed to save merge state:', e);
         }
+    }
 
-        // If we have timestamps, use the newer one
-        if (localLastModified && backupData.lastModified) {
-            const localTime = new Date(localLastModified).getTime();
-            const backupTime = new Date(backupData.lastModified).getTime();
+    /**
+     * Bump the revision of fields edited locally
+     * @param {string} eventKey
+     * @param {Array<string>} fields - Any of 'text', 'tags', 'bookmarks'
+     */
+    recordRevision(eventKey, fields) {
+        if (!eventKey || fields.length === 0) return;
+        const state = this.getMergeState(eventKey);
+        const at = new Date().toISOString();
+        for (const field of fields) {
+            state.rev[field] = { n: state.rev[field].n + 1, at };
+        }
+        this.saveMergeState(eventKey, state);
+    }
 
-            if (backupTime > localTime) {
-                return backupData.notes;
+    /**
+     * Record a finished merge: what is stored now becomes the common base
+     * @param {string} eventKey
+     * @param {Object} options - { rev: merged revisions, remote: { notes, bookmarks } merged from
+     *   the event folder backup, notes/bookmarks: which parts were merged (default both) }
+     */
+    completeMerge(eventKey, options = {}) {
+        const state = this.getMergeState(eventKey);
+        const mergeNotes = options.notes !== false;
+        const mergeBookmarks = options.bookmarks !== false;
+        const current = this.snapshot(
+            this._readStored(this.NOTES_KEY, eventKey) || { text: '', tags: [] },
+            this._readStored(this.BOOKMARKS_KEY, eventKey) || []);
+        const base = state.base || { text: '', tags: [], bookmarks: [] };
+
+        state.base = {
+            text: mergeNotes ? current.text : base.text,
+            tags: mergeNotes ? current.tags : base.tags,
+            bookmarks: mergeBookmarks ? current.bookmarks : base.bookmarks
+        };
+        if (options.rev) {
+            if (mergeNotes) {
+                state.rev.text = options.rev.text;
+                state.rev.tags = options.rev.tags;
+            }
+            if (mergeBookmarks) {
+                state.rev.bookmarks = options.rev.bookmarks;
             }
-            return localData;
         }
+        if (options.remote) {
+            state.seen = this.seenFingerprint(options.remote, mergeBookmarks);
+        }
+        this.saveMergeState(eventKey, state);
+    }
 
-        // No timestamps - merge: prefer local text but combine tags
-        const mergedTags = [...new Set([
-            ...(localData.tags || []),
-            ...(backupData.notes.tags || [])
-        ])].sort();
-
+    /**
+     * Normalized copy of an event's notes and bookmarks for comparing
+     * @param {Object} notes - { text, tags } (undefined when only bookmarks are merged)
+     * @param {Array} bookmarks - undefined when only notes are merged
+     */
+    snapshot(notes, bookmarks) {
         return {
-            text: localData.text || backupData.notes.text,
-            tags: mergedTags
+            text: notes ? (notes.text || '').trim() : undefined,
+            tags: notes ? [...new Set(notes.tags || [])].sort() : undefined,
+            bookmarks: bookmarks
+                ? bookmarks.map(b => ({ id: b.id, time: b.time, label: b.label || '' })).sort((a, b) => a.time - b.time)
+                : undefined
         };
     }
 
     /**
-     * Merge bookmarks from local and backup
-     * Combines both, removing duplicates by time
+     * Fingerprint of a merged-in copy, as stored in `seen`
+     * Bookmarks count (missing ones as none) only when they were part of the merge, so
+     * completeMerge and findBase always hash the same shape.
+     * @param {Object} remote - { notes, bookmarks }
+     * @param {boolean} withBookmarks
      */
-    mergeBookmarks(localBookmarks, backupBookmarks) {
-        if (!backupBookmarks || !backupBookmarks.length) {
-            return localBookmarks || [];
+    seenFingerprint(remote, withBookmarks) {
+        return this.fingerprint(this.snapshot(remote.notes, withBookmarks ? (remote.bookmarks || []) : undefined));
+    }
+
+    /**
+     * FNV-1a hash of a snapshot, limited to the parts present in `like`
+     */
+    fingerprint(snapshot, like = snapshot) {
+        const parts = like.text !== undefined
+            ? (like.bookmarks !== undefined ? [snapshot.text, snapshot.tags, snapshot.bookmarks] : [snapshot.text, snapshot.tags])
+            : [snapshot.bookmarks];
+        const json = JSON.stringify(parts);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < json.length; i++) {
+            hash ^= json.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
         }
+        return hash.toString(16).padStart(8, '0');
+    }
 
-        if (!localBookmarks || !localBookmarks.length) {
-            return backupBookmarks;
+    /**
+     * Find the common ancestor of two copies of an event's data
+     * @param {Object} local - { notes, bookmarks, state }
+     * @param {Object} remote - { notes, bookmarks, state }
+     * @returns {Object|null} Snapshot, or null when the copies share no known history
+     */
+    findBase(local, remote) {
+        const localSnap = this.snapshot(local.notes, local.bookmarks);
+        const remoteSnap = this.snapshot(remote.notes, remote.bookmarks);
+        const localFp = this.fingerprint(localSnap);
+        const remoteFp = this.fingerprint(remoteSnap);
+        const localBase = local.state?.base;
+        const remoteBase = remote.state?.base;
+
+        // Same content, or the backup hasn't changed since it was last merged in
+        if (localFp === remoteFp) return remoteSnap;
+        if (local.state?.seen && local.state.seen === this.seenFingerprint(remote, local.bookmarks !== undefined)) {
+            return remoteSnap;
         }
 
-        // Combine and dedupe by time (within 0.5 second tolerance)
-        const merged = [...localBookmarks];
+        // Both copies descend from the same merge
+        if (localBase && remoteBase && this.fingerprint(localBase, localSnap) === this.fingerprint(remoteBase, localSnap)) {
+            return localBase;
+        }
+        // One copy was derived from the other's current content
+        if (remoteBase && this.fingerprint(remoteBase, localSnap) === localFp) return localSnap;
+        if (localBase && this.fingerprint(localBase, localSnap) === remoteFp) return remoteSnap;
 
-        for (const backup of backupBookmarks) {
-            const exists = merged.some(local =>
-                Math.abs(local.time - backup.time) < 0.5
-            );
-            if (!exists) {
-                merged.push({
-                    id: backup.id || Date.now() + Math.random(),
-                    time: backup.time,
-                    label: backup.label
-                });
+        return null;
+    }
+
+    /**
+     * Three-way merge of one event's notes and/or bookmarks
+     * Tags and bookmarks are combined (keeping additions from both sides and removals made since the
+     * base); diverging note text is a conflict and keeps the local text until resolved.
+     * Pass notes or bookmarks as undefined on both sides to merge only the other part.
+     * @param {Object} local - { notes, bookmarks, state } from this browser
+     * @param {Object} remote - { notes, bookmarks, state } from a backup, sync source or import
+     * @returns {Object} { notes, bookmarks, rev, base, conflict: null | { localText, remoteText, baseText, localRev, remoteRev } }
+     */
+    mergeEventData(local, remote) {
+        const base = this.findBase(local, remote);
+        const localRev = local.state?.rev || {};
+        const remoteRev = remote.state?.rev || {};
+        const result = { notes: undefined, bookmarks: undefined, rev: {}, base, conflict: null };
+
+        if (local.notes !== undefined) {
+            const localNotes = this.snapshot(local.notes);
+            const remoteNotes = this.snapshot(remote.notes || { text: '', tags: [] });
+            const text = this.mergeText(localNotes.text, remoteNotes.text, base ? base.text : null);
+            const tags = this.mergeTags(localNotes.tags, remoteNotes.tags, base ? base.tags : null);
+
+            result.notes = { text: text.text, tags };
+            result.rev.text = this._mergeRevision(text.text, localNotes.text, remoteNotes.text, localRev.text, remoteRev.text);
+            result.rev.tags = this._mergeRevision(tags.join('\n'), localNotes.tags.join('\n'), remoteNotes.tags.join('\n'), localRev.tags, remoteRev.tags);
+
+            if (text.conflict) {
+                result.conflict = {
+                    localText: localNotes.text,
+                    remoteText: remoteNotes.text,
+                    baseText: base ? base.text : null,
+                    localRev: localRev.text || null,
+                    remoteRev: remoteRev.text || null
+                };
+            }
+        }
+
+        if (local.bookmarks !== undefined) {
+            const bookmarks = this.mergeBookmarks(local.bookmarks, remote.bookmarks || [], base ? base.bookmarks || [] : null);
+            result.bookmarks = bookmarks;
+            result.rev.bookmarks = this._mergeRevision(
+                JSON.stringify(this.snapshot(null, bookmarks).bookmarks),
+                JSON.stringify(this.snapshot(null, local.bookmarks).bookmarks),
+                JSON.stringify(this.snapshot(null, remote.bookmarks || []).bookmarks),
+                localRev.bookmarks, remoteRev.bookmarks);
+        }
+
+        return result;
+    }
+
+    /**
+     * @returns {Object} { text, conflict } - on conflict the local text is kept
+     */
+    mergeText(local, remote, base) {
+        if (local === remote) return { text: local, conflict: false };
+        if (base !== null) {
+            if (local === base) return { text: remote, conflict: false };
+            if (remote === base) return { text: local, conflict: false };
+        } else {
+            // No shared history: an empty side has nothing to lose
+            if (!local) return { text: remote, conflict: false };
+            if (!remote) return { text: local, conflict: false };
+        }
+        return { text: local, conflict: true };
+    }
+
+    /**
+     * Keep tags present on both sides or added by either; drop tags one side removed since the base
+     */
+    mergeTags(local, remote, base) {
+        const merged = new Set();
+        for (const tag of new Set([...local, ...remote])) {
+            const onBoth = local.includes(tag) && remote.includes(tag);
+            if (onBoth || !base || !base.includes(tag)) {
+                merged.add(tag);
+            }
+        }
+        return [...merged].sort();
+    }
+
+    /**
+     * Merge bookmark lists by id: additions from both sides are kept, a bookmark deleted on one side
+     * is dropped unless the other side edited it, and edits win over the unchanged side.
+     * Without a base, bookmarks within 0.5 seconds of each other are treated as the same one.
+     */
+    mergeBookmarks(localBookmarks, remoteBookmarks, baseBookmarks) {
+        const local = localBookmarks || [];
+        const remote = remoteBookmarks || [];
+        const same = (a, b) => a && b && a.time === b.time && (a.label || '') === (b.label || '');
+        const byId = (list) => new Map(list.map(b => [String(b.id), b]));
+        const localById = byId(local);
+        const remoteById = byId(remote);
+        const baseById = byId(baseBookmarks || []);
+        const merged = [];
+
+        for (const id of new Set([...localById.keys(), ...remoteById.keys()])) {
+            const l = localById.get(id);
+            const r = remoteById.get(id);
+            const b = baseById.get(id);
+
+            if (l && r) {
+                merged.push(b && same(l, b) ? r : l);
+            } else if (l) {
+                if (!b || !same(l, b)) merged.push(l);
+            } else if (!b || !same(r, b)) {
+                // Combine and dedupe by time (within 0.5 second tolerance) when there is no history
+                const duplicate = !baseBookmarks && merged.some(m => Math.abs(m.time - r.time) < 0.5);
+                if (!duplicate) {
+                    merged.push({
+                        id: r.id || Date.now() + Math.random(),
+                        time: r.time,
+                        label: r.label
+                    });
+                }
             }
         }
 
-        // Sort by time
         merged.sort((a, b) => a.time - b.time);
         return merged;
     }
 
+    /**
+     * Combine two diverging note texts, used when conflicts are merged automatically
+     */
+    combineText(localText, remoteText) {
+        if (localText && remoteText && localText !== remoteText) {
+            return remoteText + '\n---\n' + localText;
+        }
+        return localText || remoteText || '';
+    }
+
+    /**
+     * Revision for a merged field: the winning side's, or a new one when both sides were combined
+     */
+    _mergeRevision(merged, localValue, remoteValue, localRev, remoteRev) {
+        const l = localRev || { n: 0, at: null };
+        const r = remoteRev || { n: 0, at: null };
+        if (merged === localValue) return l;
+        if (merged === remoteValue) return r;
+        return { n: Math.max(l.n, r.n) + 1, at: new Date().toISOString() };
+    }
+
+    _readStored(storageKey, eventKey) {
+        try {
+            const stored = localStorage.getItem(storageKey);
+            return stored ? JSON.parse(stored)[eventKey] : undefined;
+        } catch (e) {
+            return undefined;
+        }
+    }
+
     /**
      * Check if a backup file exists for an event
      */
@@ -18,10 +18,13 @@ class EventFilter {
             sortOrder: 'newest', // 'newest' or 'oldest'
             hasBookmarks: false, // Only show events with bookmarks
             hasNotes: false, // Only show events with notes/tags
-            selectedTag: '' // Filter by specific tag
+            selectedTag: '', // Filter by specific tag
+            annotationSeverity: '' // '' = any event, 'any' = has annotations, or a minimum severity
         };
         this.BOOKMARKS_STORAGE_KEY = 'teslacamviewer_bookmarks';
         this.NOTES_STORAGE_KEY = 'teslacamviewer_notes';
+        this.ANNOTATIONS_STORAGE_KEY = 'teslacamviewer_annotations';
+        this.ANNOTATION_SEVERITIES = ['info', 'low', 'medium', 'high'];
     }
 
     /**
@@ -58,6 +61,30 @@ class EventFilter {
         }
     }
 
+    /**
+     * Get all annotations from localStorage
+     * @returns {Object} eventKey -> [annotation]
+     */
+    getAnnotationsData() {
+        try {
+            const stored = localStorage.getItem(this.ANNOTATIONS_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('Failed to load annotations for filtering:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Annotations for an event (stored by compoundKey, or name for legacy events)
+     * @param {Object} event
+     * @param {Object} annotationsData
+     * @returns {Array}
+     */
+    getEventAnnotations(event, annotationsData) {
+        return annotationsData[event.compoundKey || event.name] || annotationsData[event.name] || [];
+    }
+
     /**
      * Get all unique tags across all events
      * @returns {Array<string>}
@@ -89,13 +116,19 @@ class EventFilter {
         // Get notes data once for efficiency
         const notesData = (this.filters.hasNotes || this.filters.selectedTag) ? this.getNotesData() : null;
 
+        // Annotations are searched as well as filtered by severity
+        const annotationsData = (this.filters.annotationSeverity || this.filters.searchQuery.trim())
+            ? this.getAnnotationsData()
+            : null;
+
         return events
             .filter(event => this.filterByType(event))
             .filter(event => this.filterByDate(event))
-            .filter(event => this.filterBySearch(event))
+            .filter(event => this.filterBySearch(event, annotationsData))
             .filter(event => this.filterByBookmarks(event, bookmarkedIds))
             .filter(event => this.filterByNotes(event, notesData))
             .filter(event => this.filterByTag(event, notesData))
+            .filter(event => this.filterByAnnotations(event, annotationsData))
             .sort((a, b) => this.sortEvents(a, b));
     }
 
@@ -131,6 +164,27 @@ class EventFilter {
         return notes.tags.some(tag => tag.toLowerCase() === searchTag);
     }
 
+    /**
+     * Filter by annotation presence and minimum severity
+     * @param {Object} event
+     * @param {Object|null} annotationsData - Pre-fetched annotations
+     * @returns {boolean}
+     */
+    filterByAnnotations(event, annotationsData) {
+        const severity = this.filters.annotationSeverity;
+        if (!severity || !annotationsData) {
+            return true;
+        }
+
+        const annotations = this.getEventAnnotations(event, annotationsData);
+        if (severity === 'any') {
+            return annotations.length > 0;
+        }
+
+        const minRank = this.ANNOTATION_SEVERITIES.indexOf(severity);
+        return annotations.some(a => this.ANNOTATION_SEVERITIES.indexOf(a.severity) >= minRank);
+    }
+
     /**
      * Filter by bookmark status
      * @param {Object} event
@@ -192,11 +246,12 @@ class EventFilter {
     }
 
     /**
-     * Filter by search query (searches city, street, reason)
+     * Filter by search query (searches city, street, reason, annotations)
      * @param {Object} event
+     * @param {Object|null} annotationsData - Pre-fetched annotations
      * @returns {boolean}
      */
-    filterBySearch(event) {
+    filterBySearch(event, annotationsData = null) {
         const query = this.filters.searchQuery.toLowerCase().trim();
 
         // No search query
@@ -233,6 +288,14 @@ class EventFilter {
             return true;
         }
 
+        // Search in annotation text, author and category
+        if (annotationsData) {
+            const annotations = this.getEventAnnotations(event, annotationsData);
+            if (annotations.some(a => [a.text, a.author, a.category].some(value => value?.toLowerCase().includes(query)))) {
+                return true;
+            }
+        }
+
         return false;
     }
 
@@ -279,6 +342,9 @@ class EventFilter {
         if (newFilters.selectedTag !== undefined) {
             this.filters.selectedTag = newFilters.selectedTag;
         }
+        if (newFilters.annotationSeverity !== undefined) {
+            this.filters.annotationSeverity = newFilters.annotationSeverity;
+        }
     }
 
     /**
@@ -299,7 +365,8 @@ class EventFilter {
             sortOrder: 'newest',
             hasBookmarks: false,
             hasNotes: false,
-            selectedTag: ''
+            selectedTag: '',
+            annotationSeverity: ''
         };
     }
 
@@ -346,6 +413,11 @@ class EventFilter {
             count++;
         }
 
+        // Check annotation filter
+        if (this.filters.annotationSeverity) {
+            count++;
+        }
+
         return count;
     }
 
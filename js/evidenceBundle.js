@@ -0,0 +1,434 @@
+/**
+ * EvidenceBundle - Packages an event for insurers and police as one ZIP
+ * Contains the untouched clip files for the chosen cameras, the original event.json, notes,
+ * bookmarks and annotations, a telemetry CSV, the insurance report PDF and a manifest with the
+ * SHA-256 of every file (plus a SHA256SUMS file for `sha256sum -c`) so recipients can verify
+ * nothing was altered.
+ *
+ * Where the File System Access API is available the ZIP is streamed straight to the chosen file,
+ * so a full multi-camera event never has to fit in memory. Other browsers get an in-memory Blob
+ * download, limited to MAX_BLOB_SIZE.
+ */
+
+class EvidenceBundle {
+    constructor(videoPlayer, notesManager, timeline, telemetryExporter, insuranceReport, annotationManager = null) {
+        this.videoPlayer = videoPlayer;
+        this.notesManager = notesManager;
+        this.timeline = timeline;
+        this.telemetryExporter = telemetryExporter;
+        this.insuranceReport = insuranceReport;
+        this.annotationManager = annotationManager;
+        this.modal = null;
+        this.isBuilding = false;
+
+        this.CAMERAS = ['front', 'back', 'left_repeater', 'right_repeater', 'left_pillar', 'right_pillar'];
+        this.CAMERA_LABELS = {
+            front: 'Front',
+            back: 'Rear',
+            left_repeater: 'Left Repeater',
+            right_repeater: 'Right Repeater',
+            left_pillar: 'Left Pillar',
+            right_pillar: 'Right Pillar'
+        };
+
+        // Largest bundle built as an in-memory Blob (browsers without showSaveFilePicker)
+        this.MAX_BLOB_SIZE = 2 * 1024 * 1024 * 1024;
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    /**
+     * Cameras with at least one clip in the event
+     * @returns {Array<string>}
+     */
+    getAvailableCameras(event) {
+        return this.CAMERAS.filter(camera =>
+            event.clipGroups.some(group => group.clips[camera]?.fileHandle));
+    }
+
+    /**
+     * SHA-256 of a Blob/File as lowercase hex
+     * @returns {Promise<string>}
+     */
+    async sha256(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * ZIP file name for an event
+     */
+    getFilename(event) {
+        return `evidence_${(event.name || 'event').replace(/[\\/:*?"<>|]/g, '-')}.zip`;
+    }
+
+    /**
+     * Build the bundle for an event
+     * @param {Object} event - Current event
+     * @param {Object} options - { cameras: [], includeTelemetry, includeReport, writable }
+     *   writable: FileSystemWritableFileStream to stream the ZIP into; without it a Blob is built
+     * @param {Function} onProgress - (percent, message)
+     * @returns {Promise<Object>} { blob, filename, manifest, size } (blob is null when streamed)
+     */
+    async build(event, options, onProgress = () => {}) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip library not loaded. Please check your internet connection and reload the page.');
+        }
+        if (!crypto?.subtle) {
+            throw new Error('SHA-256 hashing requires a secure context (https or localhost)');
+        }
+
+        const zip = new JSZip();
+        const eventKey = event.compoundKey || event.name;
+        const files = [];
+        const skipped = [];
+
+        const addFile = async (path, blob, extra = {}) => {
+            const sha256 = await this.sha256(blob);
+            // Video is already compressed; text files are small either way
+            zip.file(path, blob, { compression: path.endsWith('.mp4') ? 'STORE' : 'DEFLATE' });
+            files.push({ path, size: blob.size, sha256, ...extra });
+        };
+
+        // 1. Original clips, byte for byte
+        const clips = [];
+        for (const group of event.clipGroups) {
+            for (const camera of options.cameras) {
+                const clip = group.clips[camera];
+                if (clip?.fileHandle) clips.push({ camera, clip });
+            }
+        }
+
+        // Fail before hashing anything if the bundle could not be held in memory
+        if (!options.writable) {
+            let totalSize = 0;
+            for (const { clip } of clips) {
+                totalSize += (await clip.fileHandle.getFile()).size;
+            }
+            if (totalSize > this.MAX_BLOB_SIZE) {
+                const toMB = bytes => Math.round(bytes / 1024 / 1024);
+                throw new Error(`${this.t('evidenceBundle.tooLarge')} (${toMB(totalSize)} MB / ${toMB(this.MAX_BLOB_SIZE)} MB)`);
+            }
+        }
+
+        for (let i = 0; i < clips.length; i++) {
+            const { camera, clip } = clips[i];
+            onProgress(Math.round((i / Math.max(clips.length, 1)) * 60), `${this.t('evidenceBundle.hashingClips')} ${i + 1}/${clips.length}`);
+            const file = await clip.fileHandle.getFile();
+            await addFile(`clips/${file.name}`, file, {
+                camera,
+                source: `${event.type}/${event.name}/${file.name}`,
+                lastModified: new Date(file.lastModified).toISOString()
+            });
+        }
+
+        // 2. Original event.json
+        onProgress(62, this.t('evidenceBundle.metadata'));
+        if (event.folderHandle) {
+            try {
+                const fileHandle = await event.folderHandle.getFileHandle('event.json');
+                const file = await fileHandle.getFile();
+                await addFile('event.json', file, {
+                    source: `${event.type}/${event.name}/event.json`,
+                    lastModified: new Date(file.lastModified).toISOString()
+                });
+            } catch (error) {
+                if (error.name !== 'NotFoundError') {
+                    console.warn('[EvidenceBundle] Failed to read event.json:', error);
+                }
+                skipped.push({ path: 'event.json', reason: 'Not present in event folder' });
+            }
+        } else {
+            skipped.push({ path: 'event.json', reason: 'Event has no folder (RecentClips or day timeline)' });
+        }
+
+        // 3. Notes, bookmarks and annotations
+        const notes = this.notesManager.getNotes(eventKey);
+        const bookmarks = this.timeline.getAllSavedBookmarks()[eventKey] || [];
+        const annotations = this.annotationManager ? this.annotationManager.getAnnotations(eventKey) : [];
+        const notesJson = JSON.stringify({ eventKey, notes, bookmarks, annotations }, null, 2);
+        await addFile('notes.json', new Blob([notesJson], { type: 'application/json' }), { generated: true });
+
+        // 4. Telemetry CSV
+        if (options.includeTelemetry) {
+            onProgress(68, this.t('evidenceBundle.telemetry'));
+            try {
+                const rows = await this.telemetryExporter.collectFrames(event);
+                if (rows.length > 0) {
+                    const csv = this.telemetryExporter.buildCSV(rows);
+                    await addFile('telemetry.csv', new Blob([csv], { type: 'text/csv' }), { generated: true, rows: rows.length });
+                } else {
+                    skipped.push({ path: 'telemetry.csv', reason: 'No telemetry in clips' });
+                }
+            } catch (error) {
+                console.warn('[EvidenceBundle] Telemetry extraction failed:', error);
+                skipped.push({ path: 'telemetry.csv', reason: error.message });
+            }
+        }
+
+        // 5. Insurance report PDF
+        if (options.includeReport) {
+            onProgress(75, this.t('evidenceBundle.report'));
+            try {
+                this.insuranceReport.setProgressCallback((percent, message) => {
+                    onProgress(75 + Math.round(percent * 0.15), message);
+                });
+                const pdf = await this.insuranceReport.generateReport({ returnBlob: true });
+                await addFile('report.pdf', pdf, { generated: true });
+            } catch (error) {
+                console.warn('[EvidenceBundle] Insurance report failed:', error);
+                skipped.push({ path: 'report.pdf', reason: error.message });
+            } finally {
+                this.insuranceReport.setProgressCallback(null);
+            }
+        }
+
+        // 6. Manifest and checksums
+        onProgress(92, this.t('evidenceBundle.manifest'));
+        const manifest = {
+            generator: 'TeslaCamViewer',
+            version: window.app?.versionManager?.getVersion() || 'unknown',
+            extractedAt: new Date().toISOString(),
+            hashAlgorithm: 'SHA-256',
+            event: {
+                name: event.name,
+                type: event.type,
+                timestamp: event.timestamp,
+                drive: event.driveLabel || null,
+                clipCount: event.clipGroups.length,
+                cameras: options.cameras
+            },
+            files,
+            skipped
+        };
+        const manifestJson = JSON.stringify(manifest, null, 2);
+        const manifestBlob = new Blob([manifestJson], { type: 'application/json' });
+        zip.file('manifest.json', manifestBlob);
+
+        const sums = files.map(f => `${f.sha256}  ${f.path}`);
+        sums.push(`${await this.sha256(manifestBlob)}  manifest.json`);
+        zip.file('SHA256SUMS', sums.join('\n') + '\n');
+
+        onProgress(95, this.t('evidenceBundle.zipping'));
+        const onZipProgress = (meta) => {
+            onProgress(95 + Math.round(meta.percent * 0.05), this.t('evidenceBundle.zipping'));
+        };
+
+        let blob = null;
+        let size;
+        if (options.writable) {
+            size = await this.writeZipStream(zip, options.writable, onZipProgress);
+        } else {
+            blob = await zip.generateAsync({ type: 'blob' }, onZipProgress);
+            size = blob.size;
+        }
+
+        const filename = this.getFilename(event);
+        console.log(`[EvidenceBundle] ${files.length} file(s), ${skipped.length} skipped, ${(size / 1024 / 1024).toFixed(1)} MB`);
+        return { blob, filename, manifest, size };
+    }
+
+    /**
+     * Stream the ZIP into a writable file chunk by chunk, pausing JSZip until each write lands
+     * @returns {Promise<number>} Bytes written
+     */
+    writeZipStream(zip, writable, onProgress) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            let failed = false;
+            let pendingWrite = Promise.resolve();
+            const stream = zip.generateInternalStream({ type: 'uint8array', streamFiles: true });
+
+            stream.on('data', (chunk, meta) => {
+                stream.pause();
+                size += chunk.length;
+                onProgress(meta);
+                pendingWrite = writable.write(chunk).then(() => {
+                    if (!failed) stream.resume();
+                }, (error) => {
+                    failed = true;
+                    reject(error);
+                });
+            });
+            stream.on('error', (error) => {
+                failed = true;
+                reject(error);
+            });
+            // 'end' can arrive while the last chunk is still being written
+            stream.on('end', () => {
+                pendingWrite.then(() => {
+                    if (!failed) resolve(size);
+                });
+            });
+            stream.resume();
+        });
+    }
+
+    /**
+     * Ask where to save the bundle (File System Access API)
+     * @returns {Promise<FileSystemWritableFileStream|null>} null if the picker is unsupported
+     * @throws AbortError if the user dismisses the picker
+     */
+    async pickDestination(filename) {
+        if (!window.showSaveFilePicker) return null;
+        const handle = await window.showSaveFilePicker({
+            suggestedName: filename,
+            types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+        });
+        return handle.createWritable();
+    }
+
+    // ==================== UI ====================
+
+    /**
+     * Show the bundle options for the current event
+     */
+    show() {
+        const event = this.videoPlayer.currentEvent;
+        if (!event) {
+            alert('No event loaded. Please select an event first.');
+            return;
+        }
+        if (this.modal) {
+            this.modal.remove();
+        }
+
+        const cameras = this.getAvailableCameras(event);
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notes-modal evidence-bundle-modal';
+        this.modal.innerHTML = `
+            <div class="notes-overlay"></div>
+            <div class="notes-panel export-queue-panel">
+                <div class="notes-header">
+                    <h2>${this.t('evidenceBundle.title')}</h2>
+                    <button class="notes-close-btn" title="${this.t('common.close')}">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="notes-content">
+                    <div class="notes-section">
+                        <div class="export-queue-hint">${this.t('evidenceBundle.hint')}</div>
+                    </div>
+                    <div class="notes-section export-queue-grid">
+                        <label class="notes-label">${this.t('evidenceBundle.cameras')}</label>
+                        <div class="export-queue-overlays evidence-bundle-cameras">
+                            ${cameras.map(camera => `
+                                <label><input type="checkbox" value="${camera}" checked> ${this.CAMERA_LABELS[camera]}</label>
+                            `).join('')}
+                        </div>
+
+                        <label class="notes-label">${this.t('evidenceBundle.include')}</label>
+                        <div class="export-queue-overlays">
+                            <label><input type="checkbox" id="bundleTelemetryCheckbox" checked> ${this.t('evidenceBundle.includeTelemetry')}</label>
+                            <label><input type="checkbox" id="bundleReportCheckbox" checked> ${this.t('evidenceBundle.includeReport')}</label>
+                        </div>
+                    </div>
+                    <div class="notes-section">
+                        <div id="bundleStatus" class="export-queue-hint"></div>
+                    </div>
+                </div>
+                <div class="notes-footer">
+                    <button id="bundleCancelBtn" class="notes-btn secondary">${this.t('common.cancel')}</button>
+                    <button id="bundleStartBtn" class="notes-btn primary">${this.t('evidenceBundle.create')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.notes-close-btn').addEventListener('click', () => this.hide());
+        this.modal.querySelector('.notes-overlay').addEventListener('click', () => this.hide());
+        this.modal.querySelector('#bundleCancelBtn').addEventListener('click', () => this.hide());
+        this.modal.querySelector('#bundleStartBtn').addEventListener('click', () => this.start(event));
+    }
+
+    /**
+     * Build and download the bundle with the options chosen in the modal
+     */
+    async start(event) {
+        if (this.isBuilding || !this.modal) return;
+
+        const modal = this.modal;
+        const cameras = Array.from(modal.querySelectorAll('.evidence-bundle-cameras input:checked')).map(input => input.value);
+        if (cameras.length === 0) {
+            alert(this.t('evidenceBundle.noCameras'));
+            return;
+        }
+
+        const startBtn = modal.querySelector('#bundleStartBtn');
+        const status = modal.querySelector('#bundleStatus');
+        startBtn.disabled = true;
+        this.isBuilding = true;
+
+        let writable = null;
+        try {
+            // Ask for the destination while the click still counts as a user gesture
+            try {
+                writable = await this.pickDestination(this.getFilename(event));
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                throw error;
+            }
+
+            const { blob, filename } = await this.build(event, {
+                cameras,
+                includeTelemetry: modal.querySelector('#bundleTelemetryCheckbox').checked,
+                includeReport: modal.querySelector('#bundleReportCheckbox').checked,
+                writable
+            }, (percent, message) => {
+                status.textContent = `${message} (${percent}%)`;
+            });
+
+            if (writable) {
+                await writable.close();
+                writable = null;
+            } else {
+                this.downloadBlob(blob, filename);
+            }
+            status.textContent = `${this.t('evidenceBundle.done')} ${filename}`;
+        } catch (error) {
+            console.error('[EvidenceBundle] Failed to build bundle:', error);
+            status.textContent = '';
+            alert(`${this.t('evidenceBundle.failed')}: ${error.message}`);
+        } finally {
+            if (writable) {
+                // Don't leave a truncated ZIP behind
+                await writable.abort().catch(() => {});
+            }
+            this.isBuilding = false;
+            startBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Close the modal
+     */
+    hide() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+window.EvidenceBundle = EvidenceBundle;
@@ -0,0 +1,646 @@
+/**
+ * ExportQueue - Batch video export for multiple events
+ * Exports the Ctrl/Cmd-clicked events (or the current filter result) one after another
+ * with a shared layout, format, range policy and overlay choice, writing into a folder
+ * picked with the File System Access API (falls back to downloads).
+ */
+
+class ExportQueue {
+    constructor(videoPlayer, videoExport, layoutManager, clipMarking) {
+        this.videoPlayer = videoPlayer;
+        this.videoExport = videoExport;
+        this.layoutManager = layoutManager;
+        this.clipMarking = clipMarking;
+
+        this.jobs = [];
+        this.nextJobId = 1;
+        this.isRunning = false;
+        this.cancelRequested = false;
+        this.directoryHandle = null;
+        this.modal = null;
+
+        this.options = {
+            layoutId: null,          // null = current layout
+            format: 'webm',
+            rangePolicy: 'whole',    // 'whole' | 'before-trigger' | 'marked'
+            secondsBeforeTrigger: 30,
+            overlays: null           // { timestamp, telemetryHud, miniMap }, filled from settings on first show
+        };
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} str
+     * @returns {string}
+     */
+    escapeHtml(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    /**
+     * Whether the browser can write into a chosen folder
+     * @returns {boolean}
+     */
+    canPickDirectory() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    /**
+     * Events the queue would add: Ctrl/Cmd-clicked ones, or all filtered events
+     * @param {string} source - 'selected' or 'filtered'
+     * @returns {Array<Object>}
+     */
+    getSourceEvents(source) {
+        const browser = window.app?.eventBrowser;
+        if (!browser) return [];
+        const events = source === 'selected' ? browser.getMultiSelectedEvents() : browser.events;
+        return events.filter(e => !e.isEmpty);
+    }
+
+    /**
+     * Add events to the queue
+     * Marks are captured now so the "marked range" policy survives event switching.
+     * @param {Array<Object>} events
+     * @returns {number} Number of jobs added
+     */
+    addEvents(events) {
+        const currentKey = this.getEventKey(this.videoPlayer.currentEvent);
+        let added = 0;
+
+        for (const event of events) {
+            const key = this.getEventKey(event);
+            const alreadyQueued = this.jobs.some(j => this.getEventKey(j.event) === key &&
+                (j.status === 'pending' || j.status === 'running'));
+            if (alreadyQueued) continue;
+
+            const marks = key === currentKey && this.clipMarking
+                ? this.clipMarking.getMarks()
+                : this.clipMarking?.getSavedMarks(key);
+
+            this.jobs.push({
+                id: this.nextJobId++,
+                event,
+                marks: marks && (marks.inPoint !== null || marks.outPoint !== null) ? { ...marks } : null,
+                status: 'pending',
+                progress: 0,
+                error: null,
+                attempts: 0,
+                filename: null
+            });
+            added++;
+        }
+
+        this.renderJobs();
+        return added;
+    }
+
+    /**
+     * Storage key for an event (multi-drive safe)
+     */
+    getEventKey(event) {
+        return event ? (event.compoundKey || event.name) : null;
+    }
+
+    /**
+     * Resolve the export range for a job under the current range policy
+     * Sentry events trigger 1:00 before the end (same as the timeline marker);
+     * saved/recent clips are treated as triggered at the end of the event.
+     * @param {Object} job
+     * @param {number} totalDuration
+     * @returns {{startTime: number, endTime: number|null, label: string}}
+     */
+    getJobRange(job, totalDuration) {
+        const { rangePolicy, secondsBeforeTrigger } = this.options;
+
+        if (rangePolicy === 'before-trigger') {
+            const event = job.event;
+            const isSentryEvent = event.type === 'SentryClips' ||
+                event.metadata?.reason?.toLowerCase().includes('sentry');
+            const triggerTime = isSentryEvent ? Math.max(0, totalDuration - 60) : totalDuration;
+            return {
+                startTime: Math.max(0, triggerTime - secondsBeforeTrigger),
+                endTime: triggerTime,
+                label: `last${secondsBeforeTrigger}s`
+            };
+        }
+
+        if (rangePolicy === 'marked' && job.marks) {
+            return {
+                startTime: job.marks.inPoint !== null ? job.marks.inPoint : 0,
+                endTime: job.marks.outPoint !== null ? Math.min(job.marks.outPoint, totalDuration) : null,
+                label: 'marked'
+            };
+        }
+
+        return { startTime: 0, endTime: null, label: 'full' };
+    }
+
+    /**
+     * Run pending jobs one at a time until the queue is empty or cancelled
+     */
+    async run() {
+        if (this.isRunning) return;
+        if (!this.jobs.some(j => j.status === 'pending')) return;
+        if (this.videoExport.isExporting) {
+            alert('An export is already in progress. Please wait for it to complete.');
+            return;
+        }
+
+        this.isRunning = true;
+        this.renderJobs();
+
+        const previousLayout = this.layoutManager?.getCurrentLayoutId();
+        const layoutId = this.options.layoutId;
+        if (this.layoutManager && layoutId && layoutId !== previousLayout) {
+            this.layoutManager.setLayout(layoutId);
+        }
+
+        try {
+            await this._loadBlurModels();
+
+            let job;
+            while (this.isRunning && (job = this.jobs.find(j => j.status === 'pending'))) {
+                await this._runJob(job);
+            }
+        } finally {
+            this.isRunning = false;
+            if (this.layoutManager && previousLayout && this.layoutManager.getCurrentLayoutId() !== previousLayout) {
+                this.layoutManager.setLayout(previousLayout);
+            }
+            this.renderJobs();
+
+            const done = this.jobs.filter(j => j.status === 'done').length;
+            const failed = this.jobs.filter(j => j.status === 'failed').length;
+            console.log(`[ExportQueue] Queue finished: ${done} exported, ${failed} failed`);
+        }
+    }
+
+    /**
+     * Load privacy blur models up front so every job blurs consistently
+     */
+    async _loadBlurModels() {
+        const plateBlur = window.app?.plateBlur;
+        const settings = window.app?.settingsManager;
+        if (!plateBlur || !settings) return;
+
+        const classes = plateBlur.getEnabledClasses(settings);
+        if (!classes.plates && !classes.faces && !classes.people) return;
+
+        try {
+            const loaded = await plateBlur.ensureModelsLoaded(classes);
+            if (!loaded) {
+                console.warn('[ExportQueue] Failed to load a privacy blur model, continuing with what loaded');
+            }
+        } catch (error) {
+            console.warn('[ExportQueue] Privacy blur model error:', error);
+        }
+    }
+
+    /**
+     * Load one event and export it
+     * @param {Object} job
+     */
+    async _runJob(job) {
+        job.status = 'running';
+        job.progress = 0;
+        job.error = null;
+        job.attempts++;
+        this.cancelRequested = false;
+        this.renderJobs();
+
+        try {
+            await window.app.onEventSelected(job.event);
+            if (this.videoPlayer.currentEvent !== job.event) {
+                throw new Error('Event could not be loaded');
+            }
+            await this.videoPlayer.pause();
+            if (this.cancelRequested) throw new Error('Export cancelled');
+
+            const overlays = this.options.overlays;
+            if (overlays.telemetryHud || overlays.miniMap) {
+                await this.videoExport.waitForTelemetry(job.event, () => this.cancelRequested);
+            }
+
+            // Duration is cached per export - make sure it belongs to this event
+            this.videoExport.cachedTotalDuration = null;
+            const totalDuration = await this.videoPlayer.getTotalDuration();
+            const range = this.getJobRange(job, totalDuration);
+            if (range.endTime !== null && range.startTime >= range.endTime) {
+                throw new Error('Empty export range');
+            }
+
+            job.filename = this._buildFilenameBase(job, range.label);
+            console.log(`[ExportQueue] Job ${job.id}: ${job.event.name} (${range.label}, attempt ${job.attempts})`);
+
+            await this.videoExport.exportFrameByFrame({
+                format: this.options.format,
+                quality: 0.9,
+                startTime: range.startTime,
+                endTime: range.endTime,
+                includeOverlay: overlays.timestamp,
+                overlays: { telemetryHud: overlays.telemetryHud, miniMap: overlays.miniMap },
+                filenameBase: job.filename,
+                outputDirectory: this.directoryHandle,
+                fps: 30,
+                onProgress: (percent) => {
+                    job.progress = Math.min(100, Math.max(0, Math.round(percent)));
+                    this._updateJobProgress(job);
+                }
+            });
+
+            // Cancelling while frames render returns without throwing
+            if (this.cancelRequested) throw new Error('Export cancelled');
+
+            job.status = 'done';
+            job.progress = 100;
+        } catch (error) {
+            const cancelled = this.cancelRequested || (error.message && error.message.includes('cancelled'));
+            job.status = cancelled ? 'cancelled' : 'failed';
+            job.error = cancelled ? null : error.message;
+            if (!cancelled) {
+                console.error(`[ExportQueue] Job ${job.id} failed:`, error);
+            }
+        } finally {
+            this.cancelRequested = false;
+            this.renderJobs();
+        }
+    }
+
+    /**
+     * Unique, filesystem-safe base filename for a job
+     */
+    _buildFilenameBase(job, rangeLabel) {
+        const safeName = (job.event.name || `event_${job.id}`).replace(/[^\w.-]+/g, '_');
+        let base = `TeslaCam_${safeName}_${rangeLabel}`;
+        const taken = this.jobs.some(j => j !== job && j.filename === base);
+        if (taken) {
+            base = `${base}_${job.id}`;
+        }
+        return base;
+    }
+
+    /**
+     * Cancel one job: stops it if running, skips it if pending
+     * @param {number} jobId
+     */
+    cancelJob(jobId) {
+        const job = this.jobs.find(j => j.id === jobId);
+        if (!job) return;
+
+        if (job.status === 'running') {
+            this.cancelRequested = true;
+            this.videoExport.cancelExport();
+        } else if (job.status === 'pending') {
+            job.status = 'cancelled';
+            this.renderJobs();
+        }
+    }
+
+    /**
+     * Cancel the running job and everything still pending
+     */
+    cancelAll() {
+        for (const job of this.jobs) {
+            if (job.status === 'pending') job.status = 'cancelled';
+        }
+        const running = this.jobs.find(j => j.status === 'running');
+        if (running) {
+            this.cancelJob(running.id);
+        }
+        this.renderJobs();
+    }
+
+    /**
+     * Re-queue a failed or cancelled job (starts the queue if idle)
+     * @param {number} jobId
+     */
+    retryJob(jobId) {
+        const job = this.jobs.find(j => j.id === jobId);
+        if (!job || (job.status !== 'failed' && job.status !== 'cancelled')) return;
+
+        job.status = 'pending';
+        job.progress = 0;
+        job.error = null;
+        this.renderJobs();
+
+        if (!this.isRunning) {
+            this.run();
+        }
+    }
+
+    /**
+     * Remove a job that is not running
+     * @param {number} jobId
+     */
+    removeJob(jobId) {
+        this.jobs = this.jobs.filter(j => j.id !== jobId || j.status === 'running');
+        this.renderJobs();
+    }
+
+    /**
+     * Drop finished, failed and cancelled jobs from the list
+     */
+    clearFinished() {
+        this.jobs = this.jobs.filter(j => j.status === 'pending' || j.status === 'running');
+        this.renderJobs();
+    }
+
+    /**
+     * Ask the user for the output folder
+     * @returns {Promise<boolean>} False if the picker was dismissed
+     */
+    async pickDirectory() {
+        try {
+            this.directoryHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+            this._updateDirectoryLabel();
+            return true;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('[ExportQueue] Folder picker failed:', error);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Default overlay choices follow the export settings
+     */
+    _defaultOverlays() {
+        const settings = window.app?.settingsManager;
+        return {
+            timestamp: true,
+            telemetryHud: !settings || settings.get('telemetryOverlayInExport') !== false,
+            miniMap: !settings || settings.get('miniMapInExport') !== false
+        };
+    }
+
+    /**
+     * Show the batch export modal
+     */
+    show() {
+        if (!this.options.overlays) {
+            this.options.overlays = this._defaultOverlays();
+        }
+        if (this.modal) {
+            this.modal.remove();
+        }
+
+        const selectedCount = this.getSourceEvents('selected').length;
+        const filteredCount = this.getSourceEvents('filtered').length;
+        const layoutOptions = this._getLayoutOptions();
+        const currentLayout = this.options.layoutId || this.layoutManager?.getCurrentLayoutId();
+        const { format, rangePolicy, secondsBeforeTrigger, overlays } = this.options;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notes-modal export-queue-modal';
+        this.modal.innerHTML = `
+            <div class="notes-overlay"></div>
+            <div class="notes-panel export-queue-panel">
+                <div class="notes-header">
+                    <h2>${this.t('exportQueue.title')}</h2>
+                    <button class="notes-close-btn" title="${this.t('common.close')}">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="notes-content">
+                    <div class="notes-section">
+                        <label class="notes-label">${this.t('exportQueue.events')}</label>
+                        <div class="export-queue-sources">
+                            <label><input type="radio" name="queueSource" value="selected" ${selectedCount > 0 ? 'checked' : 'disabled'}>
+                                ${this.t('exportQueue.selectedEvents')} (${selectedCount})</label>
+                            <label><input type="radio" name="queueSource" value="filtered" ${selectedCount === 0 ? 'checked' : ''} ${filteredCount === 0 ? 'disabled' : ''}>
+                                ${this.t('exportQueue.filteredEvents')} (${filteredCount})</label>
+                        </div>
+                        <div class="export-queue-hint">${this.t('exportQueue.selectHint')}</div>
+                    </div>
+
+                    <div class="notes-section export-queue-grid">
+                        <label class="notes-label">${this.t('exportQueue.layout')}</label>
+                        <select id="queueLayoutSelect" class="export-format-select">
+                            ${layoutOptions.map(o => `<option value="${this.escapeHtml(o.value)}" ${o.value === currentLayout ? 'selected' : ''}>${this.escapeHtml(o.label)}</option>`).join('')}
+                        </select>
+
+                        <label class="notes-label">${this.t('exportQueue.format')}</label>
+                        <select id="queueFormatSelect" class="export-format-select">
+                            <option value="webm" ${format === 'webm' ? 'selected' : ''}>WebM</option>
+                            <option value="mp4" ${format === 'mp4' ? 'selected' : ''}>MP4</option>
+                        </select>
+
+                        <label class="notes-label">${this.t('exportQueue.range')}</label>
+                        <div class="export-queue-range">
+                            <select id="queueRangeSelect" class="export-format-select">
+                                <option value="whole" ${rangePolicy === 'whole' ? 'selected' : ''}>${this.t('exportQueue.rangeWhole')}</option>
+                                <option value="before-trigger" ${rangePolicy === 'before-trigger' ? 'selected' : ''}>${this.t('exportQueue.rangeBeforeTrigger')}</option>
+                                <option value="marked" ${rangePolicy === 'marked' ? 'selected' : ''}>${this.t('exportQueue.rangeMarked')}</option>
+                            </select>
+                            <input type="number" id="queueSecondsInput" min="5" max="600" step="5" value="${secondsBeforeTrigger}"
+                                class="${rangePolicy === 'before-trigger' ? '' : 'hidden'}" title="${this.t('exportQueue.seconds')}">
+                        </div>
+
+                        <label class="notes-label">${this.t('exportQueue.overlays')}</label>
+                        <div class="export-queue-overlays">
+                            <label><input type="checkbox" id="queueTimestampCheckbox" ${overlays.timestamp ? 'checked' : ''}> ${this.t('exportQueue.timestamp')}</label>
+                            <label><input type="checkbox" id="queueHudCheckbox" ${overlays.telemetryHud ? 'checked' : ''}> ${this.t('exportQueue.telemetryHud')}</label>
+                            <label><input type="checkbox" id="queueMiniMapCheckbox" ${overlays.miniMap ? 'checked' : ''}> ${this.t('exportQueue.miniMap')}</label>
+                        </div>
+
+                        <label class="notes-label">${this.t('exportQueue.folder')}</label>
+                        <div class="export-queue-folder">
+                            <button id="queueFolderBtn" class="notes-btn secondary" ${this.canPickDirectory() ? '' : 'disabled'}>${this.t('exportQueue.chooseFolder')}</button>
+                            <span id="queueFolderName" class="export-queue-hint"></span>
+                        </div>
+                    </div>
+
+                    <div class="notes-section">
+                        <label class="notes-label">${this.t('exportQueue.jobs')}</label>
+                        <div id="queueJobList" class="export-queue-jobs"></div>
+                    </div>
+                </div>
+                <div class="notes-footer">
+                    <button id="queueClearBtn" class="notes-btn secondary">${this.t('exportQueue.clearFinished')}</button>
+                    <button id="queueCancelAllBtn" class="notes-btn secondary">${this.t('exportQueue.cancelAll')}</button>
+                    <button id="queueStartBtn" class="notes-btn primary">${this.t('exportQueue.start')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this._attachModalEvents();
+        this._updateDirectoryLabel();
+        this.renderJobs();
+    }
+
+    /**
+     * Close the modal (a running queue keeps going)
+     */
+    hide() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Layouts offered by the main layout selector, minus the editor entry
+     */
+    _getLayoutOptions() {
+        const select = document.getElementById('layoutSelect');
+        if (!select) return [];
+        return Array.from(select.options)
+            .filter(o => o.value !== 'edit-layouts' && o.style.display !== 'none')
+            .map(o => ({ value: o.value, label: o.textContent.trim() }));
+    }
+
+    /**
+     * Wire modal controls
+     */
+    _attachModalEvents() {
+        const modal = this.modal;
+        const rangeSelect = modal.querySelector('#queueRangeSelect');
+        const secondsInput = modal.querySelector('#queueSecondsInput');
+
+        modal.querySelector('.notes-close-btn').addEventListener('click', () => this.hide());
+        modal.querySelector('.notes-overlay').addEventListener('click', () => this.hide());
+
+        modal.querySelector('#queueLayoutSelect').addEventListener('change', (e) => {
+            this.options.layoutId = e.target.value;
+        });
+        modal.querySelector('#queueFormatSelect').addEventListener('change', (e) => {
+            this.options.format = e.target.value;
+        });
+        rangeSelect.addEventListener('change', () => {
+            this.options.rangePolicy = rangeSelect.value;
+            secondsInput.classList.toggle('hidden', rangeSelect.value !== 'before-trigger');
+        });
+        secondsInput.addEventListener('change', () => {
+            const seconds = parseInt(secondsInput.value, 10);
+            this.options.secondsBeforeTrigger = Number.isFinite(seconds) && seconds > 0 ? seconds : 30;
+            secondsInput.value = this.options.secondsBeforeTrigger;
+        });
+
+        const overlayInputs = {
+            timestamp: '#queueTimestampCheckbox',
+            telemetryHud: '#queueHudCheckbox',
+            miniMap: '#queueMiniMapCheckbox'
+        };
+        for (const [key, selector] of Object.entries(overlayInputs)) {
+            modal.querySelector(selector).addEventListener('change', (e) => {
+                this.options.overlays[key] = e.target.checked;
+            });
+        }
+
+        modal.querySelector('#queueFolderBtn').addEventListener('click', () => this.pickDirectory());
+        modal.querySelector('#queueClearBtn').addEventListener('click', () => this.clearFinished());
+        modal.querySelector('#queueCancelAllBtn').addEventListener('click', () => this.cancelAll());
+
+        modal.querySelector('#queueStartBtn').addEventListener('click', async () => {
+            const source = modal.querySelector('input[name="queueSource"]:checked')?.value;
+            const firstNewJobId = this.nextJobId;
+            if (source) {
+                this.addEvents(this.getSourceEvents(source));
+            }
+            if (!this.jobs.some(j => j.status === 'pending')) {
+                alert(this.t('exportQueue.nothingToExport'));
+                return;
+            }
+            if (this.canPickDirectory() && !this.directoryHandle && !(await this.pickDirectory())) {
+                // Picker dismissed - take back the jobs this click queued
+                this.jobs = this.jobs.filter(j => j.id < firstNewJobId);
+                this.renderJobs();
+                return;
+            }
+            if (source === 'selected') {
+                window.app?.eventBrowser?.clearMultiSelection();
+            }
+            this.run();
+        });
+
+        // Per-job buttons (list is re-rendered, so delegate)
+        modal.querySelector('#queueJobList').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-job-action]');
+            if (!btn) return;
+            const jobId = parseInt(btn.dataset.jobId, 10);
+            const action = btn.dataset.jobAction;
+            if (action === 'cancel') this.cancelJob(jobId);
+            else if (action === 'retry') this.retryJob(jobId);
+            else if (action === 'remove') this.removeJob(jobId);
+        });
+    }
+
+    /**
+     * Show the chosen folder name
+     */
+    _updateDirectoryLabel() {
+        const label = this.modal?.querySelector('#queueFolderName');
+        if (!label) return;
+        if (!this.canPickDirectory()) {
+            label.textContent = this.t('exportQueue.folderUnsupported');
+        } else {
+            label.textContent = this.directoryHandle ? this.directoryHandle.name : this.t('exportQueue.noFolder');
+        }
+    }
+
+    /**
+     * Render the job list
+     */
+    renderJobs() {
+        const list = this.modal?.querySelector('#queueJobList');
+        if (!list) return;
+
+        const startBtn = this.modal.querySelector('#queueStartBtn');
+        if (startBtn) startBtn.disabled = this.isRunning;
+
+        if (this.jobs.length === 0) {
+            list.innerHTML = `<div class="export-queue-hint">${this.t('exportQueue.empty')}</div>`;
+            return;
+        }
+
+        list.innerHTML = this.jobs.map(job => {
+            const actions = [];
+            if (job.status === 'running' || job.status === 'pending') {
+                actions.push(`<button class="export-queue-job-btn" data-job-action="cancel" data-job-id="${job.id}">${this.t('common.cancel')}</button>`);
+            }
+            if (job.status === 'failed' || job.status === 'cancelled') {
+                actions.push(`<button class="export-queue-job-btn" data-job-action="retry" data-job-id="${job.id}">${this.t('exportQueue.retry')}</button>`);
+            }
+            if (job.status !== 'running') {
+                actions.push(`<button class="export-queue-job-btn" data-job-action="remove" data-job-id="${job.id}" title="${this.t('exportQueue.remove')}">&times;</button>`);
+            }
+
+            return `
+                <div class="export-queue-job ${job.status}" data-job-id="${job.id}">
+                    <div class="export-queue-job-info">
+                        <span class="export-queue-job-name">${this.escapeHtml(job.event.name)}</span>
+                        <span class="export-queue-job-status">${this.t(`exportQueue.status.${job.status}`)}${job.error ? ` - ${this.escapeHtml(job.error)}` : ''}</span>
+                    </div>
+                    <div class="export-queue-job-bar"><div style="width: ${job.progress}%"></div></div>
+                    <div class="export-queue-job-actions">${actions.join('')}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Update a running job's progress bar without re-rendering the list
+     */
+    _updateJobProgress(job) {
+        const bar = this.modal?.querySelector(`.export-queue-job[data-job-id="${job.id}"] .export-queue-job-bar > div`);
+        if (bar) {
+            bar.style.width = `${job.progress}%`;
+        }
+    }
+}
+
+window.ExportQueue = ExportQueue;
@@ -90,6 +90,18 @@ class FilterPanel {
                     <!-- Tag Dropdown -->
                     ${this.renderTagDropdown(filters)}
 
+                    <!-- Annotations -->
+                    <div class="filter-group">
+                        <label class="filter-label" for="annotationFilter">${t('filter.annotations')}</label>
+                        <select id="annotationFilter" class="filter-select">
+                            <option value="" ${!filters.annotationSeverity ? 'selected' : ''}>${t('filter.anyAnnotations')}</option>
+                            <option value="any" ${filters.annotationSeverity === 'any' ? 'selected' : ''}>${t('filter.withAnnotations')}</option>
+                            <option value="low" ${filters.annotationSeverity === 'low' ? 'selected' : ''}>${t('filter.severityLow')}</option>
+                            <option value="medium" ${filters.annotationSeverity === 'medium' ? 'selected' : ''}>${t('filter.severityMedium')}</option>
+                            <option value="high" ${filters.annotationSeverity === 'high' ? 'selected' : ''}>${t('filter.severityHigh')}</option>
+                        </select>
+                    </div>
+
                     <!-- Sort Order -->
                     <div class="filter-group">
                         <label class="filter-label" for="sortOrder">${t('filter.sortBy')}</label>
@@ -107,6 +119,7 @@ class FilterPanel {
                                class="search-input"
                                placeholder="${t('filter.searchPlaceholder')}"
                                value="${filters.searchQuery}">
+                        <button id="telemetrySearchBtn" class="clear-dates-btn telemetry-search-btn">${t('filter.telemetrySearch')}</button>
                     </div>
 
                     <!-- Date Range -->
@@ -127,6 +140,7 @@ class FilterPanel {
                         </div>
                         ${filters.dateRange.start || filters.dateRange.end ?
                             `<button id="clearDates" class="clear-dates-btn">${t('filter.clearDates')}</button>` : ''}
+                        <button id="dayTimelineBtn" class="clear-dates-btn day-timeline-btn">${t('filter.dayTimeline')}</button>
                     </div>
 
                     <!-- Clear All Filters -->
@@ -199,6 +213,14 @@ class FilterPanel {
             });
         }
 
+        // Annotation filter
+        const annotationFilter = document.getElementById('annotationFilter');
+        if (annotationFilter) {
+            annotationFilter.addEventListener('change', (e) => {
+                this.handleAnnotationFilterChange(e.target.value);
+            });
+        }
+
         // Sort order
         const sortOrder = document.getElementById('sortOrder');
         if (sortOrder) {
@@ -215,6 +237,21 @@ class FilterPanel {
             });
         }
 
+        // Telemetry search (cross-event query modal)
+        const telemetrySearchBtn = document.getElementById('telemetrySearchBtn');
+        if (telemetrySearchBtn) {
+            telemetrySearchBtn.addEventListener('click', () => {
+                window.app?.telemetrySearch?.show();
+            });
+        }
+
+        const dayTimelineBtn = document.getElementById('dayTimelineBtn');
+        if (dayTimelineBtn) {
+            dayTimelineBtn.addEventListener('click', () => {
+                window.app?.showDayTimelinePicker();
+            });
+        }
+
         // Date range
         const dateStart = document.getElementById('dateStart');
         const dateEnd = document.getElementById('dateEnd');
@@ -474,6 +511,22 @@ class FilterPanel {
         }
     }
 
+    /**
+     * Handle annotation filter change
+     * @param {string} severity - '', 'any' or a minimum severity
+     */
+    handleAnnotationFilterChange(severity) {
+        this.eventFilter.setFilters({
+            annotationSeverity: severity
+        });
+
+        this.updateFilterBadge();
+
+        if (this.onFilterChange) {
+            this.onFilterChange();
+        }
+    }
+
     /**
      * Get current filter state
      * @returns {Object}
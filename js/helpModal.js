@@ -77,6 +77,14 @@ class HelpModal {
                             <kbd>,</kbd> / <kbd>.</kbd>
                             <span>Step back / forward 1 frame</span>
                         </div>
+                        <div class="shortcut-row">
+                            <kbd>J</kbd> / <kbd>K</kbd> / <kbd>L</kbd>
+                            <span>${this.t('help.shortcuts.shuttle')}</span>
+                        </div>
+                        <div class="shortcut-row">
+                            <kbd>K + J</kbd> / <kbd>K + L</kbd>
+                            <span>${this.t('help.shortcuts.shuttleStep')}</span>
+                        </div>
                         <div class="shortcut-row">
                             <kbd>Shift + Left</kbd>
                             <span>${this.t('help.shortcuts.previousClip')}</span>
@@ -124,7 +132,7 @@ class HelpModal {
                     <h3>${this.t('help.sections.viewLayout')}</h3>
                     <div class="shortcut-grid">
                         <div class="shortcut-row">
-                            <kbd>L</kbd>
+                            <kbd>Shift + L</kbd>
                             <span>${this.t('help.shortcuts.cycleLayouts')}</span>
                         </div>
                         <div class="shortcut-row">
@@ -208,6 +216,10 @@ class HelpModal {
                             <kbd>B</kbd>
                             <span>${this.t('help.shortcuts.addBookmark')}</span>
                         </div>
+                        <div class="shortcut-row">
+                            <kbd>A</kbd>
+                            <span>${this.t('help.shortcuts.addAnnotation')}</span>
+                        </div>
                         <div class="shortcut-row">
                             <kbd>[</kbd>
                             <span>Jump to previous bookmark</span>
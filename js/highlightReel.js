@@ -0,0 +1,524 @@
+/**
+ * HighlightReel - Telemetry-driven highlight compilation across events
+ * Scans events for near-misses, autopilot disengagements and g-force peaks (same detectors as
+ * TelemetryGraphs), picks a window around each and exports them as one video with title cards.
+ */
+
+class HighlightReel {
+    constructor(videoExport, telemetryIndex) {
+        this.videoExport = videoExport;
+        this.telemetryIndex = telemetryIndex;
+
+        this.moments = [];
+        this.isScanning = false;
+        this.isExporting = false;
+        this.cancelRequested = false;
+        this.modal = null;
+
+        this.options = {
+            nearMisses: true,
+            disengagements: true,
+            gForcePeaks: true,
+            minNearMissScore: 5,
+            gForceThreshold: 0.4,  // g, horizontal magnitude
+            secondsBefore: 5,
+            secondsAfter: 5,
+            maxReelSeconds: 300,   // Highlight content only, title cards not counted
+            format: 'webm'
+        };
+
+        this.DISENGAGEMENT_SCORE = 5;
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} str
+     * @returns {string}
+     */
+    escapeHtml(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    /**
+     * Events to scan: Ctrl/Cmd-clicked ones, or all filtered events
+     * @param {string} source - 'selected' or 'filtered'
+     * @returns {Array<Object>}
+     */
+    getSourceEvents(source) {
+        const browser = window.app?.eventBrowser;
+        if (!browser) return [];
+        const events = source === 'selected' ? browser.getMultiSelectedEvents() : browser.events;
+        return events.filter(e => !e.isEmpty);
+    }
+
+    /**
+     * Scan events for highlight moments
+     * @param {Array<Object>} events
+     * @param {Function} onProgress - (eventIndex, eventCount)
+     * @returns {Promise<Array<Object>>} Moments { event, time, kind, score, label }
+     */
+    async scanEvents(events, onProgress = null) {
+        this.isScanning = true;
+        this.cancelRequested = false;
+        const moments = [];
+
+        try {
+            for (let i = 0; i < events.length; i++) {
+                if (this.cancelRequested) break;
+                if (onProgress) onProgress(i, events.length);
+
+                try {
+                    // One point per second from the shared telemetry index (peaks kept per second)
+                    const points = await this.telemetryIndex.getEventPoints(events[i], {
+                        shouldCancel: () => this.cancelRequested
+                    });
+                    moments.push(...this.findMoments(events[i], points));
+                } catch (error) {
+                    console.warn(`[HighlightReel] Failed to scan ${events[i].name}:`, error);
+                }
+            }
+        } finally {
+            this.isScanning = false;
+        }
+
+        console.log(`[HighlightReel] Found ${moments.length} moment(s) in ${events.length} event(s)`);
+        return moments;
+    }
+
+    /**
+     * Find highlight moments in one event's points
+     * @param {Object} event
+     * @param {Array<Object>} points - From TelemetryIndex.getEventPoints()
+     * @returns {Array<Object>}
+     */
+    findMoments(event, points) {
+        const { nearMisses, disengagements, gForcePeaks, minNearMissScore, gForceThreshold } = this.options;
+        const moments = [];
+
+        if (nearMisses) {
+            for (const nm of TelemetryGraphs.scoreNearMisses(points)) {
+                if (nm.score < minNearMissScore) continue;
+                moments.push({
+                    event,
+                    time: nm.time,
+                    kind: 'nearMiss',
+                    score: nm.score,
+                    label: `${this.t('highlights.kind.nearMiss')} (${nm.score})`
+                });
+            }
+        }
+
+        if (disengagements) {
+            for (const ap of TelemetryGraphs.findApEvents(points)) {
+                if (ap.type !== 'disconnected') continue;
+                moments.push({
+                    event,
+                    time: ap.time,
+                    kind: 'disengagement',
+                    score: this.DISENGAGEMENT_SCORE,
+                    label: `${this.t('highlights.kind.disengagement')} (${ap.fromMode})`
+                });
+            }
+        }
+
+        if (gForcePeaks) {
+            let lastPeakTime = -Infinity;
+            for (let i = 1; i < points.length - 1; i++) {
+                const g = Math.hypot(points[i].g_force_x, points[i].g_force_y);
+                if (g < gForceThreshold) continue;
+                // Local maximum, at most one peak per 3 seconds
+                if (g < Math.hypot(points[i - 1].g_force_x, points[i - 1].g_force_y) ||
+                    g < Math.hypot(points[i + 1].g_force_x, points[i + 1].g_force_y)) continue;
+                if (points[i].time - lastPeakTime < 3) continue;
+
+                lastPeakTime = points[i].time;
+                moments.push({
+                    event,
+                    time: points[i].time,
+                    kind: 'gForce',
+                    score: Math.min(10, Math.round(g * 100) / 10),
+                    label: `${this.t('highlights.kind.gForce')} ${g.toFixed(2)} g`
+                });
+            }
+        }
+
+        return moments;
+    }
+
+    /**
+     * Turn moments into export segments
+     * Windows in the same event that overlap are merged; the best-scoring windows are kept
+     * up to the reel length, then played in chronological order.
+     * @param {Array<Object>} moments
+     * @returns {Array<Object>} { event, startTime, endTime, score, title, subtitle }
+     */
+    buildSegments(moments) {
+        const { secondsBefore, secondsAfter, maxReelSeconds } = this.options;
+
+        // Group windows per event and merge overlaps
+        const byEvent = new Map();
+        for (const moment of [...moments].sort((a, b) => a.time - b.time)) {
+            const key = moment.event.compoundKey || moment.event.name;
+            if (!byEvent.has(key)) byEvent.set(key, []);
+            const windows = byEvent.get(key);
+            const start = Math.max(0, moment.time - secondsBefore);
+            const end = moment.time + secondsAfter;
+            const last = windows[windows.length - 1];
+
+            if (last && start <= last.endTime) {
+                last.endTime = Math.max(last.endTime, end);
+                last.score = Math.max(last.score, moment.score);
+                last.labels.push(moment.label);
+            } else {
+                windows.push({ event: moment.event, startTime: start, endTime: end, momentTime: moment.time, score: moment.score, labels: [moment.label] });
+            }
+        }
+
+        // Keep the strongest windows that fit the reel length
+        const ranked = [...byEvent.values()].flat().sort((a, b) => b.score - a.score);
+        const kept = [];
+        let total = 0;
+        for (const clip of ranked) {
+            const duration = clip.endTime - clip.startTime;
+            if (total + duration > maxReelSeconds && kept.length > 0) continue;
+            kept.push(clip);
+            total += duration;
+        }
+
+        return kept
+            .sort((a, b) => (new Date(a.event.timestamp) - new Date(b.event.timestamp)) || (a.startTime - b.startTime))
+            .map(clip => ({
+                event: clip.event,
+                startTime: clip.startTime,
+                endTime: clip.endTime,
+                score: clip.score,
+                title: [...new Set(clip.labels)].join(' · '),
+                subtitle: this._formatMomentTime(clip.event, clip.momentTime)
+            }));
+    }
+
+    /**
+     * Wall-clock time and place of a moment for its title card
+     */
+    _formatMomentTime(event, offsetSeconds) {
+        const base = new Date(event.timestamp);
+        const parts = [];
+        if (!isNaN(base.getTime())) {
+            parts.push(new Date(base.getTime() + offsetSeconds * 1000).toLocaleString());
+        } else {
+            parts.push(event.name);
+        }
+        if (event.metadata?.city) {
+            parts.push(event.metadata.city);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Export the selected moments as one compilation
+     * @param {Array<Object>} moments
+     * @param {Function} onProgress - (percent, segmentIndex, segmentCount)
+     * @returns {Promise<boolean>} False if cancelled
+     */
+    async exportReel(moments, onProgress = null) {
+        const segments = this.buildSegments(moments);
+        if (segments.length === 0) return false;
+
+        // Load privacy blur models once for the whole reel
+        const plateBlur = window.app?.plateBlur;
+        if (plateBlur) {
+            try {
+                await plateBlur.ensureModelsLoaded(plateBlur.getEnabledClasses(window.app.settingsManager));
+            } catch (error) {
+                console.warn('[HighlightReel] Privacy blur model error:', error);
+            }
+        }
+
+        const first = new Date(segments[0].event.timestamp);
+        const last = new Date(segments[segments.length - 1].event.timestamp);
+        const dateRange = isNaN(first.getTime()) ? '' : (first.toDateString() === last.toDateString()
+            ? first.toLocaleDateString()
+            : `${first.toLocaleDateString()} - ${last.toLocaleDateString()}`);
+
+        this.isExporting = true;
+        try {
+            return await this.videoExport.exportCompilation(segments, {
+                loadEvent: (event) => window.app.onEventSelected(event),
+                format: this.options.format,
+                introCard: {
+                    title: this.t('highlights.title'),
+                    subtitle: [dateRange, `${segments.length} ${this.t('highlights.moments')}`].filter(Boolean).join(' · ')
+                },
+                onProgress
+            });
+        } finally {
+            this.isExporting = false;
+        }
+    }
+
+    /**
+     * Show the highlight reel modal
+     */
+    show() {
+        if (this.modal) {
+            this.modal.remove();
+        }
+
+        const selectedCount = this.getSourceEvents('selected').length;
+        const filteredCount = this.getSourceEvents('filtered').length;
+        const o = this.options;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notes-modal highlight-reel-modal';
+        this.modal.innerHTML = `
+            <div class="notes-overlay"></div>
+            <div class="notes-panel export-queue-panel">
+                <div class="notes-header">
+                    <h2>${this.t('highlights.title')}</h2>
+                    <button class="notes-close-btn" title="${this.t('common.close')}">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="notes-content">
+                    <div class="notes-section">
+                        <label class="notes-label">${this.t('exportQueue.events')}</label>
+                        <div class="export-queue-sources">
+                            <label><input type="radio" name="reelSource" value="selected" ${selectedCount > 0 ? 'checked' : 'disabled'}>
+                                ${this.t('exportQueue.selectedEvents')} (${selectedCount})</label>
+                            <label><input type="radio" name="reelSource" value="filtered" ${selectedCount === 0 ? 'checked' : ''} ${filteredCount === 0 ? 'disabled' : ''}>
+                                ${this.t('exportQueue.filteredEvents')} (${filteredCount})</label>
+                        </div>
+                        <div class="export-queue-hint">${this.t('exportQueue.selectHint')}</div>
+                    </div>
+
+                    <div class="notes-section export-queue-grid">
+                        <label class="notes-label">${this.t('highlights.include')}</label>
+                        <div class="export-queue-overlays">
+                            <label><input type="checkbox" data-option="nearMisses" ${o.nearMisses ? 'checked' : ''}> ${this.t('highlights.kind.nearMiss')}</label>
+                            <label><input type="checkbox" data-option="disengagements" ${o.disengagements ? 'checked' : ''}> ${this.t('highlights.kind.disengagement')}</label>
+                            <label><input type="checkbox" data-option="gForcePeaks" ${o.gForcePeaks ? 'checked' : ''}> ${this.t('highlights.kind.gForce')}</label>
+                        </div>
+
+                        <label class="notes-label">${this.t('highlights.gForceThreshold')}</label>
+                        <div class="export-queue-range">
+                            <input type="number" data-option="gForceThreshold" min="0.1" max="2" step="0.05" value="${o.gForceThreshold}"> g
+                        </div>
+
+                        <label class="notes-label">${this.t('highlights.window')}</label>
+                        <div class="export-queue-range">
+                            <input type="number" data-option="secondsBefore" min="1" max="60" value="${o.secondsBefore}">
+                            <span>${this.t('highlights.before')}</span>
+                            <input type="number" data-option="secondsAfter" min="1" max="60" value="${o.secondsAfter}">
+                            <span>${this.t('highlights.after')}</span>
+                        </div>
+
+                        <label class="notes-label">${this.t('highlights.maxLength')}</label>
+                        <div class="export-queue-range">
+                            <input type="number" data-option="maxReelSeconds" min="10" max="3600" step="10" value="${o.maxReelSeconds}"> s
+                        </div>
+
+                        <label class="notes-label">${this.t('exportQueue.format')}</label>
+                        <select data-option="format" class="export-format-select">
+                            <option value="webm" ${o.format === 'webm' ? 'selected' : ''}>WebM</option>
+                            <option value="mp4" ${o.format === 'mp4' ? 'selected' : ''}>MP4</option>
+                        </select>
+                    </div>
+
+                    <div class="notes-section">
+                        <label class="notes-label">${this.t('highlights.moments')}</label>
+                        <div class="export-queue-hint" id="reelStatus"></div>
+                        <div class="export-queue-job-bar hidden" id="reelProgress"><div style="width: 0%"></div></div>
+                        <div id="reelMomentList" class="export-queue-jobs"></div>
+                    </div>
+                </div>
+                <div class="notes-footer">
+                    <button id="reelCancelBtn" class="notes-btn secondary">${this.t('common.cancel')}</button>
+                    <button id="reelScanBtn" class="notes-btn secondary">${this.t('highlights.scan')}</button>
+                    <button id="reelExportBtn" class="notes-btn primary" disabled>${this.t('highlights.export')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this._attachModalEvents();
+        this.renderMoments();
+    }
+
+    /**
+     * Close the modal (a running export keeps going)
+     */
+    hide() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Wire modal controls
+     */
+    _attachModalEvents() {
+        const modal = this.modal;
+        const status = modal.querySelector('#reelStatus');
+        const progress = modal.querySelector('#reelProgress');
+        const progressBar = progress.firstElementChild;
+        const scanBtn = modal.querySelector('#reelScanBtn');
+        const exportBtn = modal.querySelector('#reelExportBtn');
+
+        const setProgress = (percent) => {
+            progress.classList.remove('hidden');
+            progressBar.style.width = `${Math.round(percent)}%`;
+        };
+        const setBusy = (busy) => {
+            scanBtn.disabled = busy;
+            exportBtn.disabled = busy || !this.moments.some(m => m.selected);
+        };
+
+        modal.querySelector('.notes-close-btn').addEventListener('click', () => this.hide());
+        modal.querySelector('.notes-overlay').addEventListener('click', () => this.hide());
+
+        modal.querySelectorAll('[data-option]').forEach(input => {
+            input.addEventListener('change', () => {
+                const key = input.dataset.option;
+                if (input.type === 'checkbox') {
+                    this.options[key] = input.checked;
+                } else if (input.type === 'number') {
+                    const value = parseFloat(input.value);
+                    if (Number.isFinite(value) && value > 0) {
+                        this.options[key] = value;
+                    } else {
+                        input.value = this.options[key];
+                    }
+                } else {
+                    this.options[key] = input.value;
+                }
+            });
+        });
+
+        modal.querySelector('#reelCancelBtn').addEventListener('click', () => {
+            if (this.isScanning) {
+                this.cancelRequested = true;
+            } else if (this.isExporting) {
+                this.videoExport.cancelExport();
+            } else {
+                this.hide();
+            }
+        });
+
+        scanBtn.addEventListener('click', async () => {
+            const source = modal.querySelector('input[name="reelSource"]:checked')?.value;
+            const events = source ? this.getSourceEvents(source) : [];
+            if (events.length === 0) {
+                alert(this.t('exportQueue.nothingToExport'));
+                return;
+            }
+
+            setBusy(true);
+            const moments = await this.scanEvents(events, (index, count) => {
+                if (!this.modal) return;
+                status.textContent = `${this.t('highlights.scanning')} ${index + 1} / ${count}`;
+                setProgress((index / count) * 100);
+            });
+            this.moments = moments.map(m => ({ ...m, selected: true }));
+            if (!this.modal) return;
+
+            progress.classList.add('hidden');
+            this.renderMoments();
+            setBusy(false);
+        });
+
+        exportBtn.addEventListener('click', async () => {
+            const selected = this.moments.filter(m => m.selected);
+            if (selected.length === 0) return;
+            if (this.videoExport.isExporting) {
+                alert('An export is already in progress. Please wait for it to complete.');
+                return;
+            }
+
+            setBusy(true);
+            status.textContent = this.t('highlights.exporting');
+            setProgress(0);
+            try {
+                const completed = await this.exportReel(selected, (percent, segIndex, segCount) => {
+                    if (!this.modal) return;
+                    status.textContent = `${this.t('highlights.exporting')} ${segIndex + 1} / ${segCount}`;
+                    setProgress(percent);
+                });
+                if (this.modal) {
+                    status.textContent = completed ? this.t('highlights.done') : this.t('exportQueue.status.cancelled');
+                }
+            } catch (error) {
+                console.error('[HighlightReel] Export failed:', error);
+                alert('Export was unable to complete: ' + error.message);
+                if (this.modal) status.textContent = '';
+            } finally {
+                if (this.modal) {
+                    progress.classList.add('hidden');
+                    setBusy(false);
+                }
+            }
+        });
+
+        modal.querySelector('#reelMomentList').addEventListener('change', (e) => {
+            const index = parseInt(e.target.dataset.momentIndex, 10);
+            if (!Number.isInteger(index) || !this.moments[index]) return;
+            this.moments[index].selected = e.target.checked;
+            this._updateSummary();
+            exportBtn.disabled = !this.moments.some(m => m.selected);
+        });
+    }
+
+    /**
+     * Render the scanned moment list
+     */
+    renderMoments() {
+        const list = this.modal?.querySelector('#reelMomentList');
+        if (!list) return;
+
+        if (this.moments.length === 0) {
+            list.innerHTML = `<div class="export-queue-hint">${this.t('highlights.empty')}</div>`;
+        } else {
+            list.innerHTML = this.moments.map((moment, index) => `
+                <label class="export-queue-job">
+                    <span class="export-queue-job-info">
+                        <span class="export-queue-job-name">${this.escapeHtml(moment.label)}</span>
+                        <span class="export-queue-job-status">${this.escapeHtml(this._formatMomentTime(moment.event, moment.time))}</span>
+                    </span>
+                    <span class="export-queue-job-status">${moment.score}</span>
+                    <input type="checkbox" data-moment-index="${index}" ${moment.selected ? 'checked' : ''}>
+                </label>
+            `).join('');
+        }
+
+        this._updateSummary();
+        const exportBtn = this.modal.querySelector('#reelExportBtn');
+        if (exportBtn) exportBtn.disabled = !this.moments.some(m => m.selected);
+    }
+
+    /**
+     * Show how long the reel will be with the current selection
+     */
+    _updateSummary() {
+        const status = this.modal?.querySelector('#reelStatus');
+        if (!status || this.isScanning || this.isExporting) return;
+
+        const segments = this.buildSegments(this.moments.filter(m => m.selected));
+        const seconds = Math.round(segments.reduce((sum, seg) => sum + seg.endTime - seg.startTime, 0));
+        status.textContent = this.moments.length === 0 ? '' :
+            `${segments.length} ${this.t('highlights.clips')}, ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
+
+window.HighlightReel = HighlightReel;
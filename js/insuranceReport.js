@@ -15,6 +15,21 @@ class InsuranceReport {
         this.pageHeight = 841.89;
         this.margin = 40;
         this.contentWidth = this.pageWidth - (this.margin * 2);
+
+        // Sections in default order (ReportTemplates choose, order and configure these by id)
+        this.SECTIONS = [
+            { id: 'claimInfo', label: 'Claim Details' },
+            { id: 'eventInfo', label: 'Event Information' },
+            { id: 'location', label: 'Location' },
+            { id: 'keyFrames', label: 'Video Evidence' },
+            { id: 'sentryTrigger', label: 'Sentry Trigger Analysis' },
+            { id: 'telemetry', label: 'Telemetry' },
+            { id: 'incidentAnalysis', label: 'Incident Analysis' },
+            { id: 'annotations', label: 'Annotations' },
+            { id: 'recordingInfo', label: 'Recording Information' },
+            { id: 'verification', label: 'Clip Integrity Verification' },
+            { id: 'timeline', label: 'Timeline of Events' }
+        ];
     }
 
     /**
@@ -71,7 +86,10 @@ class InsuranceReport {
     /**
      * Generate insurance report PDF for current event
      * @param {Object} options - Generation options
-     * @returns {Promise<void>}
+     *   template: ReportTemplates template (defaults to the active template, or all sections)
+     *   claimValues: [{ label, value }] for the Claim Details section (defaults to the template's fields)
+     *   returnBlob: return the PDF instead of saving it
+     * @returns {Promise<Blob|void>}
      */
     async generateReport(options = {}) {
         if (this.isGenerating) {
@@ -88,6 +106,12 @@ class InsuranceReport {
             throw new Error('jsPDF library not loaded. Please check your internet connection and reload the page.');
         }
 
+        const template = options.template || window.app?.reportTemplates?.getActiveTemplate() || null;
+        const sections = template
+            ? template.sections.filter(section => section.enabled).map(section => section.id)
+            : this.SECTIONS.map(section => section.id);
+        const claimValues = options.claimValues || template?.claimFields || [];
+
         this.isGenerating = true;
         this._reportProgress(0, 'Starting report generation...');
 
@@ -107,47 +131,79 @@ class InsuranceReport {
             // === FETCH WEATHER DATA (async, early) ===
             this._reportProgress(2, 'Fetching weather data...');
             this._weatherData = await this._fetchWeatherData(event);
+            this._computeSentryTrigger(event);
 
             // === HEADER SECTION ===
             this._reportProgress(5, 'Adding header...');
-            yPosition = this._addHeader(doc, yPosition);
-
-            // === EVENT INFO SECTION ===
-            this._reportProgress(10, 'Adding event information...');
-            yPosition = this._addEventInfo(doc, event, yPosition);
-
-            // === LOCATION SECTION ===
-            this._reportProgress(20, 'Adding location details...');
-            yPosition = await this._addLocationSection(doc, event, yPosition);
-
-            // === KEY FRAMES SECTION ===
-            this._reportProgress(35, 'Capturing video frames...');
-            const keyFramesResult = await this._addKeyFramesSection(doc, event, yPosition, options);
-            yPosition = keyFramesResult.yPosition;
-            const evidenceMarkers = keyFramesResult.frameTimes || [];
-
-            // === SENTRY TRIGGER ANALYSIS (for Sentry events only) ===
-            if (event.type === 'SentryClips') {
-                this._reportProgress(50, 'Analyzing sentry trigger...');
-                yPosition = await this._addSentryTriggerSection(doc, event, yPosition);
+            yPosition = this._addHeader(doc, yPosition, template?.letterhead);
+
+            // Key frames feed markers into the telemetry graphs and route map, when they come first
+            let evidenceMarkers = [];
+
+            for (let i = 0; i < sections.length; i++) {
+                const id = sections[i];
+                const label = this.SECTIONS.find(section => section.id === id)?.label || id;
+                this._reportProgress(10 + Math.round((i / sections.length) * 80), `Adding ${label.toLowerCase()}...`);
+
+                switch (id) {
+                    case 'claimInfo':
+                        yPosition = this._addClaimSection(doc, claimValues, yPosition);
+                        break;
+                    case 'eventInfo':
+                        yPosition = this._addEventInfo(doc, event, yPosition);
+                        break;
+                    case 'location':
+                        yPosition = await this._addLocationSection(doc, event, yPosition);
+                        break;
+                    case 'keyFrames': {
+                        const keyFramesResult = await this._addKeyFramesSection(doc, event, yPosition, {
+                            ...options,
+                            keyFrames: template?.keyFrames
+                        });
+                        yPosition = keyFramesResult.yPosition;
+                        evidenceMarkers = keyFramesResult.frameTimes || [];
+                        break;
+                    }
+                    case 'sentryTrigger':
+                        // Sentry events only
+                        if (event.type === 'SentryClips') {
+                            yPosition = await this._addSentryTriggerSection(doc, event, yPosition);
+                        }
+                        break;
+                    case 'telemetry':
+                        yPosition = await this._addTelemetrySection(doc, yPosition, evidenceMarkers);
+                        break;
+                    case 'incidentAnalysis':
+                        yPosition = await this._addIncidentAnalysisSection(doc, yPosition);
+                        break;
+                    case 'annotations': {
+                        // Only if the event has annotations
+                        const annotationManager = window.app?.annotationManager;
+                        const annotations = annotationManager?.getAnnotations(event.compoundKey || event.name) || [];
+                        if (annotations.length > 0) {
+                            yPosition = this._addAnnotationsSection(doc, annotations, annotationManager, yPosition);
+                        }
+                        break;
+                    }
+                    case 'recordingInfo':
+                        yPosition = this._addRecordingInfoSection(doc, event, yPosition);
+                        break;
+                    case 'verification': {
+                        // Only if the clips were verified this session
+                        const verification = window.app?.clipVerifier?.getResultForEvent(event);
+                        if (verification) {
+                            yPosition = this._addVerificationSection(doc, verification, yPosition);
+                        }
+                        break;
+                    }
+                    case 'timeline':
+                        yPosition = this._addTimelineSection(doc, event, yPosition);
+                        break;
+                    default:
+                        console.warn(`[InsuranceReport] Unknown section: ${id}`);
+                }
             }
 
-            // === TELEMETRY SECTION ===
-            this._reportProgress(60, 'Adding telemetry data...');
-            yPosition = await this._addTelemetrySection(doc, yPosition, evidenceMarkers);
-
-            // === INCIDENT ANALYSIS SECTION ===
-            this._reportProgress(75, 'Analyzing incident data...');
-            yPosition = await this._addIncidentAnalysisSection(doc, yPosition);
-
-            // === RECORDING INFO SECTION ===
-            this._reportProgress(82, 'Adding recording info...');
-            yPosition = this._addRecordingInfoSection(doc, event, yPosition);
-
-            // === TIMELINE OF EVENTS ===
-            this._reportProgress(88, 'Adding timeline...');
-            yPosition = this._addTimelineSection(doc, event, yPosition);
-
             // === FOOTER ===
             this._reportProgress(95, 'Adding footer...');
             this._addFooter(doc);
@@ -157,6 +213,11 @@ class InsuranceReport {
 
             // Save PDF
             this._reportProgress(98, 'Generating PDF file...');
+            if (options.returnBlob) {
+                this._reportProgress(100, 'Report generated successfully!');
+                return doc.output('blob');
+            }
+
             const filename = this._generateFilename(event);
             doc.save(filename);
 
@@ -170,12 +231,36 @@ class InsuranceReport {
     }
 
     /**
-     * Add header with branding
+     * Estimate the Sentry trigger time (used by Event Information and Sentry Trigger Analysis)
+     * @param {Object} event
+     */
+    _computeSentryTrigger(event) {
+        this._sentryTriggerTime = null;
+        this._sentryTotalDuration = null;
+        if (event.type !== 'SentryClips') return;
+
+        // Sentry trigger is typically 1 minute before end of recording
+        const totalDuration = this.videoPlayer?.cachedClipDurations?.reduce((a, b) => a + b, 0) ||
+            (event.clips?.length || 10) * 60;
+        this._sentryTriggerTime = Math.max(0, totalDuration - 60);
+        this._sentryTotalDuration = totalDuration;
+    }
+
+    /**
+     * Add header with branding, or the template's company letterhead
      * @param {jsPDF} doc
      * @param {number} y - Current Y position
+     * @param {Object} letterhead - { companyName, lines, logo (data URL) } from ReportTemplates
      * @returns {number} - New Y position
      */
-    _addHeader(doc, y) {
+    _addHeader(doc, y, letterhead = null) {
+        const now = new Date();
+        const dateStr = now.toLocaleDateString() + ' ' + now.toLocaleTimeString();
+
+        if (letterhead && (letterhead.companyName || letterhead.logo)) {
+            return this._addLetterhead(doc, letterhead, dateStr);
+        }
+
         // Logo/Title area
         doc.setFillColor(26, 26, 26);
         doc.rect(0, 0, this.pageWidth, 80, 'F');
@@ -193,15 +278,106 @@ class InsuranceReport {
         doc.text('Dashcam Incident Report', this.margin, 65);
 
         // Report generation timestamp
-        const now = new Date();
         doc.setFontSize(10);
         doc.setTextColor(150, 150, 150);
-        const dateStr = now.toLocaleDateString() + ' ' + now.toLocaleTimeString();
         doc.text(`Generated: ${dateStr}`, this.pageWidth - this.margin - 120, 65);
 
         return 100;
     }
 
+    /**
+     * Company letterhead: logo, name and address lines on white, with a rule underneath
+     * @returns {number} - New Y position
+     */
+    _addLetterhead(doc, letterhead, dateStr) {
+        let x = this.margin;
+        const top = 25;
+
+        if (letterhead.logo) {
+            try {
+                const props = doc.getImageProperties(letterhead.logo);
+                const logoHeight = 50;
+                const logoWidth = Math.min(140, logoHeight * (props.width / props.height));
+                doc.addImage(letterhead.logo, props.fileType || 'PNG', x, top, logoWidth, logoHeight);
+                x += logoWidth + 15;
+            } catch (e) {
+                console.warn('[InsuranceReport] Could not add letterhead logo:', e);
+            }
+        }
+
+        let textY = top + 14;
+        if (letterhead.companyName) {
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(16);
+            doc.setTextColor(30, 30, 30);
+            doc.text(letterhead.companyName, x, textY);
+            textY += 14;
+        }
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(90, 90, 90);
+        for (const line of (letterhead.lines || []).slice(0, 4)) {
+            doc.text(line, x, textY);
+            textY += 11;
+        }
+
+        // Report title and generation timestamp on the right
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(12);
+        doc.setTextColor(30, 30, 30);
+        doc.text('Dashcam Incident Report', this.pageWidth - this.margin, top + 14, { align: 'right' });
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(120, 120, 120);
+        doc.text(`Generated: ${dateStr}`, this.pageWidth - this.margin, top + 28, { align: 'right' });
+
+        const ruleY = Math.max(top + 60, textY + 4);
+        const [r, g, b] = this._hexToRgb(letterhead.color || '#0096c8');
+        doc.setDrawColor(r, g, b);
+        doc.setLineWidth(2);
+        doc.line(this.margin, ruleY, this.pageWidth - this.margin, ruleY);
+
+        return ruleY + 25;
+    }
+
+    /**
+     * Add claim details (policy number, claimant, ...) from the template's claim fields
+     * @param {jsPDF} doc
+     * @param {Array} fields - [{ label, value }]
+     * @param {number} y
+     * @returns {number}
+     */
+    _addClaimSection(doc, fields, y) {
+        const rows = fields.filter(field => field.label && String(field.value || '').trim());
+        if (rows.length === 0) return y;
+
+        y = this._addSectionTitle(doc, 'Claim Details', y);
+
+        doc.setFontSize(11);
+        for (const row of rows) {
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(100, 100, 100);
+            doc.text(`${row.label}:`, this.margin, y);
+
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(50, 50, 50);
+            const lines = doc.splitTextToSize(String(row.value).trim(), this.contentWidth - 120);
+            doc.text(lines, this.margin + 120, y);
+            y += 18 + (lines.length - 1) * 13;
+        }
+
+        return y + 15;
+    }
+
+    /**
+     * '#rrggbb' to [r, g, b]
+     */
+    _hexToRgb(hex) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+        return match ? [1, 2, 3].map(i => parseInt(match[i], 16)) : [0, 150, 200];
+    }
+
     /**
      * Add event information section
      * @param {jsPDF} doc
@@ -250,14 +426,7 @@ class InsuranceReport {
 
         // Add sentry-specific information
         if (event.type === 'SentryClips') {
-            // Calculate sentry trigger time (typically 1 minute before end of recording)
-            const totalDuration = this.videoPlayer?.cachedClipDurations?.reduce((a, b) => a + b, 0) ||
-                (event.clips?.length || 10) * 60;
-            const sentryTriggerTime = Math.max(0, totalDuration - 60);
-
-            // Store for use in other sections
-            this._sentryTriggerTime = sentryTriggerTime;
-            this._sentryTotalDuration = totalDuration;
+            const sentryTriggerTime = this._sentryTriggerTime || 0;
 
             info.push({
                 label: 'Trigger Time:',
@@ -566,7 +735,7 @@ class InsuranceReport {
                 // Wait for all videos to be ready (not just a fixed delay)
                 await this._waitForAllVideosReady();
 
-                const imageData = await this._captureCurrentFrame();
+                const imageData = await this._captureCurrentFrame(options.keyFrames?.cameras);
                 if (imageData) {
                     frameImages.push({
                         image: imageData,
@@ -579,9 +748,13 @@ class InsuranceReport {
             }
         }
 
-        // Add frames to PDF (2 per row)
+        // Add frames to PDF (2 per row), keeping the captured aspect ratio (4:3 for a single camera)
         const imgWidth = (this.contentWidth - 10) / 2;
-        const imgHeight = imgWidth * 0.75; // 4:3 aspect ratio
+        let imgHeight = imgWidth * 0.75;
+        if (frameImages.length > 0) {
+            const props = doc.getImageProperties(frameImages[0].image);
+            imgHeight = imgWidth * (props.height / props.width);
+        }
 
         for (let i = 0; i < frameImages.length; i++) {
             const frame = frameImages[i];
@@ -3098,6 +3271,139 @@ class InsuranceReport {
         return y + 15;
     }
 
+    /**
+     * Add clip verification results from ClipVerifier
+     * @param {jsPDF} doc
+     * @param {Object} result - ClipVerifier result
+     * @param {number} y
+     * @returns {number}
+     */
+    _addVerificationSection(doc, result, y) {
+        if (y > this.pageHeight - 200) {
+            doc.addPage();
+            y = this.margin;
+        }
+
+        y = this._addSectionTitle(doc, 'Clip Integrity Verification', y);
+
+        const { summary } = result;
+        const verdicts = {
+            verified: { text: 'VERIFIED - all files match the manifest hashes', color: [0, 120, 0] },
+            consistent: { text: 'NO ISSUES FOUND - no manifest was provided to compare hashes', color: [0, 100, 160] },
+            failed: { text: 'ISSUES FOUND - see details below', color: [200, 0, 0] }
+        };
+        const verdict = verdicts[summary.verdict] || verdicts.failed;
+
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...verdict.color);
+        doc.text(verdict.text, this.margin, y);
+        y += 15;
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(50, 50, 50);
+        const lines = [
+            `Verified: ${new Date(result.verifiedAt).toLocaleString()}`,
+            `Files checked: ${summary.checked} (SHA-256, MP4 structure, SEI frame sequence)`,
+            result.manifest
+                ? `Manifest: ${result.manifest.name}${result.manifest.extractedAt ? `, extracted ${new Date(result.manifest.extractedAt).toLocaleString()}` : ''} - ${summary.hashMatches} match, ${summary.hashMismatches} altered, ${result.missingFiles.length} missing${summary.notChecked ? `, ${summary.notChecked} not checked` : ''}`
+                : 'Manifest: none',
+            `Missing frames: ${summary.missingFrames}   Errors: ${summary.errors}   Warnings: ${summary.warnings}`
+        ];
+        for (const line of lines) {
+            doc.text(line, this.margin, y);
+            y += 12;
+        }
+        y += 5;
+
+        // List problem files (errors first), with room left for the footer
+        const problems = [
+            ...result.missingFiles.map(path => ({ name: path, severity: 'error', message: 'Listed in manifest but missing' })),
+            ...result.files.flatMap(file => file.issues.map(issue => ({ name: file.name, ...issue })))
+        ].sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+
+        const MAX_LISTED = 15;
+        doc.setFontSize(9);
+        for (const problem of problems.slice(0, MAX_LISTED)) {
+            if (y > this.pageHeight - 60) {
+                doc.addPage();
+                y = this.margin;
+            }
+            doc.setTextColor(problem.severity === 'error' ? 200 : 150, problem.severity === 'error' ? 0 : 100, 0);
+            const text = doc.splitTextToSize(`• ${problem.name}: ${problem.message}`, this.contentWidth - 10);
+            doc.text(text, this.margin + 10, y);
+            y += text.length * 10 + 2;
+        }
+        if (problems.length > MAX_LISTED) {
+            doc.setTextColor(100, 100, 100);
+            doc.text(`...and ${problems.length - MAX_LISTED} more`, this.margin + 10, y);
+            y += 11;
+        }
+
+        return y + 15;
+    }
+
+    /**
+     * Add the event's time-ranged annotations, colored by severity
+     * @param {jsPDF} doc
+     * @param {Array} annotations - Sorted by start time
+     * @param {AnnotationManager} annotationManager - For labels and time formatting
+     * @param {number} y
+     * @returns {number}
+     */
+    _addAnnotationsSection(doc, annotations, annotationManager, y) {
+        if (y > this.pageHeight - 150) {
+            doc.addPage();
+            y = this.margin;
+        }
+
+        y = this._addSectionTitle(doc, 'Annotations', y);
+
+        const severityColors = {
+            info: [0, 100, 160],
+            low: [0, 120, 0],
+            medium: [200, 120, 0],
+            high: [200, 0, 0]
+        };
+
+        for (const annotation of annotations) {
+            const details = [
+                annotationManager.t(`annotations.categories.${annotation.category}`),
+                annotation.region ? `${this._formatCameraName(annotation.region.camera)} (region marked)` : null,
+                annotation.author ? `by ${annotation.author}` : null
+            ].filter(Boolean).join(' - ');
+            const text = annotation.text
+                ? doc.splitTextToSize(annotation.text, this.contentWidth - 10)
+                : [];
+
+            if (y + 24 + text.length * 11 > this.pageHeight - 60) {
+                doc.addPage();
+                y = this.margin;
+                y = this._addSectionTitle(doc, 'Annotations (continued)', y);
+            }
+
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(...(severityColors[annotation.severity] || severityColors.info));
+            doc.text(`${annotationManager.formatRange(annotation)}  ${annotation.severity.toUpperCase()}`, this.margin, y);
+
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(80, 80, 80);
+            doc.text(details, this.margin + 140, y);
+            y += 12;
+
+            if (text.length > 0) {
+                doc.setTextColor(50, 50, 50);
+                doc.text(text, this.margin + 10, y);
+                y += text.length * 11;
+            }
+            y += 6;
+        }
+
+        return y + 10;
+    }
+
     /**
      * Fetch historical weather data from Open-Meteo
      * @param {Object} event
@@ -3802,10 +4108,51 @@ class InsuranceReport {
 
     /**
      * Determine which frames to capture
-     * @param {Object} options
+     * @param {Object} options - { keyFrames: { moments: 'auto' | 'bookmarks' | 'interval', interval, maxFrames } }
+     * @returns {Promise<Array>}
+     */
+    async _determineFrameTimes(options = {}) {
+        const config = options.keyFrames || {};
+        let frames = null;
+
+        if (config.moments === 'bookmarks') {
+            const bookmarks = window.app?.timeline?.bookmarks || [];
+            if (bookmarks.length > 0) {
+                frames = [...bookmarks]
+                    .sort((a, b) => a.time - b.time)
+                    .map(bookmark => ({ time: bookmark.time, label: bookmark.label || 'Bookmark' }));
+            }
+        } else if (config.moments === 'interval' && config.interval > 0) {
+            const marks = window.app?.clipMarking?.getMarks() || { inPoint: null, outPoint: null };
+            const hasMarks = marks.inPoint !== null && marks.outPoint !== null;
+            const start = hasMarks ? marks.inPoint : 0;
+            const end = hasMarks ? marks.outPoint : Math.max(0, (await this.videoPlayer.getTotalDuration() || 60) - 1);
+            frames = [];
+            for (let time = start; time <= end; time += config.interval) {
+                frames.push({ time, label: this._formatTime(time) });
+            }
+        }
+
+        // Bookmark mode without bookmarks falls back to the automatic moments
+        if (!frames || frames.length === 0) {
+            frames = await this._autoFrameTimes();
+        }
+
+        // Spread the frames evenly when there are more than the template allows
+        const maxFrames = config.maxFrames > 0 ? config.maxFrames : 0;
+        if (maxFrames && frames.length > maxFrames) {
+            const step = (frames.length - 1) / Math.max(1, maxFrames - 1);
+            frames = Array.from({ length: maxFrames }, (_, i) => frames[Math.round(i * step)]);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Default capture moments: the marked range, or key points across the event
      * @returns {Promise<Array>}
      */
-    async _determineFrameTimes(options) {
+    async _autoFrameTimes() {
         const clipMarking = window.app?.clipMarking;
         const marks = clipMarking?.getMarks() || { inPoint: null, outPoint: null };
 
@@ -3939,9 +4286,10 @@ class InsuranceReport {
 
     /**
      * Capture current video frame
+     * @param {Array<string>} cameras - Cameras to show in a grid (template setting); current layout if empty
      * @returns {Promise<string>} Base64 image data
      */
-    async _captureCurrentFrame() {
+    async _captureCurrentFrame(cameras = null) {
         const videos = this.videoPlayer.videos;
         const layoutManager = window.app?.layoutManager;
 
@@ -3954,9 +4302,16 @@ class InsuranceReport {
         const videoWidth = firstVideo?.videoWidth || 1280;
         const videoHeight = firstVideo?.videoHeight || 960;
 
+        // Template camera selection: plain grid of just those cameras
+        const selected = (cameras || []).filter(name => videos[name]?.src);
+        const gridCols = selected.length <= 1 ? 1 : selected.length <= 4 ? 2 : 3;
+
         // Get layout configuration
         let layoutConfig = null;
-        if (layoutManager && layoutManager.renderer) {
+        if (selected.length > 0) {
+            canvas.width = videoWidth * gridCols;
+            canvas.height = videoHeight * Math.ceil(selected.length / gridCols);
+        } else if (layoutManager && layoutManager.renderer) {
             layoutConfig = layoutManager.getCurrentConfig();
             if (layoutConfig) {
                 const exportConfig = layoutManager.renderer.calculateExportConfig(
@@ -3969,7 +4324,7 @@ class InsuranceReport {
         }
 
         // Fallback to 2x2 grid
-        if (!layoutConfig) {
+        if (!layoutConfig && selected.length === 0) {
             canvas.width = videoWidth * 2;
             canvas.height = videoHeight * 2;
         }
@@ -3987,7 +4342,13 @@ class InsuranceReport {
             }
         }
 
-        if (layoutConfig && layoutConfig.cameras) {
+        if (selected.length > 0) {
+            selected.forEach((name, i) => {
+                const video = videos[name];
+                if (video.readyState < 2) return;
+                ctx.drawImage(video, (i % gridCols) * videoWidth, Math.floor(i / gridCols) * videoHeight, videoWidth, videoHeight);
+            });
+        } else if (layoutConfig && layoutConfig.cameras) {
             // Draw using current layout
             const sortedCameras = Object.entries(layoutConfig.cameras)
                 .filter(([name, cam]) => cam.visible && cam.w > 0 && cam.h > 0)
@@ -0,0 +1,349 @@
+/**
+ * LosslessTrim - Cuts the IN/OUT range out of the original Tesla MP4s without re-encoding
+ * For evidence handoff: each camera's samples are copied byte for byte (SEI telemetry NAL units
+ * included), consecutive one-minute clips are joined into one file, and the result is written to
+ * a new folder next to a copy of the event's original event.json. Output files are named after
+ * their first clip with a _trim suffix, so they can't be mistaken for an unmodified original.
+ *
+ * Clips are only joined when each starts where the previous one ended. A recording gap (or a
+ * missing clip) starts a new file instead, since joining would shift everything after it.
+ *
+ * Without re-encoding a file can only start on a keyframe, so each camera starts at the last
+ * keyframe at or before the IN point (usually well under a second early).
+ */
+
+class LosslessTrim {
+    constructor(videoPlayer, clipMarking) {
+        this.videoPlayer = videoPlayer;
+        this.clipMarking = clipMarking;
+        this.mp4 = window.Mp4Container ? new Mp4Container() : null;
+        this.isTrimming = false;
+
+        this.CAMERAS = ['front', 'back', 'left_repeater', 'right_repeater', 'left_pillar', 'right_pillar'];
+
+        // Clip names have 1-second resolution, so smaller differences are not gaps
+        this.GAP_TOLERANCE = 1.5;
+    }
+
+    /**
+     * Whether the browser can write the output folder
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof window.showDirectoryPicker === 'function' &&
+            !!window.seiExtractor &&
+            !!window.Mp4Container;
+    }
+
+    /**
+     * Split an event-time range into per-clip ranges, using the same cached durations as
+     * VideoPlayer.seekToEventTime
+     * @returns {Array} [{ clipIndex, start, end }] with start/end in clip time
+     */
+    getClipRanges(inPoint, outPoint) {
+        const durations = this.videoPlayer.cachedClipDurations || [];
+        const ranges = [];
+        let accumulated = 0;
+
+        for (let i = 0; i < durations.length; i++) {
+            const duration = durations[i];
+            if (!duration) continue; // Clips without front camera
+
+            const clipEnd = accumulated + duration;
+            if (outPoint > accumulated && inPoint < clipEnd) {
+                ranges.push({
+                    clipIndex: i,
+                    start: Math.max(0, inPoint - accumulated),
+                    end: Math.min(duration, outPoint - accumulated)
+                });
+            }
+            accumulated = clipEnd;
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Trim the marked range of an event into a new folder
+     * @param {Object} event - Current event
+     * @param {FileSystemDirectoryHandle} directoryHandle - Folder to create the trim folder in
+     * @param {Function} onProgress - (percent, message)
+     * @returns {Promise<Object>} { folderName, files: [names], gaps: [{ afterClip, beforeClip, seconds }] }
+     */
+    async trim(event, directoryHandle, onProgress = null) {
+        if (this.isTrimming) {
+            throw new Error('A lossless trim is already in progress');
+        }
+
+        const { inPoint, outPoint } = this.clipMarking.getMarks();
+        if (inPoint === null || outPoint === null || outPoint <= inPoint) {
+            throw new Error('Set IN and OUT points first');
+        }
+
+        const ranges = this.getClipRanges(inPoint, outPoint);
+        if (ranges.length === 0) {
+            throw new Error('Marked range does not cover any clips');
+        }
+
+        const cameras = this.CAMERAS.filter(camera =>
+            ranges.some(range => event.clipGroups[range.clipIndex]?.clips[camera]?.fileHandle));
+
+        const folderName = `${event.name || 'event'}_trim_${this._formatTime(inPoint)}-${this._formatTime(outPoint)}`
+            .replace(/[\\/:*?"<>|]/g, '-');
+        const outputDir = await directoryHandle.getDirectoryHandle(folderName, { create: true });
+        const files = [];
+        const gaps = new Map(); // clipIndex -> gap before that clip (same for every camera)
+
+        console.log(`[LosslessTrim] ${event.name}: ${inPoint.toFixed(2)}s - ${outPoint.toFixed(2)}s, ${ranges.length} clip(s), ${cameras.length} camera(s)`);
+
+        this.isTrimming = true;
+        try {
+            const totalSteps = cameras.length * ranges.length;
+            let step = 0;
+
+            for (const camera of cameras) {
+                const written = await this.trimCamera(event, camera, ranges, outputDir, () => {
+                    step++;
+                    if (onProgress) {
+                        onProgress(Math.round((step / totalSteps) * 100), camera);
+                    }
+                }, gaps);
+                files.push(...written);
+            }
+
+            if (await this.copyEventJson(event, outputDir)) {
+                files.push('event.json');
+            }
+        } finally {
+            this.isTrimming = false;
+        }
+
+        console.log(`[LosslessTrim] Wrote ${files.length} file(s) to ${folderName}`);
+        return { folderName, files, gaps: Array.from(gaps.values()) };
+    }
+
+    /**
+     * Copy one camera's samples for the range, starting a new file wherever the camera is missing
+     * a clip or the next clip does not start where the previous one ended
+     * @param {Map} gaps - Filled with clipIndex -> { afterClip, beforeClip, seconds } for gaps found
+     * @returns {Promise<Array>} Names of the files written
+     */
+    async trimCamera(event, camera, ranges, outputDir, onStep, gaps = new Map()) {
+        const written = [];
+        let output = null;
+        let previous = null; // { clipIndex, name, start: Date|null, duration } of the clip just appended
+
+        const flush = async () => {
+            if (output && output.samples.length > 0) {
+                const blob = this.mp4.mux(output.samples, output.track);
+                await this._writeFile(outputDir, output.name, blob);
+                written.push(output.name);
+            }
+            output = null;
+        };
+
+        for (const range of ranges) {
+            const clip = event.clipGroups[range.clipIndex]?.clips[camera];
+            let track = null;
+            let bytes = null;
+
+            if (clip?.fileHandle) {
+                try {
+                    const file = await clip.fileHandle.getFile();
+                    const buffer = await file.arrayBuffer();
+                    track = this.mp4.demux(buffer);
+                    bytes = new Uint8Array(buffer);
+                } catch (error) {
+                    console.warn(`[LosslessTrim] Failed to read ${camera} clip ${range.clipIndex}:`, error);
+                }
+                if (!track) {
+                    console.warn(`[LosslessTrim] No H.264 track in ${camera} clip ${range.clipIndex}`);
+                }
+            }
+
+            if (!track) {
+                // Joining across a missing minute would shift everything after it
+                await flush();
+                previous = null;
+                onStep();
+                continue;
+            }
+
+            // Same for a recording gap between two clips that are both present
+            const clipStart = this._clipStart(event, range.clipIndex);
+            if (output && previous) {
+                const gap = previous.start && clipStart
+                    ? (clipStart - previous.start) / 1000 - previous.duration
+                    : 0;
+                if (gap > this.GAP_TOLERANCE) {
+                    console.warn(`[LosslessTrim] ${camera}: ${gap.toFixed(1)}s gap between ${previous.name} and ${clip.fileHandle.name}, starting a new file`);
+                    gaps.set(range.clipIndex, { afterClip: previous.name, beforeClip: clip.fileHandle.name, seconds: gap });
+                    await flush();
+                }
+            }
+
+            const indices = this._selectSamples(track, range, !output);
+            if (indices) {
+                if (!output) {
+                    output = {
+                        name: this._outputName(clip.fileHandle.name),
+                        track: { descriptions: [], width: track.width, height: track.height, timescale: track.timescale },
+                        samples: []
+                    };
+                }
+
+                const descriptionIndex = this._descriptionIndex(output.track.descriptions, track.description);
+                const scale = output.track.timescale / track.timescale;
+
+                for (let i = indices.first; i <= indices.last; i++) {
+                    const sample = track.samples[i];
+                    output.samples.push({
+                        data: this._sampleData(bytes, track, i),
+                        isKey: sample.isKey,
+                        delta: Math.round(sample.delta * scale),
+                        compositionOffset: Math.round(sample.compositionOffset * scale),
+                        descriptionIndex
+                    });
+                }
+                previous = { clipIndex: range.clipIndex, name: clip.fileHandle.name, start: clipStart, duration: this._trackDuration(track) };
+            }
+
+            onStep();
+        }
+
+        await flush();
+        return written;
+    }
+
+    /**
+     * Wall-clock start of a clip group from its name (YYYY-MM-DD_HH-MM-SS)
+     * @returns {Date|null}
+     */
+    _clipStart(event, clipIndex) {
+        const timestamp = event.clipGroups[clipIndex]?.timestamp;
+        const parser = window.app?.folderParser;
+        return timestamp && parser ? parser.parseClipTimestamp(timestamp) : null;
+    }
+
+    /**
+     * Length of a demuxed track in seconds (last frame's end)
+     */
+    _trackDuration(track) {
+        return track.samples.reduce((end, s) => Math.max(end, s.time + s.duration), 0);
+    }
+
+    /**
+     * Output file name: the first clip's name with a _trim suffix
+     */
+    _outputName(clipName) {
+        const dot = clipName.lastIndexOf('.');
+        return dot > 0 ? `${clipName.slice(0, dot)}_trim${clipName.slice(dot)}` : `${clipName}_trim`;
+    }
+
+    /**
+     * Pick the samples (decode order) covering a clip range
+     * @param {boolean} startsFile - Cut at the keyframe at or before range.start; otherwise the
+     *   clip continues a file and is taken from its first sample
+     * @returns {Object|null} { first, last } sample indices
+     */
+    _selectSamples(track, range, startsFile) {
+        const samples = track.samples;
+        let first = -1;
+
+        if (startsFile) {
+            for (let i = 0; i < samples.length; i++) {
+                if (!samples[i].isKey) continue;
+                if (samples[i].time <= range.start || first === -1) {
+                    first = i;
+                }
+                if (samples[i].time > range.start) break;
+            }
+        } else {
+            first = samples.findIndex(s => s.isKey);
+        }
+        if (first === -1) return null;
+
+        let last = -1;
+        for (let i = first; i < samples.length; i++) {
+            if (samples[i].time < range.end) last = i;
+        }
+        return last >= first ? { first, last } : null;
+    }
+
+    /**
+     * Bytes of one sample, including any NAL units stored between it and the previous sample
+     * so SEI telemetry written outside the sample ranges travels with its frame
+     */
+    _sampleData(bytes, track, index) {
+        const sample = track.samples[index];
+        const previous = track.samples[index - 1];
+        const gapStart = previous ? previous.offset + previous.size : (track.mdat ? track.mdat.start : sample.offset);
+        const start = gapStart < sample.offset && this._isNalRun(bytes, gapStart, sample.offset)
+            ? gapStart
+            : sample.offset;
+        return bytes.slice(start, sample.offset + sample.size);
+    }
+
+    /**
+     * Whether a byte range is exactly a run of length-prefixed NAL units
+     */
+    _isNalRun(bytes, start, end) {
+        let pos = start;
+        while (pos + 4 <= end) {
+            const size = ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+            if (size === 0) return false;
+            pos += 4 + size;
+        }
+        return pos === end;
+    }
+
+    /**
+     * 1-based index of a decoder config in the output's sample descriptions, adding it if new
+     */
+    _descriptionIndex(descriptions, description) {
+        const index = descriptions.findIndex(d =>
+            d.byteLength === description.byteLength && d.every((byte, i) => byte === description[i]));
+        if (index !== -1) return index + 1;
+        descriptions.push(description.slice());
+        return descriptions.length;
+    }
+
+    /**
+     * Copy the event's original event.json unchanged
+     * @returns {Promise<boolean>} False if the event has none (RecentClips, day timeline)
+     */
+    async copyEventJson(event, outputDir) {
+        if (!event.folderHandle) return false;
+
+        try {
+            const fileHandle = await event.folderHandle.getFileHandle('event.json');
+            const file = await fileHandle.getFile();
+            await this._writeFile(outputDir, 'event.json', file);
+            return true;
+        } catch (error) {
+            if (error.name !== 'NotFoundError') {
+                console.warn('[LosslessTrim] Failed to copy event.json:', error);
+            }
+            return false;
+        }
+    }
+
+    async _writeFile(directoryHandle, filename, blob) {
+        const fileHandle = await directoryHandle.getFileHandle(filename, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+        console.log(`[LosslessTrim] Saved ${filename}`);
+    }
+
+    /**
+     * Event time as MM-SS for the folder name
+     */
+    _formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins.toString().padStart(2, '0')}-${secs.toString().padStart(2, '0')}`;
+    }
+}
+
+window.LosslessTrim = LosslessTrim;
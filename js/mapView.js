@@ -1465,8 +1465,9 @@ class MapView {
     async scanAllEventsForMap(events = null) {
         events = events || this.events;
 
-        if (!window.seiExtractor || !events || events.length === 0) {
-            console.log('[MapView] No SEI extractor or events available for bulk scan');
+        const telemetryIndex = window.app?.telemetryIndex;
+        if (!telemetryIndex || !events || events.length === 0) {
+            console.log('[MapView] No telemetry index or events available for bulk scan');
             if (window.app?.showToast) {
                 window.app.showToast('No events available to scan', 'warning', 3000);
             }
@@ -1493,16 +1494,6 @@ class MapView {
         // Show progress indicator
         const progressEl = this._showScanProgress('All Events', events.length);
 
-        // Initialize SEI extractor
-        try {
-            await window.seiExtractor.init();
-        } catch (error) {
-            console.error('[MapView] Failed to initialize SEI extractor:', error);
-            this._hideScanProgress(progressEl);
-            this._isScanning = false;
-            return { incidents: 0, apDisengagements: 0 };
-        }
-
         // Detection thresholds - match TelemetryGraphs exactly
         const INCIDENT_THRESHOLDS = {
             MIN_DECEL_G: 0.20,
@@ -1512,8 +1503,7 @@ class MapView {
             WINDOW_SEC: 1.5
         };
 
-        const FPS = 36;
-        const SAMPLE_INTERVAL = Math.floor(FPS * 5); // Sample every ~5 seconds like TelemetryGraphs
+        const SAMPLE_INTERVAL_SEC = 5; // Sample every ~5 seconds like TelemetryGraphs
         const AP_STATE_NAMES = ['NONE', 'FSD', 'AUTOSTEER', 'TACC'];
 
         let totalIncidents = 0;
@@ -1538,75 +1528,45 @@ class MapView {
 
                 let lastIncidentTime = -Infinity;
                 let previousApState = null;
-                let clipTimeOffset = 0;
 
                 // Collect sampled points for this event
                 const sampledPoints = [];
 
-                for (let clipIdx = 0; clipIdx < event.clipGroups.length; clipIdx++) {
-                    if (this._scanCancelled) break;
-
-                    const clipGroup = event.clipGroups[clipIdx];
-                    const frontClip = clipGroup.clips?.front || clipGroup.clips?.back;
-
-                    if (!frontClip || !frontClip.fileHandle) continue;
-
-                    const file = await frontClip.fileHandle.getFile();
-                    const seiData = await window.seiExtractor.extractFromFile(file);
-                    totalClipsProcessed++;
-
-                    if (seiData && seiData.frames && seiData.frames.length > 0) {
-                        const frameCount = seiData.frames.length;
-
-                        // Sample frames like TelemetryGraphs does
-                        for (let i = 0; i < frameCount; i += SAMPLE_INTERVAL) {
-                            const frame = seiData.frames[i];
-                            const frameTime = clipTimeOffset + (i / FPS);
-
-                            const hasValidGps = frame.latitude_deg &&
-                                frame.longitude_deg &&
-                                Math.abs(frame.latitude_deg) > 0.001 &&
-                                Math.abs(frame.longitude_deg) > 0.001;
-
-                            if (!hasValidGps) continue;
-
-                            // Build sampled point
-                            const point = {
-                                time: frameTime,
-                                speed_mph: frame.speed_mph || 0,
-                                g_force_y: frame.g_force_y || 0,
-                                autopilot: AP_STATE_NAMES[frame.autopilot_state] || 'NONE',
-                                autopilot_state: frame.autopilot_state || 0,
-                                brake: frame.brake_applied || false,
-                                latitude: frame.latitude_deg,
-                                longitude: frame.longitude_deg
-                            };
-                            sampledPoints.push(point);
-
-                            // Detect AP disengagement
-                            if (previousApState !== null &&
-                                previousApState > 0 &&
-                                frame.autopilot_state === 0) {
-
-                                eventApDisengagements.push({
-                                    lat: frame.latitude_deg,
-                                    lng: frame.longitude_deg,
-                                    fromState: AP_STATE_NAMES[previousApState] || 'UNKNOWN',
-                                    toState: 'NONE',
-                                    speed_mph: frame.speed_mph || 0,
-                                    eventName: event.name,
-                                    eventType: event.type,
-                                    timestamp: event.timestamp,
-                                    eventTime: frameTime,
-                                    eventKey: eventKey
-                                });
-                            }
-
-                            previousApState = frame.autopilot_state;
-                        }
+                // Per-second telemetry from the shared index (clips are parsed once and cached)
+                const eventPoints = await telemetryIndex.getEventPoints(event, {
+                    interval: SAMPLE_INTERVAL_SEC,
+                    shouldCancel: () => this._scanCancelled
+                });
+                totalClipsProcessed += event.clipGroups.length;
+
+                for (const point of eventPoints) {
+                    const hasValidGps = Math.abs(point.latitude) > 0.001 &&
+                        Math.abs(point.longitude) > 0.001;
 
-                        clipTimeOffset += frameCount / FPS;
+                    if (!hasValidGps) continue;
+
+                    sampledPoints.push(point);
+
+                    // Detect AP disengagement
+                    if (previousApState !== null &&
+                        previousApState > 0 &&
+                        point.autopilot_state === 0) {
+
+                        eventApDisengagements.push({
+                            lat: point.latitude,
+                            lng: point.longitude,
+                            fromState: AP_STATE_NAMES[previousApState] || 'UNKNOWN',
+                            toState: 'NONE',
+                            speed_mph: point.speed_mph || 0,
+                            eventName: event.name,
+                            eventType: event.type,
+                            timestamp: event.timestamp,
+                            eventTime: point.time,
+                            eventKey: eventKey
+                        });
                     }
+
+                    previousApState = point.autopilot_state;
                 }
 
                 // Detect incidents from sampled points (matching TelemetryGraphs logic)
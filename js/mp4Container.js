@@ -0,0 +1,306 @@
+/**
+ * Mp4Container - Minimal MP4 reader/writer for single-track H.264 files
+ * Reads the sample table of a Tesla clip (boxes located with SeiExtractor._findBox) and writes
+ * samples back out as ftyp + mdat + moov. Used by WebCodecsExport for encoded output and by
+ * LosslessTrim to copy original samples without re-encoding.
+ */
+
+class Mp4Container {
+    // ==================== MP4 demux ====================
+
+    /**
+     * Read the H.264 track's decoder config and sample table
+     * @param {ArrayBuffer} buffer - Whole MP4 file
+     * @returns {Object|null} { codec, description, width, height, timescale, mdat: { start, end },
+     *   samples: [{ offset, size, time, duration, isKey, delta, compositionOffset }] }
+     *   time/duration are in seconds, delta/compositionOffset in timescale units
+     */
+    demux(buffer) {
+        const sei = window.seiExtractor;
+        const data = new DataView(buffer);
+        const moov = sei._findBox(data, 'moov', 0, data.byteLength);
+        if (!moov) return null;
+
+        const find = (name) => sei._findBox(data, name, moov.start, moov.end);
+        const mdhd = find('mdhd');
+        const stsd = find('stsd');
+        const stsz = find('stsz');
+        const stsc = find('stsc');
+        const stts = find('stts');
+        const stco = find('stco') || find('co64');
+        if (!mdhd || !stsd || !stsz || !stsc || !stts || !stco) return null;
+
+        // Sample description: avc1 visual sample entry with its avcC box
+        const entry = stsd.dataStart + 8;
+        const entryType = sei._readAscii(data, entry + 4, 4);
+        if (entryType !== 'avc1' && entryType !== 'avc3') return null;
+        const entryEnd = entry + data.getUint32(entry);
+        const width = data.getUint16(entry + 8 + 24);
+        const height = data.getUint16(entry + 8 + 26);
+        const avcC = sei._findBox(data, 'avcC', entry + 8 + 78, entryEnd);
+        if (!avcC) return null;
+
+        const description = new Uint8Array(buffer, avcC.dataStart, avcC.end - avcC.dataStart);
+        const codec = 'avc1.' + [1, 2, 3].map(i => description[i].toString(16).padStart(2, '0')).join('');
+
+        const timescale = data.getUint8(mdhd.dataStart) === 0
+            ? data.getUint32(mdhd.dataStart + 12)
+            : data.getUint32(mdhd.dataStart + 20);
+
+        // Sample sizes
+        const fixedSize = data.getUint32(stsz.dataStart + 4);
+        const sampleCount = data.getUint32(stsz.dataStart + 8);
+        const samples = new Array(sampleCount);
+        for (let i = 0; i < sampleCount; i++) {
+            samples[i] = {
+                offset: 0,
+                size: fixedSize || data.getUint32(stsz.dataStart + 12 + i * 4),
+                time: 0,
+                duration: 0,
+                isKey: false,
+                delta: 0,
+                compositionOffset: 0
+            };
+        }
+
+        // Offsets from chunk offsets + sample-to-chunk runs
+        const is64 = sei._readAscii(data, stco.start + 4, 4) === 'co64';
+        const chunkCount = data.getUint32(stco.dataStart + 4);
+        const chunkOffset = (i) => is64
+            ? Number(data.getBigUint64(stco.dataStart + 8 + i * 8))
+            : data.getUint32(stco.dataStart + 8 + i * 4);
+        const runCount = data.getUint32(stsc.dataStart + 4);
+        let sample = 0;
+        for (let run = 0; run < runCount; run++) {
+            const runPos = stsc.dataStart + 8 + run * 12;
+            const firstChunk = data.getUint32(runPos) - 1;
+            const samplesPerChunk = data.getUint32(runPos + 4);
+            const lastChunk = run + 1 < runCount ? data.getUint32(runPos + 12) - 1 : chunkCount;
+            for (let chunk = firstChunk; chunk < lastChunk && sample < sampleCount; chunk++) {
+                let offset = chunkOffset(chunk);
+                for (let i = 0; i < samplesPerChunk && sample < sampleCount; i++, sample++) {
+                    samples[sample].offset = offset;
+                    offset += samples[sample].size;
+                }
+            }
+        }
+
+        // Decode times, plus composition offsets if the track has reordered frames
+        const ctts = find('ctts');
+        if (ctts) {
+            const version = data.getUint8(ctts.dataStart);
+            const count = data.getUint32(ctts.dataStart + 4);
+            sample = 0;
+            for (let i = 0; i < count; i++) {
+                const pos = ctts.dataStart + 8 + i * 8;
+                const runLength = data.getUint32(pos);
+                const offset = version === 1 ? data.getInt32(pos + 4) : data.getUint32(pos + 4);
+                for (let j = 0; j < runLength && sample < sampleCount; j++, sample++) {
+                    samples[sample].compositionOffset = offset;
+                }
+            }
+        }
+
+        const timeRunCount = data.getUint32(stts.dataStart + 4);
+        let dts = 0;
+        sample = 0;
+        for (let run = 0; run < timeRunCount; run++) {
+            const count = data.getUint32(stts.dataStart + 8 + run * 8);
+            const delta = data.getUint32(stts.dataStart + 12 + run * 8);
+            for (let i = 0; i < count && sample < sampleCount; i++, sample++) {
+                samples[sample].time = (dts + samples[sample].compositionOffset) / timescale;
+                samples[sample].duration = delta / timescale;
+                samples[sample].delta = delta;
+                dts += delta;
+            }
+        }
+
+        // Presentation starts at the first frame, like the <video> element's currentTime
+        let startTime = Infinity;
+        for (const s of samples) {
+            if (s.time < startTime) startTime = s.time;
+        }
+        for (const s of samples) {
+            s.time -= startTime;
+        }
+
+        // Sync samples (all samples are keyframes when there's no stss)
+        const stss = find('stss');
+        if (stss) {
+            const count = data.getUint32(stss.dataStart + 4);
+            for (let i = 0; i < count; i++) {
+                const index = data.getUint32(stss.dataStart + 8 + i * 4) - 1;
+                if (samples[index]) samples[index].isKey = true;
+            }
+        } else {
+            for (const s of samples) s.isKey = true;
+        }
+
+        const mdat = sei._findBox(data, 'mdat', 0, data.byteLength);
+
+        return {
+            codec,
+            description,
+            width,
+            height,
+            timescale,
+            mdat: mdat ? { start: mdat.dataStart, end: mdat.end } : null,
+            samples
+        };
+    }
+
+    // ==================== MP4 mux ====================
+
+    /**
+     * Write H.264 samples into an MP4 (ftyp, mdat, moov)
+     * @param {Array} samples - [{ data: Uint8Array, isKey, delta, compositionOffset?, descriptionIndex? }]
+     *   delta/compositionOffset in timescale units, descriptionIndex is 1-based (default 1)
+     * @param {Object} track - { descriptions: [Uint8Array avcC], width, height, timescale }
+     * @returns {Blob}
+     */
+    mux(samples, track) {
+        const { descriptions, width, height, timescale } = track;
+        const mediaDuration = samples.reduce((sum, s) => sum + s.delta, 0);
+        const movieDuration = Math.round(mediaDuration / timescale * 1000);
+
+        const ftyp = this._box('ftyp', this._ascii('isom'), this._u32(512),
+            this._ascii('isom'), this._ascii('iso2'), this._ascii('avc1'), this._ascii('mp41'));
+
+        const mdatSize = 8 + samples.reduce((sum, s) => sum + s.data.byteLength, 0);
+        if (mdatSize > 0xFFFFFFFF) {
+            throw new Error('Export is too large for a single MP4 (over 4 GB)');
+        }
+        const mdatHeader = new Uint8Array(8);
+        new DataView(mdatHeader.buffer).setUint32(0, mdatSize);
+        mdatHeader.set(this._ascii('mdat'), 4);
+
+        const offsets = [];
+        let offset = ftyp.byteLength + 8;
+        for (const s of samples) {
+            offsets.push(offset);
+            offset += s.data.byteLength;
+        }
+
+        const matrix = this._u32(0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000);
+
+        const mvhd = this._fullBox('mvhd', 0, 0,
+            this._u32(0, 0, 1000, movieDuration, 0x00010000),
+            this._u16(0x0100), new Uint8Array(10), matrix, new Uint8Array(24), this._u32(2));
+
+        const tkhd = this._fullBox('tkhd', 0, 3,
+            this._u32(0, 0, 1, 0, movieDuration), new Uint8Array(8),
+            this._u16(0, 0, 0, 0), matrix, this._u32(width << 16, height << 16));
+
+        // Reordered tracks start presenting at the first frame's composition offset
+        const firstOffset = samples.length ? (samples[0].compositionOffset || 0) : 0;
+        const edts = firstOffset > 0
+            ? this._box('edts', this._fullBox('elst', 0, 0, this._u32(1, movieDuration, firstOffset, 0x00010000)))
+            : new Uint8Array(0);
+
+        const mdhd = this._fullBox('mdhd', 0, 0, this._u32(0, 0, timescale, mediaDuration), this._u16(0x55C4, 0));
+        const hdlr = this._fullBox('hdlr', 0, 0, this._u32(0), this._ascii('vide'), new Uint8Array(12), this._ascii('VideoHandler\0'));
+
+        const sampleEntries = descriptions.map(description => this._box('avc1',
+            new Uint8Array(6), this._u16(1, 0, 0), new Uint8Array(12),
+            this._u16(width, height), this._u32(0x00480000, 0x00480000, 0), this._u16(1),
+            new Uint8Array(32), this._u16(0x0018, 0xFFFF),
+            this._box('avcC', description)));
+
+        const keyFrames = [];
+        samples.forEach((s, i) => {
+            if (s.isKey) keyFrames.push(i + 1);
+        });
+
+        // One sample per chunk; a new stsc run whenever the sample description changes
+        const chunkRuns = [];
+        samples.forEach((s, i) => {
+            const descriptionIndex = s.descriptionIndex || 1;
+            if (chunkRuns.length === 0 || chunkRuns[chunkRuns.length - 1][2] !== descriptionIndex) {
+                chunkRuns.push([i + 1, 1, descriptionIndex]);
+            }
+        });
+
+        const hasReordering = samples.some(s => s.compositionOffset);
+        const stblBoxes = [
+            this._fullBox('stsd', 0, 0, this._u32(sampleEntries.length), ...sampleEntries),
+            this._fullBox('stts', 0, 0, this._runLengths(samples.map(s => s.delta)))
+        ];
+        if (hasReordering) {
+            const negative = samples.some(s => s.compositionOffset < 0);
+            stblBoxes.push(this._fullBox('ctts', negative ? 1 : 0, 0,
+                this._runLengths(samples.map(s => s.compositionOffset || 0))));
+        }
+        stblBoxes.push(
+            this._fullBox('stss', 0, 0, this._u32(keyFrames.length, keyFrames)),
+            this._fullBox('stsc', 0, 0, this._u32(chunkRuns.length, chunkRuns.flat())),
+            this._fullBox('stsz', 0, 0, this._u32(0, samples.length, samples.map(s => s.data.byteLength))),
+            this._fullBox('stco', 0, 0, this._u32(offsets.length, offsets)));
+
+        const minf = this._box('minf',
+            this._fullBox('vmhd', 0, 1, this._u16(0, 0, 0, 0)),
+            this._box('dinf', this._fullBox('dref', 0, 0, this._u32(1), this._fullBox('url ', 0, 1))),
+            this._box('stbl', ...stblBoxes));
+
+        const moov = this._box('moov', mvhd,
+            this._box('trak', tkhd, edts, this._box('mdia', mdhd, hdlr, minf)));
+
+        return new Blob([ftyp, mdatHeader, ...samples.map(s => s.data), moov], { type: 'video/mp4' });
+    }
+
+    /**
+     * Entry count followed by (count, value) runs, as used by stts and ctts
+     */
+    _runLengths(values) {
+        const runs = [];
+        for (const value of values) {
+            const last = runs[runs.length - 1];
+            if (last && last[1] === value) {
+                last[0]++;
+            } else {
+                runs.push([1, value]);
+            }
+        }
+        return this._u32(runs.length, runs.flat());
+    }
+
+    _box(type, ...payloads) {
+        const size = 8 + payloads.reduce((sum, p) => sum + p.byteLength, 0);
+        const box = new Uint8Array(size);
+        new DataView(box.buffer).setUint32(0, size);
+        box.set(this._ascii(type), 4);
+        let pos = 8;
+        for (const payload of payloads) {
+            box.set(payload, pos);
+            pos += payload.byteLength;
+        }
+        return box;
+    }
+
+    _fullBox(type, version, flags, ...payloads) {
+        return this._box(type, new Uint8Array([version, (flags >> 16) & 0xFF, (flags >> 8) & 0xFF, flags & 0xFF]), ...payloads);
+    }
+
+    /**
+     * Big-endian uint32s (arrays are written in place, for sample tables)
+     */
+    _u32(...values) {
+        values = values.flat();
+        const bytes = new Uint8Array(values.length * 4);
+        const view = new DataView(bytes.buffer);
+        values.forEach((value, i) => view.setUint32(i * 4, value >>> 0));
+        return bytes;
+    }
+
+    _u16(...values) {
+        const bytes = new Uint8Array(values.length * 2);
+        const view = new DataView(bytes.buffer);
+        values.forEach((value, i) => view.setUint16(i * 2, value & 0xFFFF));
+        return bytes;
+    }
+
+    _ascii(text) {
+        return Uint8Array.from(text, c => c.charCodeAt(0));
+    }
+}
+
+window.Mp4Container = Mp4Container;
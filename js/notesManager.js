@@ -99,6 +99,7 @@ class NotesManager {
         console.log('[NotesManager] Saving notes for:', eventName, 'Data:', notes);
 
         try {
+            const previous = this.getNotes(eventName);
             const stored = localStorage.getItem(this.STORAGE_KEY);
             const allNotes = stored ? JSON.parse(stored) : {};
 
@@ -117,6 +118,15 @@ class NotesManager {
 
             localStorage.setItem(this.STORAGE_KEY, JSON.stringify(allNotes));
 
+            // Track which fields changed for three-way merges
+            if (window.eventDataBackup) {
+                const saved = allNotes[eventName] || { text: '', tags: [] };
+                const changed = [];
+                if (saved.text !== previous.text.trim()) changed.push('text');
+                if ([...saved.tags].sort().join('\n') !== [...previous.tags].sort().join('\n')) changed.push('tags');
+                window.eventDataBackup.recordRevision(eventName, changed);
+            }
+
             // Backup to event folder if available
             this.backupToEventFolder(eventName, notes);
 
@@ -548,21 +558,177 @@ class NotesManager {
 
     /**
      * Import notes from JSON
+     * When merging, each event is three-way merged with the local copy: tags from both sides are
+     * kept and events whose text diverged are returned as conflicts (local text kept until resolved)
      * @param {Object} notesData - Notes data to import
      * @param {boolean} merge - Whether to merge with existing or replace
+     * @param {Object} mergeStates - Revision/base records of the imported copy, keyed like notesData
+     * @returns {Array} Conflicts: [{ eventKey, notes, rev, conflict }]
      */
-    importNotes(notesData, merge = true) {
+    importNotes(notesData, merge = true, mergeStates = {}) {
+        const conflicts = [];
         try {
-            if (merge) {
-                const existing = this.exportNotes() || {};
-                const merged = { ...existing, ...notesData };
-                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(merged));
-            } else {
+            if (!merge) {
                 localStorage.setItem(this.STORAGE_KEY, JSON.stringify(notesData));
+                return conflicts;
+            }
+
+            const allNotes = this.exportNotes() || {};
+            const backup = window.eventDataBackup;
+            const completed = [];
+
+            for (const [eventKey, notes] of Object.entries(notesData || {})) {
+                if (!backup) {
+                    allNotes[eventKey] = notes;
+                    continue;
+                }
+
+                const result = backup.mergeEventData(
+                    { notes: allNotes[eventKey] || { text: '', tags: [] }, state: backup.getMergeState(eventKey) },
+                    { notes, state: mergeStates[eventKey] || null }
+                );
+                if (result.notes.text || result.notes.tags.length > 0) {
+                    allNotes[eventKey] = result.notes;
+                } else {
+                    delete allNotes[eventKey];
+                }
+
+                if (result.conflict) {
+                    conflicts.push({ eventKey, ...result });
+                } else {
+                    completed.push({ eventKey, rev: result.rev });
+                }
+            }
+
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(allNotes));
+            for (const { eventKey, rev } of completed) {
+                backup.completeMerge(eventKey, { rev, bookmarks: false });
             }
         } catch (e) {
             console.warn('Failed to import notes:', e);
         }
+        return conflicts;
+    }
+
+    /**
+     * Ask the user how to resolve diverging note text
+     * @param {Array} conflicts - [{ eventKey, notes, conflict: { localText, remoteText, localRev, remoteRev } }]
+     * @param {Object} labels - { local, remote } names for the two copies
+     * @returns {Promise<Map|null>} eventKey -> resolved text, or null if postponed
+     */
+    showConflictDialog(conflicts, labels = {}) {
+        const localLabel = labels.local || this.t('notes.conflicts.thisBrowser');
+        const remoteLabel = labels.remote || this.t('notes.conflicts.otherCopy');
+        const formatRev = (rev) => rev?.at
+            ? `${this.t('notes.conflicts.edited')} ${new Date(rev.at).toLocaleString()}`
+            : '';
+
+        return new Promise((resolve) => {
+            const dialog = document.createElement('div');
+            dialog.className = 'notes-modal notes-conflict-modal';
+            dialog.innerHTML = `
+                <div class="notes-overlay"></div>
+                <div class="notes-panel export-queue-panel">
+                    <div class="notes-header">
+                        <h2>${this.t('notes.conflicts.title')}</h2>
+                        <button class="notes-close-btn" title="${this.t('common.close')}">
+                            <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                            </svg>
+                        </button>
+                    </div>
+                    <div class="notes-content">
+                        <div class="notes-section">
+                            <div class="export-queue-hint">${this.t('notes.conflicts.hint')}</div>
+                        </div>
+                        ${conflicts.map((item, index) => `
+                            <div class="notes-section notes-conflict" data-index="${index}">
+                                <div class="notes-event-info">${this.escapeHtml(item.eventKey)}</div>
+                                <div class="notes-conflict-sides">
+                                    <div class="notes-conflict-side">
+                                        <label class="notes-label">${this.escapeHtml(localLabel)} <span class="export-queue-hint">${formatRev(item.conflict.localRev)}</span></label>
+                                        <pre class="notes-conflict-text">${this.escapeHtml(item.conflict.localText)}</pre>
+                                    </div>
+                                    <div class="notes-conflict-side">
+                                        <label class="notes-label">${this.escapeHtml(remoteLabel)} <span class="export-queue-hint">${formatRev(item.conflict.remoteRev)}</span></label>
+                                        <pre class="notes-conflict-text">${this.escapeHtml(item.conflict.remoteText)}</pre>
+                                    </div>
+                                </div>
+                                <div class="export-queue-overlays">
+                                    <label><input type="radio" name="conflictChoice${index}" value="local" checked> ${this.t('notes.conflicts.keepLocal')}</label>
+                                    <label><input type="radio" name="conflictChoice${index}" value="remote"> ${this.t('notes.conflicts.keepRemote')}</label>
+                                    <label><input type="radio" name="conflictChoice${index}" value="both"> ${this.t('notes.conflicts.keepBoth')}</label>
+                                </div>
+                                <textarea class="notes-textarea notes-conflict-result" maxlength="4000">${this.escapeHtml(item.conflict.localText)}</textarea>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div class="notes-footer">
+                        <button class="notes-btn secondary notes-conflict-later">${this.t('notes.conflicts.later')}</button>
+                        <button class="notes-btn primary notes-conflict-apply">${this.t('notes.conflicts.apply')}</button>
+                    </div>
+                </div>
+            `;
+
+            const close = (result) => {
+                dialog.remove();
+                resolve(result);
+            };
+
+            dialog.querySelectorAll('.notes-conflict').forEach(section => {
+                const item = conflicts[Number(section.dataset.index)];
+                const textarea = section.querySelector('.notes-conflict-result');
+                section.querySelectorAll('input[type="radio"]').forEach(radio => {
+                    radio.addEventListener('change', () => {
+                        const { localText, remoteText } = item.conflict;
+                        textarea.value = radio.value === 'local' ? localText
+                            : radio.value === 'remote' ? remoteText
+                            : window.eventDataBackup.combineText(localText, remoteText);
+                    });
+                });
+            });
+
+            dialog.querySelector('.notes-close-btn').addEventListener('click', () => close(null));
+            dialog.querySelector('.notes-conflict-later').addEventListener('click', () => close(null));
+            dialog.querySelector('.notes-conflict-apply').addEventListener('click', () => {
+                const resolved = new Map();
+                dialog.querySelectorAll('.notes-conflict').forEach(section => {
+                    resolved.set(conflicts[Number(section.dataset.index)].eventKey,
+                        section.querySelector('.notes-conflict-result').value);
+                });
+                close(resolved);
+            });
+
+            document.body.appendChild(dialog);
+        });
+    }
+
+    /**
+     * Resolve note conflicts with the dialog and save the chosen text
+     * Postponed conflicts keep the local text and come back at the next merge
+     * @param {Array} conflicts - From importNotes() or EventDataBackup.mergeEventData(), with an
+     *   optional `remote` ({ notes, bookmarks }) when the other copy is the event folder backup
+     * @param {Object} labels - { local, remote }
+     * @param {Object} options - { bookmarks: false when only notes were merged }
+     * @returns {Promise<boolean>} Whether the conflicts were resolved
+     */
+    async resolveConflicts(conflicts, labels = {}, options = {}) {
+        if (!conflicts || conflicts.length === 0) return true;
+
+        const resolved = await this.showConflictDialog(conflicts, labels);
+        if (!resolved) {
+            console.log(`[NotesManager] ${conflicts.length} note conflict(s) postponed`);
+            return false;
+        }
+
+        for (const item of conflicts) {
+            const text = resolved.get(item.eventKey) ?? item.conflict.localText;
+            this.saveNotes(item.eventKey, { text, tags: item.notes.tags });
+            const rev = { ...item.rev, text: window.eventDataBackup.getMergeState(item.eventKey).rev.text };
+            window.eventDataBackup.completeMerge(item.eventKey, { rev, bookmarks: options.bookmarks, remote: item.remote });
+        }
+        console.log(`[NotesManager] Resolved ${conflicts.length} note conflict(s)`);
+        return true;
     }
 }
 
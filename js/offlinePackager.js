@@ -27,6 +27,9 @@ class OfflinePackager {
             'videoPlayer.js',
             'timeline.js',
             'syncController.js',
+            'syncDiagnostics.js',
+            'shuttleController.js',
+            'dayTimeline.js',
             'clipMarking.js',
             'incidentSlowMo.js',
 
@@ -39,6 +42,11 @@ class OfflinePackager {
 
             // Telemetry & Data
             'seiExtractor.js',
+            'seiWorkerPool.js',
+            'seiWorker.js',
+            'telemetryExporter.js',
+            'telemetryIndex.js',
+            'telemetrySearch.js',
             'telemetryOverlay.js',
             'telemetryGraphs.js',
 
@@ -53,9 +61,12 @@ class OfflinePackager {
 
             // License Plate Features
             'plateDetector.js',
+            'personDetector.js',
             'plateRecognizer.js',
             'plateEnhancer.js',
             'plateBlur.js',
+            'blurRegionEditor.js',
+            'calloutLayer.js',
             'platePostProcessor.js',
             'frameStacker.js',
             'regionTracker.js',
@@ -65,12 +76,22 @@ class OfflinePackager {
             // Export & Capture
             'screenshotCapture.js',
             'videoExport.js',
+            'mp4Container.js',
+            'webCodecsExport.js',
+            'losslessTrim.js',
+            'evidenceBundle.js',
+            'clipVerifier.js',
+            'reportTemplates.js',
+            'exportQueue.js',
+            'highlightReel.js',
             'videoEnhancer.js',
             'insuranceReport.js',
             'collisionReconstruction.js',
 
             // Notes & Data
             'notesManager.js',
+            'annotationManager.js',
+            'workspaceBackup.js',
             'statisticsManager.js',
 
             // Settings & UI
@@ -323,13 +344,15 @@ class OfflinePackager {
             }
         }
 
-        // 3c. Bundle vendor assets (protobuf schema for telemetry)
+        // 3c. Bundle vendor assets (protobuf.js and schema for telemetry)
         progressCallback('Bundling vendor assets...', 44);
         try {
             const proto = await this.fetchLocal('vendor/dashcam.proto');
             zip.file('vendor/dashcam.proto', proto);
+            const protobufJs = await this.fetchLocal('vendor/protobuf.min.js');
+            zip.file('vendor/protobuf.min.js', protobufJs);
         } catch (e) {
-            console.warn('dashcam.proto not found, skipping');
+            console.warn('protobuf.js or dashcam.proto not found, skipping');
         }
 
         // 3d. Bundle gif.js library for GIF export
@@ -0,0 +1,538 @@
+/**
+ * PersonDetector - YOLOv8 face and pedestrian detection using ONNX Runtime Web
+ * Second detector path next to PlateDetector so faces/people can be anonymized
+ * in exports and screenshots. Runs entirely in the browser using WebAssembly.
+ *
+ * Model: yolov8n-face-person.onnx (2 classes: 0 = face, 1 = person)
+ * The model is not bundled - see vendor/models/README.md for how to add it.
+ */
+class PersonDetector {
+    constructor() {
+        this.session = null;
+        this.isLoading = false;
+        this.isLoaded = false;
+        this.loadError = null; // Message of the last failed load, shown to the user
+
+        // Model configuration
+        this.modelPath = 'vendor/models/yolov8n-face-person.onnx';
+        this.inputSize = 640;
+        this.classNames = ['face', 'person'];
+        this.confidenceThresholds = { face: 0.35, person: 0.4 };
+        this.iouThreshold = 0.45;
+
+        // IndexedDB caching (shared store with the plate models)
+        this.dbName = 'TeslaCamViewerModels';
+        this.storeName = 'models';
+        this.modelVersion = '1.0.0';
+        this.modelKey = `yolov8n-face-person-${this.modelVersion}`;
+
+        // Performance tracking
+        this.lastInferenceTime = 0;
+
+        // Callbacks
+        this.onProgress = null;
+    }
+
+    /**
+     * Initialize ONNX Runtime and load the model
+     * @param {Function} progressCallback - Optional callback for progress updates
+     * @returns {Promise<boolean>}
+     */
+    async loadModel(progressCallback = null) {
+        if (this.isLoaded) return true;
+        if (this.isLoading) {
+            while (this.isLoading) {
+                await new Promise(resolve => setTimeout(resolve, 147));
+            }
+            return this.isLoaded;
+        }
+
+        this.isLoading = true;
+        this.onProgress = progressCallback;
+
+        try {
+            this._reportProgress('Initializing ONNX Runtime...', 5);
+
+            if (typeof ort === 'undefined') {
+                throw new Error('ONNX Runtime Web not loaded. Include ort.wasm.min.js in your HTML.');
+            }
+            ort.env.wasm.numThreads = 1;
+
+            // Try IndexedDB cache first
+            this._reportProgress('Checking model cache...', 10);
+            let modelBuffer = await this._getModelFromCache();
+            const downloaded = !modelBuffer;
+
+            if (downloaded) {
+                this._reportProgress('Downloading face/person model...', 15);
+                modelBuffer = await this._downloadModel();
+            } else {
+                this._reportProgress('Loaded model from cache', 50);
+            }
+
+            this._checkClassNames(modelBuffer);
+
+            this._reportProgress('Creating inference session...', 90);
+            this.session = await ort.InferenceSession.create(modelBuffer, {
+                executionProviders: ['wasm'],
+                graphOptimizationLevel: 'all',
+                enableCpuMemArena: true,
+                enableMemPattern: true
+            });
+
+            this._reportProgress('Warming up model...', 95);
+            await this._warmup();
+
+            // Only cache a model that passed the class and output checks
+            if (downloaded) {
+                this._reportProgress('Caching model...', 98);
+                await this._saveModelToCache(modelBuffer);
+            }
+
+            this.isLoaded = true;
+            this.isLoading = false;
+            this.loadError = null;
+            this._reportProgress('Model ready', 100);
+
+            console.log('[PersonDetector] Model loaded successfully');
+            return true;
+
+        } catch (error) {
+            console.error('[PersonDetector] Failed to load model:', error);
+            this.session = null;
+            this.isLoading = false;
+            this.loadError = error.message;
+            this._reportProgress(`Error: ${error.message}`, -1);
+            return false;
+        }
+    }
+
+    /**
+     * Download the ONNX model file
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async _downloadModel() {
+        const response = await fetch(this.modelPath);
+        if (response.status === 404) {
+            throw new Error(`Face/person model not found at ${this.modelPath}. It is not bundled with TeslaCamViewer - see vendor/models/README.md for how to add it.`);
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to download model: ${response.status} ${response.statusText}`);
+        }
+
+        const contentLength = response.headers.get('content-length');
+        const total = contentLength ? parseInt(contentLength, 10) : 0;
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            chunks.push(value);
+            received += value.length;
+
+            if (total > 0) {
+                const percent = Math.round((received / total) * 70) + 15; // 15-85%
+                this._reportProgress(`Downloading... ${Math.round(received / 1024 / 1024 * 10) / 10}MB`, percent);
+            }
+        }
+
+        const result = new Uint8Array(received);
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result.buffer;
+    }
+
+    /**
+     * Open IndexedDB
+     */
+    async _openDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id' });
+                }
+            };
+        });
+    }
+
+    /**
+     * Get model from cache
+     */
+    async _getModelFromCache() {
+        try {
+            const db = await this._openDB();
+            return new Promise((resolve) => {
+                const tx = db.transaction(this.storeName, 'readonly');
+                const store = tx.objectStore(this.storeName);
+                const request = store.get(this.modelKey);
+                request.onerror = () => resolve(null);
+                request.onsuccess = () => resolve(request.result?.data || null);
+            });
+        } catch (error) {
+            console.warn('[PersonDetector] Cache read error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save model to cache
+     */
+    async _saveModelToCache(modelBuffer) {
+        try {
+            const db = await this._openDB();
+            return new Promise((resolve) => {
+                const tx = db.transaction(this.storeName, 'readwrite');
+                const store = tx.objectStore(this.storeName);
+                store.put({ id: this.modelKey, data: modelBuffer, timestamp: Date.now() });
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => {
+                    console.warn('[PersonDetector] Cache write error:', tx.error);
+                    resolve();
+                };
+            });
+        } catch (error) {
+            console.warn('[PersonDetector] Cache save error:', error);
+        }
+    }
+
+    /**
+     * Compare the class names stored by the Ultralytics exporter with this.classNames
+     * A model trained with the classes in another order would blur faces as people and vice versa.
+     * @param {ArrayBuffer} modelBuffer
+     */
+    _checkClassNames(modelBuffer) {
+        const names = this._readModelMetadata(new Uint8Array(modelBuffer)).names;
+        if (!names) {
+            console.warn('[PersonDetector] Model has no class names in its metadata - assuming', this.classNames);
+            return;
+        }
+
+        const modelClasses = [];
+        for (const match of names.matchAll(/(\d+)\s*:\s*['"]([^'"]*)['"]/g)) {
+            modelClasses[parseInt(match[1], 10)] = match[2];
+        }
+        const expected = this.classNames.join(', ');
+        if (modelClasses.join(', ') !== expected) {
+            throw new Error(`Face/person model has classes [${modelClasses.join(', ')}], expected [${expected}]`);
+        }
+    }
+
+    /**
+     * Read ONNX ModelProto metadata_props (field 14: repeated { key = 1, value = 2 })
+     * Only the top level of the protobuf is walked; the graph is skipped by its length.
+     * @param {Uint8Array} bytes
+     * @returns {Object} key -> value
+     */
+    _readModelMetadata(bytes) {
+        const metadata = {};
+        const decoder = new TextDecoder();
+
+        const readVarint = (pos) => {
+            let value = 0;
+            let shift = 0;
+            while (pos < bytes.length && shift < 64) {
+                const byte = bytes[pos++];
+                value += (byte & 0x7F) * 2 ** shift;
+                if ((byte & 0x80) === 0) return { value, pos };
+                shift += 7;
+            }
+            return null;
+        };
+
+        // Walk the fields of one message, calling onField for length-delimited ones
+        const walk = (start, end, onField) => {
+            let pos = start;
+            while (pos < end) {
+                const tag = readVarint(pos);
+                if (!tag) return;
+                pos = tag.pos;
+                const field = Math.floor(tag.value / 8);
+                const wireType = tag.value % 8;
+                if (wireType === 0) {
+                    const skip = readVarint(pos);
+                    if (!skip) return;
+                    pos = skip.pos;
+                } else if (wireType === 1) {
+                    pos += 8;
+                } else if (wireType === 5) {
+                    pos += 4;
+                } else if (wireType === 2) {
+                    const length = readVarint(pos);
+                    if (!length || length.pos + length.value > end) return;
+                    onField(field, length.pos, length.pos + length.value);
+                    pos = length.pos + length.value;
+                } else {
+                    return;
+                }
+            }
+        };
+
+        walk(0, bytes.length, (field, start, end) => {
+            if (field !== 14) return;
+            const entry = {};
+            walk(start, end, (inner, s, e) => {
+                if (inner === 1) entry.key = decoder.decode(bytes.subarray(s, e));
+                if (inner === 2) entry.value = decoder.decode(bytes.subarray(s, e));
+            });
+            if (entry.key) metadata[entry.key] = entry.value || '';
+        });
+
+        return metadata;
+    }
+
+    /**
+     * Warmup inference, checking the output is YOLOv8 [1, 4 + classes, anchors]
+     */
+    async _warmup() {
+        const dummyInput = new Float32Array(1 * 3 * this.inputSize * this.inputSize);
+        const tensor = new ort.Tensor('float32', dummyInput, [1, 3, this.inputSize, this.inputSize]);
+
+        let output;
+        try {
+            const inputName = this.session.inputNames[0];
+            const results = await this.session.run({ [inputName]: tensor });
+            output = results[this.session.outputNames[0]];
+        } catch (error) {
+            throw new Error(`Face/person model does not accept a ${this.inputSize}x${this.inputSize} RGB input: ${error.message}`);
+        }
+
+        const channels = 4 + this.classNames.length;
+        const dims = output?.dims || [];
+        if (dims.length !== 3 || dims[1] !== channels) {
+            throw new Error(`Face/person model output is [${dims.join(', ')}], expected [1, ${channels}, anchors] (YOLOv8 with classes ${this.classNames.join(', ')})`);
+        }
+    }
+
+    /**
+     * Report progress to callback
+     * @param {string} message
+     * @param {number} percent - Progress percentage (0-100, or -1 for error)
+     */
+    _reportProgress(message, percent) {
+        if (this.onProgress) {
+            this.onProgress({ message, percent });
+        }
+    }
+
+    /**
+     * Letterbox a canvas/video frame into a normalized NCHW tensor
+     * @param {HTMLCanvasElement|HTMLVideoElement} source
+     * @returns {Object} { tensor, scale, offsetX, offsetY, origWidth, origHeight }
+     */
+    preprocessFrame(source) {
+        const origWidth = source.videoWidth || source.width;
+        const origHeight = source.videoHeight || source.height;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.inputSize;
+        canvas.height = this.inputSize;
+        const ctx = canvas.getContext('2d');
+
+        const scale = Math.min(this.inputSize / origWidth, this.inputSize / origHeight);
+        const scaledW = Math.round(origWidth * scale);
+        const scaledH = Math.round(origHeight * scale);
+        const offsetX = Math.round((this.inputSize - scaledW) / 2);
+        const offsetY = Math.round((this.inputSize - scaledH) / 2);
+
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, this.inputSize, this.inputSize);
+        ctx.drawImage(source, offsetX, offsetY, scaledW, scaledH);
+
+        const pixels = ctx.getImageData(0, 0, this.inputSize, this.inputSize).data;
+        const pixelCount = this.inputSize * this.inputSize;
+        const float32Data = new Float32Array(3 * pixelCount);
+
+        for (let i = 0; i < pixelCount; i++) {
+            const pixelOffset = i * 4;
+            float32Data[i] = pixels[pixelOffset] / 255;
+            float32Data[pixelCount + i] = pixels[pixelOffset + 1] / 255;
+            float32Data[2 * pixelCount + i] = pixels[pixelOffset + 2] / 255;
+        }
+
+        return { tensor: float32Data, scale, offsetX, offsetY, origWidth, origHeight };
+    }
+
+    /**
+     * Decode YOLOv8 output ([1, 4 + classes, anchors]) into boxes for the wanted classes
+     * @param {Float32Array} output - Raw model output
+     * @param {Object} preprocessInfo - From preprocessFrame()
+     * @param {Array<string>} classes - Class names to keep ('face', 'person')
+     * @returns {Array} Detections { x, y, width, height, confidence, label }
+     */
+    postprocess(output, preprocessInfo, classes) {
+        const { scale, offsetX, offsetY, origWidth, origHeight } = preprocessInfo;
+        const numChannels = 4 + this.classNames.length;
+        const numDetections = Math.floor(output.length / numChannels);
+        const wanted = new Set(classes);
+        const boxesByClass = {};
+
+        for (let i = 0; i < numDetections; i++) {
+            // Pick the best class for this anchor
+            let classIndex = -1;
+            let confidence = 0;
+            for (let c = 0; c < this.classNames.length; c++) {
+                const classConf = output[(4 + c) * numDetections + i];
+                if (classConf > confidence) {
+                    confidence = classConf;
+                    classIndex = c;
+                }
+            }
+
+            const label = this.classNames[classIndex];
+            if (!label || !wanted.has(label)) continue;
+            if (confidence < this.confidenceThresholds[label]) continue;
+
+            const xCenter = output[i];
+            const yCenter = output[numDetections + i];
+            const width = output[2 * numDetections + i];
+            const height = output[3 * numDetections + i];
+
+            // Letterboxed coordinates -> original image coordinates
+            const x1 = Math.max(0, (xCenter - width / 2 - offsetX) / scale);
+            const y1 = Math.max(0, (yCenter - height / 2 - offsetY) / scale);
+            const w = Math.min(width / scale, origWidth - x1);
+            const h = Math.min(height / scale, origHeight - y1);
+
+            // Faces in dashcam footage are small; ignore specks
+            if (w < 6 || h < 6) continue;
+
+            (boxesByClass[label] = boxesByClass[label] || []).push({
+                x: x1,
+                y: y1,
+                width: w,
+                height: h,
+                confidence,
+                label
+            });
+        }
+
+        // NMS per class so a face inside a person box is kept
+        return Object.values(boxesByClass).flatMap(boxes => this._nms(boxes));
+    }
+
+    /**
+     * Non-Maximum Suppression to remove overlapping boxes
+     * @param {Array} boxes
+     * @returns {Array}
+     */
+    _nms(boxes) {
+        boxes.sort((a, b) => b.confidence - a.confidence);
+
+        const selected = [];
+        const active = new Array(boxes.length).fill(true);
+
+        for (let i = 0; i < boxes.length; i++) {
+            if (!active[i]) continue;
+            selected.push(boxes[i]);
+
+            for (let j = i + 1; j < boxes.length; j++) {
+                if (active[j] && this._calculateIOU(boxes[i], boxes[j]) > this.iouThreshold) {
+                    active[j] = false;
+                }
+            }
+        }
+
+        return selected;
+    }
+
+    /**
+     * Calculate Intersection over Union for two boxes
+     */
+    _calculateIOU(box1, box2) {
+        const x1 = Math.max(box1.x, box2.x);
+        const y1 = Math.max(box1.y, box2.y);
+        const x2 = Math.min(box1.x + box1.width, box2.x + box2.width);
+        const y2 = Math.min(box1.y + box1.height, box2.y + box2.height);
+
+        const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+        const union = box1.width * box1.height + box2.width * box2.height - intersection;
+
+        return union > 0 ? intersection / union : 0;
+    }
+
+    /**
+     * Detect faces and/or people in a frame
+     * @param {HTMLCanvasElement|HTMLVideoElement} source - Input frame
+     * @param {Array<string>} classes - Classes to return (default: all)
+     * @returns {Promise<Array>} Detections { x, y, width, height, confidence, label }
+     */
+    async detect(source, classes = this.classNames) {
+        if (!this.isLoaded) {
+            console.warn('[PersonDetector] Model not loaded');
+            return [];
+        }
+        if (!classes || classes.length === 0) return [];
+
+        try {
+            const preprocessInfo = this.preprocessFrame(source);
+            const tensor = new ort.Tensor('float32', preprocessInfo.tensor, [1, 3, this.inputSize, this.inputSize]);
+
+            const startTime = performance.now();
+            const results = await this.session.run({ [this.session.inputNames[0]]: tensor });
+            this.lastInferenceTime = performance.now() - startTime;
+
+            const output = results[this.session.outputNames[0]].data;
+            return this.postprocess(output, preprocessInfo, classes);
+        } catch (error) {
+            console.error('[PersonDetector] Detection error:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Check if the detector is ready
+     * @returns {boolean}
+     */
+    isReady() {
+        return this.isLoaded;
+    }
+
+    /**
+     * Get last inference time in milliseconds
+     * @returns {number}
+     */
+    getInferenceTime() {
+        return this.lastInferenceTime;
+    }
+
+    /**
+     * Clear the model cache
+     */
+    async clearCache() {
+        try {
+            const db = await this._openDB();
+            return new Promise((resolve) => {
+                const tx = db.transaction(this.storeName, 'readwrite');
+                const request = tx.objectStore(this.storeName).delete(this.modelKey);
+                request.onerror = () => resolve(false);
+                request.onsuccess = () => resolve(true);
+            });
+        } catch (error) {
+            console.warn('[PersonDetector] Cache clear error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Dispose of the detector and free resources
+     */
+    dispose() {
+        this.session = null;
+        this.isLoaded = false;
+        this.isLoading = false;
+    }
+}
+
+// Export for use in other modules
+window.PersonDetector = PersonDetector;
@@ -1,12 +1,19 @@
 /**
  * PlateBlur - Automatic license plate blurring for video export
- * Uses YOLOv8 via ONNX Runtime Web for direct license plate detection
+ * Uses YOLOv8 via ONNX Runtime Web for direct license plate detection,
+ * plus an optional PersonDetector for face/pedestrian anonymization
  */
 class PlateBlur {
     constructor() {
         this.detector = null;
         this.isModelLoading = false;
         this.isModelLoaded = false;
+
+        // Face/person detector (separate model, loaded only when faces or people are blurred)
+        this.personDetector = null;
+        this.isPersonModelLoading = false;
+        this.isPersonModelLoaded = false;
+        this.personModelError = null; // Why the face/person model could not be loaded
         this.lastDetectionTime = 0;
         this.detectionInterval = 100; // Run detection every 100ms for good coverage
         this.cachedDetections = [];
@@ -20,6 +27,10 @@ class PlateBlur {
         this.detectionHistory = []; // Array of {plates, timestamp}
         this.historyDuration = 1500; // Keep 1.5 seconds of detection history
 
+        // Manual "blur this region" list, per event, keyed by camera and time range
+        // Regions are normalized (0-1) to the camera's video frame
+        this.MANUAL_REGIONS_KEY = 'teslacamviewer_blur_regions';
+
         // Progress callback
         this.onProgress = null;
 
@@ -225,6 +236,104 @@ class PlateBlur {
         }
     }
 
+    /**
+     * Load the face/person detection model
+     * @param {Function} progressCallback - Optional callback for progress updates
+     * @returns {Promise<boolean>} True if model loaded successfully
+     */
+    async loadPersonModel(progressCallback = null) {
+        if (this.isPersonModelLoaded) {
+            return true;
+        }
+
+        if (this.isPersonModelLoading) {
+            while (this.isPersonModelLoading) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+            return this.isPersonModelLoaded;
+        }
+
+        if (typeof PersonDetector === 'undefined') {
+            console.error('[PlateBlur] PersonDetector not loaded. Include personDetector.js in your HTML.');
+            return false;
+        }
+
+        this.isPersonModelLoading = true;
+        try {
+            console.log('[PlateBlur] Loading face/person detection model...');
+            this.personDetector = new PersonDetector();
+            this.isPersonModelLoaded = await this.personDetector.loadModel(progressCallback);
+            this.personModelError = this.personDetector.loadError;
+            if (!this.isPersonModelLoaded) {
+                console.error('[PlateBlur] Failed to load face/person detection model');
+            }
+        } catch (error) {
+            console.error('[PlateBlur] Failed to load face/person model:', error);
+            this.isPersonModelLoaded = false;
+            this.personModelError = error.message;
+        }
+        this.isPersonModelLoading = false;
+        return this.isPersonModelLoaded;
+    }
+
+    /**
+     * Check if the face/person model is ready for use
+     * @returns {boolean}
+     */
+    isPersonModelReady() {
+        return this.isPersonModelLoaded;
+    }
+
+    /**
+     * Read per-class blur toggles from settings
+     * @param {SettingsManager} settings
+     * @returns {{plates: boolean, faces: boolean, people: boolean}}
+     */
+    getEnabledClasses(settings) {
+        return {
+            plates: settings?.get('blurLicensePlates') === true,
+            faces: settings?.get('blurFaces') === true,
+            people: settings?.get('blurPeople') === true
+        };
+    }
+
+    /**
+     * Load whichever models the enabled classes need
+     * @param {Object} classes - From getEnabledClasses()
+     * @param {Function} progressCallback - Optional callback for progress updates
+     * @returns {Promise<boolean>} True if every needed model is ready
+     */
+    async ensureModelsLoaded(classes, progressCallback = null) {
+        let ok = true;
+        if (classes.plates && !this.isModelLoaded) {
+            ok = await this.loadModel(progressCallback) && ok;
+        }
+        if ((classes.faces || classes.people) && !this.isPersonModelLoaded) {
+            ok = await this.loadPersonModel(progressCallback) && ok;
+        }
+        return ok;
+    }
+
+    /**
+     * Check if any enabled class has a loaded model to run
+     * @param {Object} classes - From getEnabledClasses()
+     * @returns {boolean}
+     */
+    hasActiveDetection(classes) {
+        return (classes.plates && this.isModelLoaded) ||
+            ((classes.faces || classes.people) && this.isPersonModelLoaded);
+    }
+
+    /**
+     * Person detector class names for the enabled toggles
+     */
+    _personClasses(classes) {
+        const names = [];
+        if (classes.faces) names.push('face');
+        if (classes.people) names.push('person');
+        return names;
+    }
+
     /**
      * Detect license plates in an image/canvas/video frame
      * @param {HTMLVideoElement|HTMLCanvasElement} source - The image source
@@ -279,10 +388,10 @@ class PlateBlur {
      * Simple history-based detection smoothing
      * Keeps all detections from recent history and renders all of them
      * @param {Array} newDetections - New frame detections
+     * @param {number} now - Clock in ms (wall clock live, video time for buffered export)
      * @returns {Array} All recent detections to blur
      */
-    _smoothDetections(newDetections) {
-        const now = performance.now();
+    _smoothDetections(newDetections, now = performance.now()) {
 
         // Add new detections to history
         if (newDetections.length > 0) {
@@ -329,6 +438,179 @@ class PlateBlur {
         return Array.from(mergedPlates.values());
     }
 
+    /**
+     * Get manual blur regions for an event
+     * @param {string} eventKey - Event compoundKey (or name for legacy events)
+     * @returns {Array} Regions { id, camera, start, end, x, y, width, height }
+     */
+    getManualRegions(eventKey) {
+        if (!eventKey) return [];
+        try {
+            const stored = localStorage.getItem(this.MANUAL_REGIONS_KEY);
+            const all = stored ? JSON.parse(stored) : {};
+            return Array.isArray(all[eventKey]) ? all[eventKey] : [];
+        } catch (error) {
+            console.warn('[PlateBlur] Failed to read manual blur regions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save manual blur regions for an event (empty list removes the entry)
+     * @param {string} eventKey - Event compoundKey
+     * @param {Array} regions - Regions to store
+     */
+    _saveManualRegions(eventKey, regions) {
+        try {
+            const stored = localStorage.getItem(this.MANUAL_REGIONS_KEY);
+            const all = stored ? JSON.parse(stored) : {};
+            if (regions.length > 0) {
+                all[eventKey] = regions;
+            } else {
+                delete all[eventKey];
+            }
+            localStorage.setItem(this.MANUAL_REGIONS_KEY, JSON.stringify(all));
+        } catch (error) {
+            console.warn('[PlateBlur] Failed to save manual blur regions:', error);
+        }
+    }
+
+    /**
+     * Add a manual blur region
+     * @param {string} eventKey - Event compoundKey
+     * @param {Object} region - { camera, start, end, x, y, width, height }
+     *   start/end are event time in seconds (end null = until end of event),
+     *   x/y/width/height are normalized (0-1) to the camera's video frame
+     * @returns {Object|null} Stored region with id
+     */
+    addManualRegion(eventKey, region) {
+        if (!eventKey || !region?.camera) return null;
+
+        const clamp = (v) => Math.min(1, Math.max(0, v));
+        const stored = {
+            id: `blur_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            camera: region.camera,
+            start: Math.max(0, region.start || 0),
+            end: region.end != null ? region.end : null,
+            x: clamp(region.x),
+            y: clamp(region.y),
+            width: clamp(region.width),
+            height: clamp(region.height)
+        };
+        if (stored.width <= 0 || stored.height <= 0) return null;
+
+        const regions = this.getManualRegions(eventKey);
+        regions.push(stored);
+        this._saveManualRegions(eventKey, regions);
+        console.log(`[PlateBlur] Added manual blur region on ${stored.camera} (${regions.length} for event)`);
+        return stored;
+    }
+
+    /**
+     * Remove a manual blur region
+     * @param {string} eventKey - Event compoundKey
+     * @param {string} id - Region id
+     */
+    removeManualRegion(eventKey, id) {
+        const regions = this.getManualRegions(eventKey).filter(r => r.id !== id);
+        this._saveManualRegions(eventKey, regions);
+    }
+
+    /**
+     * Remove all manual blur regions for an event
+     * @param {string} eventKey - Event compoundKey
+     */
+    clearManualRegions(eventKey) {
+        if (!eventKey) return;
+        this._saveManualRegions(eventKey, []);
+    }
+
+    /**
+     * Get manual regions active for a camera at an event time
+     * @param {Array} regions - From getManualRegions()
+     * @param {string} camera - Camera name
+     * @param {number|null} time - Event time in seconds (null = ignore time range)
+     * @returns {Array}
+     */
+    getActiveManualRegions(regions, camera, time) {
+        return regions.filter(r =>
+            r.camera === camera &&
+            (time == null || (time >= r.start && (r.end == null || time <= r.end)))
+        );
+    }
+
+    /**
+     * Transform a rectangle in video coordinates to canvas coordinates
+     * @param {Object} rect - { x, y, width, height } in video pixels
+     * @param {Object} params - From LayoutRenderer.calculateDrawParams
+     * @returns {Object|null} Canvas rectangle, or null if outside the visible crop
+     */
+    _videoToCanvas(rect, params) {
+        const rectRight = rect.x + rect.width;
+        const rectBottom = rect.y + rect.height;
+
+        if (rectRight < params.sx || rect.x > params.sx + params.sw ||
+            rectBottom < params.sy || rect.y > params.sy + params.sh) {
+            return null; // Outside visible crop
+        }
+
+        // Clip to source bounds
+        const clippedX = Math.max(rect.x, params.sx);
+        const clippedY = Math.max(rect.y, params.sy);
+        const clippedRight = Math.min(rectRight, params.sx + params.sw);
+        const clippedBottom = Math.min(rectBottom, params.sy + params.sh);
+
+        const scaleX = params.dw / params.sw;
+        const scaleY = params.dh / params.sh;
+
+        return {
+            x: params.dx + (clippedX - params.sx) * scaleX,
+            y: params.dy + (clippedY - params.sy) * scaleY,
+            width: (clippedRight - clippedX) * scaleX,
+            height: (clippedBottom - clippedY) * scaleY
+        };
+    }
+
+    /**
+     * Blur manual regions active at the given time on each camera
+     * Works without the detection model loaded.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} cameras - Same camera map as processMultiCamera
+     * @param {Array} regions - From getManualRegions()
+     * @param {number|null} time - Event time in seconds
+     * @returns {number} Number of regions blurred
+     */
+    _blurManualRegions(ctx, cameras, regions, time) {
+        if (!regions || regions.length === 0) return 0;
+
+        let blurred = 0;
+        for (const [camName, camInfo] of Object.entries(cameras)) {
+            const { video, dx, dy, dw, dh, crop, objectFit } = camInfo;
+            if (!video || !video.videoWidth || !video.videoHeight) continue;
+
+            const active = this.getActiveManualRegions(regions, camName, time);
+            if (active.length === 0) continue;
+
+            const camConfig = { x: dx, y: dy, w: dw, h: dh, crop, objectFit };
+            const params = LayoutRenderer.calculateDrawParams(video, camConfig);
+
+            for (const region of active) {
+                const canvasRect = this._videoToCanvas({
+                    x: region.x * video.videoWidth,
+                    y: region.y * video.videoHeight,
+                    width: region.width * video.videoWidth,
+                    height: region.height * video.videoHeight
+                }, params);
+
+                if (canvasRect && canvasRect.width > 1 && canvasRect.height > 1) {
+                    this.blurRegion(ctx, canvasRect);
+                    blurred++;
+                }
+            }
+        }
+        return blurred;
+    }
+
     /**
      * Apply gaussian blur to a specific region of a canvas
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -372,20 +654,39 @@ class PlateBlur {
      * @param {CanvasRenderingContext2D} ctx - Canvas context to draw blurs on
      * @param {Object} cameras - Map of camera configs: { front: { video, dx, dy, dw, dh, crop }, ... }
      * @param {Object} options - Processing options
+     * @param {boolean} [options.forceDetection] - Run detection even if the interval has not elapsed
+     * @param {Object} [options.classes] - Classes to detect { plates, faces, people } (default plates only)
+     * @param {Array} [options.manualRegions] - Manual regions for the event (from getManualRegions)
+     * @param {number} [options.time] - Event time in seconds, used for manual region time ranges
+     * @param {number} [options.timestamp] - Detection clock in ms; pass video time for buffered
+     *   export so tracking history follows the video rather than render speed
      * @returns {Promise<number>} Number of plates blurred
      */
     async processMultiCamera(ctx, cameras, options = {}) {
-        const { forceDetection = false } = options;
+        const {
+            forceDetection = false,
+            classes = { plates: true },
+            manualRegions = [],
+            time = null,
+            timestamp = performance.now()
+        } = options;
+
+        let totalBlurred = this._blurManualRegions(ctx, cameras, manualRegions, time);
+
+        const runPlates = classes.plates && this.isModelLoaded;
+        const personClasses = this.isPersonModelLoaded ? this._personClasses(classes) : [];
+        if (!runPlates && personClasses.length === 0) {
+            return totalBlurred;
+        }
 
-        if (!this.isModelLoaded) {
-            return 0;
+        // Clock went backwards (new export or seek) - drop stale tracking history
+        if (timestamp < this.lastDetectionTime) {
+            this.reset();
         }
 
-        const now = performance.now();
+        const now = timestamp;
         this.frameCount++;
 
-        let totalBlurred = 0;
-
         // Only run detection periodically
         if (!forceDetection && now - this.lastDetectionTime < this.detectionInterval) {
             // Use cached detections - apply blurs from previous detection
@@ -413,8 +714,11 @@ class PlateBlur {
             if (!video || !video.src || video.readyState < 2) continue;
 
             try {
-                // Detect plates in the original video
-                const detections = await this.detectPlates(video);
+                // Detect plates / faces / people in the original video
+                const detections = [
+                    ...(runPlates ? await this.detectPlates(video) : []),
+                    ...(personClasses.length ? await this.personDetector.detect(video, personClasses) : [])
+                ];
 
                 // Use centralized calculation for source/destination rectangles
                 // Build camConfig object compatible with LayoutRenderer.calculateDrawParams
@@ -423,36 +727,13 @@ class PlateBlur {
 
                 // Transform each detection from video coords to canvas coords
                 for (const det of detections) {
-                    // Check if detection is within the visible source area
-                    const detRight = det.x + det.width;
-                    const detBottom = det.y + det.height;
-
-                    if (detRight < params.sx || det.x > params.sx + params.sw ||
-                        detBottom < params.sy || det.y > params.sy + params.sh) {
-                        continue; // Detection is outside visible crop
-                    }
-
-                    // Clip detection to source bounds
-                    const clippedX = Math.max(det.x, params.sx);
-                    const clippedY = Math.max(det.y, params.sy);
-                    const clippedRight = Math.min(detRight, params.sx + params.sw);
-                    const clippedBottom = Math.min(detBottom, params.sy + params.sh);
-
-                    // Transform to canvas coordinates
-                    const scaleX = params.dw / params.sw;
-                    const scaleY = params.dh / params.sh;
-
-                    const canvasX = params.dx + (clippedX - params.sx) * scaleX;
-                    const canvasY = params.dy + (clippedY - params.sy) * scaleY;
-                    const canvasW = (clippedRight - clippedX) * scaleX;
-                    const canvasH = (clippedBottom - clippedY) * scaleY;
+                    const canvasRect = this._videoToCanvas(det, params);
+                    if (!canvasRect) continue; // Detection is outside visible crop
 
                     allDetections.push({
-                        x: canvasX,
-                        y: canvasY,
-                        width: canvasW,
-                        height: canvasH,
+                        ...canvasRect,
                         confidence: det.confidence,
+                        label: det.label || 'plate',
                         camera: camName
                     });
                 }
@@ -462,7 +743,7 @@ class PlateBlur {
         }
 
         // Apply temporal smoothing
-        this.cachedDetections = this._smoothDetections(allDetections);
+        this.cachedDetections = this._smoothDetections(allDetections, now);
         this.lastDetectionTime = now;
 
         // Apply blur to all detected plates
@@ -605,7 +886,7 @@ class PlateBlur {
      */
     reset() {
         this.cachedDetections = [];
-        this.trackedPlates.clear();
+        this.detectionHistory = [];
         this.lastDetectionTime = 0;
         this.frameCount = 0;
     }
@@ -618,7 +899,12 @@ class PlateBlur {
             this.detector.dispose();
             this.detector = null;
         }
+        if (this.personDetector) {
+            this.personDetector.dispose();
+            this.personDetector = null;
+        }
         this.isModelLoaded = false;
+        this.isPersonModelLoaded = false;
         this.reset();
     }
 
@@ -639,7 +925,7 @@ class PlateBlur {
         return {
             isModelLoaded: this.isModelLoaded,
             cachedDetections: this.cachedDetections.length,
-            trackedPlates: this.trackedPlates.size,
+            trackedPlates: this.detectionHistory.length,
             frameCount: this.frameCount,
             lastDetectionTime: this.lastDetectionTime,
             lastInferenceTime: detectorStats.lastInferenceTime || 0
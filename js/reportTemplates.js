@@ -0,0 +1,502 @@
+/**
+ * ReportTemplates - Saved layouts for InsuranceReport
+ * A template chooses and orders the report sections, sets a company letterhead, lists the claim
+ * fields (policy number, claimant, ...) and configures which key frames and cameras are captured.
+ * Templates are kept in localStorage so they can be reused across claims.
+ */
+
+class ReportTemplates {
+    constructor(insuranceReport) {
+        this.insuranceReport = insuranceReport;
+        this.STORAGE_KEY = 'teslacamviewer_report_templates';
+        this.ACTIVE_KEY = 'teslacamviewer_report_template_active';
+        this.MAX_LOGO_BYTES = 300 * 1024; // localStorage is small; keep logos modest
+
+        this.CAMERAS = ['front', 'back', 'left_repeater', 'right_repeater', 'left_pillar', 'right_pillar'];
+        this.CAMERA_LABELS = {
+            front: 'Front',
+            back: 'Rear',
+            left_repeater: 'Left Repeater',
+            right_repeater: 'Right Repeater',
+            left_pillar: 'Left Pillar',
+            right_pillar: 'Right Pillar'
+        };
+
+        this.modal = null;
+        this.view = 'generate';   // 'generate' or 'edit'
+        this.draft = null;        // Template being edited
+        this.onGenerate = null;
+
+        this.templates = this.load();
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} str
+     * @returns {string}
+     */
+    escapeHtml(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    // ==================== Storage ====================
+
+    /**
+     * Template matching the report before templates existed: every section, no letterhead
+     */
+    createDefaultTemplate(name = 'Standard') {
+        return {
+            id: `tpl_${Date.now()}`,
+            name,
+            sections: this.insuranceReport.SECTIONS.map(section => ({ id: section.id, enabled: true })),
+            letterhead: { companyName: '', lines: [], logo: null, color: '#0096c8' },
+            claimFields: [
+                { label: 'Policy Number', value: '' },
+                { label: 'Claim Number', value: '' },
+                { label: 'Claimant', value: '' },
+                { label: 'Contact', value: '' }
+            ],
+            keyFrames: { moments: 'auto', interval: 10, maxFrames: 8, cameras: [] }
+        };
+    }
+
+    /**
+     * Fill in fields added since a template was saved (new sections are appended, enabled)
+     */
+    _normalize(template) {
+        const base = this.createDefaultTemplate(template.name);
+        const normalized = {
+            ...base,
+            ...template,
+            letterhead: { ...base.letterhead, ...template.letterhead },
+            keyFrames: { ...base.keyFrames, ...template.keyFrames },
+            claimFields: Array.isArray(template.claimFields) ? template.claimFields : base.claimFields
+        };
+
+        const known = new Set(this.insuranceReport.SECTIONS.map(section => section.id));
+        const sections = (template.sections || []).filter(section => known.has(section.id));
+        for (const section of this.insuranceReport.SECTIONS) {
+            if (!sections.some(s => s.id === section.id)) {
+                sections.push({ id: section.id, enabled: true });
+            }
+        }
+        normalized.sections = sections;
+        return normalized;
+    }
+
+    /**
+     * @returns {Array} Saved templates (a default one if none are saved)
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            if (stored) {
+                const templates = JSON.parse(stored);
+                if (Array.isArray(templates) && templates.length > 0) {
+                    return templates.map(template => this._normalize(template));
+                }
+            }
+        } catch (e) {
+            console.warn('[ReportTemplates] Failed to load templates:', e);
+        }
+        return [this.createDefaultTemplate()];
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.templates));
+            return true;
+        } catch (e) {
+            console.warn('[ReportTemplates] Failed to save templates:', e);
+            alert(this.t('reportTemplates.saveFailed'));
+            return false;
+        }
+    }
+
+    getTemplates() {
+        return this.templates;
+    }
+
+    /**
+     * @returns {Object} Template used when generating without choosing one
+     */
+    getActiveTemplate() {
+        const activeId = localStorage.getItem(this.ACTIVE_KEY);
+        return this.templates.find(template => template.id === activeId) || this.templates[0];
+    }
+
+    setActiveTemplate(id) {
+        localStorage.setItem(this.ACTIVE_KEY, id);
+    }
+
+    /**
+     * Add or replace a template
+     * @returns {boolean} False if it could not be stored
+     */
+    saveTemplate(template) {
+        const previous = this.templates;
+        const index = this.templates.findIndex(t => t.id === template.id);
+        this.templates = index === -1
+            ? [...this.templates, template]
+            : this.templates.map(t => t.id === template.id ? template : t);
+
+        if (!this.save()) {
+            this.templates = previous;
+            return false;
+        }
+        this.setActiveTemplate(template.id);
+        return true;
+    }
+
+    deleteTemplate(id) {
+        this.templates = this.templates.filter(template => template.id !== id);
+        if (this.templates.length === 0) {
+            this.templates = [this.createDefaultTemplate()];
+        }
+        this.save();
+        if (localStorage.getItem(this.ACTIVE_KEY) === id) {
+            this.setActiveTemplate(this.templates[0].id);
+        }
+    }
+
+    // ==================== UI ====================
+
+    /**
+     * Show the template picker before generating a report
+     * @param {Function} onGenerate - Called with (template, claimValues)
+     */
+    show(onGenerate) {
+        this.onGenerate = onGenerate;
+        this.view = 'generate';
+        this.draft = null;
+        this.render();
+    }
+
+    hide() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    render() {
+        if (this.modal) {
+            this.modal.remove();
+        }
+
+        const editing = this.view === 'edit';
+        this.modal = document.createElement('div');
+        this.modal.className = 'notes-modal report-templates-modal';
+        this.modal.innerHTML = `
+            <div class="notes-overlay"></div>
+            <div class="notes-panel export-queue-panel">
+                <div class="notes-header">
+                    <h2>${editing ? this.t('reportTemplates.editTitle') : this.t('reportTemplates.title')}</h2>
+                    <button class="notes-close-btn" title="${this.t('common.close')}">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="notes-content">
+                    ${editing ? this._renderEditor() : this._renderPicker()}
+                </div>
+                <div class="notes-footer">
+                    ${editing ? `
+                        <button id="templateDeleteBtn" class="notes-btn secondary" ${this.templates.some(t => t.id === this.draft.id) ? '' : 'disabled'}>${this.t('reportTemplates.delete')}</button>
+                        <button id="templateBackBtn" class="notes-btn secondary">${this.t('reportTemplates.back')}</button>
+                        <button id="templateSaveBtn" class="notes-btn primary">${this.t('reportTemplates.save')}</button>
+                    ` : `
+                        <button id="templateCancelBtn" class="notes-btn secondary">${this.t('common.cancel')}</button>
+                        <button id="templateGenerateBtn" class="notes-btn primary">${this.t('reportTemplates.generate')}</button>
+                    `}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this.modal.querySelector('.notes-close-btn').addEventListener('click', () => this.hide());
+        this.modal.querySelector('.notes-overlay').addEventListener('click', () => this.hide());
+
+        if (editing) {
+            this._attachEditorEvents();
+        } else {
+            this._attachPickerEvents();
+        }
+    }
+
+    /**
+     * Template choice and this claim's field values
+     */
+    _renderPicker() {
+        const active = this.getActiveTemplate();
+        return `
+            <div class="notes-section export-queue-grid">
+                <label class="notes-label">${this.t('reportTemplates.template')}</label>
+                <div class="export-queue-folder">
+                    <select id="templateSelect" class="export-format-select">
+                        ${this.templates.map(t => `<option value="${this.escapeHtml(t.id)}" ${t.id === active.id ? 'selected' : ''}>${this.escapeHtml(t.name)}</option>`).join('')}
+                    </select>
+                    <button id="templateEditBtn" class="notes-btn secondary">${this.t('reportTemplates.edit')}</button>
+                    <button id="templateNewBtn" class="notes-btn secondary">${this.t('reportTemplates.new')}</button>
+                </div>
+            </div>
+            <div class="notes-section">
+                <label class="notes-label">${this.t('reportTemplates.claimFields')}</label>
+                <div class="export-queue-hint">${this.t('reportTemplates.claimHint')}</div>
+                <div class="export-queue-grid report-template-claim">
+                    ${active.claimFields.map((field, i) => `
+                        <label class="notes-label" for="claimField${i}">${this.escapeHtml(field.label)}</label>
+                        <input type="text" id="claimField${i}" class="report-template-input" data-claim-index="${i}" value="${this.escapeHtml(field.value)}">
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    _attachPickerEvents() {
+        const modal = this.modal;
+
+        modal.querySelector('#templateSelect').addEventListener('change', (e) => {
+            this.setActiveTemplate(e.target.value);
+            this.render();
+        });
+        modal.querySelector('#templateEditBtn').addEventListener('click', () => {
+            this.draft = JSON.parse(JSON.stringify(this.getActiveTemplate()));
+            this.view = 'edit';
+            this.render();
+        });
+        modal.querySelector('#templateNewBtn').addEventListener('click', () => {
+            this.draft = this.createDefaultTemplate(this.t('reportTemplates.newName'));
+            this.view = 'edit';
+            this.render();
+        });
+        modal.querySelector('#templateCancelBtn').addEventListener('click', () => this.hide());
+        modal.querySelector('#templateGenerateBtn').addEventListener('click', () => {
+            const template = this.getActiveTemplate();
+            const claimValues = template.claimFields.map((field, i) => ({
+                label: field.label,
+                value: modal.querySelector(`[data-claim-index="${i}"]`)?.value || ''
+            }));
+            this.hide();
+            if (this.onGenerate) {
+                this.onGenerate(template, claimValues);
+            }
+        });
+    }
+
+    /**
+     * Template editor: name, letterhead, sections, key frames, claim fields
+     */
+    _renderEditor() {
+        const draft = this.draft;
+        const { letterhead, keyFrames } = draft;
+        const sectionLabels = Object.fromEntries(this.insuranceReport.SECTIONS.map(s => [s.id, s.label]));
+
+        return `
+            <div class="notes-section export-queue-grid">
+                <label class="notes-label" for="templateNameInput">${this.t('reportTemplates.name')}</label>
+                <input type="text" id="templateNameInput" class="report-template-input" value="${this.escapeHtml(draft.name)}">
+            </div>
+
+            <div class="notes-section">
+                <label class="notes-label">${this.t('reportTemplates.letterhead')}</label>
+                <div class="export-queue-hint">${this.t('reportTemplates.letterheadHint')}</div>
+                <div class="export-queue-grid">
+                    <label class="notes-label" for="letterheadCompany">${this.t('reportTemplates.company')}</label>
+                    <input type="text" id="letterheadCompany" class="report-template-input" value="${this.escapeHtml(letterhead.companyName)}">
+
+                    <label class="notes-label" for="letterheadLines">${this.t('reportTemplates.address')}</label>
+                    <textarea id="letterheadLines" class="notes-textarea" rows="3">${this.escapeHtml(letterhead.lines.join('\n'))}</textarea>
+
+                    <label class="notes-label" for="letterheadColor">${this.t('reportTemplates.color')}</label>
+                    <input type="color" id="letterheadColor" value="${this.escapeHtml(letterhead.color)}">
+
+                    <label class="notes-label">${this.t('reportTemplates.logo')}</label>
+                    <div class="export-queue-folder">
+                        ${letterhead.logo ? `<img class="report-template-logo" src="${letterhead.logo}" alt="">` : ''}
+                        <button id="letterheadLogoBtn" class="notes-btn secondary">${this.t('reportTemplates.chooseLogo')}</button>
+                        ${letterhead.logo ? `<button id="letterheadLogoRemoveBtn" class="notes-btn secondary">${this.t('reportTemplates.removeLogo')}</button>` : ''}
+                        <input type="file" id="letterheadLogoInput" accept="image/png,image/jpeg" class="hidden">
+                    </div>
+                </div>
+            </div>
+
+            <div class="notes-section">
+                <label class="notes-label">${this.t('reportTemplates.sections')}</label>
+                <div class="export-queue-jobs report-template-sections">
+                    ${draft.sections.map((section, i) => `
+                        <div class="export-queue-job report-template-section">
+                            <label><input type="checkbox" data-section-index="${i}" ${section.enabled ? 'checked' : ''}> ${this.escapeHtml(sectionLabels[section.id] || section.id)}</label>
+                            <span class="export-queue-job-actions">
+                                <button class="export-queue-job-btn" data-move="${i}" data-dir="-1" ${i === 0 ? 'disabled' : ''} title="${this.t('reportTemplates.moveUp')}">&uarr;</button>
+                                <button class="export-queue-job-btn" data-move="${i}" data-dir="1" ${i === draft.sections.length - 1 ? 'disabled' : ''} title="${this.t('reportTemplates.moveDown')}">&darr;</button>
+                            </span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+
+            <div class="notes-section export-queue-grid">
+                <label class="notes-label" for="keyFramesMoments">${this.t('reportTemplates.keyFrames')}</label>
+                <div class="export-queue-range">
+                    <select id="keyFramesMoments" class="export-format-select">
+                        <option value="auto" ${keyFrames.moments === 'auto' ? 'selected' : ''}>${this.t('reportTemplates.momentsAuto')}</option>
+                        <option value="bookmarks" ${keyFrames.moments === 'bookmarks' ? 'selected' : ''}>${this.t('reportTemplates.momentsBookmarks')}</option>
+                        <option value="interval" ${keyFrames.moments === 'interval' ? 'selected' : ''}>${this.t('reportTemplates.momentsInterval')}</option>
+                    </select>
+                    <input type="number" id="keyFramesInterval" min="1" max="600" value="${keyFrames.interval}"
+                        class="${keyFrames.moments === 'interval' ? '' : 'hidden'}" title="${this.t('reportTemplates.interval')}">
+                </div>
+
+                <label class="notes-label" for="keyFramesMax">${this.t('reportTemplates.maxFrames')}</label>
+                <input type="number" id="keyFramesMax" class="report-template-input report-template-number" min="1" max="24" value="${keyFrames.maxFrames}">
+
+                <label class="notes-label">${this.t('reportTemplates.cameras')}</label>
+                <div class="export-queue-overlays report-template-cameras">
+                    ${this.CAMERAS.map(camera => `
+                        <label><input type="checkbox" value="${camera}" ${keyFrames.cameras.includes(camera) ? 'checked' : ''}> ${this.CAMERA_LABELS[camera]}</label>
+                    `).join('')}
+                </div>
+                <span></span>
+                <div class="export-queue-hint">${this.t('reportTemplates.camerasHint')}</div>
+            </div>
+
+            <div class="notes-section">
+                <label class="notes-label">${this.t('reportTemplates.claimFields')}</label>
+                <div class="export-queue-hint">${this.t('reportTemplates.claimFieldsHint')}</div>
+                <div class="report-template-fields">
+                    ${draft.claimFields.map((field, i) => `
+                        <div class="report-template-field">
+                            <input type="text" class="report-template-input" data-field-label="${i}" value="${this.escapeHtml(field.label)}" placeholder="${this.t('reportTemplates.fieldLabel')}">
+                            <input type="text" class="report-template-input" data-field-value="${i}" value="${this.escapeHtml(field.value)}" placeholder="${this.t('reportTemplates.fieldDefault')}">
+                            <button class="export-queue-job-btn" data-remove-field="${i}" title="${this.t('reportTemplates.removeField')}">&times;</button>
+                        </div>
+                    `).join('')}
+                </div>
+                <button id="templateAddFieldBtn" class="notes-btn secondary">${this.t('reportTemplates.addField')}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Copy the editor inputs into the draft (before re-rendering or saving)
+     */
+    _readEditor() {
+        const modal = this.modal;
+        const draft = this.draft;
+
+        draft.name = modal.querySelector('#templateNameInput').value.trim() || draft.name;
+        draft.letterhead.companyName = modal.querySelector('#letterheadCompany').value.trim();
+        draft.letterhead.lines = modal.querySelector('#letterheadLines').value
+            .split('\n').map(line => line.trim()).filter(Boolean);
+        draft.letterhead.color = modal.querySelector('#letterheadColor').value;
+
+        modal.querySelectorAll('[data-section-index]').forEach(input => {
+            draft.sections[parseInt(input.dataset.sectionIndex, 10)].enabled = input.checked;
+        });
+
+        draft.keyFrames.moments = modal.querySelector('#keyFramesMoments').value;
+        const interval = parseInt(modal.querySelector('#keyFramesInterval').value, 10);
+        draft.keyFrames.interval = Number.isFinite(interval) && interval > 0 ? interval : 10;
+        const maxFrames = parseInt(modal.querySelector('#keyFramesMax').value, 10);
+        draft.keyFrames.maxFrames = Number.isFinite(maxFrames) && maxFrames > 0 ? Math.min(maxFrames, 24) : 8;
+        draft.keyFrames.cameras = Array.from(modal.querySelectorAll('.report-template-cameras input:checked'))
+            .map(input => input.value);
+
+        draft.claimFields = draft.claimFields.map((field, i) => ({
+            label: modal.querySelector(`[data-field-label="${i}"]`).value.trim(),
+            value: modal.querySelector(`[data-field-value="${i}"]`).value
+        }));
+    }
+
+    _attachEditorEvents() {
+        const modal = this.modal;
+        const draft = this.draft;
+
+        modal.querySelector('#keyFramesMoments').addEventListener('change', (e) => {
+            modal.querySelector('#keyFramesInterval').classList.toggle('hidden', e.target.value !== 'interval');
+        });
+
+        modal.querySelectorAll('[data-move]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this._readEditor();
+                const from = parseInt(btn.dataset.move, 10);
+                const to = from + parseInt(btn.dataset.dir, 10);
+                const [section] = draft.sections.splice(from, 1);
+                draft.sections.splice(to, 0, section);
+                this.render();
+            });
+        });
+
+        modal.querySelectorAll('[data-remove-field]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this._readEditor();
+                draft.claimFields.splice(parseInt(btn.dataset.removeField, 10), 1);
+                this.render();
+            });
+        });
+        modal.querySelector('#templateAddFieldBtn').addEventListener('click', () => {
+            this._readEditor();
+            draft.claimFields.push({ label: '', value: '' });
+            this.render();
+        });
+
+        const logoInput = modal.querySelector('#letterheadLogoInput');
+        modal.querySelector('#letterheadLogoBtn').addEventListener('click', () => logoInput.click());
+        logoInput.addEventListener('change', () => {
+            const file = logoInput.files[0];
+            if (!file) return;
+            if (file.size > this.MAX_LOGO_BYTES) {
+                alert(this.t('reportTemplates.logoTooLarge'));
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => {
+                this._readEditor();
+                draft.letterhead.logo = reader.result;
+                this.render();
+            };
+            reader.readAsDataURL(file);
+        });
+        modal.querySelector('#letterheadLogoRemoveBtn')?.addEventListener('click', () => {
+            this._readEditor();
+            draft.letterhead.logo = null;
+            this.render();
+        });
+
+        modal.querySelector('#templateBackBtn').addEventListener('click', () => {
+            this.view = 'generate';
+            this.draft = null;
+            this.render();
+        });
+        modal.querySelector('#templateDeleteBtn').addEventListener('click', () => {
+            if (!confirm(this.t('reportTemplates.confirmDelete'))) return;
+            this.deleteTemplate(draft.id);
+            this.view = 'generate';
+            this.draft = null;
+            this.render();
+        });
+        modal.querySelector('#templateSaveBtn').addEventListener('click', () => {
+            this._readEditor();
+            draft.claimFields = draft.claimFields.filter(field => field.label);
+            if (!this.saveTemplate(draft)) return;
+            console.log(`[ReportTemplates] Saved template "${draft.name}"`);
+            this.view = 'generate';
+            this.draft = null;
+            this.render();
+        });
+    }
+}
+
+window.ReportTemplates = ReportTemplates;
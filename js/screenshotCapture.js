@@ -96,6 +96,26 @@ class ScreenshotCapture {
             // Reset filter for labels
             ctx.filter = 'none';
 
+            // Blur plates/faces/people and manual regions before any overlays
+            const cameraInfos = {};
+            for (const [cameraName, camConfig] of sortedCameras) {
+                const video = videos[cameraName];
+                if (!video || !video.src || video.readyState < 2) continue;
+                cameraInfos[cameraName] = {
+                    video,
+                    dx: camConfig.x,
+                    dy: camConfig.y,
+                    dw: camConfig.w,
+                    dh: camConfig.h,
+                    crop: camConfig.crop || { top: 0, right: 0, bottom: 0, left: 0 },
+                    objectFit: camConfig.objectFit || 'contain'
+                };
+            }
+            await this.applyPrivacyBlur(ctx, cameraInfos);
+
+            // Arrows, ellipses and text callouts drawn on the cameras
+            this.drawCallouts(ctx, cameraInfos);
+
             // Calculate mini-map rect for label occlusion avoidance (if mini-map will be drawn)
             let miniMapRect = null;
             const settings = window.app?.settingsManager;
@@ -302,6 +322,20 @@ class ScreenshotCapture {
         // Reset filter for labels and overlays
         ctx.filter = 'none';
 
+        // Blur plates/faces/people and manual regions, then draw callouts
+        const cameraInfos = {
+            [camera]: {
+                video,
+                dx: 0,
+                dy: 0,
+                dw: canvas.width,
+                dh: canvas.height,
+                crop: { top: 0, right: 0, bottom: 0, left: 0 }
+            }
+        };
+        await this.applyPrivacyBlur(ctx, cameraInfos);
+        this.drawCallouts(ctx, cameraInfos);
+
         // Add camera label (kept even in privacy mode)
         this.addCameraLabel(ctx, camera, 10, 30);
 
@@ -331,6 +365,56 @@ class ScreenshotCapture {
         this.downloadBlob(blob, filename);
     }
 
+    /**
+     * Blur enabled privacy classes (plates, faces, people) and manual blur regions
+     * Uses the same PlateBlur pipeline as video export, with fresh detection.
+     * @param {CanvasRenderingContext2D} ctx - Canvas with camera frames drawn
+     * @param {Object} cameraInfos - Camera map for PlateBlur.processMultiCamera
+     */
+    async applyPrivacyBlur(ctx, cameraInfos) {
+        const plateBlur = window.app?.plateBlur;
+        if (!plateBlur) return;
+
+        const classes = plateBlur.getEnabledClasses(window.app?.settingsManager);
+        const event = this.videoPlayer.currentEvent;
+        const manualRegions = event ? plateBlur.getManualRegions(event.compoundKey || event.name) : [];
+
+        if (classes.plates || classes.faces || classes.people) {
+            await plateBlur.ensureModelsLoaded(classes);
+        }
+        if (!plateBlur.hasActiveDetection(classes) && manualRegions.length === 0) return;
+
+        try {
+            // Don't reuse detection history from playback or a previous export
+            plateBlur.reset();
+            await plateBlur.processMultiCamera(ctx, cameraInfos, {
+                forceDetection: true,
+                classes,
+                manualRegions,
+                time: this.videoPlayer.getCurrentAbsoluteTime()
+            });
+        } catch (error) {
+            console.warn('[Screenshot] Privacy blur error:', error);
+        }
+    }
+
+    /**
+     * Draw the event's on-video callouts (arrows, ellipses, text) at the current time
+     * @param {CanvasRenderingContext2D} ctx - Canvas with camera frames drawn
+     * @param {Object} cameraInfos - Same camera map as applyPrivacyBlur
+     */
+    drawCallouts(ctx, cameraInfos) {
+        const calloutLayer = window.app?.calloutLayer;
+        const settings = window.app?.settingsManager;
+        if (!calloutLayer || (settings && settings.get('calloutsInExport') === false)) return;
+
+        try {
+            calloutLayer.drawToCanvas(ctx, cameraInfos, this.videoPlayer.getCurrentAbsoluteTime());
+        } catch (error) {
+            console.warn('[Screenshot] Callout drawing error:', error);
+        }
+    }
+
     /**
      * Add camera labels to composite image
      * @param {CanvasRenderingContext2D} ctx
@@ -10,6 +10,8 @@ class SeiExtractor {
     constructor() {
         this.protoRoot = null;
         this.SeiMetadata = null;
+        this.SCHEMA_URL = 'vendor/dashcam.proto';
+        this.schemaText = null; // dashcam.proto contents, passed on to extraction workers
         this.isInitialized = false;
         this.initPromise = null;
 
@@ -22,6 +24,95 @@ class SeiExtractor {
 
         // Autopilot state enum mapping
         this.AP_NAMES = ['NONE', 'FSD', 'AUTOSTEER', 'TACC'];
+
+        // Parse priorities for the worker pool (lower runs first)
+        this.PRIORITY = {
+            PLAYBACK: 0,  // Clip currently playing
+            EVENT: 1,     // Other clips of the loaded event (default)
+            SCAN: 2,      // Library scans (map, search, highlights, statistics)
+            IDLE: 3       // Background indexing
+        };
+
+        // Worker pool (main thread only), created on first extraction
+        this.WORKER_URL = 'js/seiWorker.js';
+        this.workerPool = null;
+        this.workerCount = this._getAutoWorkerCount();
+        this.workersDisabled = false;
+
+        // In-flight extractions, so concurrent requests for one file share a parse
+        // Key: cache key, Value: { promise, group }
+        this.pending = new Map();
+    }
+
+    /**
+     * Default pool size: leave one core for the UI and video decoding
+     */
+    _getAutoWorkerCount() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.min(4, Math.max(1, cores - 1));
+    }
+
+    /**
+     * Set the number of extraction workers
+     * @param {number|string} count - Worker count, 'auto', or 0 to parse on the main thread
+     */
+    setWorkerCount(count) {
+        this.workerCount = count === 'auto' ? this._getAutoWorkerCount() : Math.max(0, parseInt(count, 10) || 0);
+
+        if (this.workerPool) {
+            if (this.workerCount === 0) {
+                this.workerPool.destroy();
+                this.workerPool = null;
+            } else {
+                this.workerPool.setSize(this.workerCount);
+            }
+        }
+    }
+
+    /**
+     * Get (or create) the worker pool, or null when extraction runs on this thread
+     */
+    _getWorkerPool() {
+        if (this.workerPool) return this.workerPool;
+        if (this.workersDisabled || this.workerCount === 0) return null;
+
+        // Workers themselves (and non-browser contexts) parse directly
+        if (typeof document === 'undefined' || typeof Worker === 'undefined' || !window.SeiWorkerPool) {
+            return null;
+        }
+
+        this.workerPool = new SeiWorkerPool(this.WORKER_URL, this.workerCount, this.schemaText);
+        console.log(`SeiExtractor: Using ${this.workerCount} extraction worker(s)`);
+        return this.workerPool;
+    }
+
+    /**
+     * Cancel pending extractions of a group (e.g. the previous event's clips)
+     * Cancelled calls to extractFromFile reject with an AbortError.
+     * @param {string} group
+     */
+    cancel(group) {
+        if (this.workerPool) {
+            this.workerPool.cancel(group);
+        }
+    }
+
+    /**
+     * Move a queued extraction ahead, e.g. when playback reaches that clip
+     * @param {File} file
+     * @param {number} priority - One of this.PRIORITY
+     */
+    raisePriority(file, priority) {
+        if (this.workerPool) {
+            this.workerPool.raisePriority(this._getCacheKey(file), priority);
+        }
+    }
+
+    /**
+     * Cache key for a file (name + size + mtime)
+     */
+    _getCacheKey(file) {
+        return `${file.name}_${file.size}_${file.lastModified}`;
     }
 
     /**
@@ -37,6 +128,14 @@ class SeiExtractor {
         this.isInitialized = true;
     }
 
+    /**
+     * Use schema text instead of fetching vendor/dashcam.proto (called in workers before init)
+     * @param {string|null} text
+     */
+    setSchema(text) {
+        this.schemaText = text || null;
+    }
+
     async _loadProtobuf() {
         // Check if protobuf.js is available
         if (typeof protobuf === 'undefined') {
@@ -45,11 +144,19 @@ class SeiExtractor {
         }
 
         try {
-            // Load the proto schema
-            const response = await fetch('vendor/dashcam.proto');
-            const protoContent = await response.text();
+            // Load the proto schema (workers are handed it - their relative URLs resolve against js/)
+            if (!this.schemaText) {
+                if (typeof document === 'undefined') {
+                    throw new Error('No schema passed to worker');
+                }
+                const response = await fetch(this.SCHEMA_URL);
+                if (!response.ok) {
+                    throw new Error(`${this.SCHEMA_URL}: HTTP ${response.status}`);
+                }
+                this.schemaText = await response.text();
+            }
 
-            this.protoRoot = protobuf.parse(protoContent).root;
+            this.protoRoot = protobuf.parse(this.schemaText).root;
             this.SeiMetadata = this.protoRoot.lookupType('SeiMetadata');
             console.log('SeiExtractor: Protobuf schema loaded successfully');
         } catch (error) {
@@ -59,38 +166,83 @@ class SeiExtractor {
 
     /**
      * Extract SEI telemetry data from an MP4 file
+     * Parsing runs in the worker pool when available, otherwise on this thread.
      * @param {File} file - The MP4 file to extract from
+     * @param {Object} options - {
+     *     cache: false to skip the in-memory cache (library-wide scans),
+     *     priority: one of this.PRIORITY (default EVENT),
+     *     group: tag for cancel(), e.g. 'event'
+     * }
      * @returns {Promise<Object>} Extracted data with frames array and timing info
      */
-    async extractFromFile(file) {
+    async extractFromFile(file, options = {}) {
         await this.init();
 
         // Check cache first
-        const cacheKey = `${file.name}_${file.size}_${file.lastModified}`;
+        const cacheKey = this._getCacheKey(file);
         if (this.cache.has(cacheKey)) {
             return this.cache.get(cacheKey);
         }
 
-        // Reset debug flags for new file
-        this._markerLogged = false;
-        this._payloadLogged = false;
-        this._protoDecodeLogged = false;
-        this._protoErrorLogged = false;
-        this._manualDecodeLogged = false;
-        this._fieldDebugLogged = false;
-        this._throttleLogged = false;
-        this._baseSeqLogged = false;
+        // Same file already being parsed for the same group - share it, moving it up if this caller is more urgent
+        const group = options.group ?? null;
+        const pending = this.pending.get(cacheKey);
+        if (pending && pending.group === group) {
+            if (options.priority !== undefined) {
+                this.raisePriority(file, options.priority);
+            }
+            return pending.promise;
+        }
 
+        const promise = this._extract(file, cacheKey, options);
+        this.pending.set(cacheKey, { promise, group });
+        try {
+            return await promise;
+        } finally {
+            if (this.pending.get(cacheKey)?.promise === promise) {
+                this.pending.delete(cacheKey);
+            }
+        }
+    }
+
+    /**
+     * Parse a file in the worker pool, falling back to this thread
+     */
+    async _extract(file, cacheKey, options) {
         console.log(`SeiExtractor: Extracting from ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
 
-        try {
-            const buffer = await file.arrayBuffer();
-            const data = new DataView(buffer);
+        let result = null;
+        const pool = this._getWorkerPool();
+        if (pool) {
+            try {
+                result = await pool.run(cacheKey, file, {
+                    priority: options.priority ?? this.PRIORITY.EVENT,
+                    group: options.group
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+
+                // Workers cannot start (e.g. blocked on file:// pages) - stop trying
+                // A job that fails inside a running worker just falls back for this file
+                if (error.name === 'WorkerStartupError') {
+                    console.warn('SeiExtractor: Extraction workers unavailable, using main thread:', error.message);
+                    this.workersDisabled = true;
+                    pool.destroy();
+                    this.workerPool = null;
+                }
+            }
+        }
 
-            const result = this._parseMP4(data);
+        try {
+            if (!result) {
+                const buffer = await file.arrayBuffer();
+                result = this.parseBuffer(buffer);
+            }
 
             if (result.frames.length > 0) {
-                this.cache.set(cacheKey, result);
+                if (options.cache !== false) {
+                    this.cache.set(cacheKey, result);
+                }
                 console.log(`SeiExtractor: Extracted ${result.frames.length} frames with telemetry from ${file.name}`);
             } else {
                 console.log(`SeiExtractor: No SEI telemetry found in ${file.name}`);
@@ -103,6 +255,26 @@ class SeiExtractor {
         }
     }
 
+    /**
+     * Parse an MP4 file already read into memory
+     * Used directly by js/seiWorker.js.
+     * @param {ArrayBuffer} buffer
+     * @returns {Object} Extracted data with frames array and timing info
+     */
+    parseBuffer(buffer) {
+        // Reset debug flags for new file
+        this._markerLogged = false;
+        this._payloadLogged = false;
+        this._protoDecodeLogged = false;
+        this._protoErrorLogged = false;
+        this._manualDecodeLogged = false;
+        this._fieldDebugLogged = false;
+        this._throttleLogged = false;
+        this._baseSeqLogged = false;
+
+        return this._parseMP4(new DataView(buffer));
+    }
+
     /**
      * Parse MP4 file structure and extract SEI data
      */
@@ -112,6 +284,10 @@ class SeiExtractor {
             timescale: 30,
             frameDuration: 1,
             fps: 30,
+            duration: null,        // Track duration in seconds (from mdhd), null if unknown
+            frameCount: 0,         // Video frames in the stream (with or without SEI)
+            frameTimes: null,      // Presentation time (s) per frame in stream order, from stts/ctts
+            frameDurations: null,  // Display duration (s) per frame in stream order
             baseFrameSeqNo: null,  // First frame's sequence number
             frameSeqMap: new Map() // Map from frameSeqNo to telemetry
         };
@@ -124,6 +300,9 @@ class SeiExtractor {
                 if (timing) {
                     result.timescale = timing.timescale;
                     result.frameDuration = timing.frameDuration;
+                    result.duration = timing.duration;
+                    result.frameTimes = timing.frameTimes;
+                    result.frameDurations = timing.frameDurations;
                     const calculatedFps = timing.timescale / timing.frameDuration;
                     // Sanity check: Tesla dashcam is ~36fps, so fps should be 20-60
                     result.fps = (calculatedFps >= 20 && calculatedFps <= 60) ? calculatedFps : 36;
@@ -138,7 +317,9 @@ class SeiExtractor {
             }
 
             // Parse NAL units and extract SEI
-            result.frames = this._parseNALUnits(data, mdat.dataStart, mdat.end);
+            const parsed = this._parseNALUnits(data, mdat.dataStart, mdat.end);
+            result.frames = parsed.frames;
+            result.frameCount = parsed.frameCount;
 
             // Build frame sequence map and find base sequence number
             if (result.frames.length > 0) {
@@ -220,14 +401,17 @@ class SeiExtractor {
 
         let timescale = 30;
         let frameDuration = 1;
+        let mediaDuration = 0;
 
         if (mdhd) {
             // Version 0: 4 bytes each, Version 1: 8 bytes each
             const version = data.getUint8(mdhd.dataStart);
             if (version === 0) {
                 timescale = data.getUint32(mdhd.dataStart + 12);
+                mediaDuration = data.getUint32(mdhd.dataStart + 16);
             } else {
                 timescale = data.getUint32(mdhd.dataStart + 20);
+                mediaDuration = Number(data.getBigUint64(mdhd.dataStart + 24));
             }
         }
 
@@ -239,7 +423,59 @@ class SeiExtractor {
             }
         }
 
-        return { timescale, frameDuration };
+        const duration = timescale > 0 && mediaDuration > 0 ? mediaDuration / timescale : null;
+        const { frameTimes, frameDurations } = this._extractFrameTimes(data, stts, start, end, timescale);
+
+        return { timescale, frameDuration, duration, frameTimes, frameDurations };
+    }
+
+    /**
+     * Per-frame presentation times from the sample table (stts decode deltas + ctts offsets)
+     * Times start at 0 for the first displayed frame, like the <video> element's currentTime.
+     * @returns {Object} { frameTimes, frameDurations } in seconds, stream order, or nulls if unreadable
+     */
+    _extractFrameTimes(data, stts, start, end, timescale) {
+        if (!stts || !(timescale > 0)) {
+            return { frameTimes: null, frameDurations: null };
+        }
+
+        const frameTimes = [];
+        const frameDurations = [];
+        const runCount = data.getUint32(stts.dataStart + 4);
+        let dts = 0;
+        for (let run = 0; run < runCount; run++) {
+            const count = data.getUint32(stts.dataStart + 8 + run * 8);
+            const delta = data.getUint32(stts.dataStart + 12 + run * 8);
+            for (let i = 0; i < count; i++) {
+                frameTimes.push(dts);
+                frameDurations.push(delta / timescale);
+                dts += delta;
+            }
+        }
+        if (frameTimes.length === 0) {
+            return { frameTimes: null, frameDurations: null };
+        }
+
+        const ctts = this._findBox(data, 'ctts', start, end);
+        if (ctts) {
+            const version = data.getUint8(ctts.dataStart);
+            const count = data.getUint32(ctts.dataStart + 4);
+            let sample = 0;
+            for (let i = 0; i < count; i++) {
+                const pos = ctts.dataStart + 8 + i * 8;
+                const runLength = data.getUint32(pos);
+                const offset = version === 1 ? data.getInt32(pos + 4) : data.getUint32(pos + 4);
+                for (let j = 0; j < runLength && sample < frameTimes.length; j++, sample++) {
+                    frameTimes[sample] += offset;
+                }
+            }
+        }
+
+        const first = Math.min(...frameTimes);
+        return {
+            frameTimes: frameTimes.map(t => (t - first) / timescale),
+            frameDurations
+        };
     }
 
     /**
@@ -282,7 +518,7 @@ class SeiExtractor {
             pos += nalSize;
         }
 
-        return frames;
+        return { frames, frameCount: frameIndex };
     }
 
     /**
@@ -509,9 +745,8 @@ class SeiExtractor {
             this._fieldDebugLogged = true;
         }
 
-        // Validate - if we got valid speed or position data, it's probably good
-        if (result.version > 0 || result.vehicle_speed_mps > 0 ||
-            result.latitude_deg !== 0 || result.longitude_deg !== 0) {
+        // Any decoded field makes a frame - a parked car without GPS lock is all zeros but still a frame
+        if (debugFields.length > 0) {
             return this._formatTelemetry(result);
         }
 
@@ -520,6 +755,7 @@ class SeiExtractor {
 
     /**
      * Read a protobuf varint
+     * Accumulates with multiplication - bitwise ops would truncate to 32 bits (exact up to 2^53)
      */
     _readVarint(data, pos) {
         let value = 0;
@@ -527,7 +763,7 @@ class SeiExtractor {
 
         while (pos < data.length) {
             const byte = data[pos++];
-            value |= (byte & 0x7F) << shift;
+            value += (byte & 0x7F) * 2 ** shift;
             if ((byte & 0x80) === 0) {
                 return { value, pos };
             }
@@ -648,85 +884,149 @@ class SeiExtractor {
 
     /**
      * Get telemetry at a specific time in a clip
-     * Uses Tesla's frame_seq_no for accurate sync instead of our own frame counter.
+     * Maps the time's share of the clip duration onto the SEI frames, the same way live playback
+     * does (MP4 fps metadata is unreliable), so exports show what the preview showed.
      *
      * @param {Object} extractedData - Data from extractFromFile()
      * @param {number} timeSeconds - Time in seconds from start of clip
+     * @param {number} videoDuration - Clip video duration (seconds); defaults to the track duration, then 60
      * @returns {Object|null} Telemetry data for that time, or null if not available
      */
-    getTelemetryAtTime(extractedData, timeSeconds) {
+    getTelemetryAtTime(extractedData, timeSeconds, videoDuration = null) {
         if (!extractedData || !extractedData.frames || extractedData.frames.length === 0) {
             return null;
         }
 
-        const fps = extractedData.fps || 36;
-        const baseSeq = extractedData.baseFrameSeqNo;
-        const seqMap = extractedData.frameSeqMap;
+        const duration = videoDuration > 0 ? videoDuration : (extractedData.duration > 0 ? extractedData.duration : 60);
+        const progress = Math.min(Math.max(timeSeconds / duration, 0), 1);
+        const frameIndex = Math.floor(progress * (extractedData.frames.length - 1));
+        return extractedData.frames[frameIndex] || null;
+    }
 
-        // Use frame_seq_no based lookup if available (most accurate)
-        if (baseSeq !== null && seqMap && seqMap.size > 0) {
-            // Calculate expected frame_seq_no for this time
-            const frameOffset = Math.floor(timeSeconds * fps);
-            const targetSeq = baseSeq + frameOffset;
+    /**
+     * Check if extracted data can be addressed by Tesla frame_seq_no
+     * @param {Object} extractedData - Data from extractFromFile()
+     * @returns {boolean}
+     */
+    hasFrameSequence(extractedData) {
+        return !!(extractedData && extractedData.baseFrameSeqNo !== null &&
+            extractedData.frameSeqMap && extractedData.frameSeqMap.size > 0);
+    }
 
-            // Direct lookup
-            if (seqMap.has(targetSeq)) {
-                return seqMap.get(targetSeq);
-            }
+    /**
+     * Get the Tesla frame_seq_no displayed at a time in a clip
+     * Unlike getTelemetryAtTime this maps by the frame's position in the stream, so stepping
+     * and cross-camera alignment land on exactly the frame the video element shows.
+     *
+     * @param {Object} extractedData - Data from extractFromFile()
+     * @param {number} timeSeconds - Time in seconds from start of clip
+     * @returns {number|null} frame_seq_no, or null without frame sequence data
+     */
+    getFrameSeqAtTime(extractedData, timeSeconds) {
+        if (!this.hasFrameSequence(extractedData)) return null;
 
-            // Search nearby (±5 frames) for closest match
-            let closest = null;
-            let minDiff = Infinity;
-            for (let offset = -5; offset <= 5; offset++) {
-                const checkSeq = targetSeq + offset;
-                if (seqMap.has(checkSeq)) {
-                    const diff = Math.abs(offset);
-                    if (diff < minDiff) {
-                        minDiff = diff;
-                        closest = seqMap.get(checkSeq);
-                    }
-                }
-            }
+        const targetFrame = this._frameIndexAtTime(extractedData, timeSeconds);
+        const frames = extractedData.frames;
 
-            if (closest) {
-                return closest;
+        // Binary search for the last frame with SEI at or before targetFrame
+        let left = 0;
+        let right = frames.length - 1;
+        let found = frames[0];
+        while (left <= right) {
+            const mid = Math.floor((left + right) / 2);
+            if (frames[mid].frameIndex <= targetFrame) {
+                found = frames[mid];
+                left = mid + 1;
+            } else {
+                right = mid - 1;
             }
         }
 
-        // Fallback to frame index based lookup (less accurate)
-        const targetFrame = Math.floor(timeSeconds * fps);
+        // Frames without SEI (or before the first one) continue the sequence
+        return found.frame_seq_no + (targetFrame - found.frameIndex);
+    }
+
+    /**
+     * Get the time within a clip at which a Tesla frame is displayed
+     * Returns the middle of the frame so the video element can't round onto a neighbour.
+     *
+     * @param {Object} extractedData - Data from extractFromFile()
+     * @param {number} frameSeqNo - Tesla frame_seq_no
+     * @returns {number|null} Time in seconds, or null if the frame isn't in this clip
+     */
+    getTimeForFrameSeq(extractedData, frameSeqNo) {
+        if (!this.hasFrameSequence(extractedData)) return null;
+
+        const seqMap = extractedData.frameSeqMap;
         const frames = extractedData.frames;
 
-        // Binary search for closest frame by frameIndex
-        let left = 0;
-        let right = frames.length - 1;
-        let closest = null;
-        let minDiff = Infinity;
+        // Frames without SEI continue the sequence from the first frame
+        const frameIndex = seqMap.has(frameSeqNo)
+            ? seqMap.get(frameSeqNo).frameIndex
+            : seqMap.get(extractedData.baseFrameSeqNo).frameIndex + (frameSeqNo - extractedData.baseFrameSeqNo);
 
-        while (left <= right) {
-            const mid = Math.floor((left + right) / 2);
-            const frame = frames[mid];
-            const diff = Math.abs(frame.frameIndex - targetFrame);
+        const frameCount = extractedData.frameTimes?.length || extractedData.frameCount || frames[frames.length - 1].frameIndex + 1;
+        if (frameIndex < 0 || frameIndex >= frameCount) {
+            return null;
+        }
 
-            if (diff < minDiff) {
-                minDiff = diff;
-                closest = frame;
-            }
+        const { frameTimes, frameDurations } = extractedData;
+        if (frameTimes && frameIndex < frameTimes.length) {
+            return frameTimes[frameIndex] + frameDurations[frameIndex] / 2;
+        }
 
-            if (frame.frameIndex < targetFrame) {
-                left = mid + 1;
-            } else if (frame.frameIndex > targetFrame) {
-                right = mid - 1;
-            } else {
-                break;
+        // No sample table: spread the frames evenly over the clip
+        const frameDuration = 1 / this.getFrameRate(extractedData);
+        return (frameIndex + 0.5) * frameDuration;
+    }
+
+    /**
+     * Index (stream order) of the frame displayed at a time in a clip
+     * Uses the per-frame sample table times; without them, maps by the time's share of the duration.
+     * MP4 fps metadata is not used - it is often wrong for Tesla clips.
+     * @param {Object} extractedData - Data from extractFromFile()
+     * @param {number} timeSeconds
+     * @returns {number}
+     */
+    _frameIndexAtTime(extractedData, timeSeconds) {
+        // Small epsilon so a time set to a frame's start doesn't land on the previous frame
+        const time = Math.max(0, timeSeconds) + 1e-4;
+        const frameTimes = extractedData.frameTimes;
+
+        if (frameTimes && frameTimes.length > 0) {
+            let index = 0;
+            for (let i = 1; i < frameTimes.length; i++) {
+                if (frameTimes[i] <= time && frameTimes[i] > frameTimes[index]) {
+                    index = i;
+                }
             }
+            return index;
         }
 
-        if (closest && minDiff <= 10) {
-            return closest;
+        const frameCount = extractedData.frameCount || 0;
+        if (frameCount > 0 && extractedData.duration > 0) {
+            const progress = Math.min(time / extractedData.duration, 1);
+            return Math.min(Math.floor(progress * frameCount), frameCount - 1);
         }
+        return Math.floor(time * 36);
+    }
 
-        return null;
+    /**
+     * Actual frame rate of a clip: frames divided by the span they are displayed for
+     * @param {Object} extractedData - Data from extractFromFile()
+     * @returns {number} Frames per second (Tesla default 36 when unknown)
+     */
+    getFrameRate(extractedData) {
+        const { frameTimes, frameDurations, frameCount, duration } = extractedData || {};
+        if (frameTimes && frameTimes.length > 1) {
+            const last = frameTimes.indexOf(Math.max(...frameTimes));
+            const span = frameTimes[last] + frameDurations[last];
+            if (span > 0) return frameTimes.length / span;
+        }
+        if (frameCount > 0 && duration > 0) {
+            return frameCount / duration;
+        }
+        return 36;
     }
 
     /**
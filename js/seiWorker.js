@@ -0,0 +1,35 @@
+/**
+ * SeiWorker - Parses one MP4 per message for SeiWorkerPool
+ * Message in:  { type: 'init', schema } once, then { id, buffer } (buffer is transferred)
+ * Message out: { type: 'ready' } after init, then { id, result } or { id, error }
+ *
+ * The dashcam.proto text comes from the main thread: relative fetches here resolve against js/.
+ * Without protobuf.js or a schema, SeiExtractor uses its manual decoder.
+ */
+
+// SeiExtractor registers itself on window
+self.window = self;
+try {
+    importScripts('../vendor/protobuf.min.js');
+} catch (error) {
+    console.warn('[SeiWorker] protobuf.js not available, using manual decoder:', error.message);
+}
+importScripts('seiExtractor.js');
+
+self.onmessage = async (e) => {
+    if (e.data.type === 'init') {
+        self.seiExtractor.setSchema(e.data.schema);
+        await self.seiExtractor.init();
+        self.postMessage({ type: 'ready' });
+        return;
+    }
+
+    const { id, buffer } = e.data;
+
+    try {
+        await self.seiExtractor.init();
+        self.postMessage({ id, result: self.seiExtractor.parseBuffer(buffer) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
@@ -0,0 +1,253 @@
+/**
+ * SeiWorkerPool - Runs SeiExtractor's MP4/SEI parsing in a pool of Web Workers
+ *
+ * Jobs are queued by priority (lower number runs first, FIFO within a priority) and tagged
+ * with an optional group so everything belonging to e.g. the previous event can be cancelled
+ * at once. Files are read only when a job starts and the ArrayBuffer is transferred to the
+ * worker, so queued jobs hold no file data and nothing is copied.
+ */
+
+class SeiWorkerPool {
+    /**
+     * @param {string} scriptUrl - Worker script (js/seiWorker.js)
+     * @param {number} size - Maximum number of workers
+     * @param {string|null} schema - dashcam.proto text handed to each new worker
+     */
+    constructor(scriptUrl, size, schema = null) {
+        this.scriptUrl = scriptUrl;
+        this.size = Math.max(1, size);
+        this.schema = schema;
+
+        this.workers = [];  // { worker, job, ready }
+        this.queue = [];
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Error used to reject cancelled jobs
+     */
+    static createAbortError() {
+        const error = new Error('SEI extraction cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Error used when a worker cannot start (blocked, script missing or failing to load)
+     * Unlike a failed job, this means workers are unusable on this page.
+     */
+    static createStartupError(message) {
+        const error = new Error(message || 'SEI worker failed to start');
+        error.name = 'WorkerStartupError';
+        return error;
+    }
+
+    /**
+     * Queue a file for parsing
+     * @param {string} key - Identifies the file (jobs with the same key can be re-prioritized)
+     * @param {File} file
+     * @param {Object} options - { priority, group }
+     * @returns {Promise<Object>} SeiExtractor parse result
+     */
+    run(key, file, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                id: this.nextJobId++,
+                key,
+                file,
+                priority: options.priority ?? 1,
+                group: options.group ?? null,
+                resolve,
+                reject
+            });
+            this._pump();
+        });
+    }
+
+    /**
+     * Move a queued job ahead (e.g. the user started playing that clip)
+     * @param {string} key
+     * @param {number} priority
+     */
+    raisePriority(key, priority) {
+        for (const job of this.queue) {
+            if (job.key === key && priority < job.priority) {
+                job.priority = priority;
+            }
+        }
+    }
+
+    /**
+     * Cancel queued and running jobs of a group
+     * Running jobs are stopped by terminating their worker; a new one is spawned on demand.
+     * @param {string} group
+     * @returns {number} Number of jobs cancelled
+     */
+    cancel(group) {
+        let cancelled = 0;
+
+        this.queue = this.queue.filter(job => {
+            if (job.group !== group) return true;
+            job.reject(SeiWorkerPool.createAbortError());
+            cancelled++;
+            return false;
+        });
+
+        for (const entry of [...this.workers]) {
+            if (entry.job && entry.job.group === group) {
+                entry.job.reject(SeiWorkerPool.createAbortError());
+                entry.job = null;
+                this._removeWorker(entry);
+                cancelled++;
+            }
+        }
+
+        if (cancelled > 0) {
+            console.log(`[SeiWorkerPool] Cancelled ${cancelled} job(s) in group "${group}"`);
+            this._pump();
+        }
+        return cancelled;
+    }
+
+    /**
+     * Change the number of workers (idle extras are stopped, busy ones finish first)
+     * @param {number} size
+     */
+    setSize(size) {
+        this.size = Math.max(1, size);
+        for (const entry of [...this.workers]) {
+            if (this.workers.length <= this.size) break;
+            if (!entry.job) this._removeWorker(entry);
+        }
+        this._pump();
+    }
+
+    /**
+     * Stop every worker and reject all jobs
+     */
+    destroy() {
+        for (const job of this.queue) {
+            job.reject(SeiWorkerPool.createAbortError());
+        }
+        this.queue = [];
+        for (const entry of [...this.workers]) {
+            if (entry.job) entry.job.reject(SeiWorkerPool.createAbortError());
+            this._removeWorker(entry);
+        }
+    }
+
+    /**
+     * Start queued jobs on idle workers
+     */
+    _pump() {
+        while (this.queue.length > 0) {
+            let entry = this.workers.find(w => !w.job);
+            if (!entry) {
+                if (this.workers.length >= this.size) return;
+                try {
+                    entry = this._createWorker();
+                } catch (error) {
+                    // Workers are blocked (e.g. file:// pages) - fail the queue so callers fall back
+                    const startupError = SeiWorkerPool.createStartupError(error.message);
+                    for (const job of this.queue) job.reject(startupError);
+                    this.queue = [];
+                    return;
+                }
+            }
+
+            // Best priority first, then oldest
+            let bestIndex = 0;
+            for (let i = 1; i < this.queue.length; i++) {
+                const a = this.queue[i];
+                const b = this.queue[bestIndex];
+                if (a.priority < b.priority || (a.priority === b.priority && a.id < b.id)) {
+                    bestIndex = i;
+                }
+            }
+            const job = this.queue.splice(bestIndex, 1)[0];
+            this._start(entry, job);
+        }
+    }
+
+    /**
+     * Read the file and hand it to a worker
+     */
+    async _start(entry, job) {
+        entry.job = job;
+        try {
+            const buffer = await job.file.arrayBuffer();
+            // Cancelled while reading
+            if (entry.job !== job) return;
+            entry.worker.postMessage({ id: job.id, buffer }, [buffer]);
+        } catch (error) {
+            if (entry.job !== job) return;
+            entry.job = null;
+            job.reject(error);
+            this._pump();
+        }
+    }
+
+    /**
+     * Spawn a worker
+     */
+    _createWorker() {
+        const entry = { worker: new Worker(this.scriptUrl), job: null, ready: false };
+
+        entry.worker.onmessage = (e) => {
+            if (e.data.type === 'ready') {
+                entry.ready = true;
+                return;
+            }
+
+            const job = entry.job;
+            if (!job || e.data.id !== job.id) return;
+            entry.job = null;
+
+            if (e.data.error) {
+                job.reject(new Error(e.data.error));
+            } else {
+                job.resolve(e.data.result);
+            }
+            this._trimAndPump(entry);
+        };
+
+        // Errors before the worker reported ready come from loading its scripts
+        entry.worker.onerror = (e) => {
+            e.preventDefault();
+            const job = entry.job;
+            entry.job = null;
+            this._removeWorker(entry);
+            if (job) {
+                job.reject(entry.ready
+                    ? new Error(e.message || 'SEI worker failed')
+                    : SeiWorkerPool.createStartupError(e.message));
+            }
+            this._pump();
+        };
+
+        entry.worker.postMessage({ type: 'init', schema: this.schema });
+        this.workers.push(entry);
+        return entry;
+    }
+
+    /**
+     * After a job: stop the worker if the pool shrank, then continue
+     */
+    _trimAndPump(entry) {
+        if (this.workers.length > this.size) {
+            this._removeWorker(entry);
+        }
+        this._pump();
+    }
+
+    /**
+     * Terminate and forget a worker
+     */
+    _removeWorker(entry) {
+        entry.worker.terminate();
+        const index = this.workers.indexOf(entry);
+        if (index !== -1) this.workers.splice(index, 1);
+    }
+}
+
+window.SeiWorkerPool = SeiWorkerPool;
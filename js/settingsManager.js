@@ -20,10 +20,13 @@ class SettingsManager {
             defaultLayout: 'layout-6-3',
             autoPlayNextEvent: false,
             loopByDefault: false,
+            syncMode: 'time',               // Camera sync: 'time' (playback position) or 'frame' (Tesla frame_seq_no)
 
             // Performance
             preloadNextClip: true,
             memoryOptimization: true,
+            backgroundTelemetryIndex: true, // Index telemetry for the whole library while idle
+            seiWorkerCount: 'auto',         // Telemetry extraction workers: 'auto', '1', '2', '4' or '0' (main thread)
 
             // UI
             theme: 'dark',
@@ -36,12 +39,16 @@ class SettingsManager {
             telemetryOverlayStyle: 'cockpit', // 'cockpit', 'tesla', 'minimal'
             telemetryOverlayUnits: 'mph',     // 'mph', 'kph'
             telemetryOverlayInExport: true,
+            subtitleSidecarInExport: false, // Write .vtt/.srt telemetry tracks next to video exports
 
             // Mini-Map Overlay (requires GPS telemetry)
             miniMapEnabled: false,
             miniMapInExport: true,  // Include mini-map in video exports
             miniMapDarkMode: true,  // Dark/light map tiles
 
+            // On-video drawings (callouts)
+            calloutsInExport: true, // Include arrows, circles and text in exports and screenshots
+
             // Timeline
             enableTimelineZoom: false,
             showClipMarkers: true,
@@ -59,12 +66,15 @@ class SettingsManager {
 
             // Export
             exportFormat: 'webm',  // 'webm' or 'mp4'
+            telemetryExportFormat: 'gpx',  // 'gpx', 'kml' or 'csv'
 
             // Privacy Mode Export - strips identifying metadata from exports
             privacyModeExport: false,  // When enabled, removes timestamp, GPS, location, and mini-map from exports
 
             // License Plate Blurring - uses AI to detect and blur license plates
             blurLicensePlates: false,  // Off by default since it slows export significantly
+            blurFaces: false,          // Face anonymization (separate face/person model)
+            blurPeople: false,         // Pedestrian anonymization (whole body)
 
             // Branding in exports - only applies to licensed users
             showBrandingInExport: true  // Show TeslaCamViewer.com branding by default
@@ -337,6 +347,14 @@ class SettingsManager {
                             <label for="setting-loopByDefault">${this.t('settings.playback.loopByDefault')}</label>
                             <input type="checkbox" id="setting-loopByDefault" class="setting-checkbox">
                         </div>
+                        <div class="setting-row">
+                            <label for="setting-syncMode">${this.t('settings.playback.syncMode')}</label>
+                            <select id="setting-syncMode" class="setting-select">
+                                <option value="time">${this.t('settings.playback.syncByTime')}</option>
+                                <option value="frame">${this.t('settings.playback.syncByFrame')}</option>
+                            </select>
+                            <span class="setting-hint">${this.t('settings.playback.syncModeHint')}</span>
+                        </div>
                     </div>
 
                     <!-- Timeline Section -->
@@ -447,6 +465,17 @@ class SettingsManager {
                             <span class="setting-hint">${this.t('settings.export.blurPlatesHint')}</span>
                             <div id="plateModelStatus" class="setting-status"></div>
                         </div>
+                        <div class="setting-row">
+                            <label for="setting-blurFaces">${this.t('settings.export.blurFaces')}</label>
+                            <input type="checkbox" id="setting-blurFaces" class="setting-checkbox">
+                            <span class="setting-hint">${this.t('settings.export.blurFacesHint')}</span>
+                        </div>
+                        <div class="setting-row">
+                            <label for="setting-blurPeople">${this.t('settings.export.blurPeople')}</label>
+                            <input type="checkbox" id="setting-blurPeople" class="setting-checkbox">
+                            <span class="setting-hint">${this.t('settings.export.blurPeopleHint')}</span>
+                            <div id="personModelStatus" class="setting-status"></div>
+                        </div>
                         <div class="setting-row" id="setting-row-showBrandingInExport" style="display: none;">
                             <label for="setting-showBrandingInExport">${this.t('settings.export.branding')}</label>
                             <input type="checkbox" id="setting-showBrandingInExport" class="setting-checkbox" checked>
@@ -470,6 +499,22 @@ class SettingsManager {
                             <input type="checkbox" id="setting-memoryOptimization" class="setting-checkbox">
                             <span class="setting-hint">${this.t('settings.performance.memoryHint')}</span>
                         </div>
+                        <div class="setting-row">
+                            <label for="setting-backgroundTelemetryIndex">${this.t('settings.performance.backgroundTelemetryIndex')}</label>
+                            <input type="checkbox" id="setting-backgroundTelemetryIndex" class="setting-checkbox">
+                            <span class="setting-hint">${this.t('settings.performance.backgroundTelemetryIndexHint')}</span>
+                        </div>
+                        <div class="setting-row">
+                            <label for="setting-seiWorkerCount">${this.t('settings.performance.seiWorkerCount')}</label>
+                            <select id="setting-seiWorkerCount" class="setting-select">
+                                <option value="auto">${this.t('settings.performance.workersAuto')}</option>
+                                <option value="1">1</option>
+                                <option value="2">2</option>
+                                <option value="4">4</option>
+                                <option value="0">${this.t('settings.performance.workersOff')}</option>
+                            </select>
+                            <span class="setting-hint">${this.t('settings.performance.seiWorkerCountHint')}</span>
+                        </div>
                     </div>
 
                     <!-- Session Section -->
@@ -510,6 +555,20 @@ class SettingsManager {
                         </div>
                     </div>
 
+                    <!-- Workspace Backup Section -->
+                    <div class="settings-section">
+                        <h3>${this.t('settings.sections.workspace')}</h3>
+                        <div class="setting-row offline-package-row">
+                            <div class="offline-package-info">
+                                <label>${this.t('settings.workspace.backupRestore')}</label>
+                                <span class="setting-hint">${this.t('settings.workspace.hint')}</span>
+                            </div>
+                            <button id="workspaceBackupBtn" class="settings-btn primary offline-download-btn">
+                                ${this.t('settings.workspace.open')}
+                            </button>
+                        </div>
+                    </div>
+
                     <!-- Offline/Portable Section -->
                     <div class="settings-section">
                         <h3>${this.t('settings.sections.offline')}</h3>
@@ -636,6 +695,17 @@ class SettingsManager {
             });
         }
 
+        // Bind workspace backup button
+        const workspaceBtn = this.modal.querySelector('#workspaceBackupBtn');
+        if (workspaceBtn) {
+            workspaceBtn.addEventListener('click', () => {
+                if (window.app?.workspaceBackup) {
+                    this.hideSettingsModal();
+                    window.app.workspaceBackup.show();
+                }
+            });
+        }
+
         // Bind change events for all settings
         const selects = this.modal.querySelectorAll('.setting-select');
         const checkboxes = this.modal.querySelectorAll('.setting-checkbox');
@@ -666,11 +736,70 @@ class SettingsManager {
                 if (key === 'blurLicensePlates' && e.target.checked) {
                     this._preloadPlateDetectionModel();
                 }
+
+                // Face/person blur share one model - preload when either is enabled
+                if ((key === 'blurFaces' || key === 'blurPeople') && e.target.checked) {
+                    this._preloadPersonDetectionModel();
+                } else if (key === 'blurFaces' || key === 'blurPeople') {
+                    this._updatePersonModelStatus();
+                }
             });
         });
 
-        // Check plate model status when settings open
+        // Check plate / person model status when settings open
         this._updatePlateModelStatus();
+        this._updatePersonModelStatus();
+    }
+
+    /**
+     * Preload the face/person detection model when face or people blur is enabled
+     */
+    async _preloadPersonDetectionModel() {
+        const statusEl = this.modal?.querySelector('#personModelStatus');
+        const plateBlur = window.app?.plateBlur;
+        if (!statusEl || !plateBlur) return;
+
+        if (plateBlur.isPersonModelReady()) {
+            statusEl.textContent = '✓ Model ready';
+            statusEl.className = 'setting-status success';
+            return;
+        }
+
+        statusEl.textContent = 'Initializing...';
+        statusEl.className = 'setting-status loading';
+
+        const success = await plateBlur.loadPersonModel((progress) => {
+            statusEl.textContent = progress.message;
+            statusEl.className = progress.percent >= 0 ? 'setting-status loading' : 'setting-status error';
+        });
+
+        statusEl.textContent = success ? '✓ Model ready' : 'Failed to load model';
+        statusEl.className = success ? 'setting-status success' : 'setting-status error';
+    }
+
+    /**
+     * Update the face/person model status display
+     */
+    _updatePersonModelStatus() {
+        const statusEl = this.modal?.querySelector('#personModelStatus');
+        if (!statusEl) return;
+
+        const plateBlur = window.app?.plateBlur;
+        const isEnabled = this.get('blurFaces') || this.get('blurPeople');
+
+        if (!isEnabled) {
+            statusEl.textContent = '';
+            statusEl.className = 'setting-status';
+        } else if (plateBlur?.isPersonModelReady()) {
+            statusEl.textContent = '✓ Model ready';
+            statusEl.className = 'setting-status success';
+        } else if (plateBlur?.isPersonModelLoading) {
+            statusEl.textContent = 'Loading...';
+            statusEl.className = 'setting-status loading';
+        } else {
+            statusEl.textContent = 'Model will download on first export';
+            statusEl.className = 'setting-status info';
+        }
     }
 
     /**
@@ -0,0 +1,429 @@
+/**
+ * ShuttleController - J/K/L shuttle playback with synchronized reverse
+ * L plays forward and J plays in reverse; repeated presses step through the shuttle speeds.
+ *
+ * Browsers can't play video backwards, so reverse is decoded in short chunks: every visible
+ * camera is seeked forward through the chunk (cheap, the decoder keeps its state), each frame
+ * is cached as an ImageBitmap, and the cached frames are shown in reverse on a canvas over the
+ * video while the next (earlier) chunk decodes underneath. All cameras are captured at the same
+ * Tesla frame (or time), so reverse stays in sync.
+ */
+
+class ShuttleController {
+    constructor(videoPlayer) {
+        this.videoPlayer = videoPlayer;
+
+        this.SPEEDS = [1, 2, 4, 8];
+        this.REVERSE_CHUNK_SECONDS = 0.5;   // Display time covered by one decoded chunk
+        this.REVERSE_DISPLAY_FPS = 18;      // Frames decoded per second of reverse playback
+        this.REVERSE_CHUNKS_AHEAD = 2;      // Decoded chunks kept ready
+        this.MAX_FRAME_WIDTH = 640;         // Cached frames are downscaled to this width
+        this.SEEK_TIMEOUT = 2000;
+
+        this.direction = 0; // -1 reverse, 0 stopped, 1 forward
+        this.speedIndex = 0;
+        this.restoreRate = 1; // Playback rate before forward shuttle started
+        this.reverse = null;
+        this.canvases = this._createCanvases();
+
+        // Callbacks
+        this.onStateChange = null;   // (direction, speed)
+        this.onReverseTime = null;   // (clipIndex, clipTime) for the frame shown in reverse
+    }
+
+    /**
+     * Create the canvas per camera that shows reverse frames over the video
+     * @returns {Object} camera -> canvas
+     */
+    _createCanvases() {
+        const canvases = {};
+        for (const [camera, video] of Object.entries(this.videoPlayer.videos)) {
+            if (!video?.parentElement) continue;
+
+            const canvas = document.createElement('canvas');
+            canvas.className = 'video-player video-reverse-frame';
+            canvas.setAttribute('aria-hidden', 'true');
+            video.parentElement.insertBefore(canvas, video.nextSibling);
+            canvases[camera] = canvas;
+        }
+        return canvases;
+    }
+
+    /**
+     * Current shuttle speed
+     * @returns {number}
+     */
+    getSpeed() {
+        return this.SPEEDS[this.speedIndex];
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isReversing() {
+        return !!this.reverse;
+    }
+
+    /**
+     * L - play forward, or go faster if already shuttling forward
+     */
+    async forward() {
+        if (!this.videoPlayer.currentEvent) return;
+
+        if (this.direction === 1) {
+            this.speedIndex = Math.min(this.speedIndex + 1, this.SPEEDS.length - 1);
+        } else {
+            await this.stopReverse();
+            this.restoreRate = this.videoPlayer.getPlaybackRate();
+            this.direction = 1;
+            this.speedIndex = 0;
+        }
+
+        this.videoPlayer.setPlaybackRate(this.getSpeed());
+        if (!this.videoPlayer.getIsPlaying()) {
+            await this.videoPlayer.play();
+        }
+        this._notify();
+    }
+
+    /**
+     * J - play in reverse, or go faster if already shuttling in reverse
+     */
+    async backward() {
+        if (!this.videoPlayer.currentEvent) return;
+
+        if (this.direction === -1) {
+            this.speedIndex = Math.min(this.speedIndex + 1, this.SPEEDS.length - 1);
+            this._notify();
+            return;
+        }
+
+        if (this.direction === 1) {
+            this.videoPlayer.setPlaybackRate(this.restoreRate);
+        }
+        await this.videoPlayer.pause();
+        this.direction = -1;
+        this.speedIndex = 0;
+        this._startReverse();
+        this._notify();
+    }
+
+    /**
+     * K - stop shuttling (the caller pauses playback)
+     * Reverse leaves the videos on the frame it was showing; forward restores the previous rate.
+     * @param {boolean} restorePosition - See stopReverse()
+     */
+    async stop(restorePosition = true) {
+        if (this.direction === 0) return;
+
+        await this.stopReverse(restorePosition);
+        if (this.direction === 1) {
+            this.videoPlayer.setPlaybackRate(this.restoreRate);
+        }
+        this.direction = 0;
+        this.speedIndex = 0;
+        this._notify();
+    }
+
+    _notify() {
+        if (this.onStateChange) {
+            this.onStateChange(this.direction, this.getSpeed());
+        }
+    }
+
+    // ==================== Reverse ====================
+
+    /**
+     * Start reverse playback from the current position
+     */
+    _startReverse() {
+        const cameras = Object.keys(this.canvases).filter(camera => {
+            const video = this.videoPlayer.videos[camera];
+            return video.src && !video.error && this.videoPlayer._isCameraVisible(camera);
+        });
+
+        const reverse = {
+            cameras,
+            chunks: [],         // [{ clipIndex, frames: [{ time, cameraTimes, bitmaps }] }], latest chunk first
+            playhead: this.videoPlayer.getCurrentTime(),
+            shown: null,        // { clipIndex, frame }
+            finished: false,    // Reached the start of the event
+            lastTick: performance.now(),
+            rafId: null
+        };
+        this.reverse = reverse;
+
+        // Hold the current frame on the canvases while the first chunk decodes
+        for (const camera of cameras) {
+            this._drawFrame(camera, this.videoPlayer.videos[camera]);
+            this.canvases[camera].classList.add('active');
+        }
+
+        reverse.decoding = this._decodeLoop(reverse).catch(error => {
+            console.warn('[Shuttle] Reverse decoding failed:', error);
+            reverse.finished = true;
+        });
+        reverse.rafId = requestAnimationFrame((now) => this._tick(reverse, now));
+    }
+
+    /**
+     * Stop reverse playback
+     * @param {boolean} restorePosition - Put the videos on the frame that was showing
+     *     (false when the caller is about to seek elsewhere)
+     */
+    async stopReverse(restorePosition = true) {
+        const reverse = this.reverse;
+        if (!reverse) return;
+
+        this.reverse = null;
+        cancelAnimationFrame(reverse.rafId);
+
+        // Let an in-flight seek or clip load finish before positioning the videos
+        await reverse.decoding;
+
+        const shown = reverse.shown;
+        if (restorePosition && shown) {
+            if (shown.clipIndex !== this.videoPlayer.currentClipIndex) {
+                await this.videoPlayer.loadClip(shown.clipIndex);
+            }
+            await Promise.all(Object.entries(this.videoPlayer.videos).map(([camera, video]) => {
+                if (!video.src) return null;
+                return this._seekAndWait(video, shown.frame.cameraTimes[camera] ?? shown.frame.time);
+            }));
+        }
+
+        // A new reverse may already have taken over the canvases
+        if (!this.reverse) {
+            for (const canvas of Object.values(this.canvases)) {
+                canvas.classList.remove('active');
+            }
+        }
+
+        for (const chunk of reverse.chunks) {
+            this._closeChunk(chunk);
+        }
+        reverse.chunks = [];
+    }
+
+    /**
+     * Display loop: move the playhead backward and show the matching cached frame
+     */
+    _tick(reverse, now) {
+        if (this.reverse !== reverse) return;
+
+        const dt = Math.min(0.25, (now - reverse.lastTick) / 1000);
+        reverse.lastTick = now;
+
+        const chunk = reverse.chunks[0];
+        if (chunk) {
+            reverse.playhead -= dt * this.getSpeed();
+
+            // Latest cached frame at or before the playhead
+            let frame = null;
+            for (let i = chunk.frames.length - 1; i >= 0; i--) {
+                if (chunk.frames[i].time <= reverse.playhead + 1e-3) {
+                    frame = chunk.frames[i];
+                    break;
+                }
+            }
+
+            if (!frame) {
+                const next = reverse.chunks[1];
+                if (next) {
+                    // Chunk used up; continue with the earlier one
+                    reverse.chunks.shift();
+                    this._closeChunk(chunk);
+                    if (next.clipIndex !== chunk.clipIndex) {
+                        reverse.playhead = next.frames[next.frames.length - 1].time;
+                    }
+                    reverse.rafId = requestAnimationFrame((t) => this._tick(reverse, t));
+                    return;
+                }
+                if (reverse.finished) {
+                    this.stop();
+                    return;
+                }
+                // Hold the first frame until the next chunk is decoded
+                frame = chunk.frames[0];
+                reverse.playhead = frame.time;
+            }
+
+            this._showFrame(reverse, chunk.clipIndex, frame);
+        } else if (reverse.finished) {
+            this.stop();
+            return;
+        }
+
+        reverse.rafId = requestAnimationFrame((t) => this._tick(reverse, t));
+    }
+
+    /**
+     * Draw a cached frame on every camera's canvas
+     */
+    _showFrame(reverse, clipIndex, frame) {
+        if (reverse.shown?.frame === frame) return;
+
+        for (const [camera, bitmap] of Object.entries(frame.bitmaps)) {
+            this._drawFrame(camera, bitmap);
+        }
+        reverse.shown = { clipIndex, frame };
+
+        if (this.onReverseTime) {
+            this.onReverseTime(clipIndex, frame.time);
+        }
+    }
+
+    _drawFrame(camera, source) {
+        const canvas = this.canvases[camera];
+        const width = source.videoWidth || source.width;
+        const height = source.videoHeight || source.height;
+        if (!canvas || !width || !height) return;
+
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+    }
+
+    /**
+     * Release a chunk's bitmaps (the canvases keep their own copy of the frame on screen)
+     */
+    _closeChunk(chunk) {
+        for (const frame of chunk.frames) {
+            for (const bitmap of Object.values(frame.bitmaps)) {
+                bitmap.close();
+            }
+        }
+    }
+
+    /**
+     * Decode chunks backward from the playhead, crossing into earlier clips
+     */
+    async _decodeLoop(reverse) {
+        const player = this.videoPlayer;
+        let clipIndex = player.currentClipIndex;
+        let end = reverse.playhead;
+
+        while (this.reverse === reverse) {
+            if (reverse.chunks.length >= this.REVERSE_CHUNKS_AHEAD) {
+                await new Promise(resolve => setTimeout(resolve, 30));
+                continue;
+            }
+
+            if (end <= 0) {
+                if (clipIndex <= 0) {
+                    reverse.finished = true;
+                    return;
+                }
+                clipIndex--;
+                await player.loadClip(clipIndex);
+                if (this.reverse !== reverse) return;
+                end = player.getCurrentDuration();
+                continue;
+            }
+
+            const chunk = await this._decodeChunk(reverse, clipIndex, end);
+            if (!chunk) return;
+
+            if (chunk.frames.length > 0) {
+                reverse.chunks.push(chunk);
+                end = chunk.frames[0].time - 0.5 / player.getFrameRate();
+            } else {
+                end = 0;
+            }
+        }
+    }
+
+    /**
+     * Decode the frames of one chunk ending just before a time
+     * Frames are decoded in forward order and skipped by speed, so faster reverse costs the same.
+     * @returns {Object|null} Chunk, or null if reverse was stopped
+     */
+    async _decodeChunk(reverse, clipIndex, end) {
+        const player = this.videoPlayer;
+        const fps = player.getFrameRate();
+        const step = Math.max(1, Math.round(this.getSpeed() * fps / this.REVERSE_DISPLAY_FPS));
+        const frameCount = Math.max(1, Math.round(this.REVERSE_CHUNK_SECONDS * this.REVERSE_DISPLAY_FPS));
+
+        const indices = [];
+        for (let index = Math.floor(end * fps - 1e-3); index >= 0 && indices.length < frameCount; index -= step) {
+            indices.unshift(index);
+        }
+
+        const chunk = { clipIndex, frames: [] };
+        for (const index of indices) {
+            const time = (index + 0.5) / fps;
+
+            // Same Tesla frame on every camera when frame data is available
+            const frameSeqNo = player.getFrameSeqAtTime('front', time);
+            const cameraTimes = {};
+            for (const camera of reverse.cameras) {
+                cameraTimes[camera] = camera === 'front' || frameSeqNo === null
+                    ? time
+                    : player.getTimeForFrameSeq(camera, frameSeqNo) ?? time;
+            }
+
+            await Promise.all(reverse.cameras.map(camera =>
+                this._seekAndWait(player.videos[camera], cameraTimes[camera])
+            ));
+            if (this.reverse !== reverse) {
+                this._closeChunk(chunk);
+                return null;
+            }
+
+            const bitmaps = {};
+            for (const camera of reverse.cameras) {
+                const bitmap = await this._captureFrame(player.videos[camera]);
+                if (bitmap) bitmaps[camera] = bitmap;
+            }
+            chunk.frames.push({ time, cameraTimes, bitmaps });
+        }
+
+        return chunk;
+    }
+
+    /**
+     * Seek a video and wait until the frame is decoded
+     */
+    _seekAndWait(video, time) {
+        const maxTime = video.duration ? Math.max(0, video.duration - 0.05) : time;
+        const target = Math.max(0, Math.min(time, maxTime));
+
+        if (Math.abs(video.currentTime - target) < 1e-3 && video.readyState >= 2) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                video.removeEventListener('seeked', done);
+                video.removeEventListener('error', done);
+                resolve();
+            };
+            const timer = setTimeout(done, this.SEEK_TIMEOUT);
+            video.addEventListener('seeked', done);
+            video.addEventListener('error', done);
+            video.currentTime = target;
+        });
+    }
+
+    /**
+     * Copy the video's current frame into a downscaled bitmap
+     * @returns {Promise<ImageBitmap|null>}
+     */
+    async _captureFrame(video) {
+        if (!video.videoWidth || video.readyState < 2) return null;
+
+        const width = Math.min(video.videoWidth, this.MAX_FRAME_WIDTH);
+        const height = Math.round(video.videoHeight * (width / video.videoWidth));
+        try {
+            return await createImageBitmap(video, { resizeWidth: width, resizeHeight: height, resizeQuality: 'low' });
+        } catch (error) {
+            console.warn('[Shuttle] Frame capture failed:', error);
+            return null;
+        }
+    }
+}
+
+window.ShuttleController = ShuttleController;
@@ -165,10 +165,11 @@ class StatisticsManager {
             return { eventsWithTelemetry: 0, eventsChecked: 0 };
         }
 
-        const seiExtractor = window.seiExtractor;
-        if (!seiExtractor) {
-            console.warn('[Statistics] seiExtractor not available');
-            return { eventsWithTelemetry: 0, eventsChecked: 0, error: 'seiExtractor not loaded' };
+        // Shared telemetry index - clips checked in earlier sessions are answered from IndexedDB
+        const telemetryIndex = window.app?.telemetryIndex;
+        if (!telemetryIndex) {
+            console.warn('[Statistics] telemetryIndex not available');
+            return { eventsWithTelemetry: 0, eventsChecked: 0, error: 'telemetryIndex not loaded' };
         }
 
         let eventsWithTelemetry = 0;
@@ -190,7 +191,7 @@ class StatisticsManager {
             try {
                 // Get the actual file and check for telemetry - tcv.0x535441
                 const file = await frontClip.fileHandle.getFile();
-                const hasTelemetry = await seiExtractor.hasTelemetry(file);
+                const hasTelemetry = await telemetryIndex.hasTelemetry(file);
 
                 if (hasTelemetry) {
                     eventsWithTelemetry++;
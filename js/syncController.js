@@ -21,6 +21,102 @@ class SyncController {
 
         this.lastCheckTime = 0;
         this.lastSyncTime = 0; // Track when we last synced (in video time)
+
+        // Sync mode: 'time' aligns currentTime, 'frame' aligns every camera to the front
+        // camera's Tesla frame_seq_no (cameras without SEI fall back to time)
+        this.mode = 'time';
+        this.FRAME_DRIFT_THRESHOLD = 3; // Max allowed drift in frames (frame mode)
+        this.FRAME_SYNC_COOLDOWN = 1000; // Let seeked videos settle before measuring again (ms)
+        this.lastFrameSyncAt = 0;
+
+        // Frame sequence lookups, set by the app (VideoPlayer)
+        this.getFrameSeq = null;        // (camera) => frame_seq_no | null
+        this.getTimeForFrameSeq = null; // (camera, frameSeqNo) => time | null
+
+        // Diagnostics history for SyncDiagnostics (per-camera offsets and resyncs)
+        this.DIAGNOSTIC_SAMPLE_INTERVAL = 250; // Record offsets every 250ms of playback
+        this.MAX_DIAGNOSTIC_SAMPLES = 2400;    // ~10 minutes of playback
+        this.MAX_DIAGNOSTIC_RESYNCS = 1000;
+        this.getEventTime = null; // () => absolute event time, set by the app
+        this.resetDiagnostics();
+    }
+
+    /**
+     * Clear recorded offsets and resyncs (call when a new event loads)
+     */
+    resetDiagnostics() {
+        this.diagnostics = {
+            samples: [],  // { at, eventTime, offsets: { camera: ms }, frameOffsets: { camera: frames } }
+            resyncs: [],  // { at, eventTime, camera, offset (ms), mode, reason }
+            lastSampleAt: 0
+        };
+    }
+
+    /**
+     * Record every camera's offset from the front camera
+     * @param {number} now - performance.now()
+     */
+    recordDiagnosticSample(now) {
+        if (now - this.diagnostics.lastSampleAt < this.DIAGNOSTIC_SAMPLE_INTERVAL) return;
+
+        const front = this.videos.front;
+        if (!front || front.paused || front.ended || !(front.currentTime > 0)) return;
+        this.diagnostics.lastSampleAt = now;
+
+        const frontSeq = this.getFrameSeq ? this.getFrameSeq('front') : null;
+        const offsets = {};
+        const frameOffsets = {};
+        for (const [camera, video] of Object.entries(this.videos)) {
+            if (camera === 'front' || video.paused || video.ended || !(video.currentTime > 0)) continue;
+
+            offsets[camera] = (video.currentTime - front.currentTime) * 1000;
+            if (frontSeq !== null) {
+                const seq = this.getFrameSeq(camera);
+                if (seq !== null) frameOffsets[camera] = seq - frontSeq;
+            }
+        }
+
+        const samples = this.diagnostics.samples;
+        samples.push({
+            at: Date.now(),
+            eventTime: this.getEventTime ? this.getEventTime() : front.currentTime,
+            offsets,
+            frameOffsets
+        });
+        if (samples.length > this.MAX_DIAGNOSTIC_SAMPLES) {
+            samples.shift();
+        }
+    }
+
+    /**
+     * Record a correction applied to one camera
+     * @param {string} camera
+     * @param {number} fromTime - Camera time before the correction
+     * @param {number} toTime - Camera time after the correction
+     * @param {string} reason 'drift' or 'forced'
+     */
+    recordResync(camera, fromTime, toTime, reason) {
+        const resyncs = this.diagnostics.resyncs;
+        resyncs.push({
+            at: Date.now(),
+            eventTime: this.getEventTime ? this.getEventTime() : toTime,
+            camera,
+            offset: (fromTime - toTime) * 1000,
+            mode: this.mode,
+            reason
+        });
+        if (resyncs.length > this.MAX_DIAGNOSTIC_RESYNCS) {
+            resyncs.shift();
+        }
+    }
+
+    /**
+     * Set the sync mode
+     * @param {string} mode 'time' or 'frame'
+     */
+    setMode(mode) {
+        this.mode = mode === 'frame' ? 'frame' : 'time';
+        this.resetSyncTimer();
     }
 
     /**
@@ -63,6 +159,7 @@ class SyncController {
 
         // Check sync at intervals
         if (now - this.lastCheckTime >= this.CHECK_INTERVAL) {
+            this.recordDiagnosticSample(now);
             this.checkAndCorrectSync();
             this.lastCheckTime = now;
         }
@@ -74,6 +171,11 @@ class SyncController {
      * Check sync status and correct if needed
      */
     checkAndCorrectSync() {
+        // Frame-sequence mode handles everything when the front camera has frame data
+        if (this.mode === 'frame' && this.checkAndCorrectFrameSync()) {
+            return;
+        }
+
         // Get videos that are still actively playing (not ended, not paused at end)
         const activeVideos = Object.values(this.videos).filter(v =>
             !v.ended && !v.paused && v.currentTime > 0 && isFinite(v.currentTime)
@@ -124,6 +226,76 @@ class SyncController {
         }
     }
 
+    /**
+     * Frame-sequence mode: compare the Tesla frame each camera shows with the front camera's
+     * Uses the same cadence as time sync (start of clip, then every SYNC_INTERVAL seconds).
+     * @returns {boolean} false when the front camera has no frame data (caller uses time sync)
+     */
+    checkAndCorrectFrameSync() {
+        const front = this.videos.front;
+        if (!this.getFrameSeq || !front || front.paused || front.ended) return false;
+
+        const frontSeq = this.getFrameSeq('front');
+        if (frontSeq === null) return false;
+
+        const frontTime = front.currentTime;
+        if (frontTime > (front.duration || 60) - this.END_OF_CLIP_BUFFER ||
+            performance.now() - this.lastFrameSyncAt < this.FRAME_SYNC_COOLDOWN) {
+            return true;
+        }
+
+        const shouldSync = frontTime < 2 || (frontTime - this.lastSyncTime) >= this.SYNC_INTERVAL;
+        let drifted = false;
+
+        for (const [camera, video] of Object.entries(this.videos)) {
+            if (camera === 'front' || video.ended || video.paused || !(video.currentTime > 0)) continue;
+
+            const seq = this.getFrameSeq(camera);
+            let targetTime = null;
+            if (seq === null) {
+                // No SEI for this camera - keep it on the front camera's time
+                if (Math.abs(video.currentTime - frontTime) > this.DRIFT_THRESHOLD) {
+                    targetTime = frontTime;
+                }
+            } else if (Math.abs(seq - frontSeq) > this.FRAME_DRIFT_THRESHOLD) {
+                targetTime = this.getTimeForFrameSeq(camera, frontSeq);
+            }
+
+            if (targetTime === null) continue;
+            drifted = true;
+            if (shouldSync) {
+                this.recordResync(camera, video.currentTime, targetTime, 'drift');
+                video.currentTime = targetTime;
+            }
+        }
+
+        if (drifted && shouldSync) {
+            this.lastSyncTime = frontTime;
+            this.lastFrameSyncAt = performance.now();
+        }
+        this.updateSyncStatus(drifted ? 'drifted' : 'synced');
+        return true;
+    }
+
+    /**
+     * Put every camera on the front camera's Tesla frame
+     * @returns {boolean} false without frame data for the front camera
+     */
+    alignToFrontFrame() {
+        const frontSeq = this.getFrameSeq ? this.getFrameSeq('front') : null;
+        if (frontSeq === null) return false;
+
+        const frontTime = this.videos.front.currentTime;
+        for (const [camera, video] of Object.entries(this.videos)) {
+            if (camera === 'front' || video.ended) continue;
+            const targetTime = this.getTimeForFrameSeq(camera, frontSeq) ?? frontTime;
+            this.recordResync(camera, video.currentTime, targetTime, 'forced');
+            video.currentTime = targetTime;
+        }
+        this.lastFrameSyncAt = performance.now();
+        return true;
+    }
+
     /**
      * Get current times from all videos
      * @returns {Array<number>}
@@ -135,16 +307,18 @@ class SyncController {
     /**
      * Resync videos to the slowest one
      * @param {Array<number>} times
+     * @param {string} reason 'drift' or 'forced' (for diagnostics)
      */
-    resyncVideos(times) {
+    resyncVideos(times, reason = 'drift') {
         // Sync all to the slowest (minimum time)
         const targetTime = Math.min(...times);
 
-        for (const video of Object.values(this.videos)) {
+        for (const [camera, video] of Object.entries(this.videos)) {
             // Only adjust videos that are actively playing (not ended)
             if (!video.ended && !video.paused &&
                 video.currentTime > 0 &&
                 Math.abs(video.currentTime - targetTime) > this.DRIFT_THRESHOLD) {
+                this.recordResync(camera, video.currentTime, targetTime, reason);
                 video.currentTime = targetTime;
             }
         }
@@ -154,9 +328,13 @@ class SyncController {
      * Force immediate resync
      */
     forceResync() {
+        if (this.mode === 'frame' && this.alignToFrontFrame()) {
+            return;
+        }
+
         const times = this.getCurrentTimes().filter(t => isFinite(t) && t > 0);
         if (times.length > 0) {
-            this.resyncVideos(times);
+            this.resyncVideos(times, 'forced');
         }
     }
 
@@ -175,7 +353,9 @@ class SyncController {
             this.syncStatusElement.classList.add('synced');
             this.syncStatusElement.title = 'Videos are synchronized';
             if (statusContainer) {
-                statusContainer.dataset.status = `Synced (all ${this.cameraCount} cameras in sync)`;
+                statusContainer.dataset.status = this.mode === 'frame'
+                    ? `Synced by Tesla frame (all ${this.cameraCount} cameras)`
+                    : `Synced (all ${this.cameraCount} cameras in sync)`;
             }
         } else if (status === 'drifted') {
             this.syncStatusElement.classList.add('drifted');
@@ -208,7 +388,8 @@ class SyncController {
                 minTime: 0,
                 maxTime: 0,
                 drift: 0,
-                synced: true
+                synced: true,
+                resyncs: this.diagnostics.resyncs.length
             };
         }
 
@@ -220,7 +401,8 @@ class SyncController {
             minTime,
             maxTime,
             drift,
-            synced: drift <= this.DRIFT_THRESHOLD
+            synced: drift <= this.DRIFT_THRESHOLD,
+            resyncs: this.diagnostics.resyncs.length
         };
     }
 }
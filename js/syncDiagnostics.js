@@ -0,0 +1,574 @@
+/**
+ * SyncDiagnostics - Multi-camera drift diagnostics for SyncController
+ * Plots each camera's offset from the front camera over playback, counts resyncs,
+ * checks the event's clip groups for missing cameras and mismatched file durations,
+ * and exports everything as a JSON sync report.
+ */
+
+class SyncDiagnostics {
+    constructor(syncController, videoPlayer) {
+        this.syncController = syncController;
+        this.videoPlayer = videoPlayer;
+
+        this.modal = null;
+        this.refreshInterval = null;
+        this.REFRESH_INTERVAL = 1000; // Redraw while open (ms)
+
+        // Clip check results for the current event
+        this.clipReport = null;   // { eventKey, clips: [...] }
+        this.isCheckingClips = false;
+
+        // Camera files whose durations differ by more than this are flagged (seconds)
+        this.DURATION_TOLERANCE = 0.5;
+
+        this.CAMERAS = ['front', 'back', 'left_repeater', 'right_repeater', 'left_pillar', 'right_pillar'];
+        this.CAMERA_LABEL_KEYS = {
+            front: 'cameras.front',
+            back: 'cameras.back',
+            left_repeater: 'cameras.left',
+            right_repeater: 'cameras.right',
+            left_pillar: 'cameras.leftPillar',
+            right_pillar: 'cameras.rightPillar'
+        };
+        this.CAMERA_COLORS = {
+            back: '#4dabf7',
+            left_repeater: '#ffa94d',
+            right_repeater: '#69db7c',
+            left_pillar: '#da77f2',
+            right_pillar: '#ff6b6b'
+        };
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} str
+     * @returns {string}
+     */
+    escapeHtml(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    /**
+     * Display name for a camera
+     */
+    cameraLabel(camera) {
+        return this.t(this.CAMERA_LABEL_KEYS[camera] || camera);
+    }
+
+    /**
+     * Key of the event currently loaded in the player
+     */
+    _getEventKey(event) {
+        return event ? (event.compoundKey || event.name) : null;
+    }
+
+    // ==================== CLIP CHECKS ====================
+
+    /**
+     * Check every clip group of an event for missing cameras and mismatched durations
+     * @param {Object} event
+     * @param {Function} onProgress - (done, total)
+     * @returns {Promise<Array>} One entry per clip group
+     */
+    async checkClips(event, onProgress) {
+        const expected = event.hasPillarCameras ? this.CAMERAS : this.CAMERAS.slice(0, 4);
+        const total = event.clipGroups.length;
+        const results = [];
+
+        for (let i = 0; i < total; i++) {
+            const clipGroup = event.clipGroups[i];
+            const missing = expected.filter(camera => !clipGroup.clips[camera]?.fileHandle);
+            const empty = [];
+            const durations = {};
+
+            for (const camera of expected) {
+                const clip = clipGroup.clips[camera];
+                if (!clip?.fileHandle) continue;
+
+                try {
+                    const file = await clip.fileHandle.getFile();
+                    if (file.size < 1024) {
+                        empty.push(camera);
+                        continue;
+                    }
+                    durations[camera] = await this._getFileDuration(file);
+                } catch (error) {
+                    console.warn(`[SyncDiagnostics] Could not read ${camera} of clip ${i}:`, error.message);
+                    empty.push(camera);
+                }
+            }
+
+            const values = Object.values(durations).filter(d => d !== null);
+            const spread = values.length > 1 ? Math.max(...values) - Math.min(...values) : 0;
+
+            results.push({
+                index: i,
+                timestamp: clipGroup.timestamp,
+                missing,
+                empty,
+                durations,
+                spread,
+                flagged: missing.length > 0 || empty.length > 0 || spread > this.DURATION_TOLERANCE
+            });
+
+            if (onProgress) onProgress(i + 1, total);
+        }
+
+        return results;
+    }
+
+    /**
+     * Read a video file's duration from its metadata
+     * @param {File} file
+     * @returns {Promise<number|null>} Duration in seconds, or null if unreadable
+     */
+    _getFileDuration(file) {
+        return new Promise((resolve) => {
+            const video = document.createElement('video');
+            const url = URL.createObjectURL(file);
+
+            const finish = (duration) => {
+                clearTimeout(timeout);
+                video.src = '';
+                URL.revokeObjectURL(url);
+                resolve(duration);
+            };
+            const timeout = setTimeout(() => finish(null), 5000);
+
+            video.preload = 'metadata';
+            video.onloadedmetadata = () => finish(isFinite(video.duration) ? video.duration : null);
+            video.onerror = () => finish(null);
+            video.src = url;
+        });
+    }
+
+    // ==================== REPORT ====================
+
+    /**
+     * Resync counts per camera
+     * @returns {Object} camera -> count
+     */
+    getResyncCounts() {
+        const counts = {};
+        for (const resync of this.syncController.diagnostics.resyncs) {
+            counts[resync.camera] = (counts[resync.camera] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Largest absolute offset seen per camera (ms)
+     * @returns {Object} camera -> ms
+     */
+    getPeakOffsets() {
+        const peaks = {};
+        for (const sample of this.syncController.diagnostics.samples) {
+            for (const [camera, offset] of Object.entries(sample.offsets)) {
+                peaks[camera] = Math.max(peaks[camera] || 0, Math.abs(offset));
+            }
+        }
+        return peaks;
+    }
+
+    /**
+     * Build the exportable sync report
+     * @returns {Object}
+     */
+    buildReport() {
+        const sync = this.syncController;
+        const event = this.videoPlayer.currentEvent;
+        const eventKey = this._getEventKey(event);
+        const clipReport = this.clipReport && this.clipReport.eventKey === eventKey ? this.clipReport.clips : null;
+
+        return {
+            generatedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            event: event ? {
+                name: event.name,
+                type: event.type,
+                timestamp: event.timestamp,
+                clipCount: event.clipGroups.length,
+                hasPillarCameras: !!event.hasPillarCameras
+            } : null,
+            currentClipIndex: this.videoPlayer.currentClipIndex,
+            sync: {
+                mode: sync.mode,
+                driftThresholdMs: sync.DRIFT_THRESHOLD * 1000,
+                frameDriftThreshold: sync.FRAME_DRIFT_THRESHOLD,
+                syncInterval: sync.SYNC_INTERVAL,
+                stats: sync.getSyncStats()
+            },
+            resyncCounts: this.getResyncCounts(),
+            peakOffsetsMs: this.getPeakOffsets(),
+            resyncs: sync.diagnostics.resyncs,
+            samples: sync.diagnostics.samples,
+            clipChecks: clipReport
+        };
+    }
+
+    /**
+     * Download the sync report as JSON
+     */
+    exportReport() {
+        const report = this.buildReport();
+        const name = (report.event?.name || 'event').replace(/[^a-z0-9]+/gi, '_');
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `sync_report_${name}.json`;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // ==================== UI ====================
+
+    /**
+     * Show the diagnostics modal
+     */
+    show() {
+        if (this.modal) {
+            this.modal.remove();
+        }
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notes-modal sync-diagnostics-modal';
+        this.modal.innerHTML = `
+            <div class="notes-overlay"></div>
+            <div class="notes-panel export-queue-panel sync-diagnostics-panel">
+                <div class="notes-header">
+                    <h2>${this.t('syncDiagnostics.title')}</h2>
+                    <button class="notes-close-btn" title="${this.t('common.close')}">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="notes-content">
+                    <div class="notes-section">
+                        <label class="notes-label">${this.t('syncDiagnostics.summary')}</label>
+                        <div id="syncDiagnosticsSummary" class="sync-diagnostics-summary"></div>
+                    </div>
+
+                    <div class="notes-section">
+                        <label class="notes-label">${this.t('syncDiagnostics.offsets')}</label>
+                        <canvas id="syncDiagnosticsChart" class="sync-diagnostics-chart" width="560" height="180"></canvas>
+                        <div id="syncDiagnosticsLegend" class="sync-diagnostics-legend"></div>
+                    </div>
+
+                    <div class="notes-section">
+                        <label class="notes-label">${this.t('syncDiagnostics.recentResyncs')}</label>
+                        <div id="syncDiagnosticsResyncs" class="export-queue-jobs"></div>
+                    </div>
+
+                    <div class="notes-section">
+                        <label class="notes-label">${this.t('syncDiagnostics.clips')}</label>
+                        <div class="export-queue-hint" id="syncDiagnosticsClipStatus"></div>
+                        <div id="syncDiagnosticsClips" class="export-queue-jobs"></div>
+                    </div>
+                </div>
+                <div class="notes-footer">
+                    <button id="syncDiagnosticsResetBtn" class="notes-btn secondary">${this.t('syncDiagnostics.reset')}</button>
+                    <button id="syncDiagnosticsCheckBtn" class="notes-btn secondary">${this.t('syncDiagnostics.checkClips')}</button>
+                    <button id="syncDiagnosticsExportBtn" class="notes-btn primary">${this.t('syncDiagnostics.export')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this._attachModalEvents();
+        this.render();
+        this.renderClipReport();
+
+        this.refreshInterval = setInterval(() => this.render(), this.REFRESH_INTERVAL);
+    }
+
+    /**
+     * Close the modal
+     */
+    hide() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Wire modal controls
+     */
+    _attachModalEvents() {
+        const modal = this.modal;
+
+        modal.querySelector('.notes-close-btn').addEventListener('click', () => this.hide());
+        modal.querySelector('.notes-overlay').addEventListener('click', () => this.hide());
+
+        modal.querySelector('#syncDiagnosticsResetBtn').addEventListener('click', () => {
+            this.syncController.resetDiagnostics();
+            this.render();
+        });
+
+        modal.querySelector('#syncDiagnosticsExportBtn').addEventListener('click', () => this.exportReport());
+
+        modal.querySelector('#syncDiagnosticsCheckBtn').addEventListener('click', async () => {
+            const event = this.videoPlayer.currentEvent;
+            const status = modal.querySelector('#syncDiagnosticsClipStatus');
+            if (!event) {
+                status.textContent = this.t('syncDiagnostics.noEvent');
+                return;
+            }
+            if (this.isCheckingClips) return;
+
+            this.isCheckingClips = true;
+            const button = modal.querySelector('#syncDiagnosticsCheckBtn');
+            button.disabled = true;
+            try {
+                const clips = await this.checkClips(event, (done, total) => {
+                    if (this.modal) status.textContent = `${this.t('syncDiagnostics.checking')} ${done} / ${total}`;
+                });
+                this.clipReport = { eventKey: this._getEventKey(event), clips };
+            } catch (error) {
+                console.error('[SyncDiagnostics] Clip check failed:', error);
+                if (this.modal) status.textContent = error.message;
+            } finally {
+                this.isCheckingClips = false;
+                button.disabled = false;
+                this.renderClipReport();
+            }
+        });
+    }
+
+    /**
+     * Redraw summary, chart and resync list
+     */
+    render() {
+        if (!this.modal) return;
+        this.renderSummary();
+        this.renderChart();
+        this.renderResyncs();
+    }
+
+    /**
+     * Mode, live drift and resync counts
+     */
+    renderSummary() {
+        const el = this.modal.querySelector('#syncDiagnosticsSummary');
+        const sync = this.syncController;
+        const stats = sync.getSyncStats();
+        const counts = this.getResyncCounts();
+        const peaks = this.getPeakOffsets();
+
+        const mode = sync.mode === 'frame' ? this.t('syncDiagnostics.modeFrame') : this.t('syncDiagnostics.modeTime');
+        const perCamera = Object.keys(peaks).map(camera => `
+            <span class="sync-diagnostics-camera">
+                <span class="sync-diagnostics-swatch" style="background: ${this.CAMERA_COLORS[camera] || '#999'}"></span>
+                ${this.escapeHtml(this.cameraLabel(camera))}: ${Math.round(peaks[camera])} ms · ${counts[camera] || 0} ${this.t('syncDiagnostics.resyncs')}
+            </span>
+        `).join('');
+
+        el.innerHTML = `
+            <div>${this.t('syncDiagnostics.mode')}: <strong>${mode}</strong></div>
+            <div>${this.t('syncDiagnostics.drift')}: <strong>${Math.round(stats.drift * 1000)} ms</strong>
+                (${this.t('syncDiagnostics.threshold')} ${Math.round(sync.DRIFT_THRESHOLD * 1000)} ms)</div>
+            <div>${this.t('syncDiagnostics.resyncs')}: <strong>${stats.resyncs}</strong> ·
+                ${this.t('syncDiagnostics.samples')}: <strong>${sync.diagnostics.samples.length}</strong></div>
+            ${perCamera ? `<div class="sync-diagnostics-cameras">${this.t('syncDiagnostics.peakOffset')}: ${perCamera}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Plot each camera's offset from the front camera (ms) over recorded samples
+     */
+    renderChart() {
+        const canvas = this.modal.querySelector('#syncDiagnosticsChart');
+        const legend = this.modal.querySelector('#syncDiagnosticsLegend');
+        const ctx = canvas.getContext('2d');
+        const samples = this.syncController.diagnostics.samples;
+        const style = getComputedStyle(document.body);
+        const mutedColor = style.getPropertyValue('--text-muted').trim() || '#888';
+        const warningColor = style.getPropertyValue('--warning').trim() || '#f5a623';
+
+        const width = canvas.width;
+        const height = canvas.height;
+        const padLeft = 44;
+        const padBottom = 18;
+        const plotWidth = width - padLeft - 8;
+        const plotHeight = height - padBottom - 8;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px sans-serif';
+        ctx.fillStyle = mutedColor;
+
+        if (samples.length < 2) {
+            ctx.textAlign = 'center';
+            ctx.fillText(this.t('syncDiagnostics.noSamples'), width / 2, height / 2);
+            legend.innerHTML = '';
+            return;
+        }
+
+        // Symmetric range around 0, at least 1.5x the drift threshold
+        const thresholdMs = this.syncController.DRIFT_THRESHOLD * 1000;
+        let range = thresholdMs * 1.5;
+        const cameras = new Set();
+        for (const sample of samples) {
+            for (const [camera, offset] of Object.entries(sample.offsets)) {
+                cameras.add(camera);
+                range = Math.max(range, Math.abs(offset) * 1.1);
+            }
+        }
+
+        const x = (i) => padLeft + (i / (samples.length - 1)) * plotWidth;
+        const y = (ms) => 8 + plotHeight / 2 - (ms / range) * (plotHeight / 2);
+
+        // Axes, zero line and threshold lines
+        ctx.strokeStyle = mutedColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padLeft, y(0));
+        ctx.lineTo(padLeft + plotWidth, y(0));
+        ctx.stroke();
+
+        ctx.strokeStyle = warningColor;
+        ctx.setLineDash([4, 4]);
+        for (const ms of [thresholdMs, -thresholdMs]) {
+            ctx.beginPath();
+            ctx.moveTo(padLeft, y(ms));
+            ctx.lineTo(padLeft + plotWidth, y(ms));
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        ctx.textAlign = 'right';
+        ctx.fillText(`+${Math.round(range)}`, padLeft - 4, 16);
+        ctx.fillText('0 ms', padLeft - 4, y(0) + 3);
+        ctx.fillText(`-${Math.round(range)}`, padLeft - 4, 8 + plotHeight);
+
+        ctx.textAlign = 'left';
+        ctx.fillText(this._formatTime(samples[0].eventTime), padLeft, height - 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(this._formatTime(samples[samples.length - 1].eventTime), padLeft + plotWidth, height - 4);
+
+        // One line per camera; gaps where the camera wasn't playing
+        ctx.lineWidth = 1.5;
+        for (const camera of cameras) {
+            ctx.strokeStyle = this.CAMERA_COLORS[camera] || '#999';
+            ctx.beginPath();
+            let drawing = false;
+            samples.forEach((sample, i) => {
+                const offset = sample.offsets[camera];
+                if (offset === undefined) {
+                    drawing = false;
+                    return;
+                }
+                if (drawing) {
+                    ctx.lineTo(x(i), y(offset));
+                } else {
+                    ctx.moveTo(x(i), y(offset));
+                    drawing = true;
+                }
+            });
+            ctx.stroke();
+        }
+
+        legend.innerHTML = [...cameras].map(camera => `
+            <span class="sync-diagnostics-camera">
+                <span class="sync-diagnostics-swatch" style="background: ${this.CAMERA_COLORS[camera] || '#999'}"></span>
+                ${this.escapeHtml(this.cameraLabel(camera))}
+            </span>
+        `).join('');
+    }
+
+    /**
+     * Last resyncs, newest first
+     */
+    renderResyncs() {
+        const list = this.modal.querySelector('#syncDiagnosticsResyncs');
+        const resyncs = this.syncController.diagnostics.resyncs.slice(-20).reverse();
+
+        if (resyncs.length === 0) {
+            list.innerHTML = `<div class="export-queue-hint">${this.t('syncDiagnostics.noResyncs')}</div>`;
+            return;
+        }
+
+        list.innerHTML = resyncs.map(resync => `
+            <div class="export-queue-job sync-diagnostics-row">
+                <span class="export-queue-job-info">
+                    <span class="export-queue-job-name">${this.escapeHtml(this.cameraLabel(resync.camera))}</span>
+                    <span class="export-queue-job-status">${this._formatTime(resync.eventTime)} · ${resync.reason === 'forced' ? this.t('syncDiagnostics.forced') : this.t('syncDiagnostics.auto')}</span>
+                </span>
+                <span class="export-queue-job-status">${resync.offset > 0 ? '+' : ''}${Math.round(resync.offset)} ms</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Clip check results for the loaded event (flagged clips only)
+     */
+    renderClipReport() {
+        if (!this.modal) return;
+        const list = this.modal.querySelector('#syncDiagnosticsClips');
+        const status = this.modal.querySelector('#syncDiagnosticsClipStatus');
+        const eventKey = this._getEventKey(this.videoPlayer.currentEvent);
+
+        if (!this.clipReport || this.clipReport.eventKey !== eventKey) {
+            status.textContent = this.t('syncDiagnostics.clipsHint');
+            list.innerHTML = '';
+            return;
+        }
+
+        const flagged = this.clipReport.clips.filter(clip => clip.flagged);
+        status.textContent = flagged.length === 0
+            ? this.t('syncDiagnostics.clipsOk')
+            : `${flagged.length} / ${this.clipReport.clips.length} ${this.t('syncDiagnostics.clipsFlagged')}`;
+
+        list.innerHTML = flagged.map(clip => {
+            const problems = [];
+            if (clip.missing.length > 0) {
+                problems.push(`${this.t('syncDiagnostics.missing')}: ${clip.missing.map(c => this.cameraLabel(c)).join(', ')}`);
+            }
+            if (clip.empty.length > 0) {
+                problems.push(`${this.t('syncDiagnostics.emptyFile')}: ${clip.empty.map(c => this.cameraLabel(c)).join(', ')}`);
+            }
+            if (clip.spread > this.DURATION_TOLERANCE) {
+                const durations = Object.entries(clip.durations)
+                    .map(([camera, d]) => `${this.cameraLabel(camera)} ${d !== null ? d.toFixed(2) + 's' : '?'}`)
+                    .join(', ');
+                problems.push(`${this.t('syncDiagnostics.durationSpread')} ${clip.spread.toFixed(2)}s (${durations})`);
+            }
+            return `
+                <div class="export-queue-job sync-diagnostics-row">
+                    <span class="export-queue-job-info">
+                        <span class="export-queue-job-name">#${clip.index + 1} · ${this.escapeHtml(clip.timestamp)}</span>
+                        <span class="export-queue-job-status">${this.escapeHtml(problems.join(' · '))}</span>
+                    </span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Format seconds as M:SS
+     */
+    _formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+}
+
+window.SyncDiagnostics = SyncDiagnostics;
@@ -0,0 +1,575 @@
+/**
+ * TelemetryExporter - Exports SEI telemetry as GPX, KML, CSV and subtitle tracks
+ * Lets drives be analysed in GIS tools (GPX/KML) and spreadsheets (CSV)
+ *
+ * Works on any parsed event, optionally limited to a range of event time
+ * (e.g. the IN/OUT points set with ClipMarking).
+ */
+
+class TelemetryExporter {
+    constructor() {
+        this.FORMATS = ['gpx', 'kml', 'csv'];
+
+        // Fallback clip duration when real durations are not known
+        this.DEFAULT_CLIP_DURATION = 60;
+
+        // KML line styles per autopilot state (KML colors are aabbggrr)
+        this.AP_STYLES = {
+            NONE: { color: 'ff9e9e9e', width: 4, label: 'Manual' },
+            FSD: { color: 'ffff9e4a', width: 6, label: 'Full Self-Driving' },
+            AUTOSTEER: { color: 'ff50af4c', width: 6, label: 'Autosteer' },
+            TACC: { color: 'ff00b8ff', width: 5, label: 'Traffic-Aware Cruise Control' }
+        };
+
+        // CSV columns (full resolution, one row per SEI frame)
+        this.CSV_COLUMNS = [
+            'event_time',
+            'utc_time',
+            'clip_index',
+            'frame_index',
+            'frame_seq_no',
+            'speed_mps',
+            'speed_mph',
+            'speed_kph',
+            'latitude',
+            'longitude',
+            'heading_deg',
+            'steering_angle',
+            'throttle',
+            'brake',
+            'blinker_left',
+            'blinker_right',
+            'gear',
+            'autopilot_state',
+            'accel_x_mps2',
+            'accel_y_mps2',
+            'accel_z_mps2',
+            'g_force_x',
+            'g_force_y',
+            'g_force_z'
+        ];
+    }
+
+    /**
+     * Collect telemetry frames for an event with timing information
+     * @param {Object} event - Parsed event with clipGroups
+     * @param {Object} options
+     * @param {number} [options.startTime] - Range start (event time, seconds)
+     * @param {number} [options.endTime] - Range end (event time, seconds)
+     * @param {Array<number>} [options.clipDurations] - Actual clip durations (from VideoPlayer)
+     * @param {Map} [options.clipSeiData] - Already extracted SEI data keyed by `${clipIndex}_${fileName}`
+     * @param {Function} [options.onProgress] - Progress callback (percent, message)
+     * @returns {Promise<Array<Object>>} Rows sorted by event time
+     */
+    async collectFrames(event, options = {}) {
+        const clipGroups = event?.clipGroups || [];
+        const startTime = options.startTime ?? 0;
+        const endTime = options.endTime ?? Infinity;
+        const clipDurations = options.clipDurations || [];
+        const onProgress = options.onProgress || null;
+
+        if (!window.seiExtractor) {
+            throw new Error('SEI extractor not available');
+        }
+        await window.seiExtractor.init();
+
+        const rows = [];
+        let clipStart = 0;
+
+        for (let i = 0; i < clipGroups.length; i++) {
+            const group = clipGroups[i];
+            const duration = clipDurations[i] > 0 ? clipDurations[i] : this.DEFAULT_CLIP_DURATION;
+            const clipEnd = clipStart + duration;
+
+            // Skip clips entirely outside the requested range
+            if (clipEnd < startTime || clipStart > endTime) {
+                clipStart = clipEnd;
+                continue;
+            }
+
+            if (onProgress) {
+                onProgress(Math.round((i / clipGroups.length) * 100), `Reading clip ${i + 1} of ${clipGroups.length}`);
+            }
+
+            const data = await this._getClipData(group, i, options.clipSeiData);
+            if (data && data.frames.length > 0) {
+                const clipDate = this._parseClipTimestamp(group.timestamp);
+                const frameCount = data.frames.length;
+
+                for (let f = 0; f < frameCount; f++) {
+                    const frame = data.frames[f];
+                    // Same ratio-based mapping used by TelemetryOverlay (fps in MP4 metadata is unreliable)
+                    const timeInClip = (f / frameCount) * duration;
+                    const eventTime = clipStart + timeInClip;
+
+                    if (eventTime < startTime || eventTime > endTime) continue;
+
+                    rows.push({
+                        eventTime,
+                        clipIndex: i,
+                        utcTime: clipDate ? new Date(clipDate.getTime() + timeInClip * 1000) : null,
+                        frame
+                    });
+                }
+            }
+
+            clipStart = clipEnd;
+        }
+
+        if (onProgress) {
+            onProgress(100, `Collected ${rows.length} telemetry frames`);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Get SEI data for a clip group (front camera carries the telemetry)
+     */
+    async _getClipData(group, clipIndex, clipSeiData) {
+        const frontClip = group.clips?.front;
+        if (!frontClip || !frontClip.fileHandle) return null;
+
+        // Reuse data already loaded by TelemetryOverlay when available
+        if (clipSeiData) {
+            const cached = clipSeiData.get(`${clipIndex}_${frontClip.fileName}`);
+            if (cached) return cached;
+        }
+
+        try {
+            const file = await frontClip.fileHandle.getFile();
+            return await window.seiExtractor.extractFromFile(file);
+        } catch (error) {
+            console.warn(`[TelemetryExporter] Failed to read clip ${clipIndex}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Parse clip timestamp (YYYY-MM-DD_HH-MM-SS, local time) to Date
+     */
+    _parseClipTimestamp(timestamp) {
+        const match = timestamp?.match(/^(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})$/);
+        if (!match) return null;
+
+        const [_, year, month, day, hour, minute, second] = match;
+        return new Date(
+            parseInt(year),
+            parseInt(month) - 1,
+            parseInt(day),
+            parseInt(hour),
+            parseInt(minute),
+            parseInt(second)
+        );
+    }
+
+    /**
+     * Check if a frame has a usable GPS fix
+     */
+    _hasGps(frame) {
+        return Math.abs(frame.latitude_deg) > 0.001 && Math.abs(frame.longitude_deg) > 0.001;
+    }
+
+    /**
+     * Escape text for XML content
+     */
+    _escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Build GPX 1.1 track with speed/heading extensions
+     * @param {Array<Object>} rows - From collectFrames()
+     * @param {Object} meta - { name, description }
+     * @returns {string} GPX document
+     */
+    buildGPX(rows, meta = {}) {
+        const name = this._escapeXml(meta.name || 'TeslaCam Drive');
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="TeslaCamViewer"',
+            '     xmlns="http://www.topografix.com/GPX/1/1"',
+            '     xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"',
+            '     xmlns:tcv="https://teslacamviewer.com/xmlschemas/telemetry/v1"',
+            '     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '     xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+            '  <metadata>',
+            `    <name>${name}</name>`
+        ];
+        if (meta.description) {
+            lines.push(`    <desc>${this._escapeXml(meta.description)}</desc>`);
+        }
+        const firstTime = rows.find(r => r.utcTime)?.utcTime;
+        if (firstTime) {
+            lines.push(`    <time>${firstTime.toISOString()}</time>`);
+        }
+        lines.push('  </metadata>');
+        lines.push('  <trk>');
+        lines.push(`    <name>${name}</name>`);
+
+        // Start a new segment when the clip changes (clips may have gaps between them)
+        let currentClip = null;
+        for (const row of rows) {
+            const frame = row.frame;
+            if (!this._hasGps(frame)) continue;
+
+            if (row.clipIndex !== currentClip) {
+                if (currentClip !== null) lines.push('    </trkseg>');
+                lines.push('    <trkseg>');
+                currentClip = row.clipIndex;
+            }
+
+            lines.push(`      <trkpt lat="${frame.latitude_deg.toFixed(7)}" lon="${frame.longitude_deg.toFixed(7)}">`);
+            if (row.utcTime) {
+                lines.push(`        <time>${row.utcTime.toISOString()}</time>`);
+            }
+            lines.push('        <extensions>');
+            lines.push('          <gpxtpx:TrackPointExtension>');
+            lines.push(`            <gpxtpx:speed>${frame.vehicle_speed_mps.toFixed(3)}</gpxtpx:speed>`);
+            lines.push(`            <gpxtpx:course>${frame.heading_deg.toFixed(2)}</gpxtpx:course>`);
+            lines.push('          </gpxtpx:TrackPointExtension>');
+            lines.push(`          <tcv:gear>${frame.gear_name}</tcv:gear>`);
+            lines.push(`          <tcv:autopilot>${frame.autopilot_name}</tcv:autopilot>`);
+            lines.push(`          <tcv:brake>${frame.brake_applied ? 1 : 0}</tcv:brake>`);
+            lines.push(`          <tcv:throttle>${frame.accelerator_pedal_position.toFixed(3)}</tcv:throttle>`);
+            lines.push(`          <tcv:steering>${frame.steering_wheel_angle.toFixed(1)}</tcv:steering>`);
+            lines.push(`          <tcv:gx>${frame.g_force_x.toFixed(4)}</tcv:gx>`);
+            lines.push(`          <tcv:gy>${frame.g_force_y.toFixed(4)}</tcv:gy>`);
+            lines.push('        </extensions>');
+            lines.push('      </trkpt>');
+        }
+        if (currentClip !== null) lines.push('    </trkseg>');
+
+        lines.push('  </trk>');
+        lines.push('</gpx>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Build KML document with one styled line per autopilot segment
+     * @param {Array<Object>} rows - From collectFrames()
+     * @param {Object} meta - { name, description }
+     * @returns {string} KML document
+     */
+    buildKML(rows, meta = {}) {
+        const name = this._escapeXml(meta.name || 'TeslaCam Drive');
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${name}</name>`
+        ];
+        if (meta.description) {
+            lines.push(`    <description>${this._escapeXml(meta.description)}</description>`);
+        }
+
+        for (const [state, style] of Object.entries(this.AP_STYLES)) {
+            lines.push(`    <Style id="ap-${state.toLowerCase()}">`);
+            lines.push(`      <LineStyle><color>${style.color}</color><width>${style.width}</width></LineStyle>`);
+            lines.push('    </Style>');
+        }
+
+        // Split the track whenever autopilot state or clip changes
+        const segments = [];
+        let segment = null;
+        for (const row of rows) {
+            const frame = row.frame;
+            if (!this._hasGps(frame)) continue;
+
+            const state = this.AP_STYLES[frame.autopilot_name] ? frame.autopilot_name : 'NONE';
+            if (!segment || segment.state !== state || segment.clipIndex !== row.clipIndex) {
+                // Share the boundary point so consecutive segments connect visually
+                const previous = segment?.clipIndex === row.clipIndex ? segment.points[segment.points.length - 1] : null;
+                segment = { state, clipIndex: row.clipIndex, points: previous ? [previous] : [] };
+                segments.push(segment);
+            }
+            segment.points.push(row);
+        }
+
+        for (const seg of segments) {
+            if (seg.points.length < 2) continue;
+
+            const style = this.AP_STYLES[seg.state];
+            const first = seg.points[0];
+            const last = seg.points[seg.points.length - 1];
+            const maxSpeed = Math.max(...seg.points.map(p => p.frame.speed_mph));
+
+            lines.push('    <Placemark>');
+            lines.push(`      <name>${this._escapeXml(style.label)}</name>`);
+            lines.push(`      <description>${this._escapeXml(`Event time ${first.eventTime.toFixed(1)}s - ${last.eventTime.toFixed(1)}s, max ${maxSpeed.toFixed(1)} mph`)}</description>`);
+            if (first.utcTime && last.utcTime) {
+                lines.push(`      <TimeSpan><begin>${first.utcTime.toISOString()}</begin><end>${last.utcTime.toISOString()}</end></TimeSpan>`);
+            }
+            lines.push(`      <styleUrl>#ap-${seg.state.toLowerCase()}</styleUrl>`);
+            lines.push('      <LineString>');
+            lines.push('        <tessellate>1</tessellate>');
+            lines.push('        <coordinates>');
+            for (const p of seg.points) {
+                lines.push(`          ${p.frame.longitude_deg.toFixed(7)},${p.frame.latitude_deg.toFixed(7)},0`);
+            }
+            lines.push('        </coordinates>');
+            lines.push('      </LineString>');
+            lines.push('    </Placemark>');
+        }
+
+        lines.push('  </Document>');
+        lines.push('</kml>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Build full-resolution CSV (every SEI frame, every field)
+     * @param {Array<Object>} rows - From collectFrames()
+     * @returns {string} CSV content
+     */
+    buildCSV(rows) {
+        let csv = this.CSV_COLUMNS.join(',') + '\n';
+
+        for (const row of rows) {
+            const f = row.frame;
+            const values = [
+                row.eventTime.toFixed(3),
+                row.utcTime ? row.utcTime.toISOString() : '',
+                row.clipIndex,
+                f.frameIndex ?? '',
+                f.frame_seq_no || '',
+                f.vehicle_speed_mps.toFixed(3),
+                f.speed_mph.toFixed(2),
+                f.speed_kph.toFixed(2),
+                f.latitude_deg.toFixed(7),
+                f.longitude_deg.toFixed(7),
+                f.heading_deg.toFixed(2),
+                f.steering_wheel_angle.toFixed(2),
+                f.accelerator_pedal_position.toFixed(3),
+                f.brake_applied ? '1' : '0',
+                f.blinker_on_left ? '1' : '0',
+                f.blinker_on_right ? '1' : '0',
+                f.gear_name,
+                f.autopilot_name,
+                f.linear_acceleration_mps2_x.toFixed(4),
+                f.linear_acceleration_mps2_y.toFixed(4),
+                f.linear_acceleration_mps2_z.toFixed(4),
+                f.g_force_x.toFixed(4),
+                f.g_force_y.toFixed(4),
+                f.g_force_z.toFixed(4)
+            ];
+            csv += values.join(',') + '\n';
+        }
+
+        return csv;
+    }
+
+    /**
+     * Build one subtitle cue per second of the exported range
+     * @param {Array<Object>} rows - From collectFrames()
+     * @param {Object} options
+     * @param {number} [options.startTime=0] - Event time at which the video starts
+     * @param {number} [options.endTime] - Event time at which the video ends
+     * @param {number} [options.timeScale=1] - Video seconds per event second (1 / export speed)
+     * @param {string} [options.units='mph'] - 'mph' or 'kph'
+     * @returns {Array<{start: number, end: number, text: string}>} Cue times in video seconds
+     */
+    buildSubtitleCues(rows, options = {}) {
+        const startTime = options.startTime || 0;
+        const endTime = options.endTime != null ? options.endTime : (rows.length ? rows[rows.length - 1].eventTime : 0);
+        const timeScale = options.timeScale || 1;
+        const units = options.units === 'kph' ? 'kph' : 'mph';
+
+        // First frame of each whole second represents that second; a brake press
+        // anywhere in the second is kept so short taps are not lost
+        const bySecond = new Map();
+        for (const row of rows) {
+            const second = Math.floor(row.eventTime - startTime);
+            if (second < 0) continue;
+            const bucket = bySecond.get(second);
+            if (bucket) {
+                bucket.brake = bucket.brake || !!row.frame.brake_applied;
+            } else {
+                bySecond.set(second, { frame: row.frame, brake: !!row.frame.brake_applied });
+            }
+        }
+
+        const cues = [];
+        const seconds = Array.from(bySecond.keys()).sort((a, b) => a - b);
+        for (const second of seconds) {
+            const { frame: f, brake } = bySecond.get(second);
+            const cueStart = second;
+            const cueEnd = Math.min(second + 1, endTime - startTime);
+            if (cueEnd <= cueStart) continue;
+
+            const speed = units === 'mph' ? f.speed_mph : f.speed_kph;
+            const apStyle = this.AP_STYLES[f.autopilot_name] || this.AP_STYLES.NONE;
+            const lines = [
+                `${Math.round(speed)} ${units} | ${f.gear_name || '-'} | ${apStyle.label}${brake ? ' | BRAKE' : ''}`
+            ];
+            lines.push(this._hasGps(f)
+                ? `${f.latitude_deg.toFixed(6)}, ${f.longitude_deg.toFixed(6)}`
+                : 'No GPS');
+
+            cues.push({
+                start: cueStart * timeScale,
+                end: cueEnd * timeScale,
+                text: lines.join('\n')
+            });
+        }
+
+        return cues;
+    }
+
+    /**
+     * Format seconds as a subtitle timestamp (HH:MM:SS.mmm / HH:MM:SS,mmm)
+     */
+    _formatCueTime(seconds, separator) {
+        const totalMs = Math.max(0, Math.round(seconds * 1000));
+        const h = Math.floor(totalMs / 3600000);
+        const m = Math.floor((totalMs % 3600000) / 60000);
+        const s = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        const pad = (n, len = 2) => String(n).padStart(len, '0');
+        return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+    }
+
+    /**
+     * Build a WebVTT subtitle track
+     * @param {Array<Object>} cues - From buildSubtitleCues()
+     * @returns {string}
+     */
+    buildWebVTT(cues) {
+        const lines = ['WEBVTT', ''];
+        cues.forEach((cue, i) => {
+            lines.push(String(i + 1));
+            lines.push(`${this._formatCueTime(cue.start, '.')} --> ${this._formatCueTime(cue.end, '.')}`);
+            lines.push(cue.text);
+            lines.push('');
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Build an SRT subtitle track
+     * @param {Array<Object>} cues - From buildSubtitleCues()
+     * @returns {string}
+     */
+    buildSRT(cues) {
+        const lines = [];
+        cues.forEach((cue, i) => {
+            lines.push(String(i + 1));
+            lines.push(`${this._formatCueTime(cue.start, ',')} --> ${this._formatCueTime(cue.end, ',')}`);
+            lines.push(cue.text);
+            lines.push('');
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Export telemetry for an event and download the file
+     * @param {Object} event - Parsed event
+     * @param {string} format - 'gpx', 'kml' or 'csv'
+     * @param {Object} options - Same as collectFrames()
+     * @returns {Promise<number>} Number of telemetry frames exported
+     */
+    async exportEvent(event, format, options = {}) {
+        if (!this.FORMATS.includes(format)) {
+            throw new Error(`Unsupported telemetry format: ${format}`);
+        }
+
+        const rows = await this.collectFrames(event, options);
+        if (rows.length === 0) {
+            return 0;
+        }
+
+        const content = this.buildContent(rows, format, event, options);
+        const mimeTypes = {
+            gpx: 'application/gpx+xml',
+            kml: 'application/vnd.google-earth.kml+xml',
+            csv: 'text/csv;charset=utf-8;'
+        };
+
+        const filename = `${this.getBaseFilename(event, options)}.${format}`;
+        this.downloadText(content, filename, mimeTypes[format]);
+
+        console.log(`[TelemetryExporter] Exported ${rows.length} telemetry frames to ${filename}`);
+        return rows.length;
+    }
+
+    /**
+     * Build file content for collected rows in the requested format
+     * @param {Array<Object>} rows - From collectFrames()
+     * @param {string} format - 'gpx', 'kml' or 'csv'
+     * @param {Object} event - Parsed event (used for track name/description)
+     * @param {Object} options - { startTime, endTime }
+     * @returns {string}
+     */
+    buildContent(rows, format, event, options = {}) {
+        const meta = {
+            name: event?.name || 'TeslaCam Drive',
+            description: this._describeRange(event, options)
+        };
+
+        switch (format) {
+            case 'gpx': return this.buildGPX(rows, meta);
+            case 'kml': return this.buildKML(rows, meta);
+            default: return this.buildCSV(rows);
+        }
+    }
+
+    /**
+     * Describe the exported range for file metadata
+     */
+    _describeRange(event, options) {
+        const parts = [];
+        if (event?.type) parts.push(event.type);
+        if (event?.metadata?.city) parts.push(event.metadata.city);
+        if (options.startTime != null || options.endTime != null) {
+            const start = (options.startTime || 0).toFixed(1);
+            const end = options.endTime != null ? options.endTime.toFixed(1) : 'end';
+            parts.push(`range ${start}s - ${end}${options.endTime != null ? 's' : ''}`);
+        }
+        return parts.join(', ');
+    }
+
+    /**
+     * Build a filename-safe base name from the event timestamp
+     * @param {Object} event - Parsed event
+     * @param {Object} options - { startTime, endTime }
+     * @returns {string}
+     */
+    getBaseFilename(event, options = {}) {
+        let filename = 'telemetry';
+        if (event?.timestamp) {
+            // Convert ISO timestamp to filename-safe format: 2025-12-30_10-59-00
+            const formatted = event.timestamp
+                .replace(/T/, '_')
+                .replace(/:/g, '-')
+                .replace(/\.\d{3}Z?$/, '')
+                .replace(/Z$/, '');
+            filename = `telemetry_${formatted}`;
+        }
+        if (options.startTime != null && options.endTime != null) {
+            filename += `_${Math.floor(options.startTime)}-${Math.ceil(options.endTime)}s`;
+        }
+        return filename;
+    }
+
+    /**
+     * Trigger a download of text content
+     */
+    downloadText(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+window.TelemetryExporter = TelemetryExporter;
@@ -2449,6 +2449,33 @@ class TelemetryGraphs {
             return;
         }
 
+        this.nearMisses = TelemetryGraphs.scoreNearMisses(allPoints);
+
+        // Log detection results
+        const highSeverity = this.nearMisses.filter(nm => nm.score >= 5);
+        if (highSeverity.length > 0) {
+            console.log(`[TelemetryGraphs] Detected ${highSeverity.length} near-miss incident(s) (score >= 5)`);
+        }
+
+        // Update summary display
+        this._updateNearMissSummary();
+
+        // Notify timeline if callback is set
+        if (this.onNearMissesDetected) {
+            this.onNearMissesDetected(this.nearMisses);
+        }
+    }
+
+    /**
+     * Score near-miss incidents in a list of telemetry points (no UI side effects,
+     * so other events can be scanned without loading them - see HighlightReel)
+     * @param {Array} allPoints - Points sorted by time ({ time, speed_mph, g_force_y, steering_angle, ... })
+     * @returns {Array} Near-misses sorted by time
+     */
+    static scoreNearMisses(allPoints) {
+        const nearMisses = [];
+        if (!allPoints || allPoints.length < 3) return nearMisses;
+
         // Thresholds for detection
         const HARD_BRAKE_THRESHOLD = 0.25; // g (longitudinal deceleration)
         const EVASIVE_STEER_THRESHOLD = 20; // degrees per second
@@ -2533,7 +2560,7 @@ class TelemetryGraphs {
             if (score >= 3) {
                 const severity = score >= 7 ? 'critical' : score >= 5 ? 'warning' : 'info';
 
-                this.nearMisses.push({
+                nearMisses.push({
                     time: brakeEvent.time,
                     score: score,
                     brakeG: brakeEvent.brakeG,
@@ -2548,21 +2575,8 @@ class TelemetryGraphs {
         }
 
         // Sort by time
-        this.nearMisses.sort((a, b) => a.time - b.time);
-
-        // Log detection results
-        const highSeverity = this.nearMisses.filter(nm => nm.score >= 5);
-        if (highSeverity.length > 0) {
-            console.log(`[TelemetryGraphs] Detected ${highSeverity.length} near-miss incident(s) (score >= 5)`);
-        }
-
-        // Update summary display
-        this._updateNearMissSummary();
-
-        // Notify timeline if callback is set
-        if (this.onNearMissesDetected) {
-            this.onNearMissesDetected(this.nearMisses);
-        }
+        nearMisses.sort((a, b) => a.time - b.time);
+        return nearMisses;
     }
 
     /**
@@ -3258,6 +3272,31 @@ class TelemetryGraphs {
             return;
         }
 
+        this.apEvents = TelemetryGraphs.findApEvents(allPoints);
+
+        if (this.apEvents.length > 0) {
+            const engaged = this.apEvents.filter(e => e.type === 'engaged').length;
+            const disconnected = this.apEvents.filter(e => e.type === 'disconnected').length;
+            console.log(`[TelemetryGraphs] Detected ${this.apEvents.length} AP event(s): ${engaged} engagements, ${disconnected} disconnections`);
+        }
+
+        // Notify MapView of AP events (for struggle zones)
+        if (this.onApEventsDetected) {
+            // Only send disengagements (not engagements or mode changes)
+            const disengagements = this.apEvents.filter(e => e.type === 'disconnected');
+            this.onApEventsDetected(disengagements);
+        }
+    }
+
+    /**
+     * Find autopilot state transitions in a list of telemetry points (no UI side effects)
+     * @param {Array} allPoints - Points sorted by time ({ time, autopilot, speed_mph, ... })
+     * @returns {Array} { time, type: 'engaged'|'disconnected'|'mode_change', fromMode, toMode, speed, ... }
+     */
+    static findApEvents(allPoints) {
+        const apEvents = [];
+        if (!allPoints || allPoints.length < 2) return apEvents;
+
         let lastApState = allPoints[0].autopilot || 'NONE';
 
         for (let i = 1; i < allPoints.length; i++) {
@@ -3277,7 +3316,7 @@ class TelemetryGraphs {
                     eventType = 'mode_change';
                 }
 
-                this.apEvents.push({
+                apEvents.push({
                     time: point.time,
                     type: eventType,
                     fromMode: lastApState,
@@ -3293,20 +3332,8 @@ class TelemetryGraphs {
         }
 
         // Sort by time (should already be sorted)
-        this.apEvents.sort((a, b) => a.time - b.time);
-
-        if (this.apEvents.length > 0) {
-            const engaged = this.apEvents.filter(e => e.type === 'engaged').length;
-            const disconnected = this.apEvents.filter(e => e.type === 'disconnected').length;
-            console.log(`[TelemetryGraphs] Detected ${this.apEvents.length} AP event(s): ${engaged} engagements, ${disconnected} disconnections`);
-        }
-
-        // Notify MapView of AP events (for struggle zones)
-        if (this.onApEventsDetected) {
-            // Only send disengagements (not engagements or mode changes)
-            const disengagements = this.apEvents.filter(e => e.type === 'disconnected');
-            this.onApEventsDetected(disengagements);
-        }
+        apEvents.sort((a, b) => a.time - b.time);
+        return apEvents;
     }
 
     /**
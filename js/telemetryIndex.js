@@ -0,0 +1,553 @@
+/**
+ * TelemetryIndex - Persistent per-clip telemetry summaries shared by every library-wide feature
+ *
+ * Parsing SEI out of every MP4 is slow, so each front-camera clip is reduced
+ * once to one sample per second and cached in IndexedDB. Entries are keyed by
+ * file name, size and modification time, so renamed or re-recorded clips are
+ * re-indexed automatically while untouched ones are never parsed again.
+ *
+ * Clips are parsed through SeiExtractor's worker pool at scan priority (idle priority for the
+ * background pass that indexes the whole library, picking up where the last session stopped),
+ * so the playing clip is always parsed first.
+ * Consumers: TelemetrySearch, MapView.scanAllEventsForMap, StatisticsManager.verifyTelemetryForEvents
+ * and HighlightReel near-miss scanning.
+ */
+
+class TelemetryIndex {
+    constructor() {
+        this.DB_NAME = 'TeslaCamViewerTelemetry';
+        // Bump when the summary layout changes - the store is rebuilt on upgrade
+        this.DB_VERSION = 2;
+        this.STORE_NAME = 'clipSummaries';
+
+        // Summaries kept in memory (~4 KB each); older ones are re-read from IndexedDB
+        this.MAX_MEMORY_ENTRIES = 2000;
+
+        // Fallback clip duration when the MP4 header has none
+        this.DEFAULT_CLIP_DURATION = 60;
+
+        // Bit flags packed into summary.flags
+        this.FLAG_BRAKE = 1;
+        this.FLAG_BLINKER_LEFT = 2;
+        this.FLAG_BLINKER_RIGHT = 4;
+
+        this.GEAR_NAMES = ['P', 'D', 'R', 'N'];
+        this.AP_NAMES = ['NONE', 'FSD', 'AUTOSTEER', 'TACC'];
+
+        this.db = null;
+        this.memoryCache = new Map();
+        this.pending = new Map(); // key -> { promise, group } of clips being parsed
+        this.indexedKeys = null; // Set of stored keys, loaded for background indexing
+
+        // Background indexing state
+        this.backgroundRunning = false;
+        this.backgroundGeneration = 0; // Bumped to stop a running pass
+        this.backgroundStatus = { done: 0, total: 0 };
+        this.onBackgroundProgress = null; // (status) => void
+
+        // Cancellation group for background-pass extractions
+        this.BACKGROUND_GROUP = 'telemetryIndex';
+
+        this._dbReady = this._initDB();
+    }
+
+    /**
+     * Initialize IndexedDB for persistent summaries
+     */
+    async _initDB() {
+        return new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onerror = () => {
+                console.warn('[TelemetryIndex] IndexedDB not available, using memory cache only');
+                resolve(null);
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                console.log('[TelemetryIndex] IndexedDB ready');
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                // Older summaries have a different layout - drop them and re-index
+                if (db.objectStoreNames.contains(this.STORE_NAME)) {
+                    db.deleteObjectStore(this.STORE_NAME);
+                }
+                db.createObjectStore(this.STORE_NAME, { keyPath: 'key' });
+                console.log('[TelemetryIndex] Created clipSummaries store');
+            };
+        });
+    }
+
+    /**
+     * Get summary from IndexedDB
+     */
+    async _getFromDB(key) {
+        await this._dbReady;
+        if (!this.db) return null;
+
+        return new Promise((resolve) => {
+            try {
+                const tx = this.db.transaction(this.STORE_NAME, 'readonly');
+                const request = tx.objectStore(this.STORE_NAME).get(key);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => resolve(null);
+            } catch (e) {
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Save summary to IndexedDB
+     */
+    async _saveToDB(summary) {
+        await this._dbReady;
+        if (!this.db) return;
+
+        return new Promise((resolve) => {
+            try {
+                const tx = this.db.transaction(this.STORE_NAME, 'readwrite');
+                tx.objectStore(this.STORE_NAME).put(summary);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => resolve();
+            } catch (e) {
+                resolve();
+            }
+        });
+    }
+
+    /**
+     * Load the keys of every stored summary (cheap - values are not read)
+     * @returns {Promise<Set<string>>}
+     */
+    async _loadIndexedKeys() {
+        if (this.indexedKeys) return this.indexedKeys;
+        await this._dbReady;
+
+        this.indexedKeys = await new Promise((resolve) => {
+            if (!this.db) {
+                resolve(new Set());
+                return;
+            }
+            try {
+                const tx = this.db.transaction(this.STORE_NAME, 'readonly');
+                const request = tx.objectStore(this.STORE_NAME).getAllKeys();
+                request.onsuccess = () => resolve(new Set(request.result || []));
+                request.onerror = () => resolve(new Set());
+            } catch (e) {
+                resolve(new Set());
+            }
+        });
+        return this.indexedKeys;
+    }
+
+    /**
+     * Remove every stored summary
+     */
+    async clear() {
+        this.memoryCache.clear();
+        this.indexedKeys = null;
+        await this._dbReady;
+        if (!this.db) return;
+
+        return new Promise((resolve) => {
+            try {
+                const tx = this.db.transaction(this.STORE_NAME, 'readwrite');
+                tx.objectStore(this.STORE_NAME).clear();
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => resolve();
+            } catch (e) {
+                resolve();
+            }
+        });
+    }
+
+    /**
+     * Cache key for a clip file (name + size + mtime)
+     * @param {File} file
+     * @returns {string}
+     */
+    getFileKey(file) {
+        return `${file.name}|${file.size}|${file.lastModified}`;
+    }
+
+    /**
+     * Get the per-second summary for a clip group's front camera, indexing it if needed
+     * @param {Object} group - Clip group ({ clips: { front: { fileHandle } } })
+     * @returns {Promise<Object|null>} Summary, or null when the clip has no front camera
+     */
+    async getClipSummary(group) {
+        const frontClip = group?.clips?.front;
+        if (!frontClip || !frontClip.fileHandle) return null;
+
+        try {
+            const file = await frontClip.fileHandle.getFile();
+            return await this.getFileSummary(file);
+        } catch (e) {
+            console.warn('[TelemetryIndex] Could not read clip:', frontClip.fileName, e);
+            return null;
+        }
+    }
+
+    /**
+     * Get the per-second summary for a clip file, indexing it if needed
+     * @param {File} file
+     * @param {Object} options - { priority, group } passed to SeiExtractor (default: scan priority)
+     * @returns {Promise<Object>}
+     */
+    async getFileSummary(file, options = {}) {
+        const key = this.getFileKey(file);
+        if (this.memoryCache.has(key)) {
+            return this.memoryCache.get(key);
+        }
+
+        // Several callers may ask for the same clip while it is being parsed
+        const pending = this.pending.get(key);
+        if (pending) {
+            window.seiExtractor.raisePriority(file, options.priority ?? window.seiExtractor.PRIORITY.SCAN);
+            try {
+                return await pending.promise;
+            } catch (error) {
+                // The request we joined was cancelled with its own group (e.g. the background pass
+                // stopping) - that doesn't cancel this caller, so parse it again on its own terms
+                if (error.name !== 'AbortError' || pending.group === options.group) throw error;
+                if (this.pending.get(key) === pending) this.pending.delete(key);
+                return this.getFileSummary(file, options);
+            }
+        }
+
+        const entry = { promise: this._loadOrBuild(key, file, options), group: options.group };
+        this.pending.set(key, entry);
+        try {
+            return await entry.promise;
+        } finally {
+            if (this.pending.get(key) === entry) this.pending.delete(key);
+        }
+    }
+
+    /**
+     * Whether a clip file carries SEI telemetry
+     * @param {File} file
+     * @returns {Promise<boolean>}
+     */
+    async hasTelemetry(file) {
+        const summary = await this.getFileSummary(file);
+        return summary.seconds > 0;
+    }
+
+    /**
+     * Read a summary from IndexedDB, or parse the clip and store a new one
+     */
+    async _loadOrBuild(key, file, options) {
+        const stored = await this._getFromDB(key);
+        if (stored) {
+            this._remember(key, stored);
+            return stored;
+        }
+
+        // Skip SeiExtractor's in-memory cache - a library scan would otherwise hold every clip
+        const data = await window.seiExtractor.extractFromFile(file, {
+            cache: false,
+            priority: options.priority ?? window.seiExtractor.PRIORITY.SCAN,
+            group: options.group
+        });
+        const summary = this.summarize(key, data);
+
+        this._remember(key, summary);
+        if (this.indexedKeys) this.indexedKeys.add(key);
+        await this._saveToDB(summary);
+        return summary;
+    }
+
+    /**
+     * Add a summary to the memory cache, evicting the oldest entries past the limit
+     */
+    _remember(key, summary) {
+        this.memoryCache.set(key, summary);
+        while (this.memoryCache.size > this.MAX_MEMORY_ENTRIES) {
+            this.memoryCache.delete(this.memoryCache.keys().next().value);
+        }
+    }
+
+    /**
+     * Reduce SEI frames to one sample per second
+     * Speed and steering are averaged; g-forces keep the peak so short spikes are not lost.
+     * @param {string} key
+     * @param {Object} data - SeiExtractor result
+     * @returns {Object} Summary record
+     */
+    summarize(key, data) {
+        const frames = data?.frames || [];
+        const duration = data?.duration > 0 ? data.duration :
+            (frames.length > 0 && data.fps > 0 ? frames.length / data.fps : this.DEFAULT_CLIP_DURATION);
+        const seconds = frames.length > 0 ? Math.max(1, Math.ceil(duration)) : 0;
+
+        const speed = new Float32Array(seconds);
+        const steering = new Float32Array(seconds);
+        const gx = new Float32Array(seconds);
+        const gy = new Float32Array(seconds);
+        const brakeG = new Float32Array(seconds);
+        const accelG = new Float32Array(seconds);
+        const lateralG = new Float32Array(seconds);
+        const totalG = new Float32Array(seconds);
+        const flags = new Uint8Array(seconds);
+        const gear = new Uint8Array(seconds);
+        const ap = new Uint8Array(seconds);
+        const heading = new Float32Array(seconds);
+        const lat = new Float64Array(seconds);
+        const lon = new Float64Array(seconds);
+        const counts = new Uint16Array(seconds);
+
+        for (let f = 0; f < frames.length; f++) {
+            const frame = frames[f];
+            // Same ratio-based mapping used by TelemetryOverlay (fps in MP4 metadata is unreliable)
+            const s = Math.min(seconds - 1, Math.floor((f / frames.length) * duration));
+
+            speed[s] += frame.speed_mph || 0;
+            steering[s] += frame.steering_wheel_angle || 0;
+            counts[s]++;
+
+            const x = frame.g_force_x || 0;
+            const y = frame.g_force_y || 0;
+            // Signed peaks for detectors, split peaks for queries (positive Y = braking)
+            if (Math.abs(x) > Math.abs(gx[s])) gx[s] = x;
+            if (Math.abs(y) > Math.abs(gy[s])) gy[s] = y;
+            if (y > brakeG[s]) brakeG[s] = y;
+            if (-y > accelG[s]) accelG[s] = -y;
+            if (Math.abs(x) > lateralG[s]) lateralG[s] = Math.abs(x);
+            const g = Math.sqrt(x * x + y * y);
+            if (g > totalG[s]) totalG[s] = g;
+
+            if (frame.brake_applied) flags[s] |= this.FLAG_BRAKE;
+            if (frame.blinker_on_left) flags[s] |= this.FLAG_BLINKER_LEFT;
+            if (frame.blinker_on_right) flags[s] |= this.FLAG_BLINKER_RIGHT;
+
+            // Last frame in the second wins for states
+            gear[s] = frame.gear_state || 0;
+            ap[s] = frame.autopilot_state || 0;
+
+            const hasGps = frame.latitude_deg && frame.longitude_deg &&
+                Math.abs(frame.latitude_deg) <= 90 && Math.abs(frame.longitude_deg) <= 180;
+            if (hasGps) {
+                lat[s] = frame.latitude_deg;
+                lon[s] = frame.longitude_deg;
+                heading[s] = frame.heading_deg || 0;
+            }
+        }
+
+        for (let s = 0; s < seconds; s++) {
+            if (counts[s] > 0) {
+                speed[s] /= counts[s];
+                steering[s] /= counts[s];
+            } else if (s > 0) {
+                // Carry state forward through seconds without frames
+                speed[s] = speed[s - 1];
+                steering[s] = steering[s - 1];
+                gear[s] = gear[s - 1];
+                ap[s] = ap[s - 1];
+            }
+            if (!lat[s] && s > 0) {
+                lat[s] = lat[s - 1];
+                lon[s] = lon[s - 1];
+                heading[s] = heading[s - 1];
+            }
+        }
+
+        return {
+            key,
+            duration,
+            seconds,
+            speed, steering,
+            gx, gy, brakeG, accelG, lateralG, totalG,
+            flags, gear, ap,
+            heading, lat, lon,
+            indexedAt: Date.now()
+        };
+    }
+
+    /**
+     * Build (or load) the index for a whole event
+     * @param {Object} event
+     * @param {Object} options - { clipDurations, onProgress(done, total), shouldCancel() }
+     * @returns {Promise<Object>} { eventKey, clips: [{ clipIndex, start, duration, summary }], duration }
+     */
+    async getEventIndex(event, options = {}) {
+        const groups = event?.clipGroups || [];
+        const clipDurations = options.clipDurations || [];
+        const clips = [];
+        let clipStart = 0;
+
+        for (let i = 0; i < groups.length; i++) {
+            if (options.shouldCancel && options.shouldCancel()) break;
+
+            const summary = await this.getClipSummary(groups[i]);
+            const duration = clipDurations[i] > 0 ? clipDurations[i] :
+                (summary?.duration || this.DEFAULT_CLIP_DURATION);
+
+            if (summary && summary.seconds > 0) {
+                clips.push({ clipIndex: i, start: clipStart, duration, summary });
+            }
+            clipStart += duration;
+
+            if (options.onProgress) options.onProgress(i + 1, groups.length);
+        }
+
+        return {
+            eventKey: event.compoundKey || event.name,
+            clips,
+            duration: clipStart
+        };
+    }
+
+    /**
+     * Iterate every indexed second of an event
+     * Sample times are scaled to the clip's real duration when it differs from the summary.
+     * The sample object is reused between calls - copy what you keep.
+     * @param {Object} eventIndex - Result of getEventIndex
+     * @param {Function} callback - (sample, eventTime) => void
+     */
+    forEachSample(eventIndex, callback) {
+        const sample = {};
+        for (const clip of eventIndex.clips) {
+            const s = clip.summary;
+            const scale = s.duration > 0 ? clip.duration / s.duration : 1;
+
+            for (let i = 0; i < s.seconds; i++) {
+                sample.speed = s.speed[i];
+                sample.steering = s.steering[i];
+                sample.gx = s.gx[i];
+                sample.gy = s.gy[i];
+                sample.brakeG = s.brakeG[i];
+                sample.accelG = s.accelG[i];
+                sample.lateralG = s.lateralG[i];
+                sample.g = s.totalG[i];
+                sample.brake = (s.flags[i] & this.FLAG_BRAKE) !== 0;
+                sample.blinkerLeft = (s.flags[i] & this.FLAG_BLINKER_LEFT) !== 0;
+                sample.blinkerRight = (s.flags[i] & this.FLAG_BLINKER_RIGHT) !== 0;
+                sample.gearState = s.gear[i];
+                sample.gear = this.GEAR_NAMES[s.gear[i]] || 'P';
+                sample.apState = s.ap[i];
+                sample.ap = this.AP_NAMES[s.ap[i]] || 'NONE';
+                sample.heading = s.heading[i];
+                sample.lat = s.lat[i];
+                sample.lon = s.lon[i];
+
+                callback(sample, clip.start + i * scale);
+            }
+        }
+    }
+
+    /**
+     * Get an event's telemetry as TelemetryGraphs-style points (one per `interval` seconds)
+     * Drop-in input for TelemetryGraphs.scoreNearMisses / findApEvents and MapView's detectors.
+     * @param {Object} event
+     * @param {Object} options - { interval = 1, clipDurations, onProgress, shouldCancel }
+     * @returns {Promise<Array<Object>>}
+     */
+    async getEventPoints(event, options = {}) {
+        const interval = Math.max(1, Math.round(options.interval || 1));
+        const eventIndex = await this.getEventIndex(event, options);
+        const points = [];
+        let n = 0;
+
+        this.forEachSample(eventIndex, (sample, time) => {
+            if (n++ % interval !== 0) return;
+            points.push({
+                time,
+                speed_mph: sample.speed,
+                g_force_x: sample.gx,
+                g_force_y: sample.gy,
+                steering_angle: sample.steering,
+                brake: sample.brake,
+                blinker_left: sample.blinkerLeft,
+                blinker_right: sample.blinkerRight,
+                gear: sample.gear,
+                autopilot: sample.ap,
+                autopilot_state: sample.apState,
+                heading: sample.heading,
+                latitude: sample.lat,
+                longitude: sample.lon
+            });
+        });
+
+        return points;
+    }
+
+    // ==================== Background indexing ====================
+
+    /**
+     * Index every front clip of the given events in the background
+     * Already-indexed clips (from this or an earlier session) are skipped, so an
+     * interrupted pass resumes where it stopped. Calling again restarts with the new list.
+     * @param {Array<Object>} events
+     */
+    async startBackgroundIndexing(events) {
+        const generation = ++this.backgroundGeneration;
+        const isStopped = () => generation !== this.backgroundGeneration;
+
+        const groups = [];
+        for (const event of events || []) {
+            for (const group of event.clipGroups || []) {
+                if (group.clips?.front?.fileHandle) groups.push(group);
+            }
+        }
+        if (groups.length === 0) return;
+
+        this.backgroundRunning = true;
+        this.backgroundStatus = { done: 0, total: groups.length };
+        let parsed = 0;
+
+        try {
+            const indexedKeys = await this._loadIndexedKeys();
+
+            for (const group of groups) {
+                if (isStopped()) break;
+
+                try {
+                    const file = await group.clips.front.fileHandle.getFile();
+                    const key = this.getFileKey(file);
+                    if (!indexedKeys.has(key) && !this.memoryCache.has(key)) {
+                        await this.getFileSummary(file, {
+                            priority: window.seiExtractor.PRIORITY.IDLE,
+                            group: this.BACKGROUND_GROUP
+                        });
+                        parsed++;
+                        // Give playback and foreground requests room between clips
+                        await new Promise(r => setTimeout(r, 0));
+                    }
+                } catch (e) {
+                    // Unreadable clip - skip it, it will be retried next session
+                }
+
+                this.backgroundStatus.done++;
+                if (this.onBackgroundProgress) this.onBackgroundProgress(this.backgroundStatus);
+            }
+        } finally {
+            if (!isStopped()) this.backgroundRunning = false;
+        }
+
+        if (!isStopped()) {
+            console.log(`[TelemetryIndex] Background indexing complete: ${groups.length} clips (${parsed} newly parsed)`);
+        }
+    }
+
+    /**
+     * Stop the background pass (progress so far is kept)
+     */
+    stopBackgroundIndexing() {
+        this.backgroundGeneration++;
+        this.backgroundRunning = false;
+        window.seiExtractor?.cancel(this.BACKGROUND_GROUP);
+    }
+}
+
+window.TelemetryIndex = TelemetryIndex;
@@ -28,6 +28,7 @@ class TelemetryOverlay {
         // Current telemetry data
         this.currentData = null;
         this.lastValidData = null; // Keep last valid data to prevent flickering
+        this.lastExportData = null; // Same, for export lookups (getTelemetryAt)
 
         // G-force trace history (for trail effect)
         this.gForceHistory = [];
@@ -850,13 +851,17 @@ class TelemetryOverlay {
         this._lastExportY = 0;
         this.exportStartTime = 0;
         this.exportFps = 30;
+        this.lastExportData = null;
         console.log('[TelemetryOverlay] Export buffer cleared');
     }
 
     /**
      * Load SEI data for a clip file
+     * @param {File} file
+     * @param {number} clipIndex
+     * @param {Object} options - { priority, group } passed to SeiExtractor
      */
-    async loadClipData(file, clipIndex) {
+    async loadClipData(file, clipIndex, options = {}) {
         if (!window.seiExtractor) {
             console.warn('TelemetryOverlay: SEI extractor not available');
             return null;
@@ -868,11 +873,14 @@ class TelemetryOverlay {
         }
 
         try {
-            const data = await window.seiExtractor.extractFromFile(file);
+            const data = await window.seiExtractor.extractFromFile(file, options);
             this.clipSeiData.set(cacheKey, data);
             return data;
         } catch (error) {
-            console.error('TelemetryOverlay: Failed to load SEI data', error);
+            // Cancelled because the user switched events
+            if (error.name !== 'AbortError') {
+                console.error('TelemetryOverlay: Failed to load SEI data', error);
+            }
             return null;
         }
     }
@@ -883,6 +891,7 @@ class TelemetryOverlay {
     reset() {
         this.currentData = null;
         this.lastValidData = null;
+        this.lastExportData = null;
         this.clipSeiData.clear();
         this.clipVideoDurations.clear();
     }
@@ -999,6 +1008,31 @@ class TelemetryOverlay {
         // Don't change opacity - keep overlay stable
     }
 
+    /**
+     * Look up telemetry for a clip position without touching live overlay state
+     * Uses SeiExtractor.getTelemetryAtTime, the same duration-ratio mapping as live playback
+     * (MP4 fps metadata is unreliable), so exported frames show what the user saw in preview. Holds the last valid frame
+     * while a clip's SEI data is missing, as updateTelemetry does.
+     * @param {number} clipIndex - Clip index within the event
+     * @param {number} timeInClip - Time within the clip (seconds)
+     * @param {number} videoDuration - Duration of the clip video (seconds)
+     * @returns {Object|null} Telemetry frame, or null if nothing has been found yet
+     */
+    getTelemetryAt(clipIndex, timeInClip, videoDuration) {
+        const cacheKey = Array.from(this.clipSeiData.keys()).find(k => k.startsWith(`${clipIndex}_`));
+        const clipData = cacheKey ? this.clipSeiData.get(cacheKey) : null;
+        if (!clipData || !clipData.frames || clipData.frames.length === 0) {
+            return this.lastExportData;
+        }
+
+        const duration = videoDuration > 0 ? videoDuration : (this.clipVideoDurations.get(clipIndex) || 60);
+        const frame = window.seiExtractor.getTelemetryAtTime(clipData, timeInClip, duration);
+        if (frame) {
+            this.lastExportData = frame;
+        }
+        return this.lastExportData;
+    }
+
     // ==================== RENDERING ====================
 
     _startUpdateLoop() {
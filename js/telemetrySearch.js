@@ -0,0 +1,668 @@
+/**
+ * TelemetrySearch - Query telemetry across the whole library
+ * e.g. "brake_g > 0.5", "speed > 80 mph and not ap", "blinker = left and near(37.77, -122.42, 500m)"
+ *
+ * Expressions are evaluated against TelemetryIndex's one-sample-per-second summaries.
+ * Consecutive matching seconds are merged into hits that jump the player to that moment.
+ */
+
+class TelemetrySearch {
+    constructor(telemetryIndex) {
+        this.telemetryIndex = telemetryIndex;
+
+        this.query = '';
+        this.source = 'filtered';
+        this.hits = [];
+        this.truncated = false;
+        this.isSearching = false;
+        this.cancelRequested = false;
+        this.modal = null;
+
+        // Stop collecting hits after this many (the list is for browsing, not exporting)
+        this.MAX_HITS = 500;
+
+        // Matching seconds closer than this are merged into one hit
+        this.MERGE_GAP = 2;
+
+        this.NUMERIC_FIELDS = {
+            speed: 'speed',
+            g: 'g',
+            brake_g: 'brakeG',
+            decel_g: 'brakeG',
+            accel_g: 'accelG',
+            lateral_g: 'lateralG'
+        };
+        this.GEARS = ['P', 'D', 'R', 'N'];
+        this.AP_STATES = ['NONE', 'FSD', 'AUTOSTEER', 'TACC'];
+
+        // Unit conversions to mph (speed) and meters (distance)
+        this.SPEED_UNITS = { mph: 1, kph: 1 / 1.609344, kmh: 1 / 1.609344, 'km/h': 1 / 1.609344 };
+        this.DISTANCE_UNITS = { m: 1, km: 1000, mi: 1609.344, ft: 0.3048 };
+
+        // Show background indexing progress while the modal is open
+        this.telemetryIndex.onBackgroundProgress = () => this._updateIndexStatus();
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} str
+     * @returns {string}
+     */
+    escapeHtml(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    /**
+     * Whether speeds without a unit are km/h
+     */
+    _useMetric() {
+        return window.app?.settingsManager?.get('telemetryOverlayUnits') === 'kph';
+    }
+
+    // ==================== Query parsing ====================
+
+    /**
+     * Split a query into tokens
+     * @param {string} text
+     * @returns {Array<Object>} { type: 'number'|'word'|'op', value, unit }
+     */
+    tokenize(text) {
+        const tokens = [];
+        let pos = 0;
+
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (/\s/.test(ch)) {
+                pos++;
+                continue;
+            }
+
+            const number = /^(\d+(?:\.\d+)?|\.\d+)/.exec(text.slice(pos));
+            if (number) {
+                pos += number[0].length;
+                // Word units may be spaced ("70 mph"); single letters must be attached ("500m", "0.5g")
+                const unit = /^\s*(mph|kph|kmh|km\/h|km|mi|ft)\b/i.exec(text.slice(pos)) ||
+                    /^(m|g)\b/i.exec(text.slice(pos));
+                if (unit) pos += unit[0].length;
+                tokens.push({ type: 'number', value: parseFloat(number[1]), unit: unit ? unit[1].toLowerCase() : null });
+                continue;
+            }
+
+            const op = /^(>=|<=|!=|==|&&|\|\||[=<>!(),-])/.exec(text.slice(pos));
+            if (op) {
+                pos += op[0].length;
+                tokens.push({ type: 'op', value: op[1] });
+                continue;
+            }
+
+            const word = /^[A-Za-z_][A-Za-z_]*/.exec(text.slice(pos));
+            if (word) {
+                pos += word[0].length;
+                tokens.push({ type: 'word', value: word[0].toLowerCase() });
+                continue;
+            }
+
+            throw new Error(`Unexpected character "${ch}"`);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse a query into a syntax tree
+     * Grammar: or := and ("or" and)* ; and := unary ("and" unary)* ; unary := "not" unary | "(" or ")" | term
+     * @param {string} text
+     * @returns {Object} Root node
+     */
+    parse(text) {
+        const tokens = this.tokenize(text);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+        const isWord = (value) => peek()?.type === 'word' && peek().value === value;
+        const expectOp = (value) => {
+            if (!isOp(value)) {
+                throw new Error(`Expected "${value}"${peek() ? ` near "${peek().value}"` : ' at end of query'}`);
+            }
+            next();
+        };
+        const readNumber = () => {
+            let sign = 1;
+            if (isOp('-')) {
+                next();
+                sign = -1;
+            }
+            const token = next();
+            if (!token || token.type !== 'number') {
+                throw new Error('Expected a number');
+            }
+            return { value: sign * token.value, unit: token.unit };
+        };
+
+        const parseOr = () => {
+            let node = parseAnd();
+            while (isWord('or') || isOp('||')) {
+                next();
+                node = { type: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        };
+
+        const parseAnd = () => {
+            let node = parseUnary();
+            while (isWord('and') || isOp('&&')) {
+                next();
+                node = { type: 'and', left: node, right: parseUnary() };
+            }
+            return node;
+        };
+
+        const parseUnary = () => {
+            if (isWord('not') || isOp('!')) {
+                next();
+                return { type: 'not', operand: parseUnary() };
+            }
+            if (isOp('(')) {
+                next();
+                const node = parseOr();
+                expectOp(')');
+                return node;
+            }
+            return parseTerm();
+        };
+
+        const parseTerm = () => {
+            const token = next();
+            if (!token || token.type !== 'word') {
+                throw new Error(token ? `Unexpected "${token.value}"` : 'Query is incomplete');
+            }
+            const field = token.value;
+            const stateFields = ['brake', 'blinker', 'gear', 'ap', 'autopilot'];
+            if (field !== 'near' && !this.NUMERIC_FIELDS[field] && !stateFields.includes(field)) {
+                throw new Error(`Unknown field "${field}"`);
+            }
+
+            if (field === 'near') {
+                expectOp('(');
+                const lat = readNumber().value;
+                expectOp(',');
+                const lon = readNumber().value;
+                expectOp(',');
+                const radius = readNumber();
+                expectOp(')');
+                const factor = this.DISTANCE_UNITS[radius.unit || 'm'];
+                if (!factor) throw new Error(`Unknown distance unit "${radius.unit}"`);
+                if (Math.abs(lat) > 90 || Math.abs(lon) > 180) throw new Error('Invalid coordinates in near()');
+                return { type: 'near', lat, lon, radius: radius.value * factor };
+            }
+
+            const comparison = peek()?.type === 'op' && ['>', '>=', '<', '<=', '=', '==', '!='].includes(peek().value);
+            if (!comparison) {
+                if (['brake', 'blinker', 'ap', 'autopilot'].includes(field)) {
+                    return { type: 'flag', field };
+                }
+                throw new Error(`"${field}" needs a comparison, e.g. ${field} > 0.5`);
+            }
+            const opToken = next();
+            const op = opToken.value === '==' ? '=' : opToken.value;
+
+            if (this.NUMERIC_FIELDS[field]) {
+                const { value, unit } = readNumber();
+                return { type: 'compare', field, op, value: this._normalizeValue(field, value, unit) };
+            }
+
+            const valueToken = next();
+            if (!valueToken || valueToken.type !== 'word' || (op !== '=' && op !== '!=')) {
+                throw new Error(`"${field}" only supports = and != with a name`);
+            }
+            const value = valueToken.value.toUpperCase();
+
+            if (field === 'gear' && this.GEARS.includes(value)) {
+                return { type: 'state', field: 'gear', op, value };
+            }
+            if ((field === 'ap' || field === 'autopilot') && this.AP_STATES.includes(value)) {
+                return { type: 'state', field: 'ap', op, value };
+            }
+            if (field === 'blinker' && ['LEFT', 'RIGHT'].includes(value)) {
+                return { type: 'state', field: 'blinker', op, value };
+            }
+            if (field === 'brake' && ['TRUE', 'FALSE', 'ON', 'OFF'].includes(value)) {
+                const on = value === 'TRUE' || value === 'ON';
+                const node = { type: 'flag', field: 'brake' };
+                return (op === '=') === on ? node : { type: 'not', operand: node };
+            }
+            throw new Error(`Unknown field or value "${field} ${op} ${valueToken.value}"`);
+        };
+
+        if (tokens.length === 0) {
+            throw new Error('Query is empty');
+        }
+
+        const root = parseOr();
+        if (index < tokens.length) {
+            throw new Error(`Unexpected "${tokens[index].value}"`);
+        }
+        return root;
+    }
+
+    /**
+     * Convert a comparison value to index units (mph, g)
+     */
+    _normalizeValue(field, value, unit) {
+        if (field === 'speed') {
+            const speedUnit = unit || (this._useMetric() ? 'kph' : 'mph');
+            const factor = this.SPEED_UNITS[speedUnit];
+            if (!factor) throw new Error(`Unknown speed unit "${unit}"`);
+            return value * factor;
+        }
+        if (unit && unit !== 'g') {
+            throw new Error(`Unknown g-force unit "${unit}"`);
+        }
+        return value;
+    }
+
+    /**
+     * Turn a syntax tree into a predicate over TelemetryIndex samples
+     * @param {Object} node
+     * @returns {Function} (sample) => boolean
+     */
+    compile(node) {
+        switch (node.type) {
+            case 'and': {
+                const left = this.compile(node.left);
+                const right = this.compile(node.right);
+                return (s) => left(s) && right(s);
+            }
+            case 'or': {
+                const left = this.compile(node.left);
+                const right = this.compile(node.right);
+                return (s) => left(s) || right(s);
+            }
+            case 'not': {
+                const operand = this.compile(node.operand);
+                return (s) => !operand(s);
+            }
+            case 'flag':
+                if (node.field === 'brake') return (s) => s.brake;
+                if (node.field === 'blinker') return (s) => s.blinkerLeft || s.blinkerRight;
+                return (s) => s.ap !== 'NONE';
+            case 'state': {
+                const equals = node.op === '=';
+                if (node.field === 'blinker') {
+                    const key = node.value === 'LEFT' ? 'blinkerLeft' : 'blinkerRight';
+                    return (s) => s[key] === equals;
+                }
+                return (s) => (s[node.field] === node.value) === equals;
+            }
+            case 'compare': {
+                const key = this.NUMERIC_FIELDS[node.field];
+                const value = node.value;
+                // Equality needs some slack: speeds are per-second means, g-forces are peaks
+                const tolerance = node.field === 'speed' ? 0.5 : 0.05;
+                switch (node.op) {
+                    case '>': return (s) => s[key] > value;
+                    case '>=': return (s) => s[key] >= value;
+                    case '<': return (s) => s[key] < value;
+                    case '<=': return (s) => s[key] <= value;
+                    case '!=': return (s) => Math.abs(s[key] - value) > tolerance;
+                    default: return (s) => Math.abs(s[key] - value) <= tolerance;
+                }
+            }
+            case 'near': {
+                const { lat, lon, radius } = node;
+                return (s) => (s.lat !== 0 || s.lon !== 0) &&
+                    this._distanceMeters(s.lat, s.lon, lat, lon) <= radius;
+            }
+            default:
+                throw new Error(`Unsupported query node "${node.type}"`);
+        }
+    }
+
+    /**
+     * Haversine distance in meters
+     */
+    _distanceMeters(lat1, lon1, lat2, lon2) {
+        const R = 6371000;
+        const toRad = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRad;
+        const dLon = (lon2 - lon1) * toRad;
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+        return 2 * R * Math.asin(Math.sqrt(a));
+    }
+
+    // ==================== Searching ====================
+
+    /**
+     * Events to search
+     * @param {string} source - 'selected', 'filtered' or 'all'
+     * @returns {Array<Object>}
+     */
+    getSourceEvents(source) {
+        const app = window.app;
+        if (!app) return [];
+        let events;
+        if (source === 'selected') {
+            events = app.eventBrowser?.getMultiSelectedEvents() || [];
+        } else if (source === 'all') {
+            events = app.allEvents || [];
+        } else {
+            events = app.eventBrowser?.events || [];
+        }
+        return events.filter(e => !e.isEmpty);
+    }
+
+    /**
+     * Run a query over events
+     * @param {Array<Object>} events
+     * @param {string} query
+     * @param {Function} onProgress - (eventIndex, eventCount)
+     * @returns {Promise<Array<Object>>} Hits { event, eventKey, start, end, maxSpeed, peakG, lat, lon }
+     */
+    async search(events, query, onProgress = null) {
+        const predicate = this.compile(this.parse(query));
+        const hits = [];
+        this.truncated = false;
+        this.isSearching = true;
+        this.cancelRequested = false;
+
+        try {
+            for (let i = 0; i < events.length; i++) {
+                if (this.cancelRequested) break;
+                if (onProgress) onProgress(i, events.length);
+
+                const event = events[i];
+                const isCurrent = window.app?.currentEvent === event;
+                const eventIndex = await this.telemetryIndex.getEventIndex(event, {
+                    clipDurations: isCurrent ? window.app.videoPlayer?.cachedClipDurations : null,
+                    shouldCancel: () => this.cancelRequested
+                });
+
+                let hit = null;
+                this.telemetryIndex.forEachSample(eventIndex, (sample, time) => {
+                    if (!predicate(sample)) return;
+
+                    if (hit && time - hit.end <= this.MERGE_GAP) {
+                        hit.end = time + 1;
+                        hit.maxSpeed = Math.max(hit.maxSpeed, sample.speed);
+                        hit.peakG = Math.max(hit.peakG, sample.g);
+                        return;
+                    }
+
+                    hit = {
+                        event,
+                        eventKey: eventIndex.eventKey,
+                        start: time,
+                        end: time + 1,
+                        maxSpeed: sample.speed,
+                        peakG: sample.g,
+                        lat: sample.lat,
+                        lon: sample.lon
+                    };
+                    hits.push(hit);
+                });
+
+                if (hits.length >= this.MAX_HITS) {
+                    this.truncated = true;
+                    hits.length = this.MAX_HITS;
+                    break;
+                }
+            }
+        } finally {
+            this.isSearching = false;
+        }
+
+        console.log(`[TelemetrySearch] "${query}" matched ${hits.length} moment(s) in ${events.length} event(s)`);
+        return hits;
+    }
+
+    /**
+     * Jump the player to a hit (a couple of seconds early for context)
+     * @param {Object} hit
+     */
+    async jumpToHit(hit) {
+        if (!window.app?.jumpToEventTime) return;
+        this.hide();
+        await window.app.jumpToEventTime(hit.eventKey, Math.max(0, hit.start - 2));
+    }
+
+    // ==================== UI ====================
+
+    /**
+     * Show the search modal
+     */
+    show() {
+        if (this.modal) {
+            this.modal.remove();
+        }
+
+        const selectedCount = this.getSourceEvents('selected').length;
+        const filteredCount = this.getSourceEvents('filtered').length;
+        const allCount = this.getSourceEvents('all').length;
+        if (this.source === 'selected' && selectedCount === 0) {
+            this.source = 'filtered';
+        }
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notes-modal telemetry-search-modal';
+        this.modal.innerHTML = `
+            <div class="notes-overlay"></div>
+            <div class="notes-panel export-queue-panel">
+                <div class="notes-header">
+                    <h2>${this.t('telemetrySearch.title')}</h2>
+                    <button class="notes-close-btn" title="${this.t('common.close')}">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="notes-content">
+                    <div class="notes-section">
+                        <label class="notes-label" for="telemetryQueryInput">${this.t('telemetrySearch.query')}</label>
+                        <input type="text" id="telemetryQueryInput" class="search-input telemetry-search-input"
+                               placeholder="brake_g > 0.5" spellcheck="false" value="${this.escapeHtml(this.query)}">
+                        <div class="export-queue-hint telemetry-search-help">${this.t('telemetrySearch.help')}</div>
+                        <div class="export-queue-hint" id="telemetryIndexStatus"></div>
+                    </div>
+
+                    <div class="notes-section">
+                        <label class="notes-label">${this.t('exportQueue.events')}</label>
+                        <div class="export-queue-sources">
+                            <label><input type="radio" name="telemetrySearchSource" value="selected" ${this.source === 'selected' ? 'checked' : ''} ${selectedCount === 0 ? 'disabled' : ''}>
+                                ${this.t('exportQueue.selectedEvents')} (${selectedCount})</label>
+                            <label><input type="radio" name="telemetrySearchSource" value="filtered" ${this.source === 'filtered' ? 'checked' : ''}>
+                                ${this.t('exportQueue.filteredEvents')} (${filteredCount})</label>
+                            <label><input type="radio" name="telemetrySearchSource" value="all" ${this.source === 'all' ? 'checked' : ''}>
+                                ${this.t('telemetrySearch.allEvents')} (${allCount})</label>
+                        </div>
+                    </div>
+
+                    <div class="notes-section">
+                        <label class="notes-label">${this.t('telemetrySearch.results')}</label>
+                        <div class="export-queue-hint" id="telemetrySearchStatus"></div>
+                        <div class="export-queue-job-bar hidden" id="telemetrySearchProgress"><div style="width: 0%"></div></div>
+                        <div id="telemetrySearchHits" class="export-queue-jobs"></div>
+                    </div>
+                </div>
+                <div class="notes-footer">
+                    <button id="telemetrySearchCancelBtn" class="notes-btn secondary">${this.t('common.cancel')}</button>
+                    <button id="telemetrySearchRunBtn" class="notes-btn primary">${this.t('telemetrySearch.search')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this._attachModalEvents();
+        this.renderHits();
+        this._updateIndexStatus();
+        this.modal.querySelector('#telemetryQueryInput').focus();
+    }
+
+    /**
+     * Show how far the background library index has got
+     */
+    _updateIndexStatus() {
+        const el = this.modal?.querySelector('#telemetryIndexStatus');
+        if (!el) return;
+
+        const { done, total } = this.telemetryIndex.backgroundStatus;
+        el.textContent = this.telemetryIndex.backgroundRunning && total > 0 ?
+            `${this.t('telemetrySearch.libraryIndex')}: ${done} / ${total} ${this.t('telemetrySearch.clips')}` : '';
+    }
+
+    /**
+     * Close the modal (a running search keeps going)
+     */
+    hide() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Wire modal controls
+     */
+    _attachModalEvents() {
+        const modal = this.modal;
+        const input = modal.querySelector('#telemetryQueryInput');
+        const status = modal.querySelector('#telemetrySearchStatus');
+        const progress = modal.querySelector('#telemetrySearchProgress');
+        const progressBar = progress.firstElementChild;
+        const runBtn = modal.querySelector('#telemetrySearchRunBtn');
+
+        modal.querySelector('.notes-close-btn').addEventListener('click', () => this.hide());
+        modal.querySelector('.notes-overlay').addEventListener('click', () => this.hide());
+
+        modal.querySelectorAll('input[name="telemetrySearchSource"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.source = radio.value;
+            });
+        });
+
+        modal.querySelector('#telemetrySearchCancelBtn').addEventListener('click', () => {
+            if (this.isSearching) {
+                this.cancelRequested = true;
+            } else {
+                this.hide();
+            }
+        });
+
+        const run = async () => {
+            if (this.isSearching) return;
+            this.query = input.value.trim();
+
+            try {
+                this.parse(this.query);
+            } catch (error) {
+                status.textContent = `${this.t('telemetrySearch.invalid')}: ${error.message}`;
+                return;
+            }
+
+            const events = this.getSourceEvents(this.source);
+            if (events.length === 0) {
+                status.textContent = this.t('telemetrySearch.noEvents');
+                return;
+            }
+
+            runBtn.disabled = true;
+            progress.classList.remove('hidden');
+            try {
+                this.hits = await this.search(events, this.query, (index, count) => {
+                    if (!this.modal) return;
+                    status.textContent = `${this.t('telemetrySearch.indexing')} ${index + 1} / ${count}`;
+                    progressBar.style.width = `${Math.round((index / count) * 100)}%`;
+                });
+            } catch (error) {
+                console.error('[TelemetrySearch] Search failed:', error);
+                if (this.modal) status.textContent = error.message;
+            } finally {
+                if (this.modal) {
+                    progress.classList.add('hidden');
+                    runBtn.disabled = false;
+                    this.renderHits();
+                }
+            }
+        };
+
+        runBtn.addEventListener('click', run);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                run();
+            }
+        });
+
+        modal.querySelector('#telemetrySearchHits').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-hit-index]');
+            if (!row) return;
+            const hit = this.hits[parseInt(row.dataset.hitIndex, 10)];
+            if (hit) this.jumpToHit(hit);
+        });
+    }
+
+    /**
+     * Render the hit list
+     */
+    renderHits() {
+        const list = this.modal?.querySelector('#telemetrySearchHits');
+        const status = this.modal?.querySelector('#telemetrySearchStatus');
+        if (!list) return;
+
+        if (this.hits.length === 0) {
+            list.innerHTML = this.query ? `<div class="export-queue-hint">${this.t('telemetrySearch.noHits')}</div>` : '';
+            if (status && !this.isSearching) status.textContent = '';
+            return;
+        }
+
+        const useMetric = this._useMetric();
+        list.innerHTML = this.hits.map((hit, index) => {
+            const speed = useMetric ? Math.round(hit.maxSpeed * 1.609344) + ' km/h' : Math.round(hit.maxSpeed) + ' mph';
+            return `
+                <div class="export-queue-job telemetry-search-hit" data-hit-index="${index}">
+                    <span class="export-queue-job-info">
+                        <span class="export-queue-job-name">${this.escapeHtml(this._formatHitTime(hit))}</span>
+                        <span class="export-queue-job-status">${this.escapeHtml(hit.event.name)} · ${this._formatOffset(hit.start)}–${this._formatOffset(hit.end)}</span>
+                    </span>
+                    <span class="export-queue-job-status">${speed} · ${hit.peakG.toFixed(2)} g</span>
+                </div>
+            `;
+        }).join('');
+
+        if (status) {
+            const eventCount = new Set(this.hits.map(h => h.eventKey)).size;
+            status.textContent = `${this.hits.length}${this.truncated ? '+' : ''} ${this.t('telemetrySearch.hits')}, ${eventCount} ${this.t('telemetrySearch.events')}`;
+        }
+    }
+
+    /**
+     * Wall-clock time of a hit
+     */
+    _formatHitTime(hit) {
+        const base = new Date(hit.event.timestamp);
+        if (isNaN(base.getTime())) return hit.event.name;
+        return new Date(base.getTime() + hit.start * 1000).toLocaleString();
+    }
+
+    /**
+     * Format event time as m:ss
+     */
+    _formatOffset(seconds) {
+        const s = Math.max(0, Math.round(seconds));
+        return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+    }
+}
+
+window.TelemetrySearch = TelemetrySearch;
@@ -10,6 +10,7 @@ class Timeline {
         this.progress = document.getElementById('timelineProgress');
         this.scrubber = document.getElementById('timelineScrubber');
         this.clipsContainer = document.getElementById('timelineClips');
+        this.annotationLane = document.getElementById('timelineAnnotations');
         this.currentTimeDisplay = document.getElementById('currentTime');
         this.totalDurationDisplay = document.getElementById('totalDuration');
 
@@ -115,6 +116,11 @@ class Timeline {
             allBookmarks[this.currentEventId] = this.bookmarks;
             localStorage.setItem(this.BOOKMARKS_STORAGE_KEY, JSON.stringify(allBookmarks));
 
+            // Track the edit for three-way merges
+            if (window.eventDataBackup) {
+                window.eventDataBackup.recordRevision(this.currentEventId, ['bookmarks']);
+            }
+
             // Backup to event folder if available
             this.backupToEventFolder(this.currentEventId, this.bookmarks);
 
@@ -637,6 +643,7 @@ class Timeline {
         // Re-render markers at correct positions for zoom level
         this.renderBookmarks();
         this.rerenderClipMarkers();
+        this.renderAnnotations();
 
         // Update current position display relative to zoomed view
         this.updateTime(this.currentTime);
@@ -692,6 +699,9 @@ class Timeline {
         if (this._nearMisses) {
             this.setNearMissMarkers(this._nearMisses);
         }
+        if (this._eventTypeBands) {
+            this.setEventTypeBands(this._eventTypeBands);
+        }
     }
 
     /**
@@ -1094,6 +1104,111 @@ class Timeline {
         }
     }
 
+    /**
+     * Set event-type bands on timeline (day timeline)
+     * @param {Array|null} bands Array of { type, startClipIndex, endClipIndex } from DayTimeline.buildBands()
+     */
+    setEventTypeBands(bands) {
+        // Store for re-rendering on zoom
+        this._eventTypeBands = bands;
+
+        // Remove existing bands
+        const existingBands = this.clipsContainer.querySelectorAll('.event-type-band');
+        existingBands.forEach(b => b.remove());
+
+        if (!bands || bands.length === 0 || !this.totalDuration) return;
+
+        const cachedDurations = window.app?.videoPlayer?.cachedClipDurations || [];
+        const clipStart = (index) => {
+            let time = 0;
+            for (let i = 0; i < index; i++) {
+                time += cachedDurations[i] || 60;
+            }
+            return time;
+        };
+
+        const viewDuration = this.zoomLevel > 1 ? this.totalDuration / this.zoomLevel : this.totalDuration;
+        const viewStart = this.zoomLevel > 1 ? this.viewStart : 0;
+        const typeClasses = { RecentClips: 'recent', SavedClips: 'saved', SentryClips: 'sentry' };
+
+        for (const band of bands) {
+            const start = clipStart(band.startClipIndex);
+            const end = clipStart(band.endClipIndex + 1);
+
+            // Clamp to visible window (bands can start before or end after it when zoomed)
+            const left = Math.max(0, ((start - viewStart) / viewDuration) * 100);
+            const right = Math.min(100, ((end - viewStart) / viewDuration) * 100);
+            if (right <= left) continue;
+
+            const element = document.createElement('div');
+            element.className = `event-type-band ${typeClasses[band.type] || 'recent'}`;
+            element.style.left = `${left}%`;
+            element.style.width = `${right - left}%`;
+            element.title = `${band.type.replace('Clips', '')}: ${this.formatTime(start)} - ${this.formatTime(end)}`;
+            this.clipsContainer.appendChild(element);
+        }
+    }
+
+    /**
+     * Set the annotation lane below the timeline
+     * @param {Array} annotations Array of { id, start, end, category, severity, text } from AnnotationManager
+     */
+    setAnnotations(annotations) {
+        // Store for re-rendering on zoom
+        this._annotations = annotations;
+        this.renderAnnotations();
+    }
+
+    /**
+     * Draw stored annotations as bars in the lane, stacking overlapping ones in rows
+     */
+    renderAnnotations() {
+        if (!this.annotationLane) return;
+
+        this.annotationLane.innerHTML = '';
+        const annotations = this._annotations || [];
+        this.annotationLane.classList.toggle('hidden', annotations.length === 0);
+        if (annotations.length === 0 || !this.totalDuration) return;
+
+        const MAX_ROWS = 3;
+        const viewDuration = this.zoomLevel > 1 ? this.totalDuration / this.zoomLevel : this.totalDuration;
+        const viewStart = this.zoomLevel > 1 ? this.viewStart : 0;
+        const rowEnds = [];
+
+        for (const annotation of [...annotations].sort((a, b) => a.start - b.start)) {
+            let row = rowEnds.findIndex(end => end <= annotation.start);
+            if (row === -1) row = Math.min(rowEnds.length, MAX_ROWS - 1);
+            rowEnds[row] = Math.max(rowEnds[row] || 0, annotation.end);
+
+            // Clamp to visible window when zoomed
+            const left = ((annotation.start - viewStart) / viewDuration) * 100;
+            const right = ((annotation.end - viewStart) / viewDuration) * 100;
+            if (right < 0 || left > 100) continue;
+
+            const element = document.createElement('div');
+            element.className = `timeline-annotation severity-${annotation.severity}`;
+            element.style.left = `${Math.max(0, left)}%`;
+            element.style.width = `${Math.min(100, right) - Math.max(0, left)}%`;
+            element.style.top = `${row * 5}px`;
+            const range = annotation.end > annotation.start
+                ? `${this.formatTime(annotation.start)} - ${this.formatTime(annotation.end)}`
+                : this.formatTime(annotation.start);
+            element.title = `${annotation.category} (${annotation.severity}) ${range}${annotation.text ? `\n${annotation.text}` : ''}`;
+
+            // Click to seek to annotation start
+            element.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.onSeek) {
+                    this.onSeek(annotation.start);
+                }
+            });
+
+            this.annotationLane.appendChild(element);
+        }
+
+        this.annotationLane.style.height = `${Math.min(rowEnds.length, MAX_ROWS) * 5}px`;
+    }
+
     /**
      * Set near-miss markers on timeline
      * @param {Array} nearMisses Array of near-miss objects from TelemetryGraphs._detectNearMisses()
@@ -1163,6 +1278,8 @@ class Timeline {
         this.clipsContainer.innerHTML = '';
         this._gaps = null;
         this._nearMisses = null;
+        this._eventTypeBands = null;
+        this.setAnnotations([]);
     }
 
     /**
@@ -16,7 +16,12 @@ class VideoExport {
         this.lastProgressUpdate = 0;
         this.renderIntervalId = null; // For cleanup during cancel
         this.speedWasReduced = false; // Track if export speed was reduced due to buffering
+        this.subtitlesSkipped = false; // Sidecars left out because the speed drop broke cue timing
         this.exportWallStartTime = null; // Track wall-clock start for ETA calculation
+        this.overlayOverrides = null; // Per-export { telemetryHud, miniMap } choices (batch export)
+        this.clipPosition = null; // { clipIndex, timeInClip, duration } while frames come from WebCodecs, not the player
+        this.exportRegionCache = null; // { eventKey, blurRegions, callouts } read from localStorage once per export
+        this.webCodecsExport = null;
     }
 
     /**
@@ -27,12 +32,46 @@ class VideoExport {
         return {
             isExporting: this.isExporting,
             speedWasReduced: this.speedWasReduced,
+            subtitlesSkipped: this.subtitlesSkipped,
             currentSpeed: this.currentExportSpeed,
             originalSpeed: this.exportSpeed,
             wallStartTime: this.exportWallStartTime
         };
     }
 
+    /**
+     * Clip and time the frame being rendered comes from
+     * The seeking export moves the player; the WebCodecs export sets clipPosition instead.
+     * @returns {Object} { clipIndex, timeInClip, duration }
+     */
+    getExportClipPosition() {
+        if (this.clipPosition) return this.clipPosition;
+        return {
+            clipIndex: this.videoPlayer.currentClipIndex || 0,
+            timeInClip: this.videoPlayer.getCurrentTime() || 0,
+            duration: this.videoPlayer.getCurrentDuration() || 60
+        };
+    }
+
+    /**
+     * Render and encode with WebCodecs (decodes the MP4s directly instead of seeking)
+     * @param {Object} options - See WebCodecsExport.render
+     * @returns {Promise<Blob|null>} null if unsupported for this export, failed, or cancelled
+     */
+    async exportWithWebCodecs(options) {
+        if (!window.WebCodecsExport || !WebCodecsExport.isSupported()) return null;
+        if (!this.webCodecsExport) {
+            this.webCodecsExport = new WebCodecsExport(this);
+        }
+        try {
+            return await this.webCodecsExport.render(options);
+        } catch (error) {
+            // Decoder/encoder errors only show up mid-render; the seeking path can still do the export
+            console.warn('[VideoExport] WebCodecs export failed, falling back to frame-by-frame seeking:', error);
+            return null;
+        }
+    }
+
     /**
      * Set layout manager reference
      * @param {LayoutManager} layoutManager
@@ -185,6 +224,10 @@ class VideoExport {
             endTime = null,
             includeOverlay = true,
             onProgress = null,
+            onBlurPreview = null,
+            overlays = null,
+            filenameBase = null,
+            outputDirectory = null,
             fps = 30
         } = options;
 
@@ -200,6 +243,9 @@ class VideoExport {
         }
 
         this.isExporting = true;
+        this.exportRegionCache = null;
+        this.speedWasReduced = false;
+        this.subtitlesSkipped = false;
         this.exportWallStartTime = Date.now();
         this.onProgress = onProgress;
         this.recordedChunks = [];
@@ -210,6 +256,10 @@ class VideoExport {
             throw new Error('No video loaded');
         }
 
+        // Per-export HUD / mini-map choices (batch export) take precedence over settings
+        this.overlayOverrides = overlays;
+        this.cachedOverlayData = null; // Timestamp cache is per clip index - don't carry it across events
+
         // Pause any playback
         await this.videoPlayer.pause();
 
@@ -250,34 +300,12 @@ class VideoExport {
         const cameraMapping = this.buildCameraMapping();
 
         // Pre-cache mini-map tiles if mini-map export is enabled
-        const settings = window.app?.settingsManager;
-        const miniMapInExport = settings && settings.get('miniMapInExport') !== false;
-        if (window.app?.miniMapOverlay && miniMapInExport && window.app.telemetryOverlay?.hasTelemetryData()) {
-            console.log('Pre-caching mini-map tiles...');
-            // Clear trail before export to start fresh
-            window.app.miniMapOverlay.clearTrail();
-            try {
-                // Gather all GPS positions from telemetry for the export range
-                const positions = [];
-                const sampleInterval = 1; // Sample every 1 second
-                for (let t = exportStart; t <= exportEnd; t += sampleInterval) {
-                    await this.videoPlayer.seekToEventTime(t);
-                    const clipIndex = this.videoPlayer.currentClipIndex || 0;
-                    const timeInClip = this.videoPlayer.getCurrentTime() || 0;
-                    const videoDuration = this.videoPlayer.getCurrentDuration() || 60;
-                    window.app.telemetryOverlay.updateTelemetry(clipIndex, timeInClip, videoDuration);
-                    const data = window.app.telemetryOverlay.currentData;
-                    if (data?.latitude_deg && data?.longitude_deg) {
-                        positions.push({ lat: data.latitude_deg, lng: data.longitude_deg });
-                    }
-                }
-                // Pre-cache tiles for all positions
-                await window.app.miniMapOverlay.preCacheTilesForExport(positions);
-                // Seek back to export start
-                await this.videoPlayer.seekToEventTime(exportStart);
-            } catch (e) {
-                console.warn('Failed to pre-cache mini-map tiles:', e);
-            }
+        await this.preCacheMiniMapTiles(exportStart, exportEnd);
+
+        // Privacy blurring (detected plates/faces/people + manual regions) - start tracking fresh
+        const blurActive = this.isPrivacyBlurActive();
+        if (blurActive) {
+            window.app.plateBlur.reset();
         }
 
         // Phase 1: Render all frames to ImageData buffer
@@ -289,6 +317,27 @@ class VideoExport {
         const renderCtx = renderCanvas.getContext('2d', { alpha: false });
 
         try {
+            // MP4 without privacy blur: decode and encode with WebCodecs when the browser supports it
+            // (blurring tracks on the live <video> elements, so it stays on the seeking path)
+            if (format === 'mp4' && !blurActive) {
+                const blob = await this.exportWithWebCodecs({
+                    exportStart, exportEnd, fps, layoutConfig, cameraMapping, canvasWidth, canvasHeight, includeOverlay,
+                    onProgress: this.onProgress
+                });
+                if (!this.isExporting) {
+                    console.log('Export cancelled during rendering');
+                    return;
+                }
+                if (blob) {
+                    const baseFilename = filenameBase || `TeslaCam_Export_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}`;
+                    await this.saveExportFile(blob, `${baseFilename}.mp4`, outputDirectory);
+                    await this.exportSubtitleSidecars(baseFilename, exportStart, exportEnd, 1, outputDirectory);
+                    console.log('WebCodecs export complete!');
+                    return;
+                }
+                console.log('WebCodecs export not available or failed, using frame-by-frame seeking');
+            }
+
             for (let frameNum = 0; frameNum < totalFrames; frameNum++) {
                 if (!this.isExporting) {
                     console.log('Export cancelled during rendering');
@@ -300,147 +349,10 @@ class VideoExport {
                 // Seek and wait for frame
                 const frameReady = await this.seekAndWaitForFrame(absoluteTime, 3000);
 
-                // Clear canvas
-                renderCtx.fillStyle = '#000000';
-                renderCtx.fillRect(0, 0, canvasWidth, canvasHeight);
-
-                if (frameReady) {
-                    // Draw cameras sorted by z-index (lower z-index first, so higher ones are on top)
-                    const sortedCameras = Object.entries(layoutConfig.cameras)
-                        .filter(([name, cam]) => cam.visible && cam.w > 0 && cam.h > 0)
-                        .sort((a, b) => (a[1].zIndex || 1) - (b[1].zIndex || 1));
-
-                    for (const [camPosition, camConfig] of sortedCameras) {
-                        const actualCameraName = cameraMapping[camPosition];
-                        const video = videos[actualCameraName];
-
-                        if (!video || !video.src || video.readyState < 2) continue;
-
-                        // Use centralized calculation for source/destination rectangles
-                        const { sx, sy, sw, sh, dx, dy, dw, dh } = LayoutRenderer.calculateDrawParams(video, camConfig);
-                        renderCtx.drawImage(video, sx, sy, sw, sh, dx, dy, dw, dh);
-                    }
-                }
-
-                // Add watermarks for free tier users
-                if (this._shouldWatermark) {
-                    this.addWatermarksToFrame(renderCtx, layoutConfig);
-                }
-
-                // Apply license plate blurring if enabled - use multi-camera method for proper coordinate mapping
-                const blurPlatesEnabled = window.app?.settingsManager?.get('blurLicensePlates') === true;
-                if (blurPlatesEnabled && window.app?.plateBlur?.isReady()) {
-                    try {
-                        // Build camera info for multi-camera processing
-                        const cameraInfos = {};
-                        for (const [camPosition, camConfig] of sortedCameras) {
-                            const actualCameraName = cameraMapping[camPosition];
-                            const video = videos[actualCameraName];
-                            if (video && video.src && video.readyState >= 2) {
-                                cameraInfos[actualCameraName] = {
-                                    video: video,
-                                    dx: camConfig.x,
-                                    dy: camConfig.y,
-                                    dw: camConfig.w,
-                                    dh: camConfig.h,
-                                    crop: camConfig.crop || { top: 0, right: 0, bottom: 0, left: 0 },
-                                    objectFit: camConfig.objectFit || 'contain'
-                                };
-                            }
-                        }
-                        await window.app.plateBlur.processMultiCamera(renderCtx, cameraInfos, {
-                            forceDetection: frameNum % 3 === 0 // Run detection every 3rd frame for performance
-                        });
-                    } catch (blurError) {
-                        if (frameNum % 30 === 0) {
-                            console.warn('[Export] Plate blur error:', blurError);
-                        }
-                    }
-                }
-
-                // Check privacy mode setting
-                const settings = window.app?.settingsManager;
-                const privacyMode = settings && settings.get('privacyModeExport') === true;
-
-                // Calculate mini-map rect for label occlusion avoidance (if mini-map will be drawn)
-                let miniMapRect = null;
-                const miniMapInExport = !settings || settings.get('miniMapInExport') !== false;
-                if (!privacyMode && window.app?.miniMapOverlay && miniMapInExport) {
-                    const pos = window.app.miniMapOverlay.position || { x: 80, y: 10 };
-                    const scale = canvasWidth / 1920;
-                    const mapWidth = Math.round(200 * scale);
-                    const mapHeight = Math.round(200 * scale);
-                    miniMapRect = {
-                        x: (pos.x / 100) * canvasWidth,
-                        y: (pos.y / 100) * canvasHeight,
-                        w: mapWidth,
-                        h: mapHeight
-                    };
-                }
-
-                // Calculate scale factor for label overlays (1920px reference)
-                const labelScale = canvasWidth / 1920;
-                // Base font size 18px to match live view proportions
-                const scaledFontSize = Math.round(18 * labelScale);
-
-                // Add camera labels using centralized smart positioning (matches live view)
-                if (this.layoutManager?.renderer) {
-                    this.layoutManager.renderer.addLabelsToCanvas(renderCtx, layoutConfig, {
-                        fontSize: scaledFontSize,
-                        cameraMapping: cameraMapping,
-                        videos: videos,
-                        miniMapRect: miniMapRect
-                    });
-                } else {
-                    // Fallback if no renderer
-                    this.addCameraLabelsForLayout(renderCtx, layoutConfig, cameraMapping);
-                }
-
-                // Add timestamp overlay (skipped in privacy mode)
-                if (includeOverlay && !privacyMode) {
-                    this.addOverlay(renderCtx, canvasWidth, canvasHeight, absoluteTime);
-                }
-
-                // Add telemetry overlay using video player's actual state (skipped in privacy mode)
-                // This ensures telemetry matches exactly what the user saw during preview
-                const telemetryEnabled = !settings || settings.get('telemetryOverlayInExport') !== false;
-
-                if (!privacyMode && window.app?.telemetryOverlay && telemetryEnabled && window.app.telemetryOverlay.hasTelemetryData()) {
-                    // Use video player's current clip/time (set by seekToEventTime during frame rendering)
-                    const clipIndex = this.videoPlayer.currentClipIndex || 0;
-                    const timeInClip = this.videoPlayer.getCurrentTime() || 0;
-                    const videoDuration = this.videoPlayer.getCurrentDuration() || 60;
-
-                    // Update telemetry data for current position
-                    window.app.telemetryOverlay.updateTelemetry(clipIndex, timeInClip, videoDuration);
-
-                    // Get the updated telemetry data and render to canvas
-                    const telemetryData = window.app.telemetryOverlay.getCurrentTelemetry();
-                    if (telemetryData) {
-                        // Debug: log telemetry changes every 30 frames (1 second)
-                        if (frameNum % 30 === 0) {
-                            console.log(`[Export] Frame ${frameNum}: clip=${clipIndex}, time=${timeInClip.toFixed(2)}, AP=${telemetryData.autopilot_name}, brake=${telemetryData.brake_applied}, gY=${(telemetryData.g_force_y || 0).toFixed(2)}`);
-                        }
-                        const blinkState = frameNum % 30 < 15; // 1 second blink cycle
-                        // HUD scale uses smaller reference (1000px) to appear larger/closer to live view
-                        const hudScale = canvasWidth / 1000;
-                        window.app.telemetryOverlay.renderToCanvas(renderCtx, canvasWidth, canvasHeight, telemetryData, {
-                            blinkState,
-                            scale: hudScale
-                        });
-
-                        // Add mini-map overlay if export setting is enabled (skipped in privacy mode)
-                        const miniMapInExport = !settings || settings.get('miniMapInExport') !== false;
-                        if (window.app?.miniMapOverlay && miniMapInExport && telemetryData.latitude_deg && telemetryData.longitude_deg) {
-                            window.app.miniMapOverlay.updatePositionForExport(
-                                telemetryData.latitude_deg,
-                                telemetryData.longitude_deg,
-                                telemetryData.heading_deg || 0
-                            );
-                            window.app.miniMapOverlay.drawToCanvas(renderCtx, canvasWidth, canvasHeight);
-                        }
-                    }
-                }
+                // Cameras, blur, labels, timestamp and telemetry
+                await this.renderCompositeFrame(renderCtx, absoluteTime, frameNum, {
+                    layoutConfig, cameraMapping, canvasWidth, canvasHeight, frameReady, blurActive, includeOverlay
+                });
 
                 // Store frame as ImageBitmap (more efficient than ImageData)
                 const bitmap = await createImageBitmap(renderCanvas);
@@ -460,6 +372,14 @@ class VideoExport {
 
             console.log(`Rendered ${frameBuffer.length} frames to buffer`);
 
+            // Privacy preview: let the user check blurred frames before anything is encoded
+            if (blurActive && onBlurPreview) {
+                const approved = await onBlurPreview(frameBuffer, fps, exportStart);
+                if (!approved) {
+                    throw new Error('Export cancelled at privacy preview');
+                }
+            }
+
             // Phase 2: Play back frames at correct timing and record
             console.log('Phase 2: Recording from buffer...');
 
@@ -528,16 +448,12 @@ class VideoExport {
                 drawNextFrame();
             });
 
-            // Create and download the video
+            // Create and save the video (download, or into the chosen folder for batch exports)
             const blob = new Blob(this.recordedChunks, { type: mimeType });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `TeslaCam_Export_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.${format === 'mp4' ? 'mp4' : 'webm'}`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            const baseFilename = filenameBase || `TeslaCam_Export_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}`;
+            await this.saveExportFile(blob, `${baseFilename}.${format === 'mp4' ? 'mp4' : 'webm'}`, outputDirectory);
+
+            await this.exportSubtitleSidecars(baseFilename, exportStart, exportEnd, 1, outputDirectory);
 
             // Clean up frame buffer
             for (const bitmap of frameBuffer) {
@@ -557,12 +473,493 @@ class VideoExport {
             throw error;
         } finally {
             this.isExporting = false;
+            this.exportRegionCache = null;
+            this.overlayOverrides = null;
             if (window.app?.telemetryOverlay) {
                 window.app.telemetryOverlay.clearExportBuffer();
             }
         }
     }
 
+    /**
+     * Export several event ranges as one compilation video with a title card before each
+     * Each segment is rendered to a buffer like exportFrameByFrame, then played into a single
+     * MediaRecorder that is paused while the next event loads and renders.
+     * The output size is set by the first segment; events with a different layout are letterboxed into it.
+     * @param {Array<Object>} segments - { event, startTime, endTime, title, subtitle }
+     * @param {Object} options
+     * @param {Function} options.loadEvent - async (event) => loads the event in the player
+     * @param {string} [options.format] - 'webm' or 'mp4'
+     * @param {Object} [options.introCard] - { title, subtitle } shown once at the start
+     * @param {number} [options.titleCardSeconds] - Duration of each title card
+     * @param {Function} [options.onProgress] - (percent, segmentIndex, segmentCount)
+     * @param {string} [options.filenameBase] - Output name without extension
+     * @returns {Promise<boolean>} False if cancelled
+     */
+    async exportCompilation(segments, options = {}) {
+        const {
+            loadEvent,
+            format = 'webm',
+            introCard = null,
+            titleCardSeconds = 2,
+            includeOverlay = true,
+            onProgress = null,
+            filenameBase = null,
+            fps = 30
+        } = options;
+
+        if (this.isExporting) {
+            throw new Error('Export already in progress');
+        }
+        if (!segments || segments.length === 0) {
+            throw new Error('No segments to export');
+        }
+
+        this.isExporting = true;
+        this.exportRegionCache = null;
+        this.speedWasReduced = false;
+        this.subtitlesSkipped = false;
+        this.exportWallStartTime = Date.now();
+        this.recordedChunks = [];
+
+        // Estimated until each event is loaded and its range clamped to the event length
+        const estimatedFrames = segments.map(seg => Math.max(0, Math.ceil((seg.endTime - seg.startTime) * fps)));
+        let totalFrames = estimatedFrames.reduce((sum, frames) => sum + frames, 0);
+        let framesDone = 0;
+        let playbackCtx = null;
+        let captureStream = null;
+        const cardFrames = Math.round(titleCardSeconds * fps);
+
+        try {
+            await this._checkWatermark();
+
+            for (let segIndex = 0; segIndex < segments.length; segIndex++) {
+                const segment = segments[segIndex];
+                if (!this.isExporting) break;
+
+                await loadEvent(segment.event);
+                await this.videoPlayer.pause();
+                this.cachedTotalDuration = await this.videoPlayer.getTotalDuration();
+                this.cachedOverlayData = null;
+
+                const videos = this.videoPlayer.videos;
+                const exportEnd = Math.min(segment.endTime, this.cachedTotalDuration);
+                const exportStart = Math.max(0, Math.min(segment.startTime, exportEnd));
+                const segmentFrames = Math.ceil((exportEnd - exportStart) * fps);
+                totalFrames += Math.max(0, segmentFrames) - estimatedFrames[segIndex];
+
+                if (!videos.front.src || segmentFrames <= 0) {
+                    console.warn(`[VideoExport] Skipping highlight from ${segment.event.name}: ${videos.front.src ? 'empty range' : 'no video loaded'}`);
+                    continue;
+                }
+
+                // HUD and mini-map read telemetry that is extracted in the background after loading
+                await this.waitForTelemetry(segment.event, () => !this.isExporting);
+                if (!this.isExporting) break;
+
+                const layoutConfig = this.getLayoutConfig(videos.front.videoWidth || 1280, videos.front.videoHeight || 960);
+                const canvasWidth = layoutConfig.canvasWidth || 1920;
+                const canvasHeight = layoutConfig.canvasHeight || 1080;
+                const cameraMapping = this.buildCameraMapping();
+
+                // One recorder for the whole reel, sized by the first segment
+                if (!playbackCtx) {
+                    const playbackCanvas = document.createElement('canvas');
+                    playbackCanvas.width = canvasWidth;
+                    playbackCanvas.height = canvasHeight;
+                    playbackCtx = playbackCanvas.getContext('2d', { alpha: false });
+
+                    const mimeType = format === 'mp4'
+                        ? (MediaRecorder.isTypeSupported('video/mp4') ? 'video/mp4' : 'video/webm;codecs=h264')
+                        : 'video/webm;codecs=vp9';
+                    captureStream = playbackCanvas.captureStream(fps);
+                    this.mediaRecorder = new MediaRecorder(captureStream, {
+                        mimeType,
+                        videoBitsPerSecond: 20_000_000
+                    });
+                    this.mediaRecorder.ondataavailable = (e) => {
+                        if (e.data.size > 0) {
+                            this.recordedChunks.push(e.data);
+                        }
+                    };
+                    this.mediaRecorder.start();
+                    this.mediaRecorder.pause();
+                }
+
+                await this.preCacheMiniMapTiles(exportStart, exportEnd);
+
+                const blurActive = this.isPrivacyBlurActive();
+                if (blurActive) {
+                    window.app.plateBlur.reset();
+                }
+
+                // Rendered at this event's own layout size, fitted to the output when played
+                const renderCanvas = document.createElement('canvas');
+                renderCanvas.width = canvasWidth;
+                renderCanvas.height = canvasHeight;
+                const renderCtx = renderCanvas.getContext('2d', { alpha: false });
+                const frameBuffer = [];
+
+                try {
+                    // Title cards are held frames of the same bitmap
+                    if (segIndex === 0 && introCard) {
+                        this.drawTitleCard(renderCtx, renderCanvas.width, renderCanvas.height, introCard);
+                        const bitmap = await createImageBitmap(renderCanvas);
+                        for (let i = 0; i < cardFrames; i++) frameBuffer.push(bitmap);
+                    }
+                    this.drawTitleCard(renderCtx, renderCanvas.width, renderCanvas.height, segment);
+                    const cardBitmap = await createImageBitmap(renderCanvas);
+                    for (let i = 0; i < cardFrames; i++) frameBuffer.push(cardBitmap);
+
+                    for (let frameNum = 0; frameNum < segmentFrames; frameNum++) {
+                        if (!this.isExporting) break;
+
+                        const absoluteTime = exportStart + frameNum / fps;
+                        const frameReady = await this.seekAndWaitForFrame(absoluteTime, 3000);
+                        await this.renderCompositeFrame(renderCtx, absoluteTime, frameNum, {
+                            layoutConfig, cameraMapping, canvasWidth, canvasHeight,
+                            frameReady, blurActive, includeOverlay
+                        });
+                        frameBuffer.push(await createImageBitmap(renderCanvas));
+                        framesDone++;
+
+                        if (onProgress) {
+                            onProgress((framesDone / totalFrames) * 100, segIndex, segments.length);
+                        }
+                        if (frameNum % 5 === 0) {
+                            await new Promise(r => setTimeout(r, 0));
+                        }
+                    }
+
+                    if (!this.isExporting) break;
+
+                    // Record this segment, then pause while the next one loads
+                    this.mediaRecorder.resume();
+                    await this.playFramesToCanvas(playbackCtx, frameBuffer, fps);
+                    if (!this.isExporting) break;
+                    this.mediaRecorder.pause();
+                } finally {
+                    for (const bitmap of new Set(frameBuffer)) {
+                        bitmap.close();
+                    }
+                }
+            }
+
+            if (!this.isExporting) {
+                console.log('Highlight compilation cancelled');
+                return false;
+            }
+            if (!this.mediaRecorder) {
+                throw new Error('No highlight could be rendered');
+            }
+
+            await new Promise((resolve, reject) => {
+                this.mediaRecorder.onstop = resolve;
+                this.mediaRecorder.onerror = reject;
+                this.mediaRecorder.stop();
+            });
+
+            const blob = new Blob(this.recordedChunks, { type: this.mediaRecorder.mimeType });
+            const baseFilename = filenameBase || `TeslaCam_Highlights_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}`;
+            await this.saveExportFile(blob, `${baseFilename}.${format === 'mp4' ? 'mp4' : 'webm'}`);
+
+            console.log(`Highlight compilation complete: ${segments.length} segments`);
+            return true;
+        } finally {
+            // Also reached when a segment fails to load or the export is cancelled mid-segment
+            if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+                this.mediaRecorder.stop();
+            }
+            if (captureStream) {
+                captureStream.getTracks().forEach(track => track.stop());
+            }
+            this.isExporting = false;
+            this.exportRegionCache = null;
+            this.mediaRecorder = null;
+            if (window.app?.telemetryOverlay) {
+                window.app.telemetryOverlay.clearExportBuffer();
+            }
+        }
+    }
+
+    /**
+     * Draw buffered frames onto a recorded canvas at a steady frame rate
+     * Frames of a different size are scaled to fit and letterboxed.
+     * @param {CanvasRenderingContext2D} ctx - Canvas captured by the MediaRecorder
+     * @param {Array<ImageBitmap>} frames
+     * @param {number} fps
+     * @returns {Promise<void>} Resolves once the last frame has had time to be captured
+     */
+    playFramesToCanvas(ctx, frames, fps) {
+        return new Promise((resolve) => {
+            const frameIntervalMs = 1000 / fps;
+            const startTime = performance.now();
+            let frameIndex = 0;
+
+            const drawNextFrame = () => {
+                if (frameIndex >= frames.length || !this.isExporting) {
+                    setTimeout(resolve, frameIntervalMs * 2);
+                    return;
+                }
+
+                const frame = frames[frameIndex];
+                const { width, height } = ctx.canvas;
+                if (frame.width === width && frame.height === height) {
+                    ctx.drawImage(frame, 0, 0);
+                } else {
+                    const scale = Math.min(width / frame.width, height / frame.height);
+                    const drawWidth = frame.width * scale;
+                    const drawHeight = frame.height * scale;
+                    ctx.fillStyle = '#000000';
+                    ctx.fillRect(0, 0, width, height);
+                    ctx.drawImage(frame, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+                }
+                frameIndex++;
+
+                const delay = Math.max(0, frameIndex * frameIntervalMs - (performance.now() - startTime));
+                setTimeout(drawNextFrame, delay);
+            };
+
+            drawNextFrame();
+        });
+    }
+
+    /**
+     * Wait for background SEI extraction of a freshly loaded event so HUD / mini-map have data
+     * Stops once every front clip is parsed or nothing new arrives for 2 seconds
+     * (older firmware clips never produce telemetry).
+     * @param {Object} event
+     * @param {Function} isCancelled - () => boolean, checked while waiting
+     * @param {number} timeout - Upper bound in ms
+     */
+    async waitForTelemetry(event, isCancelled = () => false, timeout = 15000) {
+        const overlay = window.app?.telemetryOverlay;
+        if (!overlay?.clipSeiData) return;
+
+        const expected = (event.clipGroups || []).filter(g => g.clips?.front?.fileHandle).length;
+        const started = Date.now();
+        let lastSize = -1;
+        let lastChange = Date.now();
+
+        while (Date.now() - started < timeout && !isCancelled()) {
+            const size = overlay.clipSeiData.size;
+            if (size >= expected) return;
+            if (size !== lastSize) {
+                lastSize = size;
+                lastChange = Date.now();
+            } else if (Date.now() - lastChange > 2000) {
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+    }
+
+    /**
+     * Draw a full-frame title card
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} card - { title, subtitle }
+     */
+    drawTitleCard(ctx, width, height, card) {
+        const scale = width / 1920;
+
+        ctx.fillStyle = '#0d0d0f';
+        ctx.fillRect(0, 0, width, height);
+
+        // Accent bar
+        ctx.fillStyle = '#00d4ff';
+        ctx.fillRect(width * 0.1, height * 0.5 - 4 * scale, width * 0.08, 6 * scale);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(64 * scale)}px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
+        ctx.fillText(card.title || '', width * 0.1, height * 0.5 - 30 * scale);
+
+        if (card.subtitle) {
+            ctx.fillStyle = '#a0a0a0';
+            ctx.font = `${Math.round(32 * scale)}px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
+            ctx.fillText(card.subtitle, width * 0.1, height * 0.5 + 60 * scale);
+        }
+    }
+
+    /**
+     * Pre-cache mini-map tiles along the export range so the burned-in map isn't blank
+     * Leaves the player seeked to exportStart.
+     * @param {number} exportStart - Range start (event time, seconds)
+     * @param {number} exportEnd - Range end (event time, seconds)
+     */
+    async preCacheMiniMapTiles(exportStart, exportEnd) {
+        const settings = window.app?.settingsManager;
+        const miniMapInExport = this.isExportLayerEnabled('miniMap');
+        const privacyExport = settings && settings.get('privacyModeExport') === true;
+        if (!window.app?.miniMapOverlay || !miniMapInExport || privacyExport || !window.app.telemetryOverlay?.hasTelemetryData()) {
+            return;
+        }
+
+        console.log('Pre-caching mini-map tiles...');
+        // Clear trail before export to start fresh
+        window.app.miniMapOverlay.clearTrail();
+        try {
+            // Gather all GPS positions from telemetry for the export range
+            const positions = [];
+            const sampleInterval = 1; // Sample every 1 second
+            for (let t = exportStart; t <= exportEnd; t += sampleInterval) {
+                await this.videoPlayer.seekToEventTime(t);
+                const clipIndex = this.videoPlayer.currentClipIndex || 0;
+                const timeInClip = this.videoPlayer.getCurrentTime() || 0;
+                const videoDuration = this.videoPlayer.getCurrentDuration() || 60;
+                const data = window.app.telemetryOverlay.getTelemetryAt(clipIndex, timeInClip, videoDuration);
+                if (data?.latitude_deg && data?.longitude_deg) {
+                    positions.push({ lat: data.latitude_deg, lng: data.longitude_deg });
+                }
+            }
+            // Pre-cache tiles for all positions
+            await window.app.miniMapOverlay.preCacheTilesForExport(positions);
+            // Seek back to export start
+            await this.videoPlayer.seekToEventTime(exportStart);
+        } catch (e) {
+            console.warn('Failed to pre-cache mini-map tiles:', e);
+        }
+    }
+
+    /**
+     * Draw one composite export frame: cameras, watermark, privacy blur, labels, timestamp and telemetry.
+     * The player must already be seeked to absoluteTime.
+     * @param {CanvasRenderingContext2D} renderCtx - Context of a canvas sized to the layout
+     * @param {number} absoluteTime - Event time of this frame
+     * @param {number} frameNum - Frame index in the export (drives detection cadence and debug logging)
+     * @param {Object} frame - { layoutConfig, cameraMapping, canvasWidth, canvasHeight, frameReady, blurActive, includeOverlay }
+     */
+    async renderCompositeFrame(renderCtx, absoluteTime, frameNum, frame) {
+        const { layoutConfig, cameraMapping, canvasWidth, canvasHeight, frameReady, blurActive, includeOverlay, sources } = frame;
+        const videos = this.videoPlayer.videos;
+
+        // Clear canvas
+        renderCtx.fillStyle = '#000000';
+        renderCtx.fillRect(0, 0, canvasWidth, canvasHeight);
+
+        // Draw cameras sorted by z-index (lower z-index first, so higher ones are on top)
+        const sortedCameras = Object.entries(layoutConfig.cameras)
+            .filter(([name, cam]) => cam.visible && cam.w > 0 && cam.h > 0)
+            .sort((a, b) => (a[1].zIndex || 1) - (b[1].zIndex || 1));
+
+        if (sources) {
+            // Decoded frames (WebCodecs export), placed by the same camera mapping
+            const positioned = {};
+            for (const [camPosition] of sortedCameras) {
+                positioned[camPosition] = sources[cameraMapping[camPosition]];
+            }
+            this.layoutManager.renderer.renderToCanvas(renderCtx, positioned, layoutConfig);
+        } else if (frameReady) {
+            for (const [camPosition, camConfig] of sortedCameras) {
+                const actualCameraName = cameraMapping[camPosition];
+                const video = videos[actualCameraName];
+
+                if (!video || !video.src || video.readyState < 2) continue;
+
+                // Use centralized calculation for source/destination rectangles
+                const { sx, sy, sw, sh, dx, dy, dw, dh } = LayoutRenderer.calculateDrawParams(video, camConfig);
+                renderCtx.drawImage(video, sx, sy, sw, sh, dx, dy, dw, dh);
+            }
+        }
+
+        // Add watermarks for free tier users
+        if (this._shouldWatermark) {
+            this.addWatermarksToFrame(renderCtx, layoutConfig);
+        }
+
+        // Build camera info for blurring and callouts (multi-camera coordinate mapping)
+        const cameraInfos = {};
+        for (const [camPosition, camConfig] of sortedCameras) {
+            const actualCameraName = cameraMapping[camPosition];
+            const video = videos[actualCameraName];
+            if (video && video.src && video.readyState >= 2) {
+                cameraInfos[actualCameraName] = {
+                    video: video,
+                    dx: camConfig.x,
+                    dy: camConfig.y,
+                    dw: camConfig.w,
+                    dh: camConfig.h,
+                    crop: camConfig.crop || { top: 0, right: 0, bottom: 0, left: 0 },
+                    objectFit: camConfig.objectFit || 'contain'
+                };
+            }
+        }
+
+        // Apply plate/face/person and manual region blurring - use multi-camera method for proper coordinate mapping
+        if (blurActive) {
+            try {
+                // Track on video time, not render time (rendering runs far slower than real-time)
+                await this.applyPrivacyBlur(renderCtx, cameraInfos, absoluteTime, {
+                    forceDetection: frameNum % 3 === 0, // Run detection every 3rd frame for performance
+                    timestamp: absoluteTime * 1000
+                });
+            } catch (blurError) {
+                if (frameNum % 30 === 0) {
+                    console.warn('[Export] Plate blur error:', blurError);
+                }
+            }
+        }
+
+        // Draw arrows, ellipses and text callouts over their cameras
+        this.drawCallouts(renderCtx, cameraInfos, absoluteTime);
+
+        // Check privacy mode setting
+        const settings = window.app?.settingsManager;
+        const privacyMode = settings && settings.get('privacyModeExport') === true;
+
+        // Calculate mini-map rect for label occlusion avoidance (if mini-map will be drawn)
+        let miniMapRect = null;
+        const miniMapInExport = this.isExportLayerEnabled('miniMap');
+        if (!privacyMode && window.app?.miniMapOverlay && miniMapInExport) {
+            const pos = window.app.miniMapOverlay.position || { x: 80, y: 10 };
+            const scale = canvasWidth / 1920;
+            const mapWidth = Math.round(200 * scale);
+            const mapHeight = Math.round(200 * scale);
+            miniMapRect = {
+                x: (pos.x / 100) * canvasWidth,
+                y: (pos.y / 100) * canvasHeight,
+                w: mapWidth,
+                h: mapHeight
+            };
+        }
+
+        // Calculate scale factor for label overlays (1920px reference)
+        const labelScale = canvasWidth / 1920;
+        // Base font size 18px to match live view proportions
+        const scaledFontSize = Math.round(18 * labelScale);
+
+        // Add camera labels using centralized smart positioning (matches live view)
+        if (this.layoutManager?.renderer) {
+            this.layoutManager.renderer.addLabelsToCanvas(renderCtx, layoutConfig, {
+                fontSize: scaledFontSize,
+                cameraMapping: cameraMapping,
+                videos: videos,
+                miniMapRect: miniMapRect
+            });
+        } else {
+            // Fallback if no renderer
+            this.addCameraLabelsForLayout(renderCtx, layoutConfig, cameraMapping);
+        }
+
+        // Add timestamp overlay (skipped in privacy mode)
+        if (includeOverlay && !privacyMode) {
+            this.addOverlay(renderCtx, canvasWidth, canvasHeight, absoluteTime);
+        }
+
+        // Burn in telemetry HUD and mini-map track (skipped in privacy mode)
+        // HUD scale uses smaller reference (1000px) to appear larger/closer to live view
+        const telemetryData = this.renderTelemetryLayer(renderCtx, canvasWidth, canvasHeight, absoluteTime, {
+            hudScale: canvasWidth / 1000
+        });
+        // Debug: log telemetry changes every 30 frames (1 second)
+        if (telemetryData && frameNum % 30 === 0) {
+            console.log(`[Export] Frame ${frameNum}: clip=${this.getExportClipPosition().clipIndex}, seq=${telemetryData.frame_seq_no}, AP=${telemetryData.autopilot_name}, brake=${telemetryData.brake_applied}, gY=${(telemetryData.g_force_y || 0).toFixed(2)}`);
+        }
+    }
+
     /**
      * Export current clip from all 4 cameras as composite video
      * @param {Object} options - Export options
@@ -630,6 +1027,7 @@ class VideoExport {
         }
 
         this.isExporting = true;
+        this.exportRegionCache = null;
         this.recordedChunks = [];
         this.overlayLogCounter = 0; // Reset overlay logging counter
 
@@ -645,6 +1043,7 @@ class VideoExport {
         this.cachedClipDurations = []; // Cache individual clip durations
         this.cachedOverlayData = null; // Reset cached overlay data for new export
         this.speedWasReduced = false; // Reset speed reduction flag
+        this.subtitlesSkipped = false;
         this.exportWallStartTime = Date.now(); // Track wall-clock start for ETA
         this._shouldWatermark = false; // Default, will be set asynchronously
 
@@ -733,6 +1132,7 @@ class VideoExport {
             const exportDuration = exportEnd - exportStart;
 
             console.log('Export range - Start:', exportStart.toFixed(2), '| End:', exportEnd.toFixed(2), '| Duration:', exportDuration.toFixed(2));
+            this.exportRange = { start: exportStart, end: exportEnd }; // For subtitle sidecars in stopExport
             console.log('Start position:', startTime !== null ? startTime.toFixed(2) : '0 (beginning of event)');
             console.log('End position:', endTime !== null ? endTime.toFixed(2) + ' (OUT marker)' : this.cachedTotalDuration.toFixed(2) + ' (end of event)');
 
@@ -1207,31 +1607,30 @@ class VideoExport {
                     this.addWatermarksToFrame(ctx, layoutConfig);
                 }
 
-                // Apply license plate blurring if enabled - use multi-camera method for proper coordinate mapping
-                const blurPlatesEnabled = window.app?.settingsManager?.get('blurLicensePlates') === true;
-                if (blurPlatesEnabled && window.app?.plateBlur?.isReady()) {
+                // Build camera info for blurring and callouts (multi-camera coordinate mapping)
+                const cameraInfos = {};
+                for (const [camName, camConfig] of sortedCameras) {
+                    const videoSource = cameraMapping[camName] || camName;
+                    const video = videos[videoSource];
+                    if (video && video.src && video.readyState >= 2) {
+                        const dest = cachedDestRects[camName];
+                        cameraInfos[videoSource] = {
+                            video: video,
+                            dx: dest?.dx ?? camConfig.x,
+                            dy: dest?.dy ?? camConfig.y,
+                            dw: dest?.dw ?? camConfig.w,
+                            dh: dest?.dh ?? camConfig.h,
+                            crop: camConfig.crop || { top: 0, right: 0, bottom: 0, left: 0 },
+                            objectFit: camConfig.objectFit || 'contain'
+                        };
+                    }
+                }
+
+                // Apply plate/face/person and manual region blurring - use multi-camera method for proper coordinate mapping
+                if (this.isPrivacyBlurActive()) {
                     try {
-                        // Build camera info for multi-camera processing
-                        const cameraInfos = {};
-                        for (const [camName, camConfig] of sortedCameras) {
-                            const videoSource = cameraMapping[camName] || camName;
-                            const video = videos[videoSource];
-                            if (video && video.src && video.readyState >= 2) {
-                                const cached = cachedCropValues[camName];
-                                const dest = cachedDestRects[camName];
-                                cameraInfos[videoSource] = {
-                                    video: video,
-                                    dx: dest?.dx ?? camConfig.x,
-                                    dy: dest?.dy ?? camConfig.y,
-                                    dw: dest?.dw ?? camConfig.w,
-                                    dh: dest?.dh ?? camConfig.h,
-                                    crop: camConfig.crop || { top: 0, right: 0, bottom: 0, left: 0 },
-                                    objectFit: camConfig.objectFit || 'contain'
-                                };
-                            }
-                        }
                         // Don't await - run async to avoid blocking frame rendering
-                        window.app.plateBlur.processMultiCamera(ctx, cameraInfos, {
+                        this.applyPrivacyBlur(ctx, cameraInfos, absoluteTime, {
                             forceDetection: totalFramesRendered % 5 === 0 // Less frequent for real-time
                         });
                     } catch (blurError) {
@@ -1239,6 +1638,9 @@ class VideoExport {
                     }
                 }
 
+                // Draw arrows, ellipses and text callouts over their cameras
+                this.drawCallouts(ctx, cameraInfos, absoluteTime);
+
                 // Check privacy mode setting
                 const settings = window.app?.settingsManager;
                 const privacyMode = settings && settings.get('privacyModeExport') === true;
@@ -1281,34 +1683,10 @@ class VideoExport {
                     this.addOverlay(ctx, canvas.width, canvas.height, absoluteTime);
                 }
 
-                // Add telemetry overlay using video player's actual state (skipped in privacy mode)
-                const telemetryEnabled = !settings || settings.get('telemetryOverlayInExport') !== false;
-                if (!privacyMode && window.app?.telemetryOverlay && telemetryEnabled && window.app.telemetryOverlay.hasTelemetryData()) {
-                    const clipIndex = this.videoPlayer.currentClipIndex || 0;
-                    const timeInClip = this.videoPlayer.getCurrentTime() || 0;
-                    const videoDuration = this.videoPlayer.getCurrentDuration() || 60;
-                    window.app.telemetryOverlay.updateTelemetry(clipIndex, timeInClip, videoDuration);
-                    const telemetryData = window.app.telemetryOverlay.getCurrentTelemetry();
-                    if (telemetryData) {
-                        const blinkState = Math.floor(absoluteTime * 2) % 2 === 0; // 1 second blink cycle
-                        // HUD scale uses smaller reference (1000px) to appear larger/closer to live view
-                        const hudScale = canvas.width / 1000;
-                        window.app.telemetryOverlay.renderToCanvas(ctx, canvas.width, canvas.height, telemetryData, {
-                            blinkState,
-                            scale: hudScale
-                        });
-
-                        // Add mini-map overlay if export setting is enabled (skipped in privacy mode)
-                        if (window.app?.miniMapOverlay && miniMapInExport && telemetryData.latitude_deg && telemetryData.longitude_deg) {
-                            window.app.miniMapOverlay.updatePositionForExport(
-                                telemetryData.latitude_deg,
-                                telemetryData.longitude_deg,
-                                telemetryData.heading_deg || 0
-                            );
-                            window.app.miniMapOverlay.drawToCanvas(ctx, canvas.width, canvas.height);
-                        }
-                    }
-                }
+                // Burn in telemetry HUD and mini-map track (skipped in privacy mode)
+                this.renderTelemetryLayer(ctx, canvas.width, canvas.height, absoluteTime, {
+                    hudScale: canvas.width / 1000
+                });
 
                 // No need to schedule next frame - setInterval handles it
             };
@@ -1389,11 +1767,16 @@ class VideoExport {
                 const timestamp = this.getFormattedTimestamp();
                 const extension = format === 'mp4' ? 'mp4' : 'webm';
                 const speedSuffix = this.exportSpeed && this.exportSpeed !== 1 ? `_${this.exportSpeed}x` : '';
-                const filename = `TeslaCam_Export_${timestamp}${speedSuffix}.${extension}`;
+                const baseFilename = `TeslaCam_Export_${timestamp}${speedSuffix}`;
+                const filename = `${baseFilename}.${extension}`;
 
                 // Trigger download
                 this.downloadBlob(blob, filename);
 
+                // Subtitles are written once the export state is reset (below)
+                const sidecarRange = this.exportRange;
+                this.exportRange = null;
+
                 // Record export for session tracking
                 const sessionManager = window.app?.sessionManager;
                 if (sessionManager) {
@@ -1417,6 +1800,10 @@ class VideoExport {
                     this.exportResolve();
                 }
                 resolve();
+
+                if (sidecarRange) {
+                    await this.exportSubtitleSidecars(baseFilename, sidecarRange.start, sidecarRange.end, this.exportSpeed);
+                }
             };
 
             // Stop recording - since we're not using timeslice, stop() will trigger final data collection
@@ -1480,6 +1867,9 @@ class VideoExport {
         const video = this.videoPlayer.videos[camera];
 
         this.isExporting = true;
+        this.exportRegionCache = null;
+        this.speedWasReduced = false;
+        this.subtitlesSkipped = false;
         this.recordedChunks = [];
         this.cachedTotalDuration = await this.videoPlayer.getTotalDuration();
 
@@ -1521,6 +1911,7 @@ class VideoExport {
         const exportDuration = exportEnd - exportStart;
 
         console.log('Single export range:', exportStart.toFixed(2), '->', exportEnd.toFixed(2));
+        this.exportRange = { start: exportStart, end: exportEnd }; // For subtitle sidecars in stopSingleExport
 
         // Note: Telemetry is rendered on-demand using video player's actual state
         // This ensures telemetry matches exactly what the user sees during preview
@@ -1687,21 +2078,22 @@ class VideoExport {
                 this.drawWatermarkOnRegion(ctx, 0, 0, canvas.width, canvas.height, 'TeslaCamViewer.com - Unlicensed');
             }
 
-            // Apply license plate blurring if enabled (single camera - use multi-camera for proper coords)
-            const blurPlatesEnabled = window.app?.settingsManager?.get('blurLicensePlates') === true;
-            if (blurPlatesEnabled && window.app?.plateBlur?.isReady() && currentVideo.readyState >= 2) {
+            // Single camera fills the canvas (use multi-camera mapping for proper coords)
+            const cameraInfos = {
+                [camera]: {
+                    video: currentVideo,
+                    dx: 0,
+                    dy: 0,
+                    dw: canvas.width,
+                    dh: canvas.height,
+                    crop: { top: 0, right: 0, bottom: 0, left: 0 }
+                }
+            };
+
+            // Apply plate/face/person and manual region blurring
+            if (this.isPrivacyBlurActive() && currentVideo.readyState >= 2) {
                 try {
-                    const cameraInfos = {
-                        [camera]: {
-                            video: currentVideo,
-                            dx: 0,
-                            dy: 0,
-                            dw: canvas.width,
-                            dh: canvas.height,
-                            crop: { top: 0, right: 0, bottom: 0, left: 0 }
-                        }
-                    };
-                    window.app.plateBlur.processMultiCamera(ctx, cameraInfos, {
+                    this.applyPrivacyBlur(ctx, cameraInfos, absoluteTime, {
                         forceDetection: true // Always detect for single camera (full resolution)
                     });
                 } catch (blurError) {
@@ -1709,36 +2101,18 @@ class VideoExport {
                 }
             }
 
+            // Draw arrows, ellipses and text callouts
+            if (currentVideo.readyState >= 2) {
+                this.drawCallouts(ctx, cameraInfos, absoluteTime);
+            }
+
             // Add overlay if enabled
             if (includeOverlay) {
                 this.addSingleCameraOverlay(ctx, canvas.width, canvas.height, camera, absoluteTime);
             }
 
-            // Add telemetry overlay using video player's actual state
-            const settings = window.app?.settingsManager;
-            const telemetryEnabled = !settings || settings.get('telemetryOverlayInExport') !== false;
-            if (window.app?.telemetryOverlay && telemetryEnabled && window.app.telemetryOverlay.hasTelemetryData()) {
-                const clipIndex = this.videoPlayer.currentClipIndex || 0;
-                const timeInClip = this.videoPlayer.getCurrentTime() || 0;
-                const videoDuration = this.videoPlayer.getCurrentDuration() || 60;
-                window.app.telemetryOverlay.updateTelemetry(clipIndex, timeInClip, videoDuration);
-                const telemetryData = window.app.telemetryOverlay.getCurrentTelemetry();
-                if (telemetryData) {
-                    const blinkState = Math.floor(absoluteTime * 2) % 2 === 0; // 1 second blink cycle
-                    window.app.telemetryOverlay.renderToCanvas(ctx, canvas.width, canvas.height, telemetryData, { blinkState });
-
-                    // Add mini-map overlay if export setting is enabled
-                    const miniMapInExport = !settings || settings.get('miniMapInExport') !== false;
-                    if (window.app?.miniMapOverlay && miniMapInExport && telemetryData.latitude_deg && telemetryData.longitude_deg) {
-                        window.app.miniMapOverlay.updatePositionForExport(
-                            telemetryData.latitude_deg,
-                            telemetryData.longitude_deg,
-                            telemetryData.heading_deg || 0
-                        );
-                        window.app.miniMapOverlay.drawToCanvas(ctx, canvas.width, canvas.height);
-                    }
-                }
-            }
+            // Burn in telemetry HUD and mini-map track (skipped in privacy mode)
+            this.renderTelemetryLayer(ctx, canvas.width, canvas.height, absoluteTime);
 
             // Progress callback - match grid export signature (percent, currentTime, endTime, startTime)
             if (this.onProgress) {
@@ -1770,7 +2144,7 @@ class VideoExport {
         const event = this.videoPlayer.currentEvent;
         if (!event) return;
 
-        const clipIndex = this.videoPlayer.currentClipIndex;
+        const { clipIndex, timeInClip: currentTimeInClip } = this.getExportClipPosition();
         const clipGroup = event.clipGroups[clipIndex];
         if (!clipGroup) return;
 
@@ -1871,6 +2245,215 @@ class VideoExport {
         ctx.restore();
     }
 
+    /**
+     * Burn telemetry HUD and mini-map track into an export frame
+     * Telemetry is looked up at the video player's current clip position (set by seeking
+     * or playback) with the same duration-ratio mapping as live playback.
+     * Skipped entirely in privacy mode.
+     * @param {CanvasRenderingContext2D} ctx - Export canvas context
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {number} absoluteTime - Event time of this frame (drives turn signal blink)
+     * @param {Object} options - { hudScale } (omit for TelemetryOverlay's default scaling)
+     * @returns {Object|null} Telemetry frame that was rendered, or null
+     */
+    renderTelemetryLayer(ctx, width, height, absoluteTime, options = {}) {
+        const settings = window.app?.settingsManager;
+        const overlay = window.app?.telemetryOverlay;
+        if (settings && settings.get('privacyModeExport') === true) return null;
+        if (!overlay || !overlay.hasTelemetryData()) return null;
+
+        const hudEnabled = this.isExportLayerEnabled('telemetryHud');
+        const miniMapEnabled = this.isExportLayerEnabled('miniMap');
+        if (!hudEnabled && !miniMapEnabled) return null;
+
+        const { clipIndex, timeInClip, duration } = this.getExportClipPosition();
+        const telemetryData = overlay.getTelemetryAt(clipIndex, timeInClip, duration);
+        if (!telemetryData) return null;
+
+        if (hudEnabled) {
+            const blinkState = Math.floor(absoluteTime * 2) % 2 === 0; // 1 second blink cycle
+            overlay.renderToCanvas(ctx, width, height, telemetryData, {
+                blinkState,
+                scale: options.hudScale
+            });
+        }
+
+        if (miniMapEnabled && window.app?.miniMapOverlay && telemetryData.latitude_deg && telemetryData.longitude_deg) {
+            window.app.miniMapOverlay.updatePositionForExport(
+                telemetryData.latitude_deg,
+                telemetryData.longitude_deg,
+                telemetryData.heading_deg || 0
+            );
+            window.app.miniMapOverlay.drawToCanvas(ctx, width, height);
+        }
+
+        return telemetryData;
+    }
+
+    /**
+     * Whether a burned-in layer is enabled for the running export
+     * Batch exports pass their own choices; otherwise the export settings apply.
+     * @param {string} layer - 'telemetryHud', 'miniMap' or 'callouts'
+     * @returns {boolean}
+     */
+    isExportLayerEnabled(layer) {
+        if (this.overlayOverrides && typeof this.overlayOverrides[layer] === 'boolean') {
+            return this.overlayOverrides[layer];
+        }
+        const settings = window.app?.settingsManager;
+        const settingKeys = {
+            telemetryHud: 'telemetryOverlayInExport',
+            miniMap: 'miniMapInExport',
+            callouts: 'calloutsInExport'
+        };
+        return !settings || settings.get(settingKeys[layer] || settingKeys.telemetryHud) !== false;
+    }
+
+    /**
+     * Draw the event's on-video callouts (arrows, ellipses, text) on a rendered frame
+     * @param {CanvasRenderingContext2D} ctx - Canvas with cameras already drawn
+     * @param {Object} cameraInfos - Same camera map as applyPrivacyBlur
+     * @param {number} absoluteTime - Event time of this frame
+     */
+    drawCallouts(ctx, cameraInfos, absoluteTime) {
+        const calloutLayer = window.app?.calloutLayer;
+        if (!calloutLayer || !this.isExportLayerEnabled('callouts')) return;
+        try {
+            calloutLayer.drawToCanvas(ctx, cameraInfos, absoluteTime, this._getExportRegions().callouts);
+        } catch (error) {
+            console.warn('[Export] Callout drawing error:', error);
+        }
+    }
+
+    /**
+     * Manual blur regions and callouts of the event being exported
+     * Both live in localStorage, so they are read once per export (and per event of a
+     * compilation) instead of on every frame. Outside an export they are read fresh.
+     * @returns {Object} { eventKey, blurRegions, callouts }
+     */
+    _getExportRegions() {
+        const event = this.videoPlayer.currentEvent;
+        const eventKey = event ? (event.compoundKey || event.name) : null;
+        const cached = this.exportRegionCache;
+        if (this.isExporting && cached && cached.eventKey === eventKey) {
+            return cached;
+        }
+
+        const plateBlur = window.app?.plateBlur;
+        const calloutLayer = window.app?.calloutLayer;
+        const regions = {
+            eventKey,
+            blurRegions: eventKey && plateBlur ? plateBlur.getManualRegions(eventKey) : [],
+            callouts: eventKey && calloutLayer ? calloutLayer.getCallouts(eventKey) : []
+        };
+        this.exportRegionCache = this.isExporting ? regions : null;
+        return regions;
+    }
+
+    /**
+     * Get manual blur regions for the event being exported
+     * @returns {Array}
+     */
+    getManualBlurRegions() {
+        return this._getExportRegions().blurRegions;
+    }
+
+    /**
+     * Check if any privacy blurring applies to this export (plate/face/person
+     * detection enabled with its model loaded, or manual regions for the event)
+     * @returns {boolean}
+     */
+    isPrivacyBlurActive() {
+        const plateBlur = window.app?.plateBlur;
+        if (!plateBlur) return false;
+        const classes = plateBlur.getEnabledClasses(window.app?.settingsManager);
+        return plateBlur.hasActiveDetection(classes) || this.getManualBlurRegions().length > 0;
+    }
+
+    /**
+     * Blur detected plates/faces/people and manual regions on a rendered frame
+     * @param {CanvasRenderingContext2D} ctx - Canvas with cameras already drawn
+     * @param {Object} cameraInfos - Camera map for PlateBlur.processMultiCamera
+     * @param {number} absoluteTime - Event time of this frame
+     * @param {Object} options - Extra processMultiCamera options (forceDetection, timestamp)
+     * @returns {Promise<number>} Number of regions blurred
+     */
+    applyPrivacyBlur(ctx, cameraInfos, absoluteTime, options = {}) {
+        const plateBlur = window.app.plateBlur;
+        return plateBlur.processMultiCamera(ctx, cameraInfos, {
+            ...options,
+            classes: plateBlur.getEnabledClasses(window.app?.settingsManager),
+            manualRegions: this.getManualBlurRegions(),
+            time: absoluteTime
+        });
+    }
+
+    /**
+     * Download WebVTT and SRT telemetry tracks named after the exported video
+     * Lets a clean export be paired with a togglable data track in standard players.
+     * Skipped when a real-time export slowed down for buffering: the recording was paused and
+     * changed speed, so cue times can no longer be mapped onto the video. getExportStatus()
+     * reports that as subtitlesSkipped so the UI can say so without blocking the export.
+     * @param {string} baseFilename - Video filename without extension
+     * @param {number} exportStart - Range start (event time, seconds)
+     * @param {number} exportEnd - Range end (event time, seconds)
+     * @param {number} speed - Export playback speed (real-time exports compress time)
+     * @param {FileSystemDirectoryHandle} directoryHandle - Write into this folder instead of downloading
+     * @returns {Promise<boolean>} True if the subtitle files were written
+     */
+    async exportSubtitleSidecars(baseFilename, exportStart, exportEnd, speed = 1, directoryHandle = null) {
+        const settings = window.app?.settingsManager;
+        const exporter = window.app?.telemetryExporter;
+        if (!exporter || !settings || settings.get('subtitleSidecarInExport') !== true) return false;
+        if (settings.get('privacyModeExport') === true) return false;
+
+        const event = this.videoPlayer.currentEvent;
+        if (!event) return false;
+
+        if (this.speedWasReduced) {
+            console.warn('[VideoExport] Export speed was reduced mid-export, skipping subtitle sidecars');
+            this.subtitlesSkipped = true;
+            return false;
+        }
+
+        try {
+            const clipDurations = this.cachedClipDurations?.length
+                ? this.cachedClipDurations
+                : this.videoPlayer.cachedClipDurations;
+            const rows = await exporter.collectFrames(event, {
+                startTime: exportStart,
+                endTime: exportEnd,
+                clipDurations,
+                clipSeiData: window.app?.telemetryOverlay?.clipSeiData
+            });
+            if (rows.length === 0) {
+                console.log('[VideoExport] No telemetry in export range, skipping subtitle sidecars');
+                return false;
+            }
+
+            const cues = exporter.buildSubtitleCues(rows, {
+                startTime: exportStart,
+                endTime: exportEnd,
+                timeScale: 1 / (speed || 1),
+                units: settings.get('telemetryOverlayUnits') || 'mph'
+            });
+
+            if (directoryHandle) {
+                await this.saveExportFile(new Blob([exporter.buildWebVTT(cues)], { type: 'text/vtt' }), `${baseFilename}.vtt`, directoryHandle);
+                await this.saveExportFile(new Blob([exporter.buildSRT(cues)], { type: 'application/x-subrip' }), `${baseFilename}.srt`, directoryHandle);
+            } else {
+                exporter.downloadText(exporter.buildWebVTT(cues), `${baseFilename}.vtt`, 'text/vtt;charset=utf-8;');
+                exporter.downloadText(exporter.buildSRT(cues), `${baseFilename}.srt`, 'application/x-subrip;charset=utf-8;');
+            }
+            console.log(`[VideoExport] Wrote ${cues.length} subtitle cues for ${baseFilename}`);
+            return true;
+        } catch (error) {
+            console.warn('[VideoExport] Failed to write subtitle sidecars:', error);
+            return false;
+        }
+    }
+
     /**
      * Stop single camera export and finalize
      */
@@ -1893,7 +2476,7 @@ class VideoExport {
             this.renderIntervalId = null;
         }
 
-        this.mediaRecorder.onstop = () => {
+        this.mediaRecorder.onstop = async () => {
             console.log('Single export MediaRecorder stopped, chunks:', this.recordedChunks.length);
 
             const blob = new Blob(this.recordedChunks, { type: this.mediaRecorder.mimeType });
@@ -1905,7 +2488,8 @@ class VideoExport {
             const eventDate = this.videoPlayer.currentEvent?.timestamp || new Date().toISOString();
             const dateStr = eventDate.replace(/[:.]/g, '-').slice(0, 19);
             const speedSuffix = this.exportSpeed && this.exportSpeed !== 1 ? `_${this.exportSpeed}x` : '';
-            const filename = `TeslaCam_${cameraLabel}_${dateStr}${speedSuffix}.webm`;
+            const baseFilename = `TeslaCam_${cameraLabel}_${dateStr}${speedSuffix}`;
+            const filename = `${baseFilename}.webm`;
 
             // Download
             const url = URL.createObjectURL(blob);
@@ -1917,7 +2501,11 @@ class VideoExport {
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
 
+            const sidecarRange = this.exportRange;
+            this.exportRange = null;
+
             this.isExporting = false;
+            this.exportRegionCache = null;
             this.recordedChunks = [];
 
             // Clear telemetry export buffer
@@ -1928,6 +2516,10 @@ class VideoExport {
             if (this.exportResolve) {
                 this.exportResolve();
             }
+
+            if (sidecarRange) {
+                await this.exportSubtitleSidecars(baseFilename, sidecarRange.start, sidecarRange.end, this.exportSpeed);
+            }
         };
 
         this.mediaRecorder.stop();
@@ -2118,7 +2710,7 @@ class VideoExport {
         const event = this.videoPlayer.currentEvent;
         if (!event) return;
 
-        const clipIndex = this.videoPlayer.currentClipIndex;
+        const { clipIndex, timeInClip: currentTimeInClip } = this.getExportClipPosition();
         const clipGroup = event.clipGroups[clipIndex];
         if (!clipGroup) return;
 
@@ -2160,7 +2752,6 @@ class VideoExport {
         const { clipStartTime, sentryMarkerTime, isSentryEvent } = this.cachedOverlayData;
 
         // Add current time within clip
-        const currentTimeInClip = this.videoPlayer.getCurrentTime();
         const actualTimestamp = new Date(clipStartTime.getTime() + (currentTimeInClip * 1000));
 
         // Format date and timestamp with frame number
@@ -2261,6 +2852,25 @@ class VideoExport {
         setTimeout(() => URL.revokeObjectURL(url), 100);
     }
 
+    /**
+     * Save an exported file into a directory (File System Access API), or download it
+     * @param {Blob} blob
+     * @param {string} filename
+     * @param {FileSystemDirectoryHandle|null} directoryHandle - Falls back to download when null
+     */
+    async saveExportFile(blob, filename, directoryHandle = null) {
+        if (!directoryHandle) {
+            this.downloadBlob(blob, filename);
+            return;
+        }
+
+        const fileHandle = await directoryHandle.getFileHandle(filename, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+        console.log(`[VideoExport] Saved ${filename} to ${directoryHandle.name}`);
+    }
+
     /**
      * Cancel ongoing export
      */
@@ -2273,6 +2883,7 @@ class VideoExport {
 
         // Mark as not exporting first to stop any loops
         this.isExporting = false;
+        this.exportRegionCache = null;
 
         // Abort GIF encoder if active
         if (this.gifEncoder) {
@@ -2455,6 +3066,7 @@ class VideoExport {
         }
 
         this.isExporting = true;
+        this.exportRegionCache = null;
         this.exportWallStartTime = Date.now();
         this.onProgress = onProgress;
 
@@ -2662,29 +3274,30 @@ class VideoExport {
                     }
                 }
 
-                // Apply license plate blurring if enabled - use multi-camera method for proper coordinate mapping
-                const blurPlatesEnabled = window.app?.settingsManager?.get('blurLicensePlates') === true;
-                if (blurPlatesEnabled && window.app?.plateBlur?.isReady()) {
+                // Build camera info for blurring and callouts (multi-camera coordinate mapping)
+                const cameraInfos = {};
+                for (const [camName, camConfig] of sortedCameras) {
+                    const videoSource = cameraMapping[camName] || camName;
+                    const video = videos[videoSource];
+                    if (video && video.src && video.readyState >= 2) {
+                        cameraInfos[videoSource] = {
+                            video: video,
+                            dx: camConfig.x,
+                            dy: camConfig.y,
+                            dw: camConfig.w,
+                            dh: camConfig.h,
+                            crop: camConfig.crop || { top: 0, right: 0, bottom: 0, left: 0 },
+                            objectFit: camConfig.objectFit || 'contain'
+                        };
+                    }
+                }
+
+                // Apply plate/face/person and manual region blurring - use multi-camera method for proper coordinate mapping
+                if (this.isPrivacyBlurActive()) {
                     try {
-                        // Build camera info for multi-camera processing
-                        const cameraInfos = {};
-                        for (const [camName, camConfig] of sortedCameras) {
-                            const videoSource = cameraMapping[camName] || camName;
-                            const video = videos[videoSource];
-                            if (video && video.src && video.readyState >= 2) {
-                                cameraInfos[videoSource] = {
-                                    video: video,
-                                    dx: camConfig.x,
-                                    dy: camConfig.y,
-                                    dw: camConfig.w,
-                                    dh: camConfig.h,
-                                    crop: camConfig.crop || { top: 0, right: 0, bottom: 0, left: 0 },
-                                    objectFit: camConfig.objectFit || 'contain'
-                                };
-                            }
-                        }
-                        await window.app.plateBlur.processMultiCamera(ctx, cameraInfos, {
-                            forceDetection: frameIndex % 3 === 0 // Run detection every 3rd frame for performance
+                        await this.applyPrivacyBlur(ctx, cameraInfos, frameTime, {
+                            forceDetection: frameIndex % 3 === 0, // Run detection every 3rd frame for performance
+                            timestamp: frameTime * 1000
                         });
                     } catch (blurError) {
                         if (frameIndex % 30 === 0) {
@@ -2693,6 +3306,9 @@ class VideoExport {
                     }
                 }
 
+                // Draw arrows, ellipses and text callouts over their cameras
+                this.drawCallouts(ctx, cameraInfos, frameTime);
+
                 // Check settings for overlays
                 const settings = window.app?.settingsManager;
                 const privacyMode = settings && settings.get('privacyModeExport') === true;
@@ -2703,35 +3319,10 @@ class VideoExport {
                     this.addOverlay(ctx, canvasWidth, canvasHeight, frameTime);
                 }
 
-                // Add telemetry HUD overlay (skipped in privacy mode)
-                const telemetryEnabled = !settings || settings.get('telemetryOverlayInExport') !== false;
-                if (!privacyMode && window.app?.telemetryOverlay && telemetryEnabled && window.app.telemetryOverlay.hasTelemetryData()) {
-                    const clipIndex = this.videoPlayer.currentClipIndex || 0;
-                    const timeInClip = frameTime % 60; // Approximate time in clip
-                    const videoDuration = 60;
-                    window.app.telemetryOverlay.updateTelemetry(clipIndex, timeInClip, videoDuration);
-                    const telemetryData = window.app.telemetryOverlay.getCurrentTelemetry();
-                    if (telemetryData) {
-                        const blinkState = Math.floor(frameTime * 2) % 2 === 0; // 1 second blink cycle
-                        // HUD scale uses smaller reference (1000px) to appear larger/closer to live view
-                        const hudScale = canvasWidth / 1000;
-                        window.app.telemetryOverlay.renderToCanvas(ctx, canvasWidth, canvasHeight, telemetryData, {
-                            blinkState,
-                            scale: hudScale
-                        });
-
-                        // Add mini-map overlay if export setting is enabled (skipped in privacy mode)
-                        const miniMapInExport = !settings || settings.get('miniMapInExport') !== false;
-                        if (window.app?.miniMapOverlay && miniMapInExport && telemetryData.latitude_deg && telemetryData.longitude_deg) {
-                            window.app.miniMapOverlay.updatePositionForExport(
-                                telemetryData.latitude_deg,
-                                telemetryData.longitude_deg,
-                                telemetryData.heading_deg || 0
-                            );
-                            window.app.miniMapOverlay.drawToCanvas(ctx, canvasWidth, canvasHeight);
-                        }
-                    }
-                }
+                // Burn in telemetry HUD and mini-map track (skipped in privacy mode)
+                this.renderTelemetryLayer(ctx, canvasWidth, canvasHeight, frameTime, {
+                    hudScale: canvasWidth / 1000
+                });
 
                 // Add watermarks for free tier
                 if (this._shouldWatermark) {
@@ -24,6 +24,12 @@ class VideoPlayer {
         this.disableAutoAdvance = false; // Can be set to prevent auto-advance during export
         this.hasPillarCameras = false; // Set when loading event with pillar cameras
         this.cachedClipDurations = []; // Cached durations from getTotalDuration for consistent seeking
+
+        // Per-camera SEI of the current clip, for frame stepping and frame-sequence sync
+        this.clipFrameData = {};        // camera -> SeiExtractor result with frame_seq_no
+        this.frameDataAllCameras = false; // false: only the front camera has been requested
+        this.frameDataPromise = null;
+        this.frameSyncEnabled = false;  // Load every camera's frame data on clip load
         this.videoURLs = {
             front: null,
             back: null,
@@ -39,6 +45,9 @@ class VideoPlayer {
         this.onEnded = null;
         this.onPlayStateChange = null;
         this.onBufferingChange = null; // Called when buffering state changes
+        this.onFrameDataLoaded = null; // Called when frame sequence data for the clip is ready
+        this.onGapSkipped = null; // Called with the gap when playback continues across a recording gap
+        this.onBeforeSeek = null; // Called before a seek, so reverse shuttle can give up the videos
 
         // Buffering state tracking
         this.bufferingState = {
@@ -59,6 +68,14 @@ class VideoPlayer {
             right_pillar: document.querySelector('#videoRightPillar')?.parentElement?.querySelector('.video-label')
         };
 
+        // Double-buffered clip transitions: a hidden standby element per camera preloads the
+        // next clip and covers the main element while it switches sources
+        this.preloadEnabled = true;
+        this.standbyVideos = this._createStandbyVideos();
+        this.preloadedClip = null; // { clipIndex, urls: { camera: objectURL } }
+        this.standbyActive = false;
+        this.gaps = []; // Recording gaps from FolderParser.detectGaps()
+
         this.setupEventListeners();
     }
 
@@ -178,8 +195,10 @@ class VideoPlayer {
      * @param {Object} event
      */
     async loadEvent(event) {
+        this._clearPreload();
         this.currentEvent = event;
         this.currentClipIndex = -1;
+        this.gaps = [];
         this.hasPillarCameras = event.hasPillarCameras || false;
         await this.loadClip(0);
     }
@@ -207,6 +226,12 @@ class VideoPlayer {
 
         this.currentClipIndex = clipIndex;
         const clipGroup = this.currentEvent.clipGroups[clipIndex];
+        this.resetFrameData();
+
+        // A preload for another clip is of no use now
+        if (this.preloadedClip && this.preloadedClip.clipIndex !== clipIndex) {
+            this._clearPreload();
+        }
 
         // Determine which cameras to load (4 or 6 based on event)
         const cameras = ['front', 'back', 'left_repeater', 'right_repeater'];
@@ -226,6 +251,14 @@ class VideoPlayer {
         // Reapply playback rate after loading new videos (browser resets to 1)
         this.setPlaybackRate(currentRate);
 
+        // Frame numbers for the timecode (and every camera in frame-sequence sync mode)
+        this.loadFrameData();
+
+        // Buffer the following clip (deferred while standby elements are covering a transition)
+        if (!this.standbyActive) {
+            this.preloadNextClip();
+        }
+
         if (this.onClipChange) {
             this.onClipChange(clipIndex);
         }
@@ -267,7 +300,8 @@ class VideoPlayer {
                 return;
             }
 
-            const url = URL.createObjectURL(file);
+            // Reuse the URL the standby element preloaded (already buffered by the browser)
+            const url = this._takePreloadedURL(camera) || URL.createObjectURL(file);
             this.videoURLs[camera] = url;
             video.src = url;
 
@@ -364,6 +398,10 @@ class VideoPlayer {
      * @param {number} time Time in seconds
      */
     async seek(time) {
+        if (this.onBeforeSeek) {
+            this.onBeforeSeek();
+        }
+
         // If seeking backwards past start of clip, load previous clip
         if (time < 0 && this.currentClipIndex > 0) {
             console.log('Seeking before start of clip, loading previous clip');
@@ -415,6 +453,161 @@ class VideoPlayer {
         return this.videos.front.duration || 0;
     }
 
+    /**
+     * Frame rate of the current clip (from its sample table, Tesla default 36fps)
+     * @returns {number}
+     */
+    getFrameRate() {
+        const data = this.clipFrameData.front;
+        return data && window.seiExtractor ? window.seiExtractor.getFrameRate(data) : 36;
+    }
+
+    /**
+     * Enable loading frame sequence data for every camera (frame-sequence sync mode)
+     * @param {boolean} enabled
+     */
+    setFrameSyncEnabled(enabled) {
+        this.frameSyncEnabled = enabled;
+        if (enabled && this.currentEvent && this.currentClipIndex >= 0) {
+            this.loadFrameData(true);
+        }
+    }
+
+    /**
+     * Drop frame data of the previous clip and cancel its parsing
+     */
+    resetFrameData() {
+        this.clipFrameData = {};
+        this.frameDataAllCameras = false;
+        this.frameDataPromise = null;
+        if (window.seiExtractor) {
+            window.seiExtractor.cancel('frames');
+        }
+    }
+
+    /**
+     * Parse SEI of the current clip so its frames can be addressed by Tesla frame_seq_no
+     * The front camera is usually cached already by the telemetry overlay; the other cameras
+     * are only parsed when needed and kept out of the extractor cache. Cameras without SEI
+     * are left out and fall back to time-based alignment.
+     * @param {boolean} allCameras - Also parse the non-front cameras
+     * @returns {Promise<Object>} camera -> extracted data
+     */
+    loadFrameData(allCameras = this.frameSyncEnabled) {
+        if (!this.currentEvent || !window.seiExtractor) {
+            return Promise.resolve(this.clipFrameData);
+        }
+        if (this.frameDataPromise && (this.frameDataAllCameras || !allCameras)) {
+            return this.frameDataPromise;
+        }
+
+        const clipGroup = this.currentEvent.clipGroups[this.currentClipIndex];
+        const cameras = allCameras ? Object.keys(this.videos) : ['front'];
+        this.frameDataAllCameras = allCameras;
+
+        const promise = Promise.all(cameras.map(async (camera) => {
+            const clip = clipGroup?.clips[camera];
+            if (!clip?.fileHandle || this.clipFrameData[camera]) return;
+
+            try {
+                const file = await clip.fileHandle.getFile();
+                const data = await window.seiExtractor.extractFromFile(file, {
+                    cache: camera === 'front',
+                    priority: window.seiExtractor.PRIORITY.PLAYBACK,
+                    group: 'frames'
+                });
+                // Clip changed while parsing
+                if (this.frameDataPromise !== promise) return;
+                if (window.seiExtractor.hasFrameSequence(data)) {
+                    this.clipFrameData[camera] = data;
+                }
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.warn(`[VideoPlayer] No frame data for ${camera}:`, error.message);
+                }
+            }
+        })).then(() => {
+            if (this.frameDataPromise === promise && this.onFrameDataLoaded) {
+                this.onFrameDataLoaded(this.clipFrameData);
+            }
+            return this.clipFrameData;
+        });
+
+        this.frameDataPromise = promise;
+        return promise;
+    }
+
+    /**
+     * Get the Tesla frame a camera is showing
+     * @param {string} camera
+     * @returns {number|null} frame_seq_no, or null without frame data for that camera
+     */
+    getCurrentFrameSeq(camera = 'front') {
+        return this.getFrameSeqAtTime(camera, this.videos[camera].currentTime || 0);
+    }
+
+    /**
+     * Get the Tesla frame_seq_no a camera shows at a time
+     * @param {string} camera
+     * @param {number} time - Time within the clip
+     * @returns {number|null} null if the camera has no frame data
+     */
+    getFrameSeqAtTime(camera, time) {
+        const data = this.clipFrameData[camera];
+        if (!data || !window.seiExtractor) return null;
+        return window.seiExtractor.getFrameSeqAtTime(data, time);
+    }
+
+    /**
+     * Get the time at which a camera shows a Tesla frame
+     * @param {string} camera
+     * @param {number} frameSeqNo
+     * @returns {number|null} Time within the clip, or null if that camera can't locate the frame
+     */
+    getTimeForFrameSeq(camera, frameSeqNo) {
+        const data = this.clipFrameData[camera];
+        if (!data || !window.seiExtractor) return null;
+        return window.seiExtractor.getTimeForFrameSeq(data, frameSeqNo);
+    }
+
+    /**
+     * Put every camera on the same Tesla frame
+     * @param {number} frameSeqNo
+     * @param {number} fallbackTime - Used for cameras without frame data
+     */
+    seekToFrameSeq(frameSeqNo, fallbackTime) {
+        for (const [camera, video] of Object.entries(this.videos)) {
+            const time = this.getTimeForFrameSeq(camera, frameSeqNo) ?? fallbackTime;
+            const maxTime = video.duration ? Math.max(0, video.duration - 0.05) : time;
+            video.currentTime = Math.max(0, Math.min(time, maxTime));
+        }
+    }
+
+    /**
+     * Step every camera by one video frame
+     * With frame data the front camera moves to the next/previous Tesla frame_seq_no and the
+     * other cameras to that same Tesla frame; otherwise all cameras move by one frame duration.
+     * @param {number} direction -1 for backward, 1 for forward
+     */
+    async stepFrame(direction) {
+        // Other cameras are parsed on the first step; until then they follow the front camera's time
+        this.loadFrameData(true);
+
+        const currentTime = this.getCurrentTime();
+        const frameSeqNo = this.getCurrentFrameSeq('front');
+        if (frameSeqNo !== null) {
+            const targetSeq = frameSeqNo + direction;
+            const targetTime = this.getTimeForFrameSeq('front', targetSeq);
+            if (targetTime !== null) {
+                this.seekToFrameSeq(targetSeq, targetTime);
+                return;
+            }
+        }
+
+        // No frame data, or stepping across a clip boundary
+        await this.seek(currentTime + direction / this.getFrameRate()); // seek() handles negative values
+    }
+
     /**
      * Handle when a video ends
      * @param {string} camera
@@ -443,11 +636,8 @@ class VideoPlayer {
 
         // Try to load next clip if we were playing
         if (wasPlaying && this.currentClipIndex < this.currentEvent.clipGroups.length - 1) {
-            // Load and play next clip
-            this.loadClip(this.currentClipIndex + 1).then(() => {
-                // Make sure to set playing state before calling play
-                return this.play();
-            }).catch(err => {
+            // Continue into the next clip (covered by the preloaded standby elements)
+            this.advanceToClip(this.currentClipIndex + 1).catch(err => {
                 console.error('Error loading next clip:', err);
                 if (this.onPlayStateChange) {
                     this.onPlayStateChange(false);
@@ -477,6 +667,223 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * Set recording gaps so playback can announce them when it skips across
+     * @param {Array} gaps - From FolderParser.detectGaps()
+     */
+    setGaps(gaps) {
+        this.gaps = gaps || [];
+    }
+
+    /**
+     * Enable or disable buffering the next clip during playback
+     * @param {boolean} enabled
+     */
+    setPreloadNextClip(enabled) {
+        this.preloadEnabled = enabled;
+        if (!enabled) {
+            this._clearPreload();
+        } else if (this.currentEvent && this.currentClipIndex >= 0 && !this.preloadedClip) {
+            this.preloadNextClip();
+        }
+    }
+
+    /**
+     * Create a hidden standby video element next to each camera's main element
+     * @returns {Object} camera -> standby video element
+     */
+    _createStandbyVideos() {
+        const standbyVideos = {};
+        for (const [camera, video] of Object.entries(this.videos)) {
+            if (!video?.parentElement) continue;
+
+            const standby = document.createElement('video');
+            standby.className = 'video-player video-standby';
+            standby.muted = true;
+            standby.playsInline = true;
+            standby.preload = 'auto';
+            standby.setAttribute('aria-hidden', 'true');
+            video.insertAdjacentElement('afterend', standby);
+            standbyVideos[camera] = standby;
+        }
+        return standbyVideos;
+    }
+
+    /**
+     * Check if a camera's tile is currently shown (not hidden by layout or camera toggles)
+     * @param {string} camera
+     * @returns {boolean}
+     */
+    _isCameraVisible(camera) {
+        const container = this.videos[camera]?.parentElement;
+        return !!container && container.getClientRects().length > 0;
+    }
+
+    /**
+     * Load the next clip into the standby elements of every visible camera
+     */
+    async preloadNextClip() {
+        this._clearPreload();
+        if (!this.preloadEnabled || this.disableAutoAdvance || !this.currentEvent) return;
+
+        const clipIndex = this.currentClipIndex + 1;
+        const clipGroup = this.currentEvent.clipGroups[clipIndex];
+        if (!clipGroup) return;
+
+        const preload = { clipIndex, urls: {} };
+        this.preloadedClip = preload;
+
+        for (const [camera, standby] of Object.entries(this.standbyVideos)) {
+            const clip = clipGroup.clips[camera];
+            if (!clip?.fileHandle || !this._isCameraVisible(camera)) continue;
+
+            try {
+                const file = await clip.fileHandle.getFile();
+                // Superseded by another clip load while reading
+                if (this.preloadedClip !== preload) return;
+                if (file.size < 1024) continue;
+
+                const url = URL.createObjectURL(file);
+                preload.urls[camera] = url;
+                standby.src = url;
+                standby.load();
+            } catch (error) {
+                console.warn(`[VideoPlayer] Could not preload ${camera} of clip ${clipIndex}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Hand a preloaded URL over to the main element (it is no longer revoked with the preload)
+     * @param {string} camera
+     * @returns {string|null}
+     */
+    _takePreloadedURL(camera) {
+        const preload = this.preloadedClip;
+        if (!preload || preload.clipIndex !== this.currentClipIndex || !preload.urls[camera]) {
+            return null;
+        }
+        const url = preload.urls[camera];
+        delete preload.urls[camera];
+        return url;
+    }
+
+    /**
+     * Drop the current preload and free its URLs
+     */
+    _clearPreload() {
+        if (!this.preloadedClip) return;
+
+        for (const url of Object.values(this.preloadedClip.urls)) {
+            URL.revokeObjectURL(url);
+        }
+        this.preloadedClip = null;
+
+        if (!this.standbyActive) {
+            for (const standby of Object.values(this.standbyVideos)) {
+                if (standby.getAttribute('src')) {
+                    standby.removeAttribute('src');
+                    standby.load();
+                }
+            }
+        }
+    }
+
+    /**
+     * Continue playback into a clip without a visible pause
+     * Preloaded standby elements start the clip immediately and cover the main elements while
+     * they switch sources; the main elements then take over from the same position.
+     * @param {number} clipIndex
+     */
+    async advanceToClip(clipIndex) {
+        const gap = this.gaps.find(g => g.afterClipIndex === clipIndex - 1);
+        if (gap && this.onGapSkipped) {
+            this.onGapSkipped(gap);
+        }
+
+        const covering = this._startStandby(clipIndex);
+        try {
+            await this.loadClip(clipIndex);
+
+            if (covering) {
+                // Pick up where the standby elements got to
+                const fallbackTime = this.standbyVideos.front?.classList.contains('active')
+                    ? this.standbyVideos.front.currentTime : 0;
+                for (const [camera, video] of Object.entries(this.videos)) {
+                    if (!video.getAttribute('src')) continue;
+                    const standby = this.standbyVideos[camera];
+                    video.currentTime = standby?.classList.contains('active') ? standby.currentTime : fallbackTime;
+                }
+            }
+
+            await this.play();
+
+            if (covering) {
+                await this._waitForFrame(this.videos.front);
+            }
+        } finally {
+            if (covering) {
+                this._releaseStandby();
+            }
+        }
+    }
+
+    /**
+     * Show and play the standby elements preloaded with a clip
+     * @param {number} clipIndex
+     * @returns {boolean} true if at least one camera is covered
+     */
+    _startStandby(clipIndex) {
+        if (!this.preloadedClip || this.preloadedClip.clipIndex !== clipIndex) return false;
+
+        const rate = this.getPlaybackRate();
+        let started = false;
+        for (const [camera, standby] of Object.entries(this.standbyVideos)) {
+            // Not buffered yet - that camera switches the old way
+            if (!this.preloadedClip.urls[camera] || standby.readyState < 2) continue;
+
+            standby.currentTime = 0;
+            standby.playbackRate = rate;
+            standby.classList.add('active');
+            standby.play().catch(() => {});
+            started = true;
+        }
+
+        this.standbyActive = started;
+        return started;
+    }
+
+    /**
+     * Hide the standby elements and start buffering the clip after this one
+     */
+    _releaseStandby() {
+        for (const standby of Object.values(this.standbyVideos)) {
+            standby.classList.remove('active');
+            standby.pause();
+        }
+        this.standbyActive = false;
+        this.preloadNextClip();
+    }
+
+    /**
+     * Resolve once a video has presented a frame (or after a short timeout)
+     * @param {HTMLVideoElement} video
+     */
+    _waitForFrame(video) {
+        return new Promise((resolve) => {
+            const timeout = setTimeout(resolve, 250);
+            const done = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+            if (video.requestVideoFrameCallback) {
+                video.requestVideoFrameCallback(done);
+            } else {
+                video.addEventListener('timeupdate', done, { once: true });
+            }
+        });
+    }
+
     /**
      * Go to next clip
      */
@@ -605,6 +1012,9 @@ class VideoPlayer {
      */
     async seekToEventTime(eventTime) {
         if (!this.currentEvent) return;
+        if (this.onBeforeSeek) {
+            this.onBeforeSeek();
+        }
 
         // Clamp eventTime to valid range [0, totalDuration]
         // This prevents jumping to the start when seeking past the end
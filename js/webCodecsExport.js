@@ -0,0 +1,406 @@
+/**
+ * WebCodecsExport - Export path that decodes the Tesla MP4s directly
+ * Instead of seeking every <video> element for each output frame, each camera's clip is
+ * demuxed with Mp4Container, decoded in order with VideoDecoder,
+ * composed through VideoExport.renderCompositeFrame / LayoutRenderer.renderToCanvas and encoded
+ * with VideoEncoder into an MP4 written by Mp4Container.
+ * VideoExport falls back to frame-by-frame seeking when any of this is unsupported.
+ */
+
+class WebCodecsExport {
+    constructor(videoExport) {
+        this.videoExport = videoExport;
+        this.videoPlayer = videoExport.videoPlayer;
+        this.mp4 = new Mp4Container();
+
+        // H.264 High, Main, then Constrained Baseline (level 5.1 covers 6-camera layouts)
+        this.ENCODER_CODECS = ['avc1.640033', 'avc1.4d0033', 'avc1.42e033'];
+        this.BITRATE = 20_000_000;
+        this.KEYFRAME_INTERVAL_SECONDS = 2;
+        this.MAX_ENCODE_QUEUE = 8;
+    }
+
+    /**
+     * Whether the browser has the WebCodecs pieces this path needs
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof VideoDecoder !== 'undefined' &&
+            typeof VideoEncoder !== 'undefined' &&
+            typeof EncodedVideoChunk !== 'undefined' &&
+            typeof VideoFrame !== 'undefined' &&
+            !!window.seiExtractor &&
+            !!window.Mp4Container;
+    }
+
+    /**
+     * Find an H.264 encoder configuration the browser supports for this size
+     * @returns {Promise<Object|null>}
+     */
+    async getEncoderConfig(width, height, fps) {
+        for (const codec of this.ENCODER_CODECS) {
+            const config = {
+                codec,
+                width,
+                height,
+                bitrate: this.BITRATE,
+                framerate: fps,
+                avc: { format: 'avc' }
+            };
+            try {
+                const { supported } = await VideoEncoder.isConfigSupported(config);
+                if (supported) return config;
+            } catch (error) {
+                // Try the next profile
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Render and encode the export range
+     * @param {Object} options - { exportStart, exportEnd, fps, layoutConfig, cameraMapping, canvasWidth, canvasHeight, includeOverlay, onProgress }
+     * @returns {Promise<Blob|null>} MP4, or null if WebCodecs can't handle this export (or it was cancelled)
+     */
+    async render(options) {
+        const { exportStart, exportEnd, fps, layoutConfig, cameraMapping, includeOverlay, onProgress } = options;
+        const event = this.videoPlayer.currentEvent;
+        const durations = this.videoPlayer.cachedClipDurations || [];
+
+        if (!WebCodecsExport.isSupported() || !event || !this.videoExport.layoutManager?.renderer ||
+            durations.length !== event.clipGroups.length) {
+            return null;
+        }
+
+        // H.264 needs even dimensions
+        const width = options.canvasWidth - (options.canvasWidth % 2);
+        const height = options.canvasHeight - (options.canvasHeight % 2);
+        const encoderConfig = await this.getEncoderConfig(width, height, fps);
+        if (!encoderConfig) {
+            console.log('[WebCodecsExport] No supported H.264 encoder configuration for', width, 'x', height);
+            return null;
+        }
+
+        // Only decode cameras the layout shows
+        const cameras = [...new Set(Object.entries(layoutConfig.cameras)
+            .filter(([, cam]) => cam.visible && cam.w > 0 && cam.h > 0)
+            .map(([position]) => cameraMapping[position]))];
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { alpha: false });
+
+        // Constant frame rate in a timescale that keeps the frame delta whole
+        const timescale = Math.round(fps) * 1000;
+        const sampleDelta = Math.round(timescale / fps);
+
+        const encoded = { samples: [], description: null, error: null };
+        const encoder = new VideoEncoder({
+            output: (chunk, metadata) => {
+                const description = metadata?.decoderConfig?.description;
+                if (description && !encoded.description) {
+                    encoded.description = ArrayBuffer.isView(description)
+                        ? new Uint8Array(description.buffer.slice(description.byteOffset, description.byteOffset + description.byteLength))
+                        : new Uint8Array(description.slice(0));
+                }
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                encoded.samples.push({ data, isKey: chunk.type === 'key', delta: sampleDelta });
+            },
+            error: (error) => {
+                encoded.error = error;
+            }
+        });
+        encoder.configure(encoderConfig);
+
+        const totalFrames = Math.ceil((exportEnd - exportStart) * fps);
+        const keyFrameInterval = Math.round(fps * this.KEYFRAME_INTERVAL_SECONDS);
+        let streams = null;
+
+        console.log(`[WebCodecsExport] ${totalFrames} frames @ ${fps}fps, ${width}x${height}, ${encoderConfig.codec}`);
+
+        try {
+            for (let frameNum = 0; frameNum < totalFrames; frameNum++) {
+                if (!this.videoExport.isExporting) return null;
+                if (encoded.error) throw encoded.error;
+
+                const absoluteTime = exportStart + frameNum / fps;
+                const position = this.locate(absoluteTime, durations);
+
+                if (!streams || streams.clipIndex !== position.clipIndex) {
+                    this.closeStreams(streams);
+                    streams = await this.openStreams(event, position.clipIndex, cameras, position.timeInClip);
+
+                    // Nothing decodable in the first clip - let the seeking path handle it
+                    if (frameNum === 0 && Object.keys(streams.byCamera).length === 0) {
+                        return null;
+                    }
+                }
+
+                const sources = {};
+                for (const [camera, stream] of Object.entries(streams.byCamera)) {
+                    const source = await stream.sourceAt(position.timeInClip);
+                    if (source) sources[camera] = source;
+                }
+
+                // Overlays read the clip position from here instead of the (unmoved) player
+                this.videoExport.clipPosition = position;
+                await this.videoExport.renderCompositeFrame(ctx, absoluteTime, frameNum, {
+                    layoutConfig,
+                    cameraMapping,
+                    canvasWidth: width,
+                    canvasHeight: height,
+                    frameReady: true,
+                    blurActive: false,
+                    includeOverlay,
+                    sources
+                });
+
+                const frame = new VideoFrame(canvas, {
+                    timestamp: Math.round(frameNum * 1e6 / fps),
+                    duration: Math.round(1e6 / fps)
+                });
+                encoder.encode(frame, { keyFrame: frameNum % keyFrameInterval === 0 });
+                frame.close();
+
+                if (encoder.encodeQueueSize > this.MAX_ENCODE_QUEUE) {
+                    await new Promise(resolve => encoder.addEventListener('dequeue', resolve, { once: true }));
+                }
+
+                if (onProgress) {
+                    onProgress(((frameNum + 1) / totalFrames) * 100, absoluteTime - exportStart, exportEnd - exportStart);
+                }
+
+                // Yield every 5 frames
+                if (frameNum % 5 === 0) {
+                    await new Promise(r => setTimeout(r, 0));
+                }
+            }
+
+            await encoder.flush();
+            if (encoded.error) throw encoded.error;
+            if (!encoded.description) throw new Error('Encoder produced no H.264 configuration');
+
+            return this.mp4.mux(encoded.samples, {
+                descriptions: [encoded.description],
+                width,
+                height,
+                timescale
+            });
+        } finally {
+            this.closeStreams(streams);
+            this.videoExport.clipPosition = null;
+            if (encoder.state !== 'closed') {
+                encoder.close();
+            }
+        }
+    }
+
+    /**
+     * Map an event time to a clip, using the same cached durations as VideoPlayer.seekToEventTime
+     * @returns {Object} { clipIndex, timeInClip, duration }
+     */
+    locate(absoluteTime, durations) {
+        let accumulated = 0;
+        let last = null;
+        for (let i = 0; i < durations.length; i++) {
+            const duration = durations[i];
+            if (!duration) continue; // Clips without front camera
+
+            if (absoluteTime < accumulated + duration) {
+                return { clipIndex: i, timeInClip: absoluteTime - accumulated, duration };
+            }
+            accumulated += duration;
+            last = { clipIndex: i, timeInClip: duration, duration };
+        }
+        return last || { clipIndex: 0, timeInClip: absoluteTime, duration: 60 };
+    }
+
+    /**
+     * Open a decoder for each camera of a clip
+     * @returns {Promise<Object>} { clipIndex, byCamera: { camera: CameraDecodeStream } }
+     */
+    async openStreams(event, clipIndex, cameras, startTime) {
+        const clipGroup = event.clipGroups[clipIndex];
+        const byCamera = {};
+
+        for (const camera of cameras) {
+            const clip = clipGroup?.clips[camera];
+            if (!clip?.fileHandle) continue;
+
+            try {
+                const file = await clip.fileHandle.getFile();
+                const buffer = await file.arrayBuffer();
+                const track = this.mp4.demux(buffer);
+                if (!track) {
+                    console.warn(`[WebCodecsExport] No H.264 track in ${camera} clip ${clipIndex}`);
+                    continue;
+                }
+
+                const stream = new CameraDecodeStream(track, buffer);
+                if (await stream.open(startTime)) {
+                    byCamera[camera] = stream;
+                } else {
+                    console.warn(`[WebCodecsExport] Decoder does not support ${track.codec} (${camera})`);
+                }
+            } catch (error) {
+                console.warn(`[WebCodecsExport] Failed to open ${camera} clip ${clipIndex}:`, error);
+            }
+        }
+
+        return { clipIndex, byCamera };
+    }
+
+    closeStreams(streams) {
+        if (!streams) return;
+        for (const stream of Object.values(streams.byCamera)) {
+            stream.close();
+        }
+    }
+}
+
+/**
+ * Decodes one camera's clip in order and hands out the frame shown at a time
+ * Frames are held like a <video> element shows them: the latest frame at or before the time.
+ */
+class CameraDecodeStream {
+    constructor(track, buffer) {
+        this.track = track;
+        this.data = new Uint8Array(buffer);
+        this.decoder = null;
+        this.nextSample = 0;
+        this.pending = [];      // Decoded frames after the current one
+        this.current = null;    // Frame at or before the last requested time
+        this.ended = false;
+        this.error = null;
+        this.DECODE_BATCH = 8;
+
+        // Stands in for the <video> element: LayoutRenderer reads videoWidth/videoHeight
+        this.canvas = document.createElement('canvas');
+        this.drawnFrame = null;
+    }
+
+    /**
+     * Configure the decoder and start at the keyframe before startTime
+     * @returns {Promise<boolean>} False if the decoder can't handle the track
+     */
+    async open(startTime) {
+        const config = {
+            codec: this.track.codec,
+            description: this.track.description,
+            codedWidth: this.track.width,
+            codedHeight: this.track.height
+        };
+        const { supported } = await VideoDecoder.isConfigSupported(config);
+        if (!supported) return false;
+
+        this.decoder = new VideoDecoder({
+            output: (frame) => this.pending.push(frame),
+            error: (error) => {
+                this.error = error;
+            }
+        });
+        this.decoder.configure(config);
+
+        const samples = this.track.samples;
+        for (let i = 0; i < samples.length && samples[i].time <= startTime + 1e-6; i++) {
+            if (samples[i].isKey) this.nextSample = i;
+        }
+        return true;
+    }
+
+    /**
+     * Get a drawable source showing the frame at a time
+     * @param {number} time - Seconds into the clip
+     * @returns {Promise<HTMLCanvasElement|null>}
+     */
+    async sourceAt(time) {
+        const frame = await this.frameAt(time);
+        if (!frame) return null;
+
+        if (frame !== this.drawnFrame) {
+            const canvas = this.canvas;
+            if (canvas.width !== frame.displayWidth || canvas.height !== frame.displayHeight) {
+                canvas.width = frame.displayWidth;
+                canvas.height = frame.displayHeight;
+                canvas.videoWidth = frame.displayWidth;
+                canvas.videoHeight = frame.displayHeight;
+            }
+            canvas.getContext('2d').drawImage(frame, 0, 0);
+            this.drawnFrame = frame;
+        }
+        return this.canvas;
+    }
+
+    /**
+     * Decode forward until the frame at a time is known
+     * @returns {Promise<VideoFrame|null>}
+     */
+    async frameAt(time) {
+        const target = Math.round(time * 1e6);
+
+        for (;;) {
+            // Drop frames that are already behind the target
+            while (this.pending.length && this.pending[0].timestamp <= target) {
+                if (this.current) this.current.close();
+                this.current = this.pending.shift();
+            }
+            if (this.pending.length || this.ended) break;
+            if (this.error) {
+                console.warn('[WebCodecsExport] Decode error:', this.error);
+                this.ended = true;
+                break;
+            }
+            await this._decodeMore();
+        }
+
+        return this.current || this.pending[0] || null;
+    }
+
+    async _decodeMore() {
+        const samples = this.track.samples;
+        if (this.nextSample >= samples.length) {
+            await this.decoder.flush();
+            this.ended = true;
+            return;
+        }
+
+        const end = Math.min(this.nextSample + this.DECODE_BATCH, samples.length);
+        for (; this.nextSample < end; this.nextSample++) {
+            const sample = samples[this.nextSample];
+            this.decoder.decode(new EncodedVideoChunk({
+                type: sample.isKey ? 'key' : 'delta',
+                timestamp: Math.round(sample.time * 1e6),
+                duration: Math.round(sample.duration * 1e6),
+                data: this.data.subarray(sample.offset, sample.offset + sample.size)
+            }));
+        }
+
+        // Give the decoder a chance to emit frames
+        await new Promise(resolve => {
+            if (this.decoder.decodeQueueSize === 0) {
+                setTimeout(resolve, 0);
+                return;
+            }
+            const timer = setTimeout(resolve, 1000);
+            this.decoder.addEventListener('dequeue', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    close() {
+        for (const frame of this.pending) frame.close();
+        this.pending = [];
+        if (this.current) this.current.close();
+        this.current = null;
+        this.drawnFrame = null;
+        if (this.decoder && this.decoder.state !== 'closed') {
+            this.decoder.close();
+        }
+    }
+}
+
+window.WebCodecsExport = WebCodecsExport;
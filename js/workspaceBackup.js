@@ -0,0 +1,710 @@
+/**
+ * WorkspaceBackup - Exports and restores a reviewer's whole workspace as one JSON file
+ * Notes and tags, bookmarks, annotations, layouts, overlay positions, sync presets, report
+ * templates and settings are spread over many localStorage keys, and the telemetry / speed limit / weather
+ * caches live in IndexedDB. A workspace file groups them by category so the setup can be moved
+ * to another machine or browser profile, and any subset of categories can be restored from it.
+ *
+ * Drive folder handles can't be serialized (access has to be granted again on the new machine)
+ * and license/session data stays with the browser it was issued to, so neither is exported.
+ */
+
+class WorkspaceBackup {
+    constructor(notesManager, timeline, telemetryIndex, annotationManager) {
+        this.notesManager = notesManager;
+        this.timeline = timeline;
+        this.telemetryIndex = telemetryIndex;
+        this.annotationManager = annotationManager;
+        this.modal = null;
+        this.pendingWorkspace = null; // Parsed (and migrated) file chosen for restore
+        this.isBusy = false;
+
+        this.FORMAT = 'teslacamviewer-workspace';
+        // Bump when the file layout changes and add a step to MIGRATIONS
+        this.SCHEMA_VERSION = 1;
+
+        // localStorage keys and IndexedDB stores per category, in display order.
+        // Stores name their owning service so reads and writes go through the open connection.
+        this.CATEGORIES = [
+            // Merge state holds the per-event revisions and merge bases used by three-way merges
+            { id: 'notes', keys: ['teslacamviewer_notes', 'teslacamviewer_merge_state'], mergeable: true },
+            { id: 'bookmarks', keys: ['teslacamviewer_bookmarks'], mergeable: true },
+            { id: 'annotations', keys: ['teslacamviewer_annotations', 'teslacamviewer_annotation_author'], mergeable: true },
+            {
+                id: 'settings',
+                keys: [
+                    'teslacamviewer_settings',
+                    'tcv_locale',
+                    'teslacamviewer_video_enhancement',
+                    'teslacam_map_provider',
+                    'teslacam_map_dark_mode',
+                    'teslacam_sidebar_width',
+                    'teslacamviewer_hard_brake_threshold',
+                    'teslacamviewer_hard_accel_threshold',
+                    'teslacamviewer_incident_slowmo_enabled',
+                    'teslacamviewer_incident_slowmo_settings',
+                    'tcv_plate_timeframe',
+                    'tcv_plate_apply_video_enhancements'
+                ]
+            },
+            { id: 'layouts', keys: ['teslacam_custom_layouts', 'teslacam_layout_prefs'] },
+            {
+                id: 'overlays',
+                keys: [
+                    'teslacamviewer_telemetry_positions',
+                    'teslacamviewer_telemetry_collapsed',
+                    'teslacamviewer_minimap_positions',
+                    'teslacamviewer_minimap_enabled',
+                    'teslacamviewer_minimap_dark_mode',
+                    'teslacamviewer_elevation_positions',
+                    'teslacamviewer_elevation_enabled',
+                    'teslacamviewer_streetview_position',
+                    'teslacamviewer_streetview_enabled',
+                    'teslacamviewer_graphs_enabled',
+                    'teslacamviewer_graphs_position',
+                    'teslacamviewer_graphs_size',
+                    'teslacamviewer_graphs_anomalies_enabled',
+                    'teslacamviewer_birdsEye_collapsed'
+                ]
+            },
+            { id: 'syncPresets', keys: ['teslacamviewer_sync_presets', 'teslacamviewer_sync_settings'] },
+            { id: 'reportTemplates', keys: ['teslacamviewer_report_templates', 'teslacamviewer_report_template_active'] },
+            { id: 'blurRegions', keys: ['teslacamviewer_blur_regions'] },
+            { id: 'callouts', keys: ['teslacamviewer_callouts'] },
+            {
+                id: 'caches',
+                keys: [
+                    'teslacam_mapview_gps_cache',
+                    'teslacamviewer_nearmiss_cache',
+                    'teslacamviewer_ap_per_event',
+                    'teslacamviewer_incident_per_event'
+                ],
+                stores: [
+                    { owner: 'telemetryIndex', name: 'clipSummaries' },
+                    { owner: 'speedLimitService', name: 'speedLimitCache' },
+                    { owner: 'weatherService', name: 'weatherCache' }
+                ],
+                exportByDefault: false // Can be many MB and is rebuilt on demand
+            }
+        ];
+
+        // Typed arrays that can appear in cached records (telemetry summaries)
+        this.TYPED_ARRAYS = {
+            Float32Array, Float64Array, Uint8Array, Uint16Array, Uint32Array, Int8Array, Int16Array, Int32Array
+        };
+
+        // Upgrade steps keyed by the version they upgrade from
+        this.MIGRATIONS = {
+            // Version 0: a plain { storageKey: value } dump of localStorage, e.g. copied from dev tools
+            0: (workspace) => {
+                const data = {};
+                for (const [key, value] of Object.entries(workspace)) {
+                    const category = this.CATEGORIES.find(c => c.keys.includes(key));
+                    if (!category) continue;
+                    data[category.id] = data[category.id] || { localStorage: {}, indexedDB: {} };
+                    data[category.id].localStorage[key] = typeof value === 'string' ? value : JSON.stringify(value);
+                }
+                return {
+                    format: this.FORMAT,
+                    version: 1,
+                    exportedAt: null,
+                    appVersion: 'unknown',
+                    data
+                };
+            }
+        };
+    }
+
+    /**
+     * Get translation helper
+     */
+    t(key) {
+        return window.i18n ? window.i18n.t(key) : key.split('.').pop();
+    }
+
+    // ==================== Export ====================
+
+    /**
+     * Collect the chosen categories into a workspace object
+     * @param {Array<string>} categoryIds
+     * @returns {Promise<Object>}
+     */
+    async exportWorkspace(categoryIds) {
+        const data = {};
+
+        for (const category of this.CATEGORIES) {
+            if (!categoryIds.includes(category.id)) continue;
+
+            const entry = { localStorage: {}, indexedDB: {} };
+            for (const key of category.keys) {
+                const value = localStorage.getItem(key);
+                if (value !== null) {
+                    entry.localStorage[key] = value;
+                }
+            }
+            for (const store of category.stores || []) {
+                const records = await this._readStore(store);
+                if (records.length > 0) {
+                    entry.indexedDB[store.name] = records;
+                }
+            }
+            data[category.id] = entry;
+        }
+
+        return {
+            format: this.FORMAT,
+            version: this.SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            appVersion: window.app?.versionManager?.getVersion() || 'unknown',
+            data
+        };
+    }
+
+    /**
+     * Serialize a workspace, keeping typed arrays intact
+     * @returns {Blob}
+     */
+    toBlob(workspace) {
+        const json = JSON.stringify(workspace, (key, value) => {
+            if (ArrayBuffer.isView(value) && this.TYPED_ARRAYS[value.constructor.name]) {
+                const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+                return { $typedArray: value.constructor.name, base64: this._toBase64(bytes) };
+            }
+            return value;
+        });
+        return new Blob([json], { type: 'application/json' });
+    }
+
+    // ==================== Import ====================
+
+    /**
+     * Parse a workspace file and bring it up to the current schema
+     * @param {string} text - File contents
+     * @returns {Object} Workspace at SCHEMA_VERSION
+     */
+    parse(text) {
+        let workspace;
+        try {
+            workspace = JSON.parse(text, (key, value) => {
+                if (value && typeof value.$typedArray === 'string' && this.TYPED_ARRAYS[value.$typedArray]) {
+                    const bytes = this._fromBase64(value.base64 || '');
+                    return new this.TYPED_ARRAYS[value.$typedArray](bytes.buffer);
+                }
+                return value;
+            });
+        } catch (error) {
+            throw new Error(this.t('workspaceBackup.notJson'));
+        }
+
+        if (!workspace || typeof workspace !== 'object' || Array.isArray(workspace)) {
+            throw new Error(this.t('workspaceBackup.unknownFormat'));
+        }
+        return this.migrate(workspace);
+    }
+
+    /**
+     * Run the upgrade steps from the file's version to SCHEMA_VERSION
+     * @param {Object} workspace
+     * @returns {Object}
+     */
+    migrate(workspace) {
+        let version;
+        if (workspace.format === this.FORMAT) {
+            version = Number(workspace.version) || 0;
+        } else if (Object.keys(workspace).some(key => this.CATEGORIES.some(c => c.keys.includes(key)))) {
+            version = 0;
+        } else {
+            throw new Error(this.t('workspaceBackup.unknownFormat'));
+        }
+
+        if (version > this.SCHEMA_VERSION) {
+            throw new Error(this.t('workspaceBackup.newerVersion'));
+        }
+
+        while (version < this.SCHEMA_VERSION) {
+            const step = this.MIGRATIONS[version];
+            if (!step) {
+                throw new Error(`No migration from workspace version ${version}`);
+            }
+            workspace = step(workspace);
+            console.log(`[WorkspaceBackup] Migrated workspace from version ${version} to ${workspace.version}`);
+            version = workspace.version;
+        }
+
+        workspace.data = workspace.data || {};
+        return workspace;
+    }
+
+    /**
+     * Restore the chosen categories from a parsed workspace
+     * @param {Object} workspace - Result of parse()
+     * @param {Array<string>} categoryIds
+     * @param {Object} options - { merge: combine notes/bookmarks/annotations per event and keep
+     *   cached records instead of replacing them }
+     * @returns {Promise<Object>} { restored: [categoryIds], keys, records, conflicts: note conflicts
+     *   for NotesManager.resolveConflicts() }
+     */
+    async importWorkspace(workspace, categoryIds, options = {}) {
+        const merge = options.merge !== false;
+        const result = { restored: [], keys: 0, records: 0, conflicts: [] };
+
+        if (merge) {
+            const includeNotes = categoryIds.includes('notes') && !!workspace.data.notes;
+            const includeBookmarks = categoryIds.includes('bookmarks') && !!workspace.data.bookmarks;
+            if (includeNotes || includeBookmarks) {
+                result.conflicts = this._mergeNotesAndBookmarks(workspace, includeNotes, includeBookmarks);
+            }
+
+            // Annotations have ids, so they merge one by one (newer edit wins)
+            if (categoryIds.includes('annotations') && workspace.data.annotations) {
+                try {
+                    const imported = JSON.parse(workspace.data.annotations.localStorage?.teslacamviewer_annotations || '{}');
+                    this.annotationManager.importAnnotations(imported, true);
+                } catch (e) {
+                    console.warn('[WorkspaceBackup] Skipping unreadable annotations:', e);
+                }
+            }
+        }
+
+        for (const category of this.CATEGORIES) {
+            const entry = workspace.data[category.id];
+            if (!entry || !categoryIds.includes(category.id)) continue;
+
+            const values = entry.localStorage || {};
+            for (const key of category.keys) {
+                if (merge && category.mergeable) {
+                    result.keys += key in values ? 1 : 0;
+                    continue;
+                }
+                if (!(key in values)) {
+                    if (!merge) localStorage.removeItem(key);
+                    continue;
+                }
+                localStorage.setItem(key, values[key]);
+                result.keys++;
+            }
+
+            for (const store of category.stores || []) {
+                const records = entry.indexedDB?.[store.name];
+                if (!records && merge) continue;
+                result.records += await this._writeStore(store, records || [], !merge);
+            }
+
+            result.restored.push(category.id);
+        }
+
+        if (!merge && result.restored.includes('annotations')) {
+            this.annotationManager.annotations = this.annotationManager.load();
+            this.annotationManager.refresh();
+        }
+
+        // Summaries the index already holds in memory may be stale now
+        if (this.telemetryIndex && result.restored.includes('caches')) {
+            this.telemetryIndex.memoryCache.clear();
+            this.telemetryIndex.indexedKeys = null;
+        }
+
+        console.log(`[WorkspaceBackup] Restored ${result.restored.join(', ')} (${result.keys} key(s), ${result.records} cached record(s))`);
+        return result;
+    }
+
+    /**
+     * Three-way merge imported notes and/or bookmarks into this browser's, event by event
+     * @returns {Array} Events whose note text diverged (local text kept until resolved)
+     */
+    _mergeNotesAndBookmarks(workspace, includeNotes, includeBookmarks) {
+        const backup = window.eventDataBackup;
+        const read = (categoryId, key) => {
+            try {
+                return JSON.parse(workspace.data[categoryId]?.localStorage?.[key] || '{}') || {};
+            } catch (e) {
+                return {};
+            }
+        };
+        const emptyNotes = { text: '', tags: [] };
+        const importedNotes = includeNotes ? read('notes', 'teslacamviewer_notes') : {};
+        const importedBookmarks = includeBookmarks ? read('bookmarks', 'teslacamviewer_bookmarks') : {};
+        const importedStates = read('notes', 'teslacamviewer_merge_state');
+        const allNotes = this.notesManager.exportNotes() || {};
+        const allBookmarks = this.timeline.getAllSavedBookmarks();
+        const completed = [];
+        const conflicts = [];
+
+        for (const eventKey of new Set([...Object.keys(importedNotes), ...Object.keys(importedBookmarks)])) {
+            const result = backup.mergeEventData(
+                {
+                    notes: includeNotes ? allNotes[eventKey] || emptyNotes : undefined,
+                    bookmarks: includeBookmarks ? allBookmarks[eventKey] || [] : undefined,
+                    state: backup.getMergeState(eventKey)
+                },
+                {
+                    notes: includeNotes ? importedNotes[eventKey] || emptyNotes : undefined,
+                    bookmarks: includeBookmarks ? importedBookmarks[eventKey] || [] : undefined,
+                    state: importedStates[eventKey] || null
+                }
+            );
+
+            if (includeNotes) {
+                if (result.notes.text || result.notes.tags.length > 0) {
+                    allNotes[eventKey] = result.notes;
+                } else {
+                    delete allNotes[eventKey];
+                }
+            }
+            if (includeBookmarks) {
+                if (result.bookmarks.length > 0) {
+                    allBookmarks[eventKey] = result.bookmarks;
+                } else {
+                    delete allBookmarks[eventKey];
+                }
+            }
+
+            if (result.conflict) {
+                conflicts.push({ eventKey, ...result });
+            } else {
+                completed.push({ eventKey, rev: result.rev });
+            }
+        }
+
+        if (includeNotes) localStorage.setItem('teslacamviewer_notes', JSON.stringify(allNotes));
+        if (includeBookmarks) localStorage.setItem('teslacamviewer_bookmarks', JSON.stringify(allBookmarks));
+        for (const { eventKey, rev } of completed) {
+            backup.completeMerge(eventKey, { rev, notes: includeNotes, bookmarks: includeBookmarks });
+        }
+
+        console.log(`[WorkspaceBackup] Merged notes/bookmarks for ${completed.length + conflicts.length} event(s), ${conflicts.length} conflict(s)`);
+        return conflicts;
+    }
+
+    // ==================== IndexedDB ====================
+
+    /**
+     * Open connection of the service that owns a store
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    async _getDB(store) {
+        if (store.owner === 'telemetryIndex') {
+            if (!this.telemetryIndex) return null;
+            await this.telemetryIndex._dbReady;
+            return this.telemetryIndex.db;
+        }
+        const db = window[store.owner]?.db || null;
+        return db && db.objectStoreNames.contains(store.name) ? db : null;
+    }
+
+    async _readStore(store) {
+        const db = await this._getDB(store);
+        if (!db) return [];
+
+        return new Promise((resolve) => {
+            try {
+                const request = db.transaction(store.name, 'readonly').objectStore(store.name).getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => resolve([]);
+            } catch (e) {
+                console.warn(`[WorkspaceBackup] Failed to read ${store.name}:`, e);
+                resolve([]);
+            }
+        });
+    }
+
+    /**
+     * @returns {Promise<number>} Records written
+     */
+    async _writeStore(store, records, clearFirst) {
+        const db = await this._getDB(store);
+        if (!db) {
+            console.warn(`[WorkspaceBackup] ${store.name} is not available, skipping ${records.length} record(s)`);
+            return 0;
+        }
+
+        return new Promise((resolve) => {
+            try {
+                const tx = db.transaction(store.name, 'readwrite');
+                const objectStore = tx.objectStore(store.name);
+                if (clearFirst) objectStore.clear();
+                for (const record of records) {
+                    objectStore.put(record);
+                }
+                tx.oncomplete = () => resolve(records.length);
+                tx.onerror = () => {
+                    console.warn(`[WorkspaceBackup] Failed to write ${store.name}:`, tx.error);
+                    resolve(0);
+                };
+            } catch (e) {
+                console.warn(`[WorkspaceBackup] Failed to write ${store.name}:`, e);
+                resolve(0);
+            }
+        });
+    }
+
+    _toBase64(bytes) {
+        let binary = '';
+        const chunk = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunk) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+        }
+        return btoa(binary);
+    }
+
+    _fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Short description of what a category holds, e.g. "12 events"
+     */
+    describe(categoryId, entry) {
+        if (!entry) return '';
+        const values = entry.localStorage || {};
+
+        if (categoryId === 'notes' || categoryId === 'bookmarks') {
+            try {
+                const events = Object.keys(JSON.parse(Object.values(values)[0] || '{}')).length;
+                return `${events} ${this.t('workspaceBackup.events')}`;
+            } catch (e) {
+                return '';
+            }
+        }
+
+        const records = Object.values(entry.indexedDB || {}).reduce((sum, list) => sum + list.length, 0);
+        const keys = Object.keys(values).length;
+        return records > 0
+            ? `${keys} ${this.t('workspaceBackup.keys')}, ${records} ${this.t('workspaceBackup.records')}`
+            : `${keys} ${this.t('workspaceBackup.keys')}`;
+    }
+
+    // ==================== UI ====================
+
+    /**
+     * Show the backup / restore dialog
+     */
+    show() {
+        if (this.modal) {
+            this.modal.remove();
+        }
+        this.pendingWorkspace = null;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notes-modal workspace-backup-modal';
+        this.modal.innerHTML = `
+            <div class="notes-overlay"></div>
+            <div class="notes-panel export-queue-panel">
+                <div class="notes-header">
+                    <h2>${this.t('workspaceBackup.title')}</h2>
+                    <button class="notes-close-btn" title="${this.t('common.close')}">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="notes-content">
+                    <div class="notes-section">
+                        <div class="export-queue-hint">${this.t('workspaceBackup.hint')}</div>
+                    </div>
+                    <div class="notes-section export-queue-grid">
+                        <label class="notes-label">${this.t('workspaceBackup.backUp')}</label>
+                        <div class="export-queue-overlays workspace-backup-export">
+                            ${this.CATEGORIES.map(category => `
+                                <label><input type="checkbox" value="${category.id}" ${category.exportByDefault === false ? '' : 'checked'}> ${this.t(`workspaceBackup.categories.${category.id}`)}</label>
+                            `).join('')}
+                        </div>
+
+                        <label class="notes-label">${this.t('workspaceBackup.restore')}</label>
+                        <div class="export-queue-folder">
+                            <button id="workspaceChooseBtn" class="notes-btn secondary">${this.t('workspaceBackup.chooseFile')}</button>
+                            <span id="workspaceFileName" class="export-queue-hint"></span>
+                            <input type="file" id="workspaceFileInput" accept=".json,application/json" class="hidden">
+                        </div>
+                    </div>
+                    <div id="workspaceRestoreSection" class="notes-section export-queue-grid hidden">
+                        <label class="notes-label">${this.t('workspaceBackup.restoreCategories')}</label>
+                        <div class="export-queue-overlays workspace-backup-restore"></div>
+
+                        <label class="notes-label">${this.t('workspaceBackup.mode')}</label>
+                        <div class="export-queue-overlays">
+                            <label><input type="checkbox" id="workspaceMergeCheckbox" checked> ${this.t('workspaceBackup.merge')}</label>
+                        </div>
+                    </div>
+                    <div class="notes-section">
+                        <div id="workspaceStatus" class="export-queue-hint"></div>
+                    </div>
+                </div>
+                <div class="notes-footer">
+                    <button id="workspaceRestoreBtn" class="notes-btn secondary" disabled>${this.t('workspaceBackup.restoreSelected')}</button>
+                    <button id="workspaceExportBtn" class="notes-btn primary">${this.t('workspaceBackup.download')}</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        const modal = this.modal;
+        const fileInput = modal.querySelector('#workspaceFileInput');
+
+        modal.querySelector('.notes-close-btn').addEventListener('click', () => this.hide());
+        modal.querySelector('.notes-overlay').addEventListener('click', () => this.hide());
+        modal.querySelector('#workspaceExportBtn').addEventListener('click', () => this.startExport());
+        modal.querySelector('#workspaceRestoreBtn').addEventListener('click', () => this.startRestore());
+
+        modal.querySelector('#workspaceChooseBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                this.pendingWorkspace = this.parse(await file.text());
+                modal.querySelector('#workspaceFileName').textContent = file.name;
+                this.renderRestoreOptions();
+            } catch (error) {
+                this.pendingWorkspace = null;
+                alert(`${this.t('workspaceBackup.badFile')}: ${error.message}`);
+                this.renderRestoreOptions();
+            }
+        });
+    }
+
+    /**
+     * List the categories found in the chosen file
+     */
+    renderRestoreOptions() {
+        if (!this.modal) return;
+
+        const section = this.modal.querySelector('#workspaceRestoreSection');
+        const list = this.modal.querySelector('.workspace-backup-restore');
+        const restoreBtn = this.modal.querySelector('#workspaceRestoreBtn');
+        const status = this.modal.querySelector('#workspaceStatus');
+        const workspace = this.pendingWorkspace;
+
+        const available = workspace
+            ? this.CATEGORIES.filter(category => workspace.data[category.id])
+            : [];
+
+        list.innerHTML = available.map(category => `
+            <label><input type="checkbox" value="${category.id}" checked> ${this.t(`workspaceBackup.categories.${category.id}`)}
+                <span class="export-queue-hint">${this.describe(category.id, workspace.data[category.id])}</span></label>
+        `).join('');
+
+        section.classList.toggle('hidden', available.length === 0);
+        restoreBtn.disabled = available.length === 0;
+
+        if (workspace) {
+            const exportedAt = workspace.exportedAt ? new Date(workspace.exportedAt).toLocaleString() : this.t('workspaceBackup.unknownDate');
+            status.textContent = available.length > 0
+                ? `${this.t('workspaceBackup.fileInfo')} ${exportedAt} (${workspace.appVersion || 'unknown'})`
+                : this.t('workspaceBackup.emptyFile');
+        } else {
+            status.textContent = '';
+        }
+    }
+
+    /**
+     * Download a workspace file with the categories ticked in the dialog
+     */
+    async startExport() {
+        if (this.isBusy || !this.modal) return;
+
+        const modal = this.modal;
+        const categoryIds = Array.from(modal.querySelectorAll('.workspace-backup-export input:checked')).map(input => input.value);
+        if (categoryIds.length === 0) {
+            alert(this.t('workspaceBackup.noCategories'));
+            return;
+        }
+
+        const status = modal.querySelector('#workspaceStatus');
+        this.isBusy = true;
+        status.textContent = this.t('workspaceBackup.exporting');
+
+        try {
+            const workspace = await this.exportWorkspace(categoryIds);
+            const filename = `teslacamviewer-workspace-${workspace.exportedAt.slice(0, 10)}.json`;
+            this.downloadBlob(this.toBlob(workspace), filename);
+            status.textContent = `${this.t('workspaceBackup.exported')} ${filename}`;
+        } catch (error) {
+            console.error('[WorkspaceBackup] Export failed:', error);
+            status.textContent = '';
+            alert(`${this.t('workspaceBackup.exportFailed')}: ${error.message}`);
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * Restore the ticked categories from the chosen file, then offer to reload
+     */
+    async startRestore() {
+        if (this.isBusy || !this.modal || !this.pendingWorkspace) return;
+
+        const modal = this.modal;
+        const categoryIds = Array.from(modal.querySelectorAll('.workspace-backup-restore input:checked')).map(input => input.value);
+        if (categoryIds.length === 0) {
+            alert(this.t('workspaceBackup.noCategories'));
+            return;
+        }
+
+        const merge = modal.querySelector('#workspaceMergeCheckbox').checked;
+        if (!merge && !confirm(this.t('workspaceBackup.confirmReplace'))) {
+            return;
+        }
+
+        const status = modal.querySelector('#workspaceStatus');
+        this.isBusy = true;
+        status.textContent = this.t('workspaceBackup.restoring');
+
+        try {
+            const result = await this.importWorkspace(this.pendingWorkspace, categoryIds, { merge });
+
+            // Refresh what can be refreshed in place; everything else is read at startup
+            this.timeline?.loadBookmarks();
+
+            if (result.conflicts.length > 0) {
+                status.textContent = this.t('workspaceBackup.resolveConflicts');
+                await this.notesManager.resolveConflicts(result.conflicts, {
+                    local: this.t('notes.conflicts.thisBrowser'),
+                    remote: this.t('notes.conflicts.backupFile')
+                }, { bookmarks: categoryIds.includes('bookmarks') });
+            }
+
+            status.textContent = this.t('workspaceBackup.restored');
+            if (confirm(this.t('workspaceBackup.reloadPrompt'))) {
+                window.location.reload();
+            }
+        } catch (error) {
+            console.error('[WorkspaceBackup] Restore failed:', error);
+            status.textContent = '';
+            alert(`${this.t('workspaceBackup.restoreFailed')}: ${error.message}`);
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * Close the dialog
+     */
+    hide() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+        this.pendingWorkspace = null;
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+window.WorkspaceBackup = WorkspaceBackup;